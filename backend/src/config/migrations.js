@@ -45,6 +45,24 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Tables an alter sync must not touch yet
+ * Until the create-processed-invoice-items migration has run, invoice lines are still stored in
+ * processed_invoices.items. The model no longer has that column, so a sync would drop it and create an empty
+ * processed_invoice_items table, losing every line.
+ * @returns {Promise<Array<string>>} - Table names
+ */
+async function tablesAwaitingMigration() {
+  let columns;
+  try {
+    columns = await sequelize.getQueryInterface().describeTable('processed_invoices');
+  } catch (error) {
+    // A new database has nothing to migrate
+    return [];
+  }
+  return columns.items ? ['processed_invoices', 'processed_invoice_items'] : [];
+}
+
 /**
  * Update database schema without losing data
  */
@@ -57,7 +75,18 @@ async function updateSchema() {
     console.log('Database connection established successfully.');
     
     // Sync all models with alter option to update tables without losing data
-    await sequelize.sync({ alter: true });
+    const skipped = await tablesAwaitingMigration();
+    if (skipped.length === 0) {
+      await sequelize.sync({ alter: true });
+    } else {
+      console.warn(`Skipping ${skipped.join(', ')}: run the create-processed-invoice-items migration first, then update again`);
+      const models = sequelize.modelManager.getModelsTopoSortedByForeignKey() || Object.values(sequelize.models);
+      for (const model of models) {
+        if (!skipped.includes(model.tableName)) {
+          await model.sync({ alter: true });
+        }
+      }
+    }
     console.log('Database schema updated successfully!');
     
     return true;
@@ -0,0 +1,171 @@
+/**
+ * Controller for invoice export profiles
+ */
+const uuid = require('uuid');
+const exportProfileService = require('../services/exportProfileService');
+
+// Parse a positive integer ID, or null
+function positiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Response of a failed request, using the status code of service errors
+function sendError(res, error, message) {
+  return res.status(error.statusCode || 500).json({
+    error: {
+      message: error.statusCode ? error.message : message,
+      details: error.message
+    }
+  });
+}
+
+// Response of a request with an ID that is not a positive integer
+function sendInvalidId(res) {
+  return res.status(400).json({
+    error: {
+      message: 'Export profile ID must be a positive integer'
+    }
+  });
+}
+
+/**
+ * Get the fields that can be exported per level, with the columns used when no profile is chosen
+ */
+exports.getExportFields = async (req, res) => {
+  res.json({
+    success: true,
+    data: exportProfileService.exportFields()
+  });
+};
+
+/**
+ * Get all export profiles
+ */
+exports.getProfiles = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Getting export profiles`);
+
+  try {
+    const profiles = await exportProfileService.listProfiles();
+    res.json({
+      success: true,
+      data: profiles,
+      message: `Found ${profiles.length} export profiles`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting export profiles:`, error);
+    sendError(res, error, 'Error retrieving export profiles');
+  }
+};
+
+/**
+ * Get one export profile
+ */
+exports.getProfileById = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting export profile with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return sendInvalidId(res);
+    }
+
+    res.json({
+      success: true,
+      data: await exportProfileService.getProfile(positiveInt(id))
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting export profile:`, error);
+    sendError(res, error, 'Error retrieving export profile');
+  }
+};
+
+/**
+ * Create an export profile
+ */
+exports.createProfile = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Creating export profile`);
+
+  try {
+    const validationError = exportProfileService.validateProfile(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const profile = await exportProfileService.createProfile(req.body);
+    console.log(`[${requestId}] Created export profile ${profile.id} (${profile.name})`);
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: `Export profile ${profile.name} created`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error creating export profile:`, error);
+    sendError(res, error, 'Error creating export profile');
+  }
+};
+
+/**
+ * Update an export profile
+ */
+exports.updateProfile = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Updating export profile with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return sendInvalidId(res);
+    }
+
+    const validationError = exportProfileService.validateProfile(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const profile = await exportProfileService.updateProfile(positiveInt(id), req.body);
+    res.json({
+      success: true,
+      data: profile,
+      message: `Export profile ${profile.name} updated`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error updating export profile:`, error);
+    sendError(res, error, 'Error updating export profile');
+  }
+};
+
+/**
+ * Delete an export profile
+ */
+exports.deleteProfile = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Deleting export profile with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return sendInvalidId(res);
+    }
+
+    await exportProfileService.deleteProfile(positiveInt(id));
+    res.json({
+      success: true,
+      message: 'Export profile deleted'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error deleting export profile:`, error);
+    sendError(res, error, 'Error deleting export profile');
+  }
+};
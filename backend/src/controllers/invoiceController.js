@@ -1,10 +1,107 @@
 /**
  * Controller for invoice management operations
  */
-const { ProcessedInvoice, RawOCRData } = require('../models');
+const { ProcessedInvoice, ProcessedInvoiceItem, RawOCRData, InvoicePayment, Supplier } = require('../models');
 const { Op } = require('sequelize');
 const uuid = require('uuid');
 const { sequelize } = require('../config/database'); // Fixed import path
+const webhookService = require('../services/webhookService');
+const { itemsFromRequest, replaceInvoiceItems, toItemJson, ITEMS_INCLUDE, ITEM_ORDER } = require('../services/invoiceItemService');
+const invoiceHistoryService = require('../services/invoiceHistoryService');
+const invoiceWorkflowService = require('../services/invoiceWorkflowService');
+const paymentService = require('../services/paymentService');
+const creditDocumentService = require('../services/creditDocumentService');
+const supplierService = require('../services/supplierService');
+const invoiceSearchService = require('../services/invoiceSearchService');
+const invoicePdfService = require('../services/invoicePdfService');
+const invoiceExportService = require('../services/invoiceExportService');
+const exportProfileService = require('../services/exportProfileService');
+
+// Columns set only by the status transitions, never from a create or update request
+const WORKFLOW_FIELDS = ['status', 'reviewed_by', 'reviewed_at', 'approved_by', 'approved_at', 'posted_by', 'posted_at'];
+
+// Include of the payments of an invoice, enough to work out its balance
+const PAYMENTS_INCLUDE = { model: InvoicePayment, as: 'payments', attributes: ['amount', 'payment_date'] };
+// Include of the linked supplier master record
+const SUPPLIER_INCLUDE = { model: Supplier, as: 'supplier', attributes: ['id', 'code', 'name'] };
+
+// Columns of invoices in lists, without the image and OCR debug data
+const LIST_ATTRIBUTES = [
+  'id',
+  'invoice_number',
+  'supplier_name',
+  'supplier_id',
+  'invoice_date',
+  'due_date',
+  'include_tax',
+  'tax_rate',
+  'document_type',
+  'salesman',
+  'payment_type',
+  'reference_invoice_id',
+  'status',
+  'reviewed_by',
+  'approved_by',
+  'posted_by',
+  'posted_at',
+  'created_at',
+  'updated_at'
+];
+
+// Invoice of a list with its lines and balance
+function toListJson(invoice, credited) {
+  const plainInvoice = invoice.get({ plain: true });
+  
+  return {
+    id: plainInvoice.id,
+    invoice_number: plainInvoice.invoice_number,
+    supplier_name: plainInvoice.supplier_name,
+    supplier_id: plainInvoice.supplier_id,
+    supplier: plainInvoice.supplier,
+    invoice_date: plainInvoice.invoice_date,
+    due_date: plainInvoice.due_date,
+    include_tax: plainInvoice.include_tax,
+    tax_rate: plainInvoice.tax_rate,
+    document_type: plainInvoice.document_type,
+    salesman: plainInvoice.salesman,
+    items: invoice.items.map(toItemJson),
+    payment_type: plainInvoice.payment_type,
+    reference_invoice_id: plainInvoice.reference_invoice_id,
+    status: plainInvoice.status,
+    reviewed_by: plainInvoice.reviewed_by,
+    approved_by: plainInvoice.approved_by,
+    posted_by: plainInvoice.posted_by,
+    posted_at: plainInvoice.posted_at,
+    ...paymentService.paymentSummary(plainInvoice, plainInvoice.items, plainInvoice.payments, {
+      credited: credited.get(plainInvoice.id) || 0
+    }),
+    created_at: plainInvoice.created_at,
+    updated_at: plainInvoice.updated_at
+  };
+}
+
+// Request body without the workflow columns
+function withoutWorkflowFields(body) {
+  return Object.keys(body).reduce((values, key) => (
+    WORKFLOW_FIELDS.includes(key) ? values : { ...values, [key]: body[key] }
+  ), {});
+}
+
+// Invoice fields sent with invoice webhook events
+function invoiceEventData(invoice) {
+  return {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    supplier_name: invoice.supplier_name,
+    invoice_date: invoice.invoice_date
+  };
+}
+
+// Invoice as returned after a create or update, with its lines
+async function findInvoiceWithItems(id) {
+  const invoice = await ProcessedInvoice.findByPk(id, { include: [ITEMS_INCLUDE], order: [ITEM_ORDER] });
+  return { ...invoice.toJSON(), items: invoice.items.map(toItemJson) };
+}
 
 /**
  * Get all invoices with optional pagination
@@ -14,75 +111,41 @@ exports.getAllInvoices = async (req, res) => {
   console.log(`[${requestId}] Getting all invoices (basic fields only)`);
   
   try {
-    const { page, limit } = req.query;
-    let options = {};
+    const { page, limit, status, supplier_id } = req.query;
+    let options = { where: {} };
+    
+    // Filter by one or more comma-separated statuses
+    if (status) {
+      options.where.status = { [Op.in]: String(status).split(',').map(value => value.trim()).filter(Boolean) };
+    }
+    
+    // Filter by supplier master record
+    if (supplier_id) {
+      options.where.supplier_id = positiveInt(supplier_id) || 0;
+    }
     
     // Apply pagination if provided
     if (page && limit) {
       const offset = (parseInt(page) - 1) * parseInt(limit);
       options = {
+        ...options,
         offset,
         limit: parseInt(limit)
       };
     }
     
-    // Get all invoices with basic fields - Reverted to original selection
+    // Get all invoices with basic fields
     const invoices = await ProcessedInvoice.findAll({
-      attributes: [ // Select only the original basic fields
-        'id', 
-        'invoice_number', 
-        'supplier_name', 
-        'invoice_date', 
-        'due_date', 
-        'include_tax', 
-        'tax_rate', 
-        'document_type', 
-        'salesman',
-        'items', // Include the raw items JSON field again
-        'payment_type',
-        'created_at', 
-        'updated_at'
-      ],
-      // Removed include for ProcessedInvoiceItem
-      order: [['created_at', 'DESC']],
+      attributes: LIST_ATTRIBUTES,
+      include: [ITEMS_INCLUDE, PAYMENTS_INCLUDE, SUPPLIER_INCLUDE],
+      order: [['created_at', 'DESC'], ITEM_ORDER],
       ...options
     });
     
     console.log(`[${requestId}] Found ${invoices.length} invoices (basic fields)`);
     
-    // Format response data - Reverted to original mapping
-    const formattedInvoices = invoices.map(invoice => {
-      const plainInvoice = invoice.get({ plain: true });
-      
-      // Basic validation for items field (ensure it's string or null)
-      let itemsData = plainInvoice.items;
-      if (itemsData && typeof itemsData !== 'string') {
-          try {
-              itemsData = JSON.stringify(itemsData);
-          } catch (e) {
-              console.warn(`[${requestId}] Failed to stringify items for invoice ${plainInvoice.id}, setting to null.`);
-              itemsData = null;
-          }
-      } else if (!itemsData) {
-           itemsData = null; // Ensure null if falsy
-      }
-      
-      return {
-        id: plainInvoice.id,
-        invoice_number: plainInvoice.invoice_number,
-        supplier_name: plainInvoice.supplier_name,
-        invoice_date: plainInvoice.invoice_date,
-        due_date: plainInvoice.due_date,
-        include_tax: plainInvoice.include_tax,
-        tax_rate: plainInvoice.tax_rate,
-        document_type: plainInvoice.document_type,
-        salesman: plainInvoice.salesman,
-        items: itemsData, // Use the raw items JSON field
-        payment_type: plainInvoice.payment_type,
-        created_at: plainInvoice.created_at,
-        updated_at: plainInvoice.updated_at
-      };
-    });
+    const credited = await creditDocumentService.creditedAmounts(invoices.map(invoice => invoice.id));
+    const formattedInvoices = invoices.map(invoice => toListJson(invoice, credited));
     
     // Return success response with invoices data
     return res.json({
@@ -112,7 +175,10 @@ exports.getInvoiceById = async (req, res) => {
   console.log(`[${requestId}] Getting invoice by ID: ${id}`);
   
   try {
-    const invoice = await ProcessedInvoice.findByPk(id);
+    const invoice = await ProcessedInvoice.findByPk(id, {
+      include: [ITEMS_INCLUDE, PAYMENTS_INCLUDE, SUPPLIER_INCLUDE],
+      order: [ITEM_ORDER]
+    });
     
     if (!invoice) {
       console.log(`[${requestId}] Invoice not found with ID: ${id}`);
@@ -126,17 +192,35 @@ exports.getInvoiceById = async (req, res) => {
     
     console.log(`[${requestId}] Found invoice: ${invoice.invoice_number}`);
     
+    const credited = await creditDocumentService.creditedAmounts([invoice.id]);
+    
     // Format invoice data
     const formattedInvoice = {
       id: invoice.id,
       invoice_number: invoice.invoice_number,
       supplier_name: invoice.supplier_name,
+      supplier_id: invoice.supplier_id,
+      supplier: invoice.supplier,
       invoice_date: invoice.invoice_date,
       due_date: invoice.due_date,
       include_tax: invoice.include_tax,
       tax_rate: invoice.tax_rate,
       document_type: invoice.document_type,
       salesman: invoice.salesman,
+      items: invoice.items.map(toItemJson),
+      reference_invoice_id: invoice.reference_invoice_id,
+      status: invoice.status,
+      reviewed_by: invoice.reviewed_by,
+      reviewed_at: invoice.reviewed_at,
+      approved_by: invoice.approved_by,
+      approved_at: invoice.approved_at,
+      posted_by: invoice.posted_by,
+      posted_at: invoice.posted_at,
+      transitions: invoiceWorkflowService.transitionsFrom(invoice.status),
+      ...paymentService.paymentSummary(invoice, invoice.items, invoice.payments, {
+        credited: credited.get(invoice.id) || 0
+      }),
+      credit_documents: await creditDocumentService.listCreditDocuments(invoice.id),
       createdAt: invoice.created_at,
       updatedAt: invoice.updated_at
     };
@@ -168,7 +252,7 @@ exports.createInvoice = async (req, res) => {
   
   try {
     // Validate required fields
-    const { invoice_number, supplier_name, invoice_date } = req.body;
+    const { invoice_number, items, ...invoiceData } = withoutWorkflowFields(req.body);
     if (!invoice_number) {
       return res.status(400).json({
         error: {
@@ -209,16 +293,35 @@ exports.createInvoice = async (req, res) => {
       }
     }
     
-    // Create new invoice
-    const newInvoice = await ProcessedInvoice.create(req.body);
-    console.log(`[${requestId}] Created new invoice with ID: ${newInvoice.id}`);
+    // Lines may be sent as an array or a JSON string
+    const lines = items === undefined ? [] : itemsFromRequest(items);
+    
+    // Create new invoice with its lines
+    const newInvoice = await sequelize.transaction(async (transaction) => {
+      // Link the supplier master and take its payment terms and PPN setting for what the request leaves out
+      const { fields } = await supplierService.applySupplier(invoiceData, {
+        transaction,
+        taxKnown: invoiceData.include_tax !== undefined
+      });
+      const invoice = await ProcessedInvoice.create({ ...fields, invoice_number }, { transaction });
+      await replaceInvoiceItems(invoice.id, lines, { transaction });
+      await invoiceHistoryService.recordVersion(invoice.id, invoiceHistoryService.ACTIONS.CREATE, {
+        actor: invoiceHistoryService.actorFromRequest(req),
+        source: 'api',
+        transaction
+      });
+      return invoice;
+    });
+    console.log(`[${requestId}] Created new invoice with ID: ${newInvoice.id} and ${lines.length} items`);
+    
+    await webhookService.emitEvent('invoice.saved', { ...invoiceEventData(newInvoice), created: true, source: 'api' });
     
-    res.status(201).json(newInvoice);
+    res.status(201).json(await findInvoiceWithItems(newInvoice.id));
   } catch (error) {
     console.error(`[${requestId}] Error creating invoice:`, error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: {
-        message: 'Error creating invoice',
+        message: error.statusCode ? error.message : 'Error creating invoice',
         details: error.message
       }
     });
@@ -246,6 +349,9 @@ exports.updateInvoice = async (req, res) => {
       });
     }
     
+    // Only drafts may be edited; the status changes through the transition endpoints
+    invoiceWorkflowService.assertEditable(invoice);
+    
     // Process image data if sent as base64 string
     if (req.body.image_data) {
       // Extract content type and binary data
@@ -264,18 +370,42 @@ exports.updateInvoice = async (req, res) => {
       }
     }
     
+    // Lines are only replaced when they are sent
+    const { items, ...invoiceData } = withoutWorkflowFields(req.body);
+    const lines = items === undefined ? null : itemsFromRequest(items);
+    
     // Update invoice
-    await invoice.update(req.body);
-    console.log(`[${requestId}] Updated invoice: ${id}`);
+    await sequelize.transaction(async (transaction) => {
+      const before = await invoiceHistoryService.loadSnapshot(invoice.id, { transaction });
+      // A changed supplier name is matched to the supplier master again
+      if (invoiceData.supplier_id !== undefined || invoiceData.supplier_name !== undefined) {
+        const { fields } = await supplierService.applySupplier(invoiceData, { transaction });
+        invoiceData.supplier_id = fields.supplier_id;
+      }
+      await invoice.update(invoiceData, { transaction });
+      if (lines) {
+        await replaceInvoiceItems(invoice.id, lines, { transaction });
+      }
+      await invoiceHistoryService.recordVersion(invoice.id, invoiceHistoryService.ACTIONS.UPDATE, {
+        actor: invoiceHistoryService.actorFromRequest(req),
+        source: 'api',
+        before,
+        transaction
+      });
+    });
+    console.log(`[${requestId}] Updated invoice: ${id}${lines ? ` with ${lines.length} items` : ''}`);
     
     // Get updated invoice
-    const updatedInvoice = await ProcessedInvoice.findByPk(id);
+    const updatedInvoice = await findInvoiceWithItems(id);
+    
+    await webhookService.emitEvent('invoice.saved', { ...invoiceEventData(updatedInvoice), created: false, source: 'api' });
+    
     res.json(updatedInvoice);
   } catch (error) {
     console.error(`[${requestId}] Error updating invoice:`, error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: {
-        message: 'Error updating invoice',
+        message: error.statusCode ? error.message : 'Error updating invoice',
         details: error.message
       }
     });
@@ -292,7 +422,7 @@ exports.deleteInvoice = async (req, res) => {
   
   try {
     // Use a transaction to ensure data consistency
-    await sequelize.transaction(async (transaction) => {
+    const deletedInvoice = await sequelize.transaction(async (transaction) => {
       // Check if invoice exists
       const invoice = await ProcessedInvoice.findByPk(id, { transaction });
       
@@ -301,6 +431,20 @@ exports.deleteInvoice = async (req, res) => {
         throw new Error('Invoice not found');
       }
       
+      // Posted invoices changed prices and stock, so they stay
+      if (invoice.status === invoiceWorkflowService.STATUS.POSTED) {
+        const error = new Error(`Invoice ${invoice.invoice_number} is posted and cannot be deleted`);
+        error.statusCode = 409;
+        throw error;
+      }
+      
+      // Payments are kept as the record of what was paid to the supplier
+      if (await paymentService.countPayments(invoice.id, { transaction }) > 0) {
+        const error = new Error(`Invoice ${invoice.invoice_number} has payments and cannot be deleted`);
+        error.statusCode = 409;
+        throw error;
+      }
+      
       // Get the invoice number to delete related raw OCR data
       const invoiceNumber = invoice.invoice_number;
       console.log(`[${requestId}] Found invoice ${id} with number ${invoiceNumber}`);
@@ -316,12 +460,26 @@ exports.deleteInvoice = async (req, res) => {
         await rawOcrData.destroy({ transaction });
       }
       
+      // Keep the deleted state in the history so the invoice can be restored
+      const before = await invoiceHistoryService.loadSnapshot(invoice.id, { transaction });
+      await invoiceHistoryService.recordVersion(invoice.id, invoiceHistoryService.ACTIONS.DELETE, {
+        actor: invoiceHistoryService.actorFromRequest(req),
+        source: 'api',
+        before,
+        snapshot: before,
+        transaction
+      });
+      
       // Now delete the invoice
       console.log(`[${requestId}] Deleting invoice ${id}`);
       await invoice.destroy({ transaction });
+      
+      return invoiceEventData(invoice);
     });
     
     console.log(`[${requestId}] Successfully deleted invoice: ${id} and its related data`);
+    
+    await webhookService.emitEvent('invoice.deleted', deletedInvoice);
     res.status(200).json({
       success: true,
       message: 'Invoice deleted successfully'
@@ -330,7 +488,7 @@ exports.deleteInvoice = async (req, res) => {
     console.error(`[${requestId}] Error deleting invoice:`, error);
     
     // Determine status code based on error
-    const statusCode = error.message === 'Invoice not found' ? 404 : 500;
+    const statusCode = error.statusCode || (error.message === 'Invoice not found' ? 404 : 500);
     
     res.status(statusCode).json({
       error: {
@@ -408,7 +566,54 @@ exports.getInvoiceImage = async (req, res) => {
 };
 
 /**
- * Search invoices
+ * Search invoices with filters on the header, the amount and the line items, sorted and paged with a cursor
+ * GET /api/invoices/search, see invoiceSearchService.searchInvoices for the parameters
+ */
+exports.findInvoices = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Searching invoices: ${JSON.stringify(req.query)}`);
+  
+  try {
+    const result = await invoiceSearchService.searchInvoices(req.query);
+    
+    const invoices = result.ids.length === 0 ? [] : await ProcessedInvoice.findAll({
+      attributes: LIST_ATTRIBUTES,
+      where: { id: { [Op.in]: result.ids } },
+      include: [ITEMS_INCLUDE, PAYMENTS_INCLUDE, SUPPLIER_INCLUDE],
+      order: [ITEM_ORDER]
+    });
+    const byId = new Map(invoices.map(invoice => [invoice.id, invoice]));
+    const credited = await creditDocumentService.creditedAmounts(result.ids);
+    
+    console.log(`[${requestId}] Found ${result.total} invoices, returning ${invoices.length}`);
+    
+    return res.json({
+      success: true,
+      data: result.ids.filter(id => byId.has(id)).map(id => toListJson(byId.get(id), credited)),
+      page_info: {
+        total: result.total,
+        limit: result.limit,
+        sort: result.sort,
+        order: result.order,
+        has_more: result.has_more,
+        next_cursor: result.next_cursor
+      },
+      message: `Found ${result.total} invoices`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error searching invoices:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error searching invoices',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Search invoices by number, supplier or document type, at most 20 results
+ * Kept for older clients; GET /api/invoices/search has the full filters.
  */
 exports.searchInvoices = async (req, res) => {
   const requestId = req.id || uuid.v4();
@@ -492,16 +697,11 @@ exports.getInvoiceDetails = async (req, res) => {
     console.log(`[${requestId}] Found invoice: ${invoice.invoice_number}`);
     
     // Then find related items
-    let items = [];
-    try {
-      items = await ProcessedInvoiceItem.findAll({
-        where: { invoice_id: id }
-      });
-      console.log(`[${requestId}] Found ${items.length} items for invoice ${id}`);
-    } catch (itemError) {
-      console.error(`[${requestId}] Error finding invoice items:`, itemError);
-      // Continue with empty items array
-    }
+    const items = await ProcessedInvoiceItem.findAll({
+      where: { invoice_id: id },
+      order: [['line_number', 'ASC']]
+    });
+    console.log(`[${requestId}] Found ${items.length} items for invoice ${id}`);
     
     // If no items are found, return an empty array
     if (!items || items.length === 0) {
@@ -514,34 +714,35 @@ exports.getInvoiceDetails = async (req, res) => {
     
     // Format item data
     const formattedItems = items.map(item => {
-      const plainItem = item.get({ plain: true });
+      const plainItem = toItemJson(item);
+      // Difference between the invoice price and the cost price of the mapped unit
+      const priceIncrease = plainItem.base_price ? plainItem.price - plainItem.base_price : null;
+      const priceIncreasePercent = priceIncrease !== null ? (priceIncrease / plainItem.base_price) * 100 : null;
+      
       return {
-        id: plainItem.id,
-        invoice_id: plainItem.invoice_id,
-        product_code: plainItem.product_code,
-        product_name: plainItem.product_name,
-        quantity: plainItem.quantity,
-        unit: plainItem.unit,
-        base_price: plainItem.base_price,
-        price_increase_percent: plainItem.price_increase_percent,
-        price_increase_amount: plainItem.price_increase_amount,
-        suggested_increase_percent: plainItem.suggested_increase_percent,
-        suggested_increase_amount: plainItem.suggested_increase_amount,
-        discount: plainItem.discount,
-        total_price: plainItem.total_price,
+        ...plainItem,
+        price_increase_percent: priceIncreasePercent,
+        price_increase_amount: priceIncrease,
+        suggested_increase_percent: null,
+        suggested_increase_amount: null,
+        discount: plainItem.discount_percent,
+        total_price: plainItem.total,
         
         // Include alternative field names for compatibility
         kode_barang: plainItem.product_code,
         nama_barang: plainItem.product_name,
+        kode_barang_main: plainItem.mapped_product_code,
+        nama_barang_main: plainItem.mapped_product_name,
         qty: plainItem.quantity,
         satuan: plainItem.unit,
+        satuan_main: plainItem.mapped_unit,
         harga_pokok: plainItem.base_price,
-        kenaikan_persen: plainItem.price_increase_percent,
-        kenaikan_rp: plainItem.price_increase_amount,
-        saran_kenaikan_persen: plainItem.suggested_increase_percent,
-        saran_kenaikan_rp: plainItem.suggested_increase_amount,
-        diskon_persen: plainItem.discount,
-        total: plainItem.total_price
+        kenaikan_persen: priceIncreasePercent,
+        kenaikan_rp: priceIncrease,
+        diskon_persen: plainItem.discount_percent,
+        diskon_rp: plainItem.discount_amount,
+        jumlah_netto: plainItem.total,
+        total: plainItem.total
       };
     });
     
@@ -562,3 +763,464 @@ exports.getInvoiceDetails = async (req, res) => {
     });
   }
 };
+
+// Positive integer from a route or query parameter, or null
+function positiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * List the versions of an invoice
+ */
+exports.getInvoiceVersions = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting versions of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const versions = await invoiceHistoryService.listVersions(positiveInt(id));
+    
+    return res.json({
+      success: true,
+      data: versions,
+      message: `Found ${versions.length} versions`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting invoice versions:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error retrieving invoice versions',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Get one version of an invoice with its snapshot
+ */
+exports.getInvoiceVersion = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id, version } = req.params;
+  console.log(`[${requestId}] Getting version ${version} of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id) || !positiveInt(version)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID and version must be positive integers'
+        }
+      });
+    }
+    
+    const data = await invoiceHistoryService.getVersion(positiveInt(id), positiveInt(version));
+    
+    return res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting invoice version:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error retrieving invoice version',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Diff between two versions of an invoice
+ */
+exports.diffInvoiceVersions = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  const { from, to } = req.query;
+  console.log(`[${requestId}] Comparing versions ${from} and ${to} of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id) || !positiveInt(from) || !positiveInt(to)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID and the from and to versions must be positive integers'
+        }
+      });
+    }
+    
+    const data = await invoiceHistoryService.diffVersions(positiveInt(id), positiveInt(from), positiveInt(to));
+    
+    return res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error comparing invoice versions:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error comparing invoice versions',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Restore an invoice to a prior version
+ */
+exports.restoreInvoiceVersion = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id, version } = req.params;
+  console.log(`[${requestId}] Restoring invoice ${id} to version ${version}`);
+  
+  try {
+    if (!positiveInt(id) || !positiveInt(version)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID and version must be positive integers'
+        }
+      });
+    }
+    
+    const restored = await invoiceHistoryService.restoreVersion(positiveInt(id), positiveInt(version), {
+      actor: invoiceHistoryService.actorFromRequest(req)
+    });
+    console.log(`[${requestId}] Restored invoice ${id} to version ${version} as version ${restored.version}`);
+    
+    return res.json({
+      success: true,
+      data: {
+        version: restored,
+        invoice: await findInvoiceWithItems(positiveInt(id))
+      },
+      message: `Invoice restored to version ${version}`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error restoring invoice version:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error restoring invoice version',
+        details: error.message
+      }
+    });
+  }
+};
+
+// Run a status transition and respond with the new status
+async function runTransition(req, res, name) {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  const actor = invoiceHistoryService.actorFromRequest(req);
+  console.log(`[${requestId}] Running ${name} on invoice ${id}${actor ? ` as ${actor}` : ''}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const data = await invoiceWorkflowService.transition(positiveInt(id), name, { actor });
+    console.log(`[${requestId}] Invoice ${id} moved from ${data.previous_status} to ${data.status}`);
+    
+    return res.json({
+      success: true,
+      data,
+      message: `Invoice is now ${data.status}`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error running ${name} on invoice:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : `Error running ${name} on invoice`,
+        details: error.details || error.message
+      }
+    });
+  }
+}
+
+/**
+ * Mark a draft invoice as reviewed
+ */
+exports.reviewInvoice = (req, res) => runTransition(req, res, 'review');
+
+/**
+ * Approve a reviewed invoice
+ */
+exports.approveInvoice = (req, res) => runTransition(req, res, 'approve');
+
+/**
+ * Post an approved invoice, writing its cost prices and stock to the product database
+ */
+exports.postInvoice = (req, res) => runTransition(req, res, 'post');
+
+/**
+ * Return a reviewed or approved invoice to draft
+ */
+exports.reopenInvoice = (req, res) => runTransition(req, res, 'reopen');
+
+/**
+ * List the payments of an invoice with its balance
+ */
+exports.getInvoicePayments = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting payments of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const data = await paymentService.listPayments(positiveInt(id));
+    
+    return res.json({
+      success: true,
+      data,
+      message: `Found ${data.payments.length} payments`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting invoice payments:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error retrieving invoice payments',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Record a full or partial payment against an invoice
+ */
+exports.createInvoicePayment = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Recording payment of ${req.body.amount} for invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const data = await paymentService.recordPayment(positiveInt(id), req.body, {
+      actor: invoiceHistoryService.actorFromRequest(req)
+    });
+    console.log(`[${requestId}] Recorded payment ${data.payment.id}, outstanding ${data.summary.outstanding}`);
+    
+    return res.status(201).json({
+      success: true,
+      data,
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error recording invoice payment:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error recording invoice payment',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete a payment of an invoice
+ */
+exports.deleteInvoicePayment = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id, paymentId } = req.params;
+  console.log(`[${requestId}] Deleting payment ${paymentId} of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id) || !positiveInt(paymentId)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID and payment ID must be positive integers'
+        }
+      });
+    }
+    
+    const data = await paymentService.deletePayment(positiveInt(id), positiveInt(paymentId));
+    
+    return res.json({
+      success: true,
+      data,
+      message: 'Payment deleted successfully'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error deleting invoice payment:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error deleting invoice payment',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * List the returns and credit notes of an invoice
+ */
+exports.getInvoiceCredits = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting returns and credit notes of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const invoice = await ProcessedInvoice.findByPk(positiveInt(id), { attributes: ['id'] });
+    if (!invoice) {
+      return res.status(404).json({
+        error: {
+          message: 'Invoice not found'
+        }
+      });
+    }
+    
+    const documents = await creditDocumentService.listCreditDocuments(invoice.id);
+    
+    return res.json({
+      success: true,
+      data: documents,
+      message: `Found ${documents.length} returns and credit notes`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting invoice credit documents:`, error);
+    return res.status(500).json({
+      error: {
+        message: 'Error retrieving returns and credit notes',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Printable PDF of an invoice, or of its goods-received document
+ */
+exports.getInvoicePdf = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  const variant = req.query.variant || 'invoice';
+  console.log(`[${requestId}] Rendering ${variant} PDF of invoice ${id}`);
+  
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invoice ID must be a positive integer'
+        }
+      });
+    }
+    
+    const { buffer, filename } = await invoicePdfService.invoicePdf(positiveInt(id), { variant });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+    return res.send(buffer);
+  } catch (error) {
+    console.error(`[${requestId}] Error rendering invoice PDF:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error rendering invoice PDF',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Export the invoices matching the search filters for an accounting system
+ * GET /api/invoices/export?format=csv|xlsx|ubl&level=header|lines&profile_id=, with the filters of GET /api/invoices/search
+ */
+exports.exportInvoices = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Exporting invoices: ${JSON.stringify(req.query)}`);
+  
+  try {
+    const profile = await exportProfileService.resolveProfile(req.query.profile_id);
+    const { content, content_type: contentType, filename, count } = await invoiceExportService.exportInvoices(req.query, profile);
+    
+    console.log(`[${requestId}] Exported ${count} invoices as ${filename} with profile ${profile.name}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Export-Count', String(count));
+    return res.send(content);
+  } catch (error) {
+    console.error(`[${requestId}] Error exporting invoices:`, error);
+    return res.status(error.statusCode || 500).json({
+      error: {
+        message: error.statusCode ? error.message : 'Error exporting invoices',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Aging report of outstanding invoices by supplier, as JSON or CSV
+ */
+exports.getAgingReport = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { as_of: asOfParam, supplier, format } = req.query;
+  console.log(`[${requestId}] Getting aging report${asOfParam ? ` as of ${asOfParam}` : ''}`);
+  
+  try {
+    const asOf = asOfParam === undefined ? undefined : paymentService.parseDate(asOfParam);
+    if (asOf === null) {
+      return res.status(400).json({
+        error: {
+          message: 'as_of must be a date as YYYY-MM-DD'
+        }
+      });
+    }
+    
+    const report = await paymentService.agingReport({ asOf, supplier: supplier || null });
+    
+    if (format && format.toLowerCase() === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=aging-${report.as_of}.csv`);
+      return res.send(paymentService.agingCsv(report));
+    }
+    
+    return res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting aging report:`, error);
+    return res.status(500).json({
+      error: {
+        message: 'Error creating aging report',
+        details: error.message
+      }
+    });
+  }
+};
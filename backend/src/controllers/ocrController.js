@@ -1,207 +1,25 @@
 /**
  * Controller for OCR operations
  */
-const { ProcessedInvoice, RawOCRData, ProductItem, ProductUnit, ProductPrice } = require('../models');
+const { ProcessedInvoice, RawOCRData, OCRJob } = require('../models');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 const uuid = require('uuid');
 const path = require('path');
 const fs = require('fs');
-const moment = require('moment');
 const queueService = require('../services/queueService');
-
-/**
- * Update product prices and metadata based on invoice data
- * @param {Object} editedData - The complete edited data from the request
- * @param {String} requestId - The request ID for logging
- */
-async function updateProductData(editedData, requestId) {
-  // Extract supplier information from invoice
-  let supplierName = '';
-  if (editedData.output && editedData.output.nama_supplier && editedData.output.nama_supplier.value) {
-    supplierName = editedData.output.nama_supplier.value;
-  } else if (editedData.supplier_name) {
-    supplierName = editedData.supplier_name;
-  }
-  
-  // Get source items from the edited data structure
-  let sourceItems = [];
-  
-  if (editedData.output && editedData.output.items && Array.isArray(editedData.output.items)) {
-    sourceItems = editedData.output.items;
-  } else if (editedData.items && Array.isArray(editedData.items)) {
-    sourceItems = editedData.items;
-  }
-  
-  if (sourceItems.length === 0) {
-    return;
-  }
-  
-  // Track products that were processed
-  const processedProducts = [];
-  
-  // Process each item in the invoice
-  for (const item of sourceItems) {
-    try {
-      // Extract product code and unit from item
-      let productCode = '';
-      let unitName = '';
-      
-      // Extract product code (kode_barang_main)
-      if (item.kode_barang_main) {
-        productCode = item.kode_barang_main.value !== undefined ? item.kode_barang_main.value : item.kode_barang_main;
-      }
-      
-      // Extract unit name (satuan_main)
-      if (item.satuan_main) {
-        if (typeof item.satuan_main === 'object') {
-          unitName = item.satuan_main.value || '';
-        } else if (typeof item.satuan_main === 'string') {
-          unitName = item.satuan_main;
-        }
-      }
-      
-      // Skip if no product code or unit
-      if (!productCode || !unitName) {
-        continue;
-      }
-      
-      // Skip if this product was already processed
-      const productKey = `${productCode}-${unitName}`;
-      if (processedProducts.includes(productKey)) {
-        continue;
-      }
-      
-      // Keep track of processed products
-      processedProducts.push(productKey);
-      
-      // Find product in database
-      const product = await ProductItem.findOne({
-        where: { Kode_Item: productCode }
-      });
-      
-      if (!product) {
-        continue;
-      }
-      
-      const productId = product.ID_Produk;
-      
-      // Update supplier information if available
-      if (supplierName) {
-        await product.update({
-          Supplier_Name: supplierName
-        });
-      }
-      
-      // If there's a supplier code in the invoice item, update it
-      let supplierCode = '';
-      if (item.supplier_code) {
-        supplierCode = item.supplier_code.value !== undefined ? item.supplier_code.value : item.supplier_code;
-        if (supplierCode) {
-          await product.update({
-            Supplier_Code: supplierCode
-          });
-        }
-      }
-      
-      // If the item has kode_barang_invoice, also store that as a supplier code
-      if (!supplierCode && item.kode_barang_invoice) {
-        supplierCode = item.kode_barang_invoice.value !== undefined ? item.kode_barang_invoice.value : item.kode_barang_invoice;
-        if (supplierCode && supplierCode !== productCode) {
-          await product.update({
-            Supplier_Code: supplierCode
-          });
-        }
-      }
-      
-      // Find product unit
-      const unit = await ProductUnit.findOne({
-        where: {
-          ID_Produk: productId,
-          Nama_Satuan: unitName
-        }
-      });
-      
-      if (!unit) {
-        continue;
-      }
-      
-      // Find product price
-      const price = await ProductPrice.findOne({
-        where: {
-          ID_Produk: productId,
-          ID_Satuan: unit.ID_Satuan
-        }
-      });
-      
-      if (!price) {
-        continue;
-      }
-      
-      // Update supplier unit if available in the data
-      if (item.satuan) {
-        const supplierUnit = item.satuan.value !== undefined ? item.satuan.value : 
-                            (typeof item.satuan === 'string' ? item.satuan : '');
-        
-        if (supplierUnit && supplierUnit !== unit.Satuan_Supplier) {
-          await unit.update({
-            Satuan_Supplier: supplierUnit
-          });
-        }
-      } else if (item.satuan_main && item.satuan_main.supplier_unit) {
-        // Try to get from satuan_main.supplier_unit if available
-        const supplierUnit = item.satuan_main.supplier_unit;
-        if (supplierUnit && supplierUnit !== unit.Satuan_Supplier) {
-          await unit.update({
-            Satuan_Supplier: supplierUnit
-          });
-        }
-      }
-      
-      // Get the new price from invoice
-      let newPrice = 0;
-      
-      // Priority 1: Try to get harga_satuan (from ItemsTable) 
-      if (item.harga_satuan) {
-        newPrice = parseFloat(item.harga_satuan.value !== undefined ? item.harga_satuan.value : item.harga_satuan);
-      }
-      
-      // Priority 2: Fall back to harga_dasar_main if harga_satuan not available
-      if (!newPrice && item.harga_dasar_main) {
-        newPrice = parseFloat(item.harga_dasar_main.value !== undefined ? item.harga_dasar_main.value : item.harga_dasar_main);
-      }
-      
-      if (!newPrice) {
-        continue;
-      }
-      
-      // Save current price to harga_pokok_sebelumnya and update harga_pokok
-      const oldPrice = price.Harga_Pokok;
-      
-      // Only update if the price has actually changed
-      if (newPrice !== oldPrice) {
-        await price.update({
-          Harga_Pokok_Sebelumnya: oldPrice,
-          Harga_Pokok: newPrice
-        });
-      }
-      
-      // Calculate and update threshold margin
-      const hargaJual = parseFloat(price.Harga_Jual || 0);
-      if (oldPrice > 0 && hargaJual > 0) {
-        // Calculate current margin percent from old price and selling price
-        const marginPercent = ((hargaJual - oldPrice) / oldPrice) * 100;
-        
-        // Update threshold margin
-        await unit.update({
-          Threshold_Margin: marginPercent
-        });
-      }
-    } catch (error) {
-      // Silently continue with next item
-    }
-  }
-}
+const batchService = require('../services/batchService');
+const emailIngestService = require('../services/emailIngestService');
+const ocrProviders = require('../services/ocrProviders');
+const { validateInvoice } = require('../services/invoiceValidator');
+const { parseOcrDocument, toInvoiceFields, fieldValue } = require('../services/ocrDocument');
+const duplicateService = require('../services/duplicateService');
+const webhookService = require('../services/webhookService');
+const { replaceInvoiceItems } = require('../services/invoiceItemService');
+const invoiceHistoryService = require('../services/invoiceHistoryService');
+const invoiceWorkflowService = require('../services/invoiceWorkflowService');
+const supplierService = require('../services/supplierService');
+const { removeUploadedFiles } = require('../middleware/uploadMiddleware');
 
 /**
  * Save OCR data to the database
@@ -212,7 +30,8 @@ exports.saveOcrData = async (req, res) => {
   
   try {
     // Extract data from the request
-    const { originalData, editedData, imageData } = req.body;
+    // duplicateAction is 'save_anyway' or 'replace' (with replaceInvoiceId) once the user has seen the duplicates
+    const { originalData, editedData, imageData, fileId, duplicateAction, replaceInvoiceId } = req.body;
     
     if (!editedData) {
       return res.status(400).json({
@@ -224,108 +43,62 @@ exports.saveOcrData = async (req, res) => {
     
     console.log(`[${requestId}] Received OCR data structure:`, JSON.stringify(editedData, null, 2).substring(0, 500) + '...');
     
-    // Extract invoice details from edited data
-    // Handle both data structures - old structure with direct output properties and new structure with everything in output
-    let base_invoice_number = '';
+    // Every known OCR shape is converted to the canonical document before any field is read
+    const { document, errors: schemaErrors } = parseOcrDocument(editedData);
+    if (schemaErrors.length > 0) {
+      console.log(`[${requestId}] OCR data does not match the schema: ${schemaErrors.map(error => error.path).join(', ')}`);
+      return res.status(400).json({
+        error: {
+          message: `Data OCR tidak sesuai format: ${schemaErrors[0].message}`,
+          details: schemaErrors
+        }
+      });
+    }
+    
+    // Refuse to save invoices whose amounts do not add up
+    const validation = validateInvoice(document);
+    if (!validation.valid) {
+      console.log(`[${requestId}] Validation failed with ${validation.errors} error(s)`);
+      return res.status(422).json({
+        error: {
+          message: `Data invoice memiliki ${validation.errors} kesalahan perhitungan`,
+          validation
+        }
+      });
+    }
+    
+    // Link the printed supplier name to the supplier master; its payment terms and PPN setting fill what OCR did not read.
+    // A fuzzy-matched spelling is only learned as an alias once the invoice is saved, see below
+    const { fields: invoiceFields, match: supplierMatch } = await supplierService.applySupplier(toInvoiceFields(document), {
+      taxKnown: fieldValue(document.output.include_ppn) !== null
+    });
+    const {
+      document_type, supplier_id, supplier_name, invoice_date, due_date, payment_type, include_tax, salesman, tax_rate,
+      items, debug, debug_summary, invoice_number: ocr_invoice_number
+    } = invoiceFields;
+    if (supplierMatch) {
+      console.log(`[${requestId}] Supplier "${supplier_name}" matched to ${supplierMatch.supplier.code} by ${supplierMatch.match_type}`);
+    }
     
-    // New structure has all fields nested within output object with value/is_confident properties
-    if (editedData.output && editedData.output.nomor_referensi && editedData.output.nomor_referensi.value) {
-      base_invoice_number = editedData.output.nomor_referensi.value;
+    // Use the invoice number read by OCR, or generate a unique one if none is found
+    let base_invoice_number = ocr_invoice_number;
+    if (base_invoice_number) {
       console.log(`[${requestId}] Found invoice number in OCR data: ${base_invoice_number}`);
-    } else if (editedData.nomor_referensi && editedData.nomor_referensi.value) {
-      // Direct nomor_referensi field at root level with value property
-      base_invoice_number = editedData.nomor_referensi.value;
-      console.log(`[${requestId}] Using root-level nomor_referensi: ${base_invoice_number}`);
-    } else if (editedData.invoice_number) {
-      // Legacy format with direct invoice_number field
-      base_invoice_number = editedData.invoice_number;
-      console.log(`[${requestId}] Using provided invoice_number: ${base_invoice_number}`);
     } else {
-      // Generate a unique invoice number if none is found
       base_invoice_number = `INV-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
       console.log(`[${requestId}] Generated random invoice number: ${base_invoice_number}`);
     }
     
     let invoice_number = base_invoice_number;
     
-    // Extract other invoice details
-    let supplier_name = '';
-    if (editedData.output && editedData.output.nama_supplier && editedData.output.nama_supplier.value) {
-      supplier_name = editedData.output.nama_supplier.value;
-    } else if (editedData.nama_supplier && editedData.nama_supplier.value) {
-      supplier_name = editedData.nama_supplier.value;
-    } else if (editedData.supplier_name) {
-      supplier_name = editedData.supplier_name;
-    }
-    
-    // Helper function to extract value from a field that might be in different formats
-    function extractValue(data, fieldPath, defaultValue = null) {
-      // Try accessing output.fieldPath.value first (new structure)
-      if (data.output && 
-          data.output[fieldPath] && 
-          data.output[fieldPath].value !== undefined) {
-        return data.output[fieldPath].value;
-      }
-      
-      // Try accessing fieldPath.value (old structure at root level)
-      if (data[fieldPath] && 
-          data[fieldPath].value !== undefined) {
-        return data[fieldPath].value;
-      }
-      
-      // Try accessing direct property (legacy format)
-      if (data[fieldPath] !== undefined) {
-        return data[fieldPath];
-      }
-      
-      return defaultValue;
-    }
-    
-    // Helper function to parse dates with better error handling
-    function parseDate(dateValue, format = 'DD-MM-YYYY') {
-      if (!dateValue) return null;
-      
-      // Handle epoch timestamp format from new structure
-      if (typeof dateValue === 'object' && dateValue.epoch) {
-        return new Date(dateValue.epoch * 1000);
-      }
-      
-      // If already a Date object or timestamp
-      if (dateValue instanceof Date) return dateValue;
-      if (typeof dateValue === 'number') return new Date(dateValue);
-      
-      // Handle different string formats
-      let parsed;
-      
-      // Try specific format first
-      parsed = moment(dateValue, format, true);
-      if (parsed.isValid()) return parsed.toDate();
-      
-      // Try generic parsing as fallback
-      parsed = moment(dateValue);
-      if (parsed.isValid()) return parsed.toDate();
-      
-      // Log failure and return null
-      console.warn(`[${requestId}] Failed to parse date: ${dateValue}`);
-      return null;
-    }
-    
-    // Extract invoice date with new extraction function
-    let invoice_date = null;
-    let invoiceDateValue = extractValue(editedData, 'tanggal_faktur');
-    if (invoiceDateValue) {
-      invoice_date = parseDate(invoiceDateValue);
+    if (invoice_date) {
       console.log(`[${requestId}] Parsed invoice date: ${invoice_date}`);
     }
     
     // Ensure we always have a date for RawOCRData (required by model)
     const raw_ocr_invoice_date = invoice_date || new Date();
     
-    // Extract due date with new extraction function
-    let due_date = null;
-    let dueDateValue = extractValue(editedData, 'tgl_jatuh_tempo');
-    if (dueDateValue) {
-      due_date = parseDate(dueDateValue);
+    if (due_date) {
       console.log(`[${requestId}] Parsed due date: ${due_date}`);
     }
     
@@ -338,85 +111,6 @@ exports.saveOcrData = async (req, res) => {
       });
     }
     
-    // Extract payment type with new extraction function
-    let payment_type = extractValue(editedData, 'tipe_pembayaran', '');
-    
-    // Extract tax inclusion with new extraction function
-    let include_tax = extractValue(editedData, 'include_vat', false);
-    // Support both include_vat and include_ppn field names
-    if (include_tax === false) {
-      include_tax = extractValue(editedData, 'include_ppn', false);
-    }
-    
-    // Extract salesman with new extraction function
-    let salesman = extractValue(editedData, 'salesman', '');
-    
-    // Extract tax rate with new extraction function
-    let tax_rate = extractValue(editedData, 'ppn_rate', 11.0);
-    // Parse tax rate to ensure it's a number
-    tax_rate = parseFloat(tax_rate) || 11.0;
-    
-    // Process items - Format them according to the frontend's expected structure
-    let sourceItems = [];
-    
-    // Handle the new structure with items under output.output.items
-    if (editedData.output && editedData.output.output && Array.isArray(editedData.output.output.items)) {
-      sourceItems = editedData.output.output.items;
-    } 
-    // Handle the new structure with items directly under output.items
-    else if (editedData.output && Array.isArray(editedData.output.items)) {
-      sourceItems = editedData.output.items;
-    } 
-    // Legacy format with items at root level
-    else if (editedData.items && Array.isArray(editedData.items)) {
-      sourceItems = editedData.items;
-    }
-    
-    // Create items in the format expected by the frontend
-    const items = sourceItems.map((item, index) => {
-      return {
-        id: index + 1,
-        product_code: item.kode_barang_invoice?.value || item.code || '',
-        product_name: item.nama_barang_invoice?.value || item.name || '',
-        quantity: parseFloat(item.qty?.value || item.quantity || 0),
-        unit: item.satuan?.value || item.unit || '',
-        price: parseFloat(item.harga_satuan?.value || item.price || 0),
-        total: parseFloat(item.jumlah_netto?.value || item.total || 0),
-        is_confident: {
-          product_code: item.kode_barang_invoice?.is_confident !== undefined ? item.kode_barang_invoice.is_confident : true,
-          product_name: item.nama_barang_invoice?.is_confident !== undefined ? item.nama_barang_invoice.is_confident : true,
-          quantity: item.qty?.is_confident !== undefined ? item.qty.is_confident : true,
-          unit: item.satuan?.is_confident !== undefined ? item.satuan.is_confident : true,
-          price: item.harga_satuan?.is_confident !== undefined ? item.harga_satuan.is_confident : true,
-          total: item.jumlah_netto?.is_confident !== undefined ? item.jumlah_netto.is_confident : true
-        }
-      };
-    });
-    
-    // Extract debug information from the new structure
-    let debug = [];
-    let debug_summary = "";
-    
-    if (editedData.output && editedData.output.debug && Array.isArray(editedData.output.debug)) {
-      debug = editedData.output.debug;
-    } else if (editedData.debug && Array.isArray(editedData.debug)) {
-      debug = editedData.debug;
-    }
-    
-    if (editedData.output && editedData.output.debug_summary) {
-      if (typeof editedData.output.debug_summary === 'object' && editedData.output.debug_summary.value) {
-        debug_summary = editedData.output.debug_summary.value;
-      } else {
-        debug_summary = editedData.output.debug_summary;
-      }
-    } else if (editedData.debug_summary) {
-      if (typeof editedData.debug_summary === 'object' && editedData.debug_summary.value) {
-        debug_summary = editedData.debug_summary.value;
-      } else {
-        debug_summary = editedData.debug_summary;
-      }
-    }
-    
     console.log(`[${requestId}] Processed invoice data:`, {
       invoice_number,
       supplier_name,
@@ -462,16 +156,68 @@ exports.saveOcrData = async (req, res) => {
       }
     }
     
+    // Fingerprint of the invoice file, from the queued job or the image sent with the request
+    let fingerprint = {};
+    const queuedJob = fileId ? await OCRJob.findByPk(fileId, { attributes: ['content_hash', 'perceptual_hash', 'source', 'source_details'] }) : null;
+    if (queuedJob && queuedJob.content_hash) {
+      fingerprint = { contentHash: queuedJob.content_hash, perceptualHash: queuedJob.perceptual_hash };
+    } else if (binary_image_data) {
+      fingerprint = await duplicateService.computeFileHashes(binary_image_data, image_content_type);
+    }
+    
+    // Sender, subject and received date when the invoice arrived by email
+    const emailFields = emailIngestService.rawDataFields(queuedJob);
+    
+    // Stop and ask the user when the invoice looks like one that was already saved
+    if (!duplicateAction) {
+      const duplicates = await duplicateService.findDuplicateInvoices({
+        ...fingerprint,
+        supplierName: supplier_name,
+        invoiceNumber: base_invoice_number,
+        invoiceDate: invoice_date
+      });
+      
+      if (duplicates.length > 0) {
+        console.log(`[${requestId}] Possible duplicate of invoice(s): ${duplicates.map(d => d.invoice_number).join(', ')}`);
+        return res.status(409).json({
+          error: {
+            message: 'Invoice ini kemungkinan sudah pernah disimpan',
+            duplicates
+          }
+        });
+      }
+    }
+    
+    if (duplicateAction === 'replace' && !replaceInvoiceId) {
+      return res.status(400).json({
+        error: {
+          message: 'replaceInvoiceId is required to replace an invoice'
+        }
+      });
+    }
+    
     // Use a transaction for database operations
     const result = await sequelize.transaction(async (transaction) => {
-      // Check if invoice already exists and handle duplicate invoice numbers
-      let existing_invoice = await ProcessedInvoice.findOne({
-        where: { invoice_number },
-        transaction
-      });
+      let existing_invoice = null;
+      
+      if (duplicateAction === 'replace') {
+        // Overwrite the chosen duplicate, keeping its invoice number
+        existing_invoice = await ProcessedInvoice.findByPk(replaceInvoiceId, { transaction });
+        if (!existing_invoice) {
+          throw new Error(`Invoice to replace not found: ${replaceInvoiceId}`);
+        }
+        invoice_number = existing_invoice.invoice_number;
+        console.log(`[${requestId}] Replacing invoice ${existing_invoice.id} (${invoice_number})`);
+      } else {
+        // Check if invoice already exists and handle duplicate invoice numbers
+        existing_invoice = await ProcessedInvoice.findOne({
+          where: { invoice_number },
+          transaction
+        });
+      }
       
       // If invoice number already exists, add a suffix (-2, -3, etc.)
-      if (existing_invoice) {
+      if (existing_invoice && duplicateAction !== 'replace') {
         console.log(`[${requestId}] Invoice number ${invoice_number} already exists, generating a new one`);
         
         // Find all invoices with the same base number
@@ -511,13 +257,17 @@ exports.saveOcrData = async (req, res) => {
       }
       
       let invoice_id;
+      let before = null;
       
       if (existing_invoice) {
         // Update existing invoice
         console.log(`[${requestId}] Updating existing invoice: ${existing_invoice.id}`);
+        invoiceWorkflowService.assertEditable(existing_invoice);
+        before = await invoiceHistoryService.loadSnapshot(existing_invoice.id, { transaction });
         
         const update_values = {
-          document_type: 'Invoice',
+          document_type,
+          supplier_id,
           supplier_name,
           invoice_date,
           due_date,
@@ -525,10 +275,10 @@ exports.saveOcrData = async (req, res) => {
           include_tax,
           salesman,
           tax_rate,
-          items, // Store as JSON object
           updated_at: new Date(),
           debug, // Store debug messages
-          debug_summary // Store debug summary
+          debug_summary, // Store debug summary
+          ...(fingerprint.contentHash ? { content_hash: fingerprint.contentHash, perceptual_hash: fingerprint.perceptualHash } : {})
         };
         
         // Add binary image data if available
@@ -549,6 +299,7 @@ exports.saveOcrData = async (req, res) => {
           await existing_raw.update({
             invoice_date: raw_ocr_invoice_date,
             raw_data: originalData,
+            ...emailFields,
             updated_at: new Date()
           }, { transaction });
         } else {
@@ -557,7 +308,8 @@ exports.saveOcrData = async (req, res) => {
             invoice_number,
             invoice_date: raw_ocr_invoice_date,
             raw_data: originalData,
-            processed_invoice_id: existing_invoice.id
+            processed_invoice_id: existing_invoice.id,
+            ...emailFields
           }, { transaction });
         }
         
@@ -568,7 +320,8 @@ exports.saveOcrData = async (req, res) => {
         
         const new_invoice_data = {
           invoice_number,
-          document_type: 'Invoice',
+          document_type,
+          supplier_id,
           supplier_name,
           invoice_date,
           due_date,
@@ -576,9 +329,10 @@ exports.saveOcrData = async (req, res) => {
           include_tax,
           salesman,
           tax_rate,
-          items, // Store as JSON object
           debug, // Store debug messages
-          debug_summary // Store debug summary
+          debug_summary, // Store debug summary
+          content_hash: fingerprint.contentHash || null,
+          perceptual_hash: fingerprint.perceptualHash || null
         };
         
         // Add binary image data if available
@@ -594,20 +348,40 @@ exports.saveOcrData = async (req, res) => {
           invoice_number,
           invoice_date: raw_ocr_invoice_date, // Use the non-null date
           raw_data: originalData,
-          processed_invoice_id: new_invoice.id
+          processed_invoice_id: new_invoice.id,
+          ...emailFields
         }, { transaction });
         
         invoice_id = new_invoice.id;
       }
       
-      // Update product data
-      await updateProductData(editedData, requestId);
+      // Store the lines with the product and unit they were mapped to
+      await replaceInvoiceItems(invoice_id, items, { transaction });
+      
+      await invoiceHistoryService.recordVersion(
+        invoice_id,
+        existing_invoice ? invoiceHistoryService.ACTIONS.UPDATE : invoiceHistoryService.ACTIONS.CREATE,
+        { actor: invoiceHistoryService.actorFromRequest(req), source: 'ocr', before, transaction }
+      );
       
-      return { id: invoice_id, invoice_number };
+      // The supplier master only changes when the invoice is saved, and rolls back with it
+      await supplierService.learnAlias(supplierMatch, supplier_name, { transaction });
+      
+      return { id: invoice_id, invoice_number, created: !existing_invoice };
     });
     
     console.log(`[${requestId}] OCR data saved successfully. Invoice ID: ${result.id}, Invoice Number: ${result.invoice_number}`);
     
+    await webhookService.emitEvent('invoice.saved', {
+      invoice_id: result.id,
+      invoice_number: result.invoice_number,
+      supplier_name,
+      invoice_date,
+      created: result.created,
+      source: 'ocr',
+      file_id: fileId || null
+    });
+    
     res.status(200).json({
       success: true,
       data: {
@@ -619,7 +393,7 @@ exports.saveOcrData = async (req, res) => {
   } catch (error) {
     console.error(`[${requestId}] Error saving OCR data:`, error);
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: {
         message: `Failed to save OCR data: ${error.message}`,
         detail: error.stack
@@ -628,6 +402,51 @@ exports.saveOcrData = async (req, res) => {
   }
 };
 
+/**
+ * Validate the amounts of OCR data without saving it
+ */
+exports.validateOcrData = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const { editedData } = req.body;
+    
+    if (!editedData) {
+      return res.status(400).json({
+        error: {
+          message: 'Edited data is required'
+        }
+      });
+    }
+    
+    const { document, errors: schemaErrors } = parseOcrDocument(editedData);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: `Data OCR tidak sesuai format: ${schemaErrors[0].message}`,
+          details: schemaErrors
+        }
+      });
+    }
+    
+    const validation = validateInvoice(document);
+    console.log(`[${requestId}] Validated OCR data: ${validation.errors} error(s), ${validation.warnings} warning(s)`);
+    
+    res.json({
+      success: true,
+      validation
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error validating OCR data:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error validating OCR data',
+        details: error.message
+      }
+    });
+  }
+};
+
 /**
  * Get OCR results for an invoice
  */
@@ -788,13 +607,24 @@ exports.queueFileForProcessing = async (req, res) => {
       });
     }
     
+    // Fingerprint the upload so re-uploads of a saved invoice can be reported
+    const fingerprint = await duplicateService.computeFileHashes(req.file.buffer, req.file.mimetype);
+    
     // Instead of passing the path, we pass the buffer from memory
-    // The file is not saved to disk until save data is clicked
-    const fileId = queueService.queueBuffer(req.file.buffer, req.file.originalname, req.file.mimetype);
+    // The file is stored with its job record until save data is clicked
+    const fileId = await queueService.queueBuffer(req.file.buffer, req.file.originalname, req.file.mimetype, fingerprint, {
+      priority: req.body.priority
+    });
+    
+    const duplicates = await duplicateService.findDuplicateInvoices(fingerprint);
+    if (duplicates.length > 0) {
+      console.log(`[${requestId}] File looks like ${duplicates.length} saved invoice(s): ${duplicates.map(d => d.invoice_number).join(', ')}`);
+    }
     
     res.status(200).json({ 
       success: true,
       fileId: fileId,
+      duplicates,
       message: 'File added to processing queue. It will be processed when save data is clicked.' 
     });
     
@@ -809,6 +639,173 @@ exports.queueFileForProcessing = async (req, res) => {
   }
 };
 
+/**
+ * Queue several files or ZIP archives as one batch
+ * Every supported document becomes its own job and is processed right away.
+ */
+exports.queueBatch = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Queueing batch upload`);
+  
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files provided'
+      });
+    }
+    
+    console.log(`[${requestId}] Received ${req.files.length} file(s) for batch: ${req.files.map(file => file.originalname).join(', ')}`);
+    
+    const { batch, jobs, rejected } = await batchService.createBatch(req.files, {
+      priority: req.body.priority
+    });
+    
+    if (!batch) {
+      console.log(`[${requestId}] No supported documents in batch, ${rejected.length} rejected`);
+      return res.status(400).json({
+        success: false,
+        message: 'No supported documents found in the upload',
+        rejected
+      });
+    }
+    
+    console.log(`[${requestId}] Batch ${batch.id} queued with ${jobs.length} job(s), ${rejected.length} rejected`);
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      jobs,
+      rejected,
+      message: `${jobs.length} document(s) added to the processing queue`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error queueing batch:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue batch for processing',
+      error: error.message
+    });
+  } finally {
+    await removeUploadedFiles(req.files);
+  }
+};
+
+/**
+ * Queue the PDF and image attachments of uploaded .eml messages
+ * Every message becomes its own batch.
+ */
+exports.queueEmail = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Queueing email messages`);
+  
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files provided'
+      });
+    }
+    
+    const messages = [];
+    for (const file of req.files) {
+      if (path.extname(file.originalname).toLowerCase() !== '.eml' && file.mimetype !== 'message/rfc822') {
+        messages.push({ name: file.originalname, batchId: null, jobs: [], rejected: [], error: 'Only .eml files are allowed' });
+        continue;
+      }
+      
+      try {
+        const result = await emailIngestService.ingestMessage(await fs.promises.readFile(file.path), { origin: file.originalname });
+        messages.push({ name: file.originalname, ...result });
+      } catch (error) {
+        console.error(`[${requestId}] Error reading ${file.originalname}:`, error.message);
+        messages.push({ name: file.originalname, batchId: null, jobs: [], rejected: [], error: `Unable to read message: ${error.message}` });
+      }
+    }
+    
+    const queued = messages.reduce((total, message) => total + message.jobs.length, 0);
+    console.log(`[${requestId}] Queued ${queued} attachment(s) from ${messages.length} message(s)`);
+    
+    res.status(queued > 0 ? 202 : 400).json({
+      success: queued > 0,
+      messages,
+      message: queued > 0
+        ? `${queued} attachment(s) added to the processing queue`
+        : 'No PDF or image attachments found in the uploaded messages'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error queueing email messages:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue email messages',
+      error: error.message
+    });
+  } finally {
+    await removeUploadedFiles(req.files);
+  }
+};
+
+/**
+ * Read the new messages of the configured Maildir now instead of waiting for the next poll
+ */
+exports.pollMaildir = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  if (!process.env.MAILDIR_PATH) {
+    return res.status(404).json({
+      success: false,
+      message: 'No Maildir configured. Set MAILDIR_PATH to enable it.'
+    });
+  }
+  
+  try {
+    const summary = await emailIngestService.pollMaildir();
+    console.log(`[${requestId}] Maildir poll: ${summary.messages} message(s), ${summary.jobs} job(s)`);
+    
+    res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error polling Maildir:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error polling Maildir',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the aggregate progress of a batch and the status of its jobs
+ */
+exports.getBatchStatus = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { batchId } = req.params;
+  
+  try {
+    const batch = await batchService.getBatchProgress(batchId);
+    
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting batch status:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting batch status',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get processing status of a file
  */
@@ -818,7 +815,7 @@ exports.getFileStatus = async (req, res) => {
   console.log(`[${requestId}] Getting status for file: ${fileId}`);
   
   try {
-    const status = queueService.getFileStatus(fileId);
+    const status = await queueService.getFileStatus(fileId);
     res.json(status);
   } catch (error) {
     console.error(`[${requestId}] Error getting file status:`, error);
@@ -831,6 +828,41 @@ exports.getFileStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get the original or preprocessed image of a queued file
+ * Query parameter variant is 'original' (default) or 'processed'
+ */
+exports.getFileImage = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { fileId } = req.params;
+  const variant = req.query.variant === 'processed' ? 'processed' : 'original';
+  console.log(`[${requestId}] Getting ${variant} image for file: ${fileId}`);
+  
+  try {
+    const image = await queueService.getJobImage(fileId, variant);
+    
+    if (!image) {
+      console.log(`[${requestId}] No ${variant} image for file: ${fileId}`);
+      return res.status(404).json({
+        error: {
+          message: `No ${variant} image found for this file`
+        }
+      });
+    }
+    
+    res.set('Content-Type', image.mimetype || 'application/octet-stream');
+    return res.send(image.buffer);
+  } catch (error) {
+    console.error(`[${requestId}] Error getting file image:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error getting file image',
+        details: error.message
+      }
+    });
+  }
+};
+
 /**
  * Trigger processing of a queued file
  */
@@ -849,7 +881,7 @@ exports.processQueuedFile = async (req, res) => {
   
   try {
     // Check if file exists in queue
-    const status = queueService.getFileStatus(fileId);
+    const status = await queueService.getFileStatus(fileId);
     
     if (status.status === 'not_found') {
       return res.status(404).json({
@@ -874,6 +906,23 @@ exports.processQueuedFile = async (req, res) => {
       });
     }
     
+    if (status.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'File processing was cancelled, use retry to process it again',
+        status
+      });
+    }
+    
+    if (status.dispatchedAt) {
+      return res.status(202).json({
+        success: true,
+        message: 'File is already waiting in the processing queue',
+        fileId,
+        status: status.status
+      });
+    }
+    
     // Process the file
     queueService.processQueuedFile(fileId)
       .then(result => {
@@ -884,6 +933,7 @@ exports.processQueuedFile = async (req, res) => {
       });
     
     // Return immediately with status "processing" to allow async processing
+    // The job starts as soon as a worker is free
     res.status(202).json({
       success: true,
       message: 'File processing started',
@@ -906,7 +956,7 @@ exports.processQueuedFile = async (req, res) => {
  */
 exports.getAllStatuses = async (req, res) => {
   try {
-    const statuses = queueService.getAllStatuses();
+    const statuses = await queueService.getAllStatuses();
     
     // Log statuses for debugging
     console.log(`Returning ${statuses.length} status items`);
@@ -925,3 +975,328 @@ exports.getAllStatuses = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the OCR providers a job can be retried with
+ */
+exports.getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    providers: ocrProviders.listProviders(),
+    defaultProvider: ocrProviders.DEFAULT_PROVIDER
+  });
+};
+
+/**
+ * Get the dead-letter list of failed jobs
+ */
+exports.getDeadLetterJobs = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deadLetters = await queueService.getDeadLetterJobs({ page, limit });
+    
+    console.log(`[${requestId}] Returning ${deadLetters.data.length} of ${deadLetters.total} failed jobs`);
+    res.status(200).json({
+      success: true,
+      ...deadLetters
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting failed jobs:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting failed jobs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete failed jobs
+ * Optional query parameter olderThanDays (default OCR_DEAD_LETTER_RETENTION_DAYS, 0 for all)
+ */
+exports.purgeDeadLetterJobs = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const olderThanDays = req.query.olderThanDays !== undefined ? parseInt(req.query.olderThanDays, 10) : undefined;
+  
+  if (olderThanDays !== undefined && (isNaN(olderThanDays) || olderThanDays < 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'olderThanDays must be a number of days (0 or more)'
+    });
+  }
+  
+  try {
+    const purged = await queueService.purgeDeadLetterJobs(olderThanDays);
+    console.log(`[${requestId}] Purged ${purged} failed jobs`);
+    
+    res.status(200).json({
+      success: true,
+      message: `${purged} failed jobs deleted`,
+      purged
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error purging failed jobs:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging failed jobs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Queue a failed or cancelled job again, optionally with another provider
+ */
+exports.retryJob = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { fileId } = req.params;
+  const { provider } = req.body || {};
+  console.log(`[${requestId}] Retrying job ${fileId}${provider ? ` with provider ${provider}` : ''}`);
+  
+  try {
+    const status = await queueService.retryJob(fileId, provider);
+    
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in queue'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'File queued for processing again',
+      status
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error retrying job:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrying job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ */
+exports.cancelJob = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { fileId } = req.params;
+  console.log(`[${requestId}] Cancelling job ${fileId}`);
+  
+  try {
+    const status = await queueService.cancelJob(fileId);
+    
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in queue'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'File processing cancelled',
+      status
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error cancelling job:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the priority of a queued job
+ */
+exports.setJobPriority = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { fileId } = req.params;
+  const { priority } = req.body || {};
+  console.log(`[${requestId}] Setting priority of job ${fileId} to ${priority}`);
+  
+  try {
+    const status = await queueService.setJobPriority(fileId, priority);
+    
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in queue'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Job priority updated',
+      status
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error setting job priority:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error setting job priority',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the queue settings and metrics
+ * Optional query parameter windowHours (default OCR_METRICS_WINDOW_HOURS)
+ */
+exports.getQueueAdmin = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const metrics = await queueService.getQueueMetrics({ windowHours: req.query.windowHours });
+    
+    res.status(200).json({
+      success: true,
+      settings: queueService.getQueueSettings(),
+      metrics
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting queue metrics:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting queue metrics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the queue metrics only
+ * Optional query parameter windowHours (default OCR_METRICS_WINDOW_HOURS)
+ */
+exports.getQueueMetrics = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const metrics = await queueService.getQueueMetrics({ windowHours: req.query.windowHours });
+    
+    res.status(200).json({
+      success: true,
+      metrics
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting queue metrics:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting queue metrics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the queue settings
+ * Body: { concurrency }
+ */
+exports.updateQueueSettings = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { concurrency } = req.body || {};
+  console.log(`[${requestId}] Updating queue settings: concurrency ${concurrency}`);
+  
+  try {
+    const settings = queueService.setConcurrency(concurrency);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Queue settings updated',
+      settings
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error updating queue settings:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating queue settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop starting new jobs; uploads are still accepted
+ */
+exports.pauseQueue = async (req, res) => {
+  console.log('Pausing OCR queue');
+  res.status(200).json({
+    success: true,
+    message: 'Queue paused',
+    settings: queueService.pauseQueue()
+  });
+};
+
+/**
+ * Start processing waiting jobs again
+ */
+exports.resumeQueue = async (req, res) => {
+  console.log('Resuming OCR queue');
+  res.status(200).json({
+    success: true,
+    message: 'Queue resumed',
+    settings: queueService.resumeQueue()
+  });
+};
+
+/**
+ * Stream processing status changes as Server-Sent Events
+ * Optional query parameter fileIds (comma separated) limits the stream to those files
+ * and sends their current status as soon as the client connects.
+ */
+exports.streamStatusEvents = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const fileIds = req.query.fileIds
+    ? req.query.fileIds.split(',').map(id => id.trim()).filter(Boolean)
+    : null;
+  console.log(`[${requestId}] Opening status event stream${fileIds ? ` for ${fileIds.length} files` : ''}`);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  
+  const sendStatus = (status) => {
+    if (fileIds && !fileIds.includes(status.id)) {
+      return;
+    }
+    res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+  };
+  
+  const unsubscribe = queueService.subscribe(sendStatus);
+  
+  // Keep the connection open through proxies that close idle connections
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`[${requestId}] Status event stream closed`);
+  });
+  
+  res.write(': connected\n\n');
+  
+  if (fileIds) {
+    try {
+      for (const fileId of fileIds) {
+        sendStatus(await queueService.getFileStatus(fileId));
+      }
+    } catch (error) {
+      console.error(`[${requestId}] Error sending initial statuses:`, error);
+    }
+  }
+};
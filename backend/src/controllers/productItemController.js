@@ -5,6 +5,17 @@ const { ProductItem, ProductVariant, ProductUnit, ProductPrice, ProductStock } =
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const uuid = require('uuid');
+const webhookService = require('../services/webhookService');
+const supplierService = require('../services/supplierService');
+
+// Product fields with supplier_id matched from Supplier_Name, unless a supplier_id is given
+async function withSupplierId(product, { transaction } = {}) {
+  if (product.supplier_id !== undefined || product.Supplier_Name === undefined) {
+    return product;
+  }
+  const match = await supplierService.matchSupplier(product.Supplier_Name, { transaction });
+  return { ...product, supplier_id: match ? match.supplier.id : null };
+}
 
 /**
  * Get all products with optional pagination, filtering and sorting
@@ -614,7 +625,7 @@ exports.createProduct = async (req, res) => {
     }
     
     // Create the product
-    const newProduct = await ProductItem.create(product, { transaction });
+    const newProduct = await ProductItem.create(await withSupplierId(product, { transaction }), { transaction });
     console.log(`[${requestId}] Created new product with ID: ${newProduct.ID_Produk}`);
     
     // Process variants if provided
@@ -754,9 +765,12 @@ exports.updateProduct = async (req, res) => {
     }
     
     // Update the product
-    await existingProduct.update(product, { transaction });
+    await existingProduct.update(await withSupplierId(product, { transaction }), { transaction });
     console.log(`[${requestId}] Updated product: ${id}`);
     
+    // Cost price changes, announced once the transaction is committed
+    const priceChanges = [];
+    
     // Handle variants - replace all existing ones with new set
     if (variants) {
       // Remove existing variants
@@ -844,6 +858,11 @@ exports.updateProduct = async (req, res) => {
       
       // Handle prices - replace all for this product
       if (prices) {
+        const previousPrices = await ProductPrice.findAll({
+          where: { ID_Produk: productId },
+          transaction
+        });
+        
         await ProductPrice.destroy({
           where: { ID_Produk: productId },
           transaction
@@ -858,6 +877,21 @@ exports.updateProduct = async (req, res) => {
           
           await ProductPrice.bulkCreate(processedPrices, { transaction });
           console.log(`[${requestId}] Updated ${prices.length} prices for product`);
+          
+          // Remember cost price changes per unit and quantity tier for the product.price_changed webhook
+          for (const price of processedPrices) {
+            const previous = previousPrices.find(p =>
+              p.ID_Satuan === price.ID_Satuan && Number(p.Minimal_Qty) === Number(price.Minimal_Qty || p.Minimal_Qty)
+            );
+            if (previous && price.Harga_Pokok !== undefined && parseFloat(previous.Harga_Pokok) !== parseFloat(price.Harga_Pokok)) {
+              const unit = updatedUnits.find(u => u.ID_Satuan === price.ID_Satuan);
+              priceChanges.push({
+                unit: unit ? unit.Nama_Satuan : null,
+                old_price: parseFloat(previous.Harga_Pokok),
+                new_price: parseFloat(price.Harga_Pokok)
+              });
+            }
+          }
         }
       }
       
@@ -884,6 +918,17 @@ exports.updateProduct = async (req, res) => {
     // Commit the transaction
     await transaction.commit();
     
+    for (const change of priceChanges) {
+      await webhookService.emitEvent('product.price_changed', {
+        product_id: productId,
+        product_code: existingProduct.Kode_Item,
+        product_name: existingProduct.Nama_Item,
+        ...change,
+        supplier_name: existingProduct.Supplier_Name || null,
+        invoice_number: null
+      });
+    }
+    
     // Fetch the updated product with all its relations
     const updatedProduct = await ProductItem.findByPk(productId, {
       include: [
@@ -0,0 +1,274 @@
+/**
+ * Controller for the supplier master
+ */
+const uuid = require('uuid');
+const supplierService = require('../services/supplierService');
+const { validateTemplate, cleanTemplate } = require('../services/supplierTemplateService');
+
+// Longest values accepted for the text columns
+const MAX_LENGTHS = { code: 20, name: 255, npwp: 30 };
+
+// Parse a positive integer ID, or null
+function positiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Check the fields of a supplier request
+ * @param {Object} body - The request body
+ * @param {Boolean} partial - True for updates, where every field is optional
+ * @returns {String|null} - Error message, or null when the fields are valid
+ */
+function validateSupplier(body, partial = false) {
+  const { name, aliases, payment_terms_days, include_tax, template } = body;
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+  }
+
+  for (const [field, length] of Object.entries(MAX_LENGTHS)) {
+    const value = body[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.trim().length > length)) {
+      return `${field} must be text of at most ${length} characters`;
+    }
+  }
+
+  if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string'))) {
+    return 'aliases must be an array of names';
+  }
+
+  if (payment_terms_days !== undefined && payment_terms_days !== null &&
+      (!Number.isInteger(payment_terms_days) || payment_terms_days < 0)) {
+    return 'payment_terms_days must be a whole number of days, or null';
+  }
+
+  if (include_tax !== undefined && include_tax !== null && typeof include_tax !== 'boolean') {
+    return 'include_tax must be true, false or null';
+  }
+
+  if (template !== undefined) {
+    return validateTemplate(template);
+  }
+
+  return null;
+}
+
+// Supplier fields of a valid request, with the template as stored
+function supplierData(body) {
+  return body.template === undefined ? body : { ...body, template: cleanTemplate(body.template) };
+}
+
+// Response of a failed request, using the status code of service errors
+function sendError(res, error, message) {
+  return res.status(error.statusCode || 500).json({
+    error: {
+      message: error.statusCode ? error.message : message,
+      details: error.message
+    }
+  });
+}
+
+/**
+ * Get all suppliers, optionally filtered with ?search=
+ */
+exports.getSuppliers = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Getting suppliers`);
+
+  try {
+    const suppliers = await supplierService.listSuppliers({ search: req.query.search || null });
+    res.json({
+      success: true,
+      data: suppliers,
+      message: `Found ${suppliers.length} suppliers`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting suppliers:`, error);
+    sendError(res, error, 'Error retrieving suppliers');
+  }
+};
+
+/**
+ * Find the supplier a name as printed on an invoice resolves to, without changing anything
+ */
+exports.matchSupplier = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { name } = req.query;
+  console.log(`[${requestId}] Matching supplier name: ${name}`);
+
+  try {
+    if (!name) {
+      return res.status(400).json({
+        error: {
+          message: 'name is required'
+        }
+      });
+    }
+
+    const match = await supplierService.matchSupplier(name);
+    res.json({
+      success: true,
+      data: match ? { supplier: match.supplier, match_type: match.match_type, score: match.score } : null,
+      message: match ? `Matched ${match.supplier.name} by ${match.match_type}` : 'No supplier matches this name'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error matching supplier:`, error);
+    sendError(res, error, 'Error matching supplier');
+  }
+};
+
+/**
+ * Get one supplier
+ */
+exports.getSupplierById = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting supplier with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Supplier ID must be a positive integer'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await supplierService.getSupplier(positiveInt(id))
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting supplier:`, error);
+    sendError(res, error, 'Error retrieving supplier');
+  }
+};
+
+/**
+ * Create a supplier; a SUP-nnnn code is generated when none is given
+ */
+exports.createSupplier = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Creating supplier`);
+
+  try {
+    const validationError = validateSupplier(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const supplier = await supplierService.createSupplier(supplierData(req.body));
+    console.log(`[${requestId}] Created supplier ${supplier.id} (${supplier.code})`);
+    res.status(201).json({
+      success: true,
+      data: supplier,
+      message: `Supplier ${supplier.code} created`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error creating supplier:`, error);
+    sendError(res, error, 'Error creating supplier');
+  }
+};
+
+/**
+ * Update a supplier
+ */
+exports.updateSupplier = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Updating supplier with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Supplier ID must be a positive integer'
+        }
+      });
+    }
+
+    const validationError = validateSupplier(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const supplier = await supplierService.updateSupplier(positiveInt(id), supplierData(req.body));
+    res.json({
+      success: true,
+      data: supplier,
+      message: `Supplier ${supplier.code} updated`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error updating supplier:`, error);
+    sendError(res, error, 'Error updating supplier');
+  }
+};
+
+/**
+ * Delete a supplier; refused with 409 while invoices or products are linked to it
+ */
+exports.deleteSupplier = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Deleting supplier with ID: ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Supplier ID must be a positive integer'
+        }
+      });
+    }
+
+    await supplierService.deleteSupplier(positiveInt(id));
+    res.json({
+      success: true,
+      message: 'Supplier deleted'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error deleting supplier:`, error);
+    sendError(res, error, 'Error deleting supplier');
+  }
+};
+
+/**
+ * Merge the suppliers in source_ids into this one
+ */
+exports.mergeSuppliers = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Merging suppliers ${JSON.stringify(req.body.source_ids)} into ${id}`);
+
+  try {
+    if (!positiveInt(id)) {
+      return res.status(400).json({
+        error: {
+          message: 'Supplier ID must be a positive integer'
+        }
+      });
+    }
+
+    const result = await supplierService.mergeSuppliers(positiveInt(id), req.body.source_ids);
+    console.log(`[${requestId}] Merged ${result.merged.join(', ')} into ${result.supplier.code}: ${result.invoices} invoices, ${result.products} products moved`);
+    res.json({
+      success: true,
+      data: result,
+      message: `Merged ${result.merged.join(', ')} into ${result.supplier.code}`
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error merging suppliers:`, error);
+    sendError(res, error, 'Error merging suppliers');
+  }
+};
@@ -0,0 +1,396 @@
+/**
+ * Controller for webhook subscriptions and the delivery log
+ */
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const uuid = require('uuid');
+const crypto = require('crypto');
+const webhookService = require('../services/webhookService');
+
+// Delivery statuses that can be filtered on
+const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// Subscription as returned by the API; the secret is only shown when it is created
+function toSubscriptionResponse(subscription, includeSecret = false) {
+  const data = subscription.toJSON();
+  if (!includeSecret) {
+    data.secret = data.secret ? `${data.secret.substring(0, 4)}…` : null;
+  }
+  return data;
+}
+
+/**
+ * Check the fields of a subscription request
+ * @param {Object} body - The request body
+ * @param {Boolean} partial - True for updates, where every field is optional
+ * @returns {String|null} - Error message, or null when the fields are valid
+ */
+function validateSubscription(body, partial = false) {
+  const { name, url, event_types } = body;
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') {
+      return 'Name is required';
+    }
+  }
+
+  if (!partial || url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'URL must use http or https';
+      }
+    } catch (error) {
+      return 'URL is not valid';
+    }
+  }
+
+  if (event_types !== undefined) {
+    if (!Array.isArray(event_types) || event_types.length === 0) {
+      return 'event_types must be a non-empty array';
+    }
+    const unknown = event_types.filter(type => type !== '*' && !webhookService.EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown event type(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the event types that can be subscribed to
+ */
+exports.getEventTypes = async (req, res) => {
+  res.json({ event_types: webhookService.EVENT_TYPES });
+};
+
+/**
+ * Get all webhook subscriptions
+ */
+exports.getSubscriptions = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Getting webhook subscriptions`);
+
+  try {
+    const subscriptions = await WebhookSubscription.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(subscriptions.map(subscription => toSubscriptionResponse(subscription)));
+  } catch (error) {
+    console.error(`[${requestId}] Error getting webhook subscriptions:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error retrieving webhook subscriptions',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Create a webhook subscription
+ * A secret is generated when none is given and returned once in the response.
+ */
+exports.createSubscription = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Creating webhook subscription`);
+
+  try {
+    const validationError = validateSubscription(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const { name, url, secret, event_types, active, description } = req.body;
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      event_types: event_types || ['*'],
+      active: active !== undefined ? Boolean(active) : true,
+      description
+    });
+
+    console.log(`[${requestId}] Created webhook subscription ${subscription.id} for ${url}`);
+    res.status(201).json(toSubscriptionResponse(subscription, true));
+  } catch (error) {
+    console.error(`[${requestId}] Error creating webhook subscription:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error creating webhook subscription',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Update a webhook subscription
+ */
+exports.updateSubscription = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Updating webhook subscription with ID: ${id}`);
+
+  try {
+    const subscription = await WebhookSubscription.findByPk(id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook subscription not found'
+        }
+      });
+    }
+
+    const validationError = validateSubscription(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const values = {};
+    for (const field of ['name', 'url', 'secret', 'event_types', 'description']) {
+      if (req.body[field] !== undefined) {
+        values[field] = req.body[field];
+      }
+    }
+    if (req.body.active !== undefined) {
+      values.active = Boolean(req.body.active);
+    }
+
+    await subscription.update(values);
+
+    console.log(`[${requestId}] Updated webhook subscription ${id}`);
+    res.json(toSubscriptionResponse(subscription, values.secret !== undefined));
+  } catch (error) {
+    console.error(`[${requestId}] Error updating webhook subscription:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error updating webhook subscription',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete a webhook subscription and its delivery log
+ */
+exports.deleteSubscription = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Deleting webhook subscription with ID: ${id}`);
+
+  try {
+    const subscription = await WebhookSubscription.findByPk(id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook subscription not found'
+        }
+      });
+    }
+
+    await WebhookDelivery.destroy({ where: { subscription_id: subscription.id } });
+    await subscription.destroy();
+
+    console.log(`[${requestId}] Deleted webhook subscription ${id}`);
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted successfully'
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error deleting webhook subscription:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error deleting webhook subscription',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Send a test event to a webhook subscription and return the delivery result
+ */
+exports.testSubscription = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Sending test event to webhook subscription ${id}`);
+
+  try {
+    const subscription = await WebhookSubscription.findByPk(id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook subscription not found'
+        }
+      });
+    }
+
+    const delivery = await webhookService.sendTestEvent(subscription);
+
+    res.json({
+      success: delivery.status === 'success',
+      delivery
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error sending test event:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error sending test event',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Get the delivery log
+ * Filters: subscription_id, event_type, status; paginated with page and limit
+ */
+exports.getDeliveries = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Getting webhook deliveries`);
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.subscription_id) {
+      where.subscription_id = req.query.subscription_id;
+    }
+    if (req.query.event_type) {
+      where.event_type = req.query.event_type;
+    }
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          error: {
+            message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+          }
+        });
+      }
+      where.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['created_at', 'DESC']],
+      attributes: { exclude: ['payload', 'response_body'] },
+      include: [
+        {
+          model: WebhookSubscription,
+          as: 'subscription',
+          attributes: ['id', 'name', 'url']
+        }
+      ]
+    });
+
+    res.json({
+      total: deliveries.count,
+      page,
+      limit,
+      data: deliveries.rows
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error getting webhook deliveries:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error retrieving webhook deliveries',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Get one delivery with its payload and the last response
+ */
+exports.getDelivery = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Getting webhook delivery ${id}`);
+
+  try {
+    const delivery = await WebhookDelivery.findByPk(id, {
+      include: [
+        {
+          model: WebhookSubscription,
+          as: 'subscription',
+          attributes: ['id', 'name', 'url']
+        }
+      ]
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook delivery not found'
+        }
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error(`[${requestId}] Error getting webhook delivery:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error retrieving webhook delivery',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Send a logged delivery again
+ */
+exports.replayDelivery = async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  const { id } = req.params;
+  console.log(`[${requestId}] Replaying webhook delivery ${id}`);
+
+  try {
+    const delivery = await webhookService.replayDelivery(id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook delivery not found'
+        }
+      });
+    }
+
+    console.log(`[${requestId}] Replaying delivery ${id} as ${delivery.id}`);
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      delivery
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Error replaying webhook delivery:`, error);
+    res.status(500).json({
+      error: {
+        message: 'Error replaying webhook delivery',
+        details: error.message
+      }
+    });
+  }
+};
@@ -28,4 +28,26 @@ const uploadMiddleware = multer({
   }
 });
 
-module.exports = { uploadMiddleware };
+// Batch uploads accept any file type; unsupported files and ZIP entries are reported per file by the batch service.
+// They are written to the temporary directory instead of memory, since one request can carry several large archives.
+const batchUploadMiddleware = multer({
+  storage: multer.diskStorage({}),
+  limits: {
+    fileSize: process.env.MAX_BATCH_FILE_SIZE || 200 * 1024 * 1024, // Default 200MB, ZIP archives hold many documents
+    files: 50
+  }
+});
+
+/**
+ * Remove the temporary files of a batch upload once the request is handled
+ * @param {Array<object>} files - Files from multer
+ */
+async function removeUploadedFiles(files) {
+  await Promise.all((files || [])
+    .filter(file => file.path)
+    .map(file => fs.promises.rm(file.path, { force: true }).catch(error => {
+      console.error(`Unable to remove uploaded file ${file.path}:`, error.message);
+    })));
+}
+
+module.exports = { uploadMiddleware, batchUploadMiddleware, removeUploadedFiles };
@@ -0,0 +1,35 @@
+/**
+ * Migration to link returns and credit notes to the invoice they correct.
+ * processed_invoices gets reference_invoice_id, processed_invoice_items gets the line number of the original line.
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('processed_invoices', 'reference_invoice_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'processed_invoices',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('processed_invoices', ['reference_invoice_id']);
+
+    await queryInterface.addColumn('processed_invoice_items', 'reference_line_number', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    console.log('Added reference_invoice_id to processed_invoices and reference_line_number to processed_invoice_items');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('processed_invoice_items', 'reference_line_number');
+    await queryInterface.removeIndex('processed_invoices', ['reference_invoice_id']);
+    await queryInterface.removeColumn('processed_invoices', 'reference_invoice_id');
+
+    console.log('Removed credit document reference columns');
+  }
+};
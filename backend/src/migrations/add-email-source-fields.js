@@ -0,0 +1,52 @@
+/**
+ * Migration to add the email source fields
+ * ocr_jobs keeps the details of the message an attachment came from and
+ * raw_ocr_data records the sender, subject, received date and pre-matched supplier
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'source_details', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Details of the source, such as the sender and subject of an email'
+    });
+
+    await queryInterface.addColumn('raw_ocr_data', 'email_from', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Sender address when the invoice arrived by email'
+    });
+
+    await queryInterface.addColumn('raw_ocr_data', 'email_subject', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('raw_ocr_data', 'email_received_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('raw_ocr_data', 'matched_supplier_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Supplier the sender address was matched to before OCR'
+    });
+
+    await queryInterface.addIndex('raw_ocr_data', ['email_from']);
+
+    console.log('Added email source fields to ocr_jobs and raw_ocr_data tables');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('raw_ocr_data', ['email_from']);
+    await queryInterface.removeColumn('raw_ocr_data', 'matched_supplier_name');
+    await queryInterface.removeColumn('raw_ocr_data', 'email_received_at');
+    await queryInterface.removeColumn('raw_ocr_data', 'email_subject');
+    await queryInterface.removeColumn('raw_ocr_data', 'email_from');
+    await queryInterface.removeColumn('ocr_jobs', 'source_details');
+    console.log('Removed email source fields from ocr_jobs and raw_ocr_data tables');
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration to add file fingerprints used for duplicate detection
+ * to the ocr_jobs and processed_invoices tables
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['ocr_jobs', 'processed_invoices']) {
+      await queryInterface.addColumn(table, 'content_hash', {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the uploaded file'
+      });
+
+      await queryInterface.addColumn(table, 'perceptual_hash', {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+        comment: 'Difference hash of the uploaded image'
+      });
+
+      await queryInterface.addIndex(table, ['content_hash']);
+    }
+
+    console.log('Added content_hash and perceptual_hash columns to ocr_jobs and processed_invoices tables');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ['ocr_jobs', 'processed_invoices']) {
+      await queryInterface.removeIndex(table, ['content_hash']);
+      await queryInterface.removeColumn(table, 'perceptual_hash');
+      await queryInterface.removeColumn(table, 'content_hash');
+    }
+
+    console.log('Removed content_hash and perceptual_hash columns from ocr_jobs and processed_invoices tables');
+  }
+};
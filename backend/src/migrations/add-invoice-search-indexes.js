@@ -0,0 +1,58 @@
+/**
+ * Migration to add the indexes used by the invoice search
+ * Text filters use ILIKE '%...%', which only an index of trigrams (pg_trgm) can serve; dates, statuses and the
+ * default sort get plain indexes.
+ */
+'use strict';
+
+// Trigram indexes as [table, column]
+const TRIGRAM_INDEXES = [
+  ['processed_invoices', 'invoice_number'],
+  ['processed_invoices', 'supplier_name'],
+  ['processed_invoices', 'salesman'],
+  ['processed_invoice_items', 'product_name'],
+  ['processed_invoice_items', 'product_code'],
+  ['processed_invoice_items', 'mapped_product_name'],
+  ['processed_invoice_items', 'mapped_product_code']
+];
+
+// Plain indexes as [table, columns]
+const BTREE_INDEXES = [
+  ['processed_invoices', ['invoice_date']],
+  ['processed_invoices', ['due_date']],
+  ['processed_invoices', ['status']],
+  ['processed_invoices', ['document_type']],
+  ['processed_invoices', ['created_at', 'id']]
+];
+
+const indexName = (table, columns) => `${table}_${columns.join('_')}_search_idx`;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    for (const [table, column] of TRIGRAM_INDEXES) {
+      await queryInterface.sequelize.query(
+        `CREATE INDEX IF NOT EXISTS ${indexName(table, [column, 'trgm'])} ON ${table} USING GIN (${column} gin_trgm_ops)`
+      );
+    }
+    for (const [table, columns] of BTREE_INDEXES) {
+      await queryInterface.sequelize.query(
+        `CREATE INDEX IF NOT EXISTS ${indexName(table, columns)} ON ${table} (${columns.join(', ')})`
+      );
+    }
+
+    console.log('Added invoice search indexes');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const [table, column] of TRIGRAM_INDEXES) {
+      await queryInterface.sequelize.query(`DROP INDEX IF EXISTS ${indexName(table, [column, 'trgm'])}`);
+    }
+    for (const [table, columns] of BTREE_INDEXES) {
+      await queryInterface.sequelize.query(`DROP INDEX IF EXISTS ${indexName(table, columns)}`);
+    }
+
+    console.log('Removed invoice search indexes');
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration to add the lifecycle status and its reviewer, approver and poster columns to processed_invoices.
+ * Invoices saved before the workflow existed already updated cost prices when they were saved, so they are
+ * marked as posted; new invoices start as draft.
+ */
+'use strict';
+
+// Actor and time columns set by the transitions
+const TRANSITION_COLUMNS = ['reviewed', 'approved', 'posted'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('processed_invoices', 'status', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft'
+    });
+
+    for (const step of TRANSITION_COLUMNS) {
+      await queryInterface.addColumn('processed_invoices', `${step}_by`, {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      });
+      await queryInterface.addColumn('processed_invoices', `${step}_at`, {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.addIndex('processed_invoices', ['status']);
+
+    await queryInterface.sequelize.query(
+      `UPDATE processed_invoices SET status = 'posted', posted_at = updated_at`
+    );
+
+    console.log('Added status columns to processed_invoices table and marked existing invoices as posted');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('processed_invoices', ['status']);
+
+    for (const step of TRANSITION_COLUMNS) {
+      await queryInterface.removeColumn('processed_invoices', `${step}_by`);
+      await queryInterface.removeColumn('processed_invoices', `${step}_at`);
+    }
+    await queryInterface.removeColumn('processed_invoices', 'status');
+
+    console.log('Removed status columns from processed_invoices table');
+  }
+};
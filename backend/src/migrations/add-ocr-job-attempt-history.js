@@ -0,0 +1,30 @@
+/**
+ * Migration to add the attempt history and requested provider to the ocr_jobs table
+ * so failed jobs can be inspected and retried from the dead-letter list
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'attempt_history', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Outcome, provider and error of every processing attempt'
+    });
+
+    await queryInterface.addColumn('ocr_jobs', 'provider', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'OCR provider requested for this job, null for the default provider'
+    });
+
+    console.log('Added attempt_history and provider columns to ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ocr_jobs', 'provider');
+    await queryInterface.removeColumn('ocr_jobs', 'attempt_history');
+    console.log('Removed attempt_history and provider columns from ocr_jobs table');
+  }
+};
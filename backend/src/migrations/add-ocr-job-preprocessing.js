@@ -0,0 +1,34 @@
+/**
+ * Migration to add the preprocessed image columns to the ocr_jobs table
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'processed_data', {
+      type: Sequelize.BLOB('long'),
+      allowNull: true,
+      comment: 'Preprocessed image that was sent to OCR'
+    });
+
+    await queryInterface.addColumn('ocr_jobs', 'processed_mimetype', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ocr_jobs', 'preprocessing', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Preprocessing steps applied and their parameters'
+    });
+
+    console.log('Added preprocessing columns to ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ocr_jobs', 'preprocessing');
+    await queryInterface.removeColumn('ocr_jobs', 'processed_mimetype');
+    await queryInterface.removeColumn('ocr_jobs', 'processed_data');
+    console.log('Removed preprocessing columns from ocr_jobs table');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration to add the priority and dispatch time to the ocr_jobs table
+ * for queue administration and the wait time metrics
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'priority', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Jobs with a higher priority are processed first, -10 to 10'
+    });
+
+    await queryInterface.addColumn('ocr_jobs', 'dispatched_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the job was last put on the processing queue'
+    });
+
+    await queryInterface.addIndex('ocr_jobs', ['status', 'priority']);
+
+    console.log('Added priority and dispatched_at columns to ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ocr_jobs', ['status', 'priority']);
+    await queryInterface.removeColumn('ocr_jobs', 'dispatched_at');
+    await queryInterface.removeColumn('ocr_jobs', 'priority');
+    console.log('Removed priority and dispatched_at columns from ocr_jobs table');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration to add the source to the ocr_jobs table
+ * so jobs picked up from the scanner hot folder can be told apart from uploads
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'source', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'upload',
+      comment: 'Where the file came from: upload or scanner'
+    });
+
+    console.log('Added source column to ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ocr_jobs', 'source');
+    console.log('Removed source column from ocr_jobs table');
+  }
+};
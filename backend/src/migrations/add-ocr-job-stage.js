@@ -0,0 +1,22 @@
+/**
+ * Migration to add the processing stage column to the ocr_jobs table
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ocr_jobs', 'stage', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'uploaded',
+      comment: 'uploaded, preprocessing, provider_call, parsing or done'
+    });
+
+    console.log('Added stage column to ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ocr_jobs', 'stage');
+    console.log('Removed stage column from ocr_jobs table');
+  }
+};
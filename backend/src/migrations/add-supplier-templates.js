@@ -0,0 +1,21 @@
+/**
+ * Migration to add the OCR template of a supplier, applied to its invoices after OCR normalization
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('suppliers', 'template', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    console.log('Added template column to suppliers table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('suppliers', 'template');
+
+    console.log('Removed template column from suppliers table');
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration to create the export_profiles table, the named column mappings used to export invoices to accounting
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('export_profiles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      header_columns: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      line_columns: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      delimiter: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        defaultValue: ','
+      },
+      decimal_separator: {
+        type: Sequelize.STRING(1),
+        allowNull: false,
+        defaultValue: '.'
+      },
+      date_format: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'YYYY-MM-DD'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    console.log('Created export_profiles table');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('export_profiles');
+    console.log('Dropped export_profiles table');
+  }
+};
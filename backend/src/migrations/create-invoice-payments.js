@@ -0,0 +1,69 @@
+/**
+ * Migration to create the invoice_payments table holding the payments made against processed invoices
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('invoice_payments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      invoice_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'processed_invoices',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      payment_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      method: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      reference: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      recorded_by: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('invoice_payments', ['invoice_id']);
+    await queryInterface.addIndex('invoice_payments', ['payment_date']);
+
+    console.log('Created invoice_payments table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('invoice_payments');
+    console.log('Dropped invoice_payments table');
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration to create the invoice_versions table holding the edit history of processed invoices.
+ * Existing invoices get no rows here; their state is written as a baseline version the first time they change.
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('invoice_versions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      invoice_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      actor: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      restored_from_version: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('invoice_versions', ['invoice_id', 'version'], { unique: true });
+    await queryInterface.addIndex('invoice_versions', ['created_at']);
+
+    console.log('Created invoice_versions table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('invoice_versions');
+    console.log('Dropped invoice_versions table');
+  }
+};
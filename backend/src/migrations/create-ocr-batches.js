@@ -0,0 +1,68 @@
+/**
+ * Migration to create the ocr_batches table and link ocr_jobs to it
+ * for multi-file and ZIP uploads
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ocr_batches', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'upload'
+      },
+      job_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      rejected: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addColumn('ocr_jobs', 'batch_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'ocr_batches',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Batch upload this job belongs to'
+    });
+
+    await queryInterface.addIndex('ocr_jobs', ['batch_id']);
+
+    console.log('Created ocr_batches table and added batch_id to ocr_jobs');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ocr_jobs', ['batch_id']);
+    await queryInterface.removeColumn('ocr_jobs', 'batch_id');
+    await queryInterface.dropTable('ocr_batches');
+    console.log('Dropped ocr_batches table and batch_id from ocr_jobs');
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * Migration to create the ocr_jobs table used by the OCR processing queue
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ocr_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      original_filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mimetype: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      data_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      file_path: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_data: {
+        type: Sequelize.BLOB('long'),
+        allowNull: true
+      },
+      result: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      queued_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ocr_jobs', ['status']);
+    await queryInterface.addIndex('ocr_jobs', ['updated_at']);
+
+    console.log('Created ocr_jobs table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ocr_jobs');
+    console.log('Dropped ocr_jobs table');
+  }
+};
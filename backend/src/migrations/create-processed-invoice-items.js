@@ -0,0 +1,304 @@
+/**
+ * Migration to move invoice lines from the processed_invoices.items JSONB column
+ * into the processed_invoice_items table.
+ * Existing lines are copied from the JSONB column. When the latest raw OCR data saved with the invoice has
+ * the same number of lines, the fields the JSONB copy dropped (discounts, PPN, the mapped product and
+ * unit and the match reason) are taken from it. The items column is removed afterwards.
+ */
+'use strict';
+
+const { parseOcrDocument, toInvoiceFields } = require('../services/ocrDocument');
+const { toNumber } = require('../services/invoiceValidator');
+
+// Invoices read per query while copying the lines
+const BATCH_SIZE = 200;
+
+// Line of the old JSONB format as a row
+function fromJsonItem(item, index) {
+  const source = item && typeof item === 'object' ? item : {};
+  const text = value => (value === undefined || value === null || value === '' ? null : String(value));
+  return {
+    line_number: index + 1,
+    product_code: text(source.product_code),
+    product_name: text(source.product_name),
+    quantity: toNumber(source.quantity, { quantity: true }),
+    unit: text(source.unit),
+    price: toNumber(source.price),
+    total: toNumber(source.total),
+    source_page: toNumber(source.source_page),
+    is_confident: source.is_confident && typeof source.is_confident === 'object' ? source.is_confident : null
+  };
+}
+
+// Lines of one invoice, from the JSONB column completed with the raw OCR data
+function invoiceRows(invoice) {
+  let jsonItems = invoice.items;
+  if (typeof jsonItems === 'string') {
+    try {
+      jsonItems = JSON.parse(jsonItems);
+    } catch (error) {
+      jsonItems = [];
+    }
+  }
+  jsonItems = Array.isArray(jsonItems) ? jsonItems : [];
+
+  let rawItems = [];
+  if (invoice.raw_data) {
+    const { document, errors } = parseOcrDocument(invoice.raw_data);
+    rawItems = errors.length === 0 ? toInvoiceFields(document).items : [];
+  }
+
+  // Invoices saved without JSONB lines keep the lines of their raw data
+  if (jsonItems.length === 0) {
+    return rawItems;
+  }
+
+  // The JSONB lines may have been edited after saving, so they win; the raw data only fills in what they lack
+  const matchingRaw = rawItems.length === jsonItems.length;
+  return jsonItems.map((item, index) => {
+    const row = fromJsonItem(item, index);
+    if (!matchingRaw) {
+      return row;
+    }
+    const extra = rawItems[index];
+    return Object.keys(extra).reduce((merged, key) => {
+      if (merged[key] === undefined || merged[key] === null) {
+        merged[key] = extra[key];
+      }
+      return merged;
+    }, row);
+  });
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('processed_invoice_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      invoice_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'processed_invoices',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      line_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      product_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      product_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(15, 3),
+        allowNull: true
+      },
+      unit: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      price: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      gross_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      discount_percent: {
+        type: Sequelize.DECIMAL(7, 3),
+        allowNull: true
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      total: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      taxable: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      tax_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      source_page: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      is_confident: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      product_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'produk',
+          key: 'id_produk'
+        },
+        onDelete: 'SET NULL'
+      },
+      unit_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'produk_satuan',
+          key: 'id_satuan'
+        },
+        onDelete: 'SET NULL'
+      },
+      mapped_product_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      mapped_product_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      mapped_unit: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      unit_conversion: {
+        type: Sequelize.DECIMAL(15, 4),
+        allowNull: true
+      },
+      base_quantity: {
+        type: Sequelize.DECIMAL(15, 3),
+        allowNull: true
+      },
+      base_price: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      match_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('processed_invoice_items', ['invoice_id', 'line_number']);
+    await queryInterface.addIndex('processed_invoice_items', ['product_id']);
+    await queryInterface.addIndex('processed_invoice_items', ['product_code']);
+
+    console.log('Created processed_invoice_items table');
+
+    // Copy the lines invoice by invoice, paging by ID
+    let lastId = 0;
+    let copied = 0;
+    for (;;) {
+      const invoices = await queryInterface.sequelize.query(
+        `SELECT pi.id, pi.items, r.raw_data
+           FROM processed_invoices pi
+           LEFT JOIN (
+             -- The latest raw OCR row of each invoice, so its lines are copied once
+             SELECT DISTINCT ON (processed_invoice_id) processed_invoice_id, raw_data
+               FROM raw_ocr_data
+              ORDER BY processed_invoice_id, id DESC
+           ) r ON r.processed_invoice_id = pi.id
+          WHERE pi.id > :lastId
+          ORDER BY pi.id
+          LIMIT :limit`,
+        { replacements: { lastId, limit: BATCH_SIZE }, type: Sequelize.QueryTypes.SELECT }
+      );
+
+      if (invoices.length === 0) {
+        break;
+      }
+
+      const now = new Date();
+      const rows = [];
+      for (const invoice of invoices) {
+        for (const row of invoiceRows(invoice)) {
+          rows.push({
+            ...row,
+            is_confident: row.is_confident ? JSON.stringify(row.is_confident) : null,
+            invoice_id: invoice.id,
+            created_at: now,
+            updated_at: now
+          });
+        }
+      }
+
+      if (rows.length > 0) {
+        await queryInterface.bulkInsert('processed_invoice_items', rows);
+        copied += rows.length;
+      }
+      lastId = invoices[invoices.length - 1].id;
+    }
+
+    // Link the mapped product codes and unit names to the product database
+    await queryInterface.sequelize.query(
+      `UPDATE processed_invoice_items i
+          SET product_id = p.id_produk
+         FROM produk p
+        WHERE p.kode_item = i.mapped_product_code`
+    );
+    await queryInterface.sequelize.query(
+      `UPDATE processed_invoice_items i
+          SET unit_id = s.id_satuan
+         FROM produk_satuan s
+        WHERE s.id_produk = i.product_id
+          AND lower(s.nama_satuan) = lower(i.mapped_unit)`
+    );
+
+    console.log(`Copied ${copied} invoice lines into processed_invoice_items`);
+
+    await queryInterface.removeColumn('processed_invoices', 'items');
+    console.log('Removed items column from processed_invoices table');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('processed_invoices', 'items', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    // Put the lines back in the JSONB format they were stored in
+    await queryInterface.sequelize.query(
+      `UPDATE processed_invoices pi
+          SET items = COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                     'id', i.line_number,
+                     'product_code', i.product_code,
+                     'product_name', i.product_name,
+                     'quantity', i.quantity,
+                     'unit', i.unit,
+                     'price', i.price,
+                     'total', i.total,
+                     'source_page', i.source_page,
+                     'is_confident', i.is_confident
+                   ) ORDER BY i.line_number)
+              FROM processed_invoice_items i
+             WHERE i.invoice_id = pi.id
+          ), '[]'::jsonb)`
+    );
+
+    await queryInterface.dropTable('processed_invoice_items');
+    console.log('Moved invoice lines back into processed_invoices.items and dropped processed_invoice_items');
+  }
+};
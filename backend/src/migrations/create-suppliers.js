@@ -0,0 +1,127 @@
+/**
+ * Migration to create the suppliers table and link processed invoices and products to it
+ * Existing supplier names of invoices and products are grouped by their normalized name (case, punctuation and
+ * company forms such as PT or CV ignored). Each group becomes a supplier named after its most used spelling, with the
+ * other spellings as aliases, and the invoices and products of the group are linked to it.
+ */
+'use strict';
+
+const { normalizeName } = require('../services/supplierService');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('suppliers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      aliases: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      npwp: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      address: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      payment_terms_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      include_tax: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    for (const table of ['processed_invoices', 'produk']) {
+      await queryInterface.addColumn(table, 'supplier_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'suppliers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex(table, ['supplier_id']);
+    }
+
+    // Spellings in use, with the number of invoices and products using each
+    const names = await queryInterface.sequelize.query(
+      `SELECT name, SUM(uses)::int AS uses FROM (
+         SELECT supplier_name AS name, COUNT(*) AS uses FROM processed_invoices
+         WHERE supplier_name IS NOT NULL AND TRIM(supplier_name) <> '' GROUP BY supplier_name
+         UNION ALL
+         SELECT supplier_name AS name, COUNT(*) AS uses FROM produk
+         WHERE supplier_name IS NOT NULL AND TRIM(supplier_name) <> '' GROUP BY supplier_name
+       ) names GROUP BY name ORDER BY uses DESC, name ASC`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const groups = new Map();
+    for (const { name } of names) {
+      const key = normalizeName(name);
+      if (!key) {
+        continue;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(name.trim());
+    }
+
+    let number = 0;
+    for (const spellings of groups.values()) {
+      number += 1;
+      const [name, ...aliases] = [...new Set(spellings)];
+      const [{ id }] = await queryInterface.sequelize.query(
+        'INSERT INTO suppliers (code, name, aliases) VALUES (:code, :name, CAST(:aliases AS JSONB)) RETURNING id',
+        {
+          replacements: { code: `SUP-${String(number).padStart(4, '0')}`, name, aliases: JSON.stringify(aliases) },
+          type: Sequelize.QueryTypes.SELECT
+        }
+      );
+
+      for (const table of ['processed_invoices', 'produk']) {
+        await queryInterface.sequelize.query(
+          `UPDATE ${table} SET supplier_id = :id WHERE TRIM(supplier_name) IN (:spellings)`,
+          { replacements: { id, spellings } }
+        );
+      }
+    }
+
+    console.log(`Created suppliers table with ${groups.size} suppliers from existing invoices and products`);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('produk', 'supplier_id');
+    await queryInterface.removeColumn('processed_invoices', 'supplier_id');
+    await queryInterface.dropTable('suppliers');
+    console.log('Dropped suppliers table');
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * Migration to create the webhook_subscriptions and webhook_deliveries tables
+ * used for outbound webhooks
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhook_subscriptions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      secret: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      event_types: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: ['*']
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      subscription_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'webhook_subscriptions',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      event_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      event_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_status_code: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      response_body: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      replayed_from_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['subscription_id']);
+    await queryInterface.addIndex('webhook_deliveries', ['status']);
+    await queryInterface.addIndex('webhook_deliveries', ['event_type']);
+    await queryInterface.addIndex('webhook_deliveries', ['created_at']);
+
+    console.log('Created webhook_subscriptions and webhook_deliveries tables');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_subscriptions');
+    console.log('Dropped webhook_subscriptions and webhook_deliveries tables');
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * ExportProfile model, a named column mapping for exporting invoices to an accounting system
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ExportProfile = sequelize.define('ExportProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  header_columns: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Columns of the invoice export as [{ field, title }], in order'
+  },
+  line_columns: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Columns of the line export as [{ field, title }], in order'
+  },
+  delimiter: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: ','
+  },
+  decimal_separator: {
+    type: DataTypes.STRING(1),
+    allowNull: false,
+    defaultValue: '.'
+  },
+  date_format: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'YYYY-MM-DD',
+    comment: 'moment format of dates in CSV and XLSX exports'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'export_profiles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ExportProfile;
@@ -0,0 +1,74 @@
+/**
+ * InvoicePayment model, one row per full or partial payment of a processed invoice to its supplier
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const InvoicePayment = sequelize.define('InvoicePayment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  payment_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'tunai, transfer, giro, cek or lainnya'
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Transfer, giro or receipt number'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  recorded_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Actor from the X-Actor header'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'invoice_payments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['invoice_id'] },
+    { fields: ['payment_date'] }
+  ]
+});
+
+InvoicePayment.associate = function(models) {
+  InvoicePayment.belongsTo(models.ProcessedInvoice, {
+    foreignKey: 'invoice_id',
+    as: 'invoice',
+    onDelete: 'CASCADE'
+  });
+};
+
+module.exports = InvoicePayment;
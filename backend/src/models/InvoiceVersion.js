@@ -0,0 +1,71 @@
+/**
+ * InvoiceVersion model, one row per create, update, delete or restore of a processed invoice
+ * Rows are kept after the invoice is deleted so it can be restored.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const InvoiceVersion = sequelize.define('InvoiceVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ProcessedInvoice ID; not a foreign key so the history outlives the invoice'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Version number within the invoice, starting at 1'
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'baseline, create, update, delete, restore or a status transition (review, approve, post, reopen)'
+  },
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Invoice fields and items after the change; for a delete, the state that was deleted'
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Field-level diff against the previous version as [{ field, before, after }]'
+  },
+  actor: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Who made the change, from the X-Actor header'
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Where the change came from: api, ocr, reparse, restore or workflow; history for a baseline'
+  },
+  restored_from_version: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'invoice_versions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['invoice_id', 'version'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+module.exports = InvoiceVersion;
@@ -0,0 +1,61 @@
+/**
+ * OCRBatch model grouping the jobs created from one multi-file or ZIP upload
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OCRBatch = sequelize.define('OCRBatch', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    defaultValue: DataTypes.UUIDV4
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Name of the uploaded archive, or a summary of the uploaded files'
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'upload',
+    comment: 'Where the documents came from'
+  },
+  job_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of documents queued as jobs'
+  },
+  rejected: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Entries that were not queued, with the reason'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ocr_batches',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+OCRBatch.associate = function(models) {
+  OCRBatch.hasMany(models.OCRJob, {
+    foreignKey: 'batch_id',
+    as: 'jobs'
+  });
+};
+
+module.exports = OCRBatch;
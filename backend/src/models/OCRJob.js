@@ -0,0 +1,165 @@
+/**
+ * OCRJob model for persisting OCR queue jobs across server restarts
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OCRJob = sequelize.define('OCRJob', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'queued',
+    comment: 'queued, processing, completed, error or cancelled'
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  stage: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'uploaded',
+    comment: 'uploaded, preprocessing, provider_call, parsing or done'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of times processing has been started for this job'
+  },
+  attempt_history: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Outcome, provider and error of every processing attempt'
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'OCR provider requested for this job, null for the default provider'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Jobs with a higher priority are processed first, -10 to 10'
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'upload',
+    comment: 'Where the file came from: upload, scanner or email'
+  },
+  source_details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Details of the source, such as the sender and subject of an email'
+  },
+  batch_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Batch upload this job belongs to'
+  },
+  original_filename: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mimetype: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  data_size: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the uploaded file'
+  },
+  perceptual_hash: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    comment: 'Difference hash of the uploaded image'
+  },
+  file_path: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Location of the file on disk for jobs queued by path'
+  },
+  file_data: {
+    type: DataTypes.BLOB('long'),
+    allowNull: true,
+    comment: 'Uploaded file for jobs queued from memory'
+  },
+  processed_data: {
+    type: DataTypes.BLOB('long'),
+    allowNull: true,
+    comment: 'Preprocessed image that was sent to OCR'
+  },
+  processed_mimetype: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  preprocessing: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Preprocessing steps applied and their parameters'
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  queued_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  dispatched_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the job was last put on the processing queue'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ocr_jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['status', 'priority'] },
+    { fields: ['updated_at'] },
+    { fields: ['content_hash'] },
+    { fields: ['batch_id'] }
+  ]
+});
+
+module.exports = OCRJob;
@@ -28,6 +28,12 @@ const ProcessedInvoice = sequelize.define('ProcessedInvoice', {
     allowNull: true,
     index: true
   },
+  supplier_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    index: true,
+    comment: 'Supplier the printed supplier_name was matched to'
+  },
   invoice_date: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -56,50 +62,6 @@ const ProcessedInvoice = sequelize.define('ProcessedInvoice', {
     allowNull: false,
     defaultValue: 11.0 // Default 11% PPN
   },
-  items: {
-    type: DataTypes.JSONB,
-    allowNull: true,
-    get() {
-      const rawValue = this.getDataValue('items');
-      if (rawValue === null || rawValue === undefined) {
-        return [];
-      }
-      
-      // If it's already an object, return it
-      if (typeof rawValue === 'object') {
-        return rawValue;
-      }
-      
-      // If it's a string, try to parse it
-      try {
-        return JSON.parse(rawValue);
-      } catch (e) {
-        console.error('Error parsing items JSON:', e);
-        return [];
-      }
-    },
-    set(value) {
-      if (value === null || value === undefined) {
-        this.setDataValue('items', null);
-        return;
-      }
-      
-      // If it's a string, check if it's valid JSON
-      if (typeof value === 'string') {
-        try {
-          // Validate by parsing and re-stringifying
-          const parsed = JSON.parse(value);
-          this.setDataValue('items', parsed);
-        } catch (e) {
-          console.error('Invalid JSON string for items:', e);
-          this.setDataValue('items', []);
-        }
-      } else {
-        // If it's already an object, store it directly
-        this.setDataValue('items', value);
-      }
-    }
-  },
   image_path: {
     type: DataTypes.STRING(255),
     allowNull: true
@@ -112,6 +74,56 @@ const ProcessedInvoice = sequelize.define('ProcessedInvoice', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    index: true,
+    comment: 'SHA-256 of the original invoice file'
+  },
+  perceptual_hash: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    comment: 'Difference hash of the invoice image, used to find re-photographed duplicates'
+  },
+  reference_invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    index: true,
+    comment: 'Invoice corrected by a return or credit note'
+  },
+  // Lifecycle, changed only through the transitions of invoiceWorkflowService
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'draft',
+    index: true,
+    comment: 'draft, reviewed, approved or posted'
+  },
+  reviewed_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  approved_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  approved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  posted_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  posted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When cost prices and stock were updated from the invoice'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -137,30 +149,35 @@ ProcessedInvoice.associate = function(models) {
     onDelete: 'CASCADE'  // Add cascade delete
   });
 
-  // Removed association with ProcessedInvoiceItem
-  // ProcessedInvoice.hasMany(models.ProcessedInvoiceItem, { 
-  //   foreignKey: 'invoice_id', 
-  //   as: 'invoiceItems' 
-  // });
-};
+  ProcessedInvoice.hasMany(models.ProcessedInvoiceItem, {
+    foreignKey: 'invoice_id',
+    as: 'items',
+    onDelete: 'CASCADE'
+  });
 
-// Add hooks to ensure JSON data is properly handled
-ProcessedInvoice.beforeCreate(instance => {
-  console.log('ProcessedInvoice beforeCreate hook - items type:', typeof instance.items);
-  
-  // Ensure items is properly formatted for JSONB
-  if (instance.items === null || instance.items === undefined) {
-    instance.items = [];
-  }
-});
+  ProcessedInvoice.belongsTo(models.Supplier, {
+    foreignKey: 'supplier_id',
+    as: 'supplier',
+    onDelete: 'SET NULL'
+  });
 
-ProcessedInvoice.beforeUpdate(instance => {
-  console.log('ProcessedInvoice beforeUpdate hook - items type:', typeof instance.items);
-  
-  // Ensure items is properly formatted for JSONB
-  if (instance.items === null || instance.items === undefined) {
-    instance.items = [];
-  }
-});
+  // Invoice a return or credit note corrects, and the returns and credit notes of an invoice
+  ProcessedInvoice.belongsTo(models.ProcessedInvoice, {
+    foreignKey: 'reference_invoice_id',
+    as: 'reference_invoice',
+    onDelete: 'SET NULL'
+  });
+
+  ProcessedInvoice.hasMany(models.ProcessedInvoice, {
+    foreignKey: 'reference_invoice_id',
+    as: 'credit_documents'
+  });
+
+  ProcessedInvoice.hasMany(models.InvoicePayment, {
+    foreignKey: 'invoice_id',
+    as: 'payments',
+    onDelete: 'CASCADE'
+  });
+};
 
 module.exports = ProcessedInvoice;
@@ -0,0 +1,178 @@
+/**
+ * ProcessedInvoiceItem model, one row per line of a processed invoice
+ * Holds the line as printed on the invoice together with the product and unit it was mapped to
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProcessedInvoiceItem = sequelize.define('ProcessedInvoiceItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  line_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Position of the line on the invoice, starting at 1'
+  },
+  // Invoice side, as read by OCR and corrected by the reviewer
+  product_code: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Product code printed on the invoice (kode_barang_invoice)'
+  },
+  product_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(15, 3),
+    allowNull: true
+  },
+  unit: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Unit printed on the invoice'
+  },
+  price: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Unit price on the invoice (harga_satuan)'
+  },
+  gross_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Quantity times unit price (harga_bruto)'
+  },
+  discount_percent: {
+    type: DataTypes.DECIMAL(7, 3),
+    allowNull: true
+  },
+  discount_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  total: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Net amount of the line after discount (jumlah_netto)'
+  },
+  taxable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'BKP flag; null when the line follows include_tax of the invoice'
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'PPN of the line'
+  },
+  reference_line_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Line of the referenced invoice that a return or credit note line corrects'
+  },
+  source_page: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Page of a multi-page PDF the line was read from'
+  },
+  is_confident: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'OCR confidence per invoice-side field'
+  },
+  // Product database side, chosen by the matcher or the reviewer
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Mapped product (produk.id_produk)'
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Mapped unit (produk_satuan.id_satuan)'
+  },
+  mapped_product_code: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Kode_Item of the mapped product (kode_barang_main)'
+  },
+  mapped_product_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  mapped_unit: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Nama_Satuan of the mapped unit (satuan_main)'
+  },
+  unit_conversion: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: true,
+    comment: 'Base units in one mapped unit'
+  },
+  base_quantity: {
+    type: DataTypes.DECIMAL(15, 3),
+    allowNull: true,
+    comment: 'Quantity in the base unit of the product (jumlah_base)'
+  },
+  base_price: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Cost price of the mapped unit when the invoice was reviewed (harga_dasar_main)'
+  },
+  match_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Why the unit was mapped, e.g. "Exact supplier unit match"'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'processed_invoice_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['invoice_id', 'line_number'] },
+    { fields: ['product_id'] },
+    { fields: ['product_code'] }
+  ]
+});
+
+ProcessedInvoiceItem.associate = function(models) {
+  ProcessedInvoiceItem.belongsTo(models.ProcessedInvoice, {
+    foreignKey: 'invoice_id',
+    as: 'invoice',
+    onDelete: 'CASCADE'
+  });
+
+  ProcessedInvoiceItem.belongsTo(models.ProductItem, {
+    foreignKey: 'product_id',
+    as: 'product',
+    onDelete: 'SET NULL'
+  });
+
+  ProcessedInvoiceItem.belongsTo(models.ProductUnit, {
+    foreignKey: 'unit_id',
+    as: 'product_unit',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = ProcessedInvoiceItem;
@@ -38,6 +38,11 @@ const ProductItem = sequelize.define('ProductItem', {
     allowNull: true,
     field: 'supplier_name'
   },
+  supplier_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'supplier_id'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -68,6 +73,12 @@ ProductItem.associate = function(models) {
     as: 'units',
     onDelete: 'CASCADE'
   });
+
+  ProductItem.belongsTo(models.Supplier, {
+    foreignKey: 'supplier_id',
+    as: 'supplier',
+    onDelete: 'SET NULL'
+  });
 };
 
 module.exports = ProductItem;
@@ -30,6 +30,24 @@ const RawOCRData = sequelize.define('RawOCRData', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  email_from: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Sender address when the invoice arrived by email'
+  },
+  email_subject: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  email_received_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  matched_supplier_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Supplier the sender address was matched to before OCR'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -44,7 +62,10 @@ const RawOCRData = sequelize.define('RawOCRData', {
   tableName: 'raw_ocr_data',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['email_from'] }
+  ]
 });
 
 // Define associations
@@ -0,0 +1,82 @@
+/**
+ * Supplier model, the master record that invoices and products are linked to
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Supplier = sequelize.define('Supplier', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Legal name'
+  },
+  aliases: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Other spellings of the name, e.g. as printed on invoices'
+  },
+  npwp: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  payment_terms_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Days from the invoice date to the due date when the invoice has none'
+  },
+  include_tax: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'Whether prices include PPN when OCR cannot tell'
+  },
+  template: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'OCR template applied to the invoices of the supplier, see supplierTemplateService'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'suppliers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+Supplier.associate = function(models) {
+  Supplier.hasMany(models.ProcessedInvoice, {
+    foreignKey: 'supplier_id',
+    as: 'invoices'
+  });
+
+  Supplier.hasMany(models.ProductItem, {
+    foreignKey: 'supplier_id',
+    as: 'products'
+  });
+};
+
+module.exports = Supplier;
@@ -0,0 +1,97 @@
+/**
+ * WebhookDelivery model, one row per event sent to a webhook subscription
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  subscription_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'ID of the event, shared by all deliveries of the same event'
+  },
+  event_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'pending, success or failed'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Start of the last response body'
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replayed_from_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Delivery this one was replayed from'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['subscription_id'] },
+    { fields: ['status'] },
+    { fields: ['event_type'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+WebhookDelivery.associate = function(models) {
+  WebhookDelivery.belongsTo(models.WebhookSubscription, {
+    foreignKey: 'subscription_id',
+    as: 'subscription'
+  });
+};
+
+module.exports = WebhookDelivery;
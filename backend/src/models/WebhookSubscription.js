@@ -0,0 +1,66 @@
+/**
+ * WebhookSubscription model for outbound webhooks
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  secret: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Key used to sign payloads with HMAC-SHA256'
+  },
+  event_types: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: ['*'],
+    comment: 'Event types sent to this URL, * for all events'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+WebhookSubscription.associate = function(models) {
+  WebhookSubscription.hasMany(models.WebhookDelivery, {
+    foreignKey: 'subscription_id',
+    as: 'deliveries',
+    onDelete: 'CASCADE'
+  });
+};
+
+module.exports = WebhookSubscription;
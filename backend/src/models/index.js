@@ -2,6 +2,10 @@
  * Export all models from a central file
  */
 const ProcessedInvoice = require('./ProcessedInvoice');
+const ProcessedInvoiceItem = require('./ProcessedInvoiceItem');
+const InvoiceVersion = require('./InvoiceVersion');
+const InvoicePayment = require('./InvoicePayment');
+const Supplier = require('./Supplier');
 const RawOCRData = require('./RawOCRData');
 const Product = require('./Product');
 const ProductItem = require('./ProductItem');
@@ -9,17 +13,31 @@ const ProductVariant = require('./ProductVariant');
 const ProductUnit = require('./ProductUnit');
 const ProductPrice = require('./ProductPrice');
 const ProductStock = require('./ProductStock');
+const OCRJob = require('./OCRJob');
+const OCRBatch = require('./OCRBatch');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const ExportProfile = require('./ExportProfile');
 
 // Set up associations
 const models = {
   ProcessedInvoice,
+  ProcessedInvoiceItem,
+  InvoiceVersion,
+  InvoicePayment,
+  Supplier,
   RawOCRData,
   Product,
   ProductItem,
   ProductVariant,
   ProductUnit,
   ProductPrice,
-  ProductStock
+  ProductStock,
+  OCRJob,
+  OCRBatch,
+  WebhookSubscription,
+  WebhookDelivery,
+  ExportProfile
 };
 
 // Initialize associations if they exist
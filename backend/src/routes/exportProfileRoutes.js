@@ -0,0 +1,26 @@
+/**
+ * Routes for invoice export profiles
+ */
+const express = require('express');
+const router = express.Router();
+const exportProfileController = require('../controllers/exportProfileController');
+
+// Get the fields that can be exported and the default columns
+router.get('/fields', exportProfileController.getExportFields);
+
+// Get all export profiles
+router.get('/', exportProfileController.getProfiles);
+
+// Get export profile by ID
+router.get('/:id', exportProfileController.getProfileById);
+
+// Create export profile
+router.post('/', exportProfileController.createProfile);
+
+// Update export profile
+router.put('/:id', exportProfileController.updateProfile);
+
+// Delete export profile
+router.delete('/:id', exportProfileController.deleteProfile);
+
+module.exports = router;
@@ -9,10 +9,19 @@ const { uploadMiddleware } = require('../middleware/uploadMiddleware');
 // Get all invoices
 router.get('/', invoiceController.getAllInvoices);
 
+// Aging report of outstanding invoices by supplier; ?format=csv for a download
+router.get('/aging', invoiceController.getAgingReport);
+
 // Get invoice image - MOVED BEFORE THE ID ROUTE TO ENSURE PROPER MATCHING
 router.get('/:id/image', invoiceController.getInvoiceImage);
 
-// Search invoices
+// Search invoices with filters, sorting and cursor pagination
+router.get('/search', invoiceController.findInvoices);
+
+// Export the invoices matching the search filters as CSV, XLSX or UBL XML
+router.get('/export', invoiceController.exportInvoices);
+
+// Search invoices by number, supplier or document type
 router.get('/search/:query', invoiceController.searchInvoices);
 
 // Get invoice by ID
@@ -21,6 +30,29 @@ router.get('/:id', invoiceController.getInvoiceById);
 // Get invoice details by ID
 router.get('/:id/details', invoiceController.getInvoiceDetails);
 
+// Edit history: list versions, compare two, view one and restore one
+router.get('/:id/versions', invoiceController.getInvoiceVersions);
+router.get('/:id/versions/diff', invoiceController.diffInvoiceVersions);
+router.get('/:id/versions/:version', invoiceController.getInvoiceVersion);
+router.post('/:id/versions/:version/restore', invoiceController.restoreInvoiceVersion);
+
+// Status transitions: draft → reviewed → approved → posted, reviewed or approved → draft
+router.post('/:id/review', invoiceController.reviewInvoice);
+router.post('/:id/approve', invoiceController.approveInvoice);
+router.post('/:id/post', invoiceController.postInvoice);
+router.post('/:id/reopen', invoiceController.reopenInvoice);
+
+// Payments: list with the balance, record one and delete one recorded by mistake
+router.get('/:id/payments', invoiceController.getInvoicePayments);
+router.post('/:id/payments', invoiceController.createInvoicePayment);
+router.delete('/:id/payments/:paymentId', invoiceController.deleteInvoicePayment);
+
+// Returns and credit notes that reference the invoice
+router.get('/:id/credits', invoiceController.getInvoiceCredits);
+
+// Printable PDF of the invoice; ?variant=goods_received for the goods-received document
+router.get('/:id/pdf', invoiceController.getInvoicePdf);
+
 // Create new invoice
 router.post('/', invoiceController.createInvoice);
 
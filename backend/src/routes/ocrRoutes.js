@@ -4,11 +4,14 @@
 const express = require('express');
 const router = express.Router();
 const ocrController = require('../controllers/ocrController');
-const { uploadMiddleware } = require('../middleware/uploadMiddleware');
+const { uploadMiddleware, batchUploadMiddleware } = require('../middleware/uploadMiddleware');
 
 // Process and save OCR data
 router.post('/save', ocrController.saveOcrData);
 
+// Validate the amounts of OCR data without saving
+router.post('/validate', ocrController.validateOcrData);
+
 // Get OCR results
 router.get('/results/:invoice_number', ocrController.getOcrResults);
 
@@ -21,13 +24,62 @@ router.get('/test-connection', ocrController.testConnection);
 // Queue file for asynchronous processing
 router.post('/queue', uploadMiddleware.single('file'), ocrController.queueFileForProcessing);
 
+// Queue several files or a ZIP archive as one batch
+router.post('/batch', batchUploadMiddleware.array('files'), ocrController.queueBatch);
+
+// Queue the attachments of uploaded .eml messages
+router.post('/email', batchUploadMiddleware.array('files'), ocrController.queueEmail);
+
+// Read new messages from the configured Maildir
+router.post('/email/maildir/poll', ocrController.pollMaildir);
+
+// Get the progress of a batch
+router.get('/batches/:batchId', ocrController.getBatchStatus);
+
 // Process a previously queued file
 router.post('/process/:fileId', ocrController.processQueuedFile);
 
+// Stream file processing status changes (Server-Sent Events)
+router.get('/events', ocrController.streamStatusEvents);
+
 // Get file processing status
 router.get('/status/:fileId', ocrController.getFileStatus);
 
+// Get the original or preprocessed image of a file
+router.get('/image/:fileId', ocrController.getFileImage);
+
 // Get all file processing statuses
 router.get('/status', ocrController.getAllStatuses);
 
+// Get the OCR providers a job can be retried with
+router.get('/providers', ocrController.getProviders);
+
+// Get failed jobs (dead-letter list)
+router.get('/dead-letter', ocrController.getDeadLetterJobs);
+
+// Delete old failed jobs
+router.delete('/dead-letter', ocrController.purgeDeadLetterJobs);
+
+// Retry a failed or cancelled job
+router.post('/jobs/:fileId/retry', ocrController.retryJob);
+
+// Cancel a queued or running job
+router.post('/jobs/:fileId/cancel', ocrController.cancelJob);
+
+// Change the priority of a queued job
+router.post('/jobs/:fileId/priority', ocrController.setJobPriority);
+
+// Get the queue settings and metrics
+router.get('/admin/queue', ocrController.getQueueAdmin);
+
+// Update the queue settings (concurrency)
+router.put('/admin/queue', ocrController.updateQueueSettings);
+
+// Pause and resume processing
+router.post('/admin/queue/pause', ocrController.pauseQueue);
+router.post('/admin/queue/resume', ocrController.resumeQueue);
+
+// Get the queue metrics
+router.get('/admin/metrics', ocrController.getQueueMetrics);
+
 module.exports = router;
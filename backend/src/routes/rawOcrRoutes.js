@@ -6,6 +6,19 @@ const router = express.Router();
 const { RawOCRData, ProcessedInvoice } = require('../models');
 const { Op } = require('sequelize');
 const uuid = require('uuid');
+const reparseService = require('../services/reparseService');
+const { actorFromRequest } = require('../services/invoiceHistoryService');
+
+// Error response for a failed re-parse request
+function sendReparseError(res, requestId, error) {
+  console.error(`[${requestId}] Error re-parsing raw OCR data:`, error);
+  res.status(error.statusCode || 500).json({
+    error: {
+      message: error.statusCode ? error.message : 'Error re-parsing raw OCR data',
+      details: error.message
+    }
+  });
+}
 
 // Get all raw OCR data entries
 router.get('/', async (req, res) => {
@@ -49,6 +62,68 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Dry-run the re-parse of every raw OCR data entry
+router.get('/reparse/report', async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  console.log(`[${requestId}] Building re-parse dry-run report`);
+  
+  try {
+    const report = await reparseService.dryRunReport();
+    console.log(`[${requestId}] Re-parse report: ${report.counts.changed} of ${report.total} entries would change`);
+    res.json(report);
+  } catch (error) {
+    sendReparseError(res, requestId, error);
+  }
+});
+
+// Preview what re-parsing entries would change on their invoices
+router.post('/reparse/preview', async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const results = await reparseService.previewReparse(req.body.ids);
+    console.log(`[${requestId}] Previewed re-parse of ${results.length} raw OCR data entries`);
+    res.json({ data: results });
+  } catch (error) {
+    sendReparseError(res, requestId, error);
+  }
+});
+
+// Apply a previewed re-parse; every row needs the checksum of its preview
+router.post('/reparse/apply', async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const results = await reparseService.applyReparse(req.body.rows, { actor: actorFromRequest(req) });
+    const applied = results.filter(result => result.applied).length;
+    console.log(`[${requestId}] Applied re-parse to ${applied} of ${results.length} raw OCR data entries`);
+    res.json({ applied, data: results });
+  } catch (error) {
+    sendReparseError(res, requestId, error);
+  }
+});
+
+// Preview the re-parse of one entry
+router.get('/:id/reparse', async (req, res) => {
+  const requestId = uuid.v4().substring(0, 8);
+  
+  try {
+    const [result] = await reparseService.previewReparse([req.params.id]);
+    
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'Raw OCR data not found'
+        }
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    sendReparseError(res, requestId, error);
+  }
+});
+
 // Get raw OCR data by ID
 router.get('/:id', async (req, res) => {
   const requestId = uuid.v4().substring(0, 8);
@@ -0,0 +1,29 @@
+/**
+ * Routes for the supplier master
+ */
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+
+// Find the supplier a printed name resolves to
+router.get('/match', supplierController.matchSupplier);
+
+// Get all suppliers
+router.get('/', supplierController.getSuppliers);
+
+// Get supplier by ID
+router.get('/:id', supplierController.getSupplierById);
+
+// Create supplier
+router.post('/', supplierController.createSupplier);
+
+// Update supplier
+router.put('/:id', supplierController.updateSupplier);
+
+// Delete supplier
+router.delete('/:id', supplierController.deleteSupplier);
+
+// Merge other suppliers into this one
+router.post('/:id/merge', supplierController.mergeSuppliers);
+
+module.exports = router;
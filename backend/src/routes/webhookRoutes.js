@@ -0,0 +1,35 @@
+/**
+ * Routes for outbound webhook subscriptions and deliveries
+ */
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// Get the event types that can be subscribed to
+router.get('/events', webhookController.getEventTypes);
+
+// Get the delivery log
+router.get('/deliveries', webhookController.getDeliveries);
+
+// Get one delivery with its payload
+router.get('/deliveries/:id', webhookController.getDelivery);
+
+// Send a delivery again
+router.post('/deliveries/:id/replay', webhookController.replayDelivery);
+
+// Get all subscriptions
+router.get('/', webhookController.getSubscriptions);
+
+// Create subscription
+router.post('/', webhookController.createSubscription);
+
+// Update subscription
+router.put('/:id', webhookController.updateSubscription);
+
+// Delete subscription
+router.delete('/:id', webhookController.deleteSubscription);
+
+// Send a test event to a subscription
+router.post('/:id/test', webhookController.testSubscription);
+
+module.exports = router;
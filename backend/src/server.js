@@ -11,6 +11,10 @@ require('dotenv').config();
 
 // Import database setup
 const { sequelize } = require('./config/database');
+const queueService = require('./services/queueService');
+const webhookService = require('./services/webhookService');
+const hotFolderService = require('./services/hotFolderService');
+const emailIngestService = require('./services/emailIngestService');
 
 // Import routes
 const invoiceRoutes = require('./routes/invoiceRoutes');
@@ -18,6 +22,9 @@ const ocrRoutes = require('./routes/ocrRoutes');
 const productRoutes = require('./routes/productRoutes');
 const productItemRoutes = require('./routes/productItemRoutes');
 const rawOcrRoutes = require('./routes/rawOcrRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const exportProfileRoutes = require('./routes/exportProfileRoutes');
 
 // Create Express app
 const app = express();
@@ -43,7 +50,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  exposedHeaders: ['Content-Type', 'Content-Disposition', 'Content-Length']
+  exposedHeaders: ['Content-Type', 'Content-Disposition', 'Content-Length', 'X-Export-Count']
 }));
 
 // Apply security middlewares
@@ -65,6 +72,9 @@ app.use('/api/ocr', ocrRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/product-items', productItemRoutes);
 app.use('/api/raw-ocr', rawOcrRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/export-profiles', exportProfileRoutes);
 
 // Add units endpoint
 app.get('/api/units', (req, res) => {
@@ -129,6 +139,32 @@ async function startServer() {
       console.log('Database sync skipped. Set SYNC_DB=true to create tables automatically.');
     }
     
+    // Pick up OCR jobs that were interrupted by the previous shutdown
+    try {
+      const { resumed, failed } = await queueService.resumeInterruptedJobs();
+      console.log(`Interrupted OCR jobs: ${resumed} resumed, ${failed} marked as failed`);
+    } catch (error) {
+      console.error('Unable to resume interrupted OCR jobs:', error.message);
+    }
+    
+    // Watch the scanner hot folder when HOT_FOLDER_PATH is set
+    try {
+      await hotFolderService.start();
+    } catch (error) {
+      console.error('Unable to start hot folder watcher:', error.message);
+    }
+    
+    // Poll the Maildir for supplier emails when MAILDIR_PATH is set
+    emailIngestService.start();
+    
+    // Retry webhook deliveries that were still pending at shutdown
+    try {
+      const pending = await webhookService.resumePendingDeliveries();
+      console.log(`Pending webhook deliveries: ${pending} scheduled`);
+    } catch (error) {
+      console.error('Unable to resume pending webhook deliveries:', error.message);
+    }
+    
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,99 @@
+/**
+ * Unpacking batch uploads
+ * The uploads are temporary files like those multer writes and the tables are replaced by in-memory rows, so no
+ * database is needed. The processing queue is paused, so the queued jobs are not run.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+process.env.OCR_BATCH_MAX_TOTAL_SIZE = String(1024 * 1024);
+
+jest.mock('../../models', () => {
+  const jobs = new Map();
+  return {
+    jobs,
+    OCRBatch: { create: jest.fn(async (values) => ({ id: 'batch-1', ...values })) },
+    OCRJob: {
+      create: jest.fn(async (values) => {
+        jobs.set(values.id, { ...values });
+        return { ...values };
+      }),
+      findByPk: jest.fn(async (id) => jobs.get(id) || null),
+      update: jest.fn(async () => [1])
+    },
+    ProcessedInvoice: { findAll: jest.fn(async () => []) }
+  };
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const models = require('../../models');
+const queueService = require('../queueService');
+const batchService = require('../batchService');
+
+const UPLOADS = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upload-'));
+
+// A PDF of the given size
+function pdf(size, label) {
+  return Buffer.concat([Buffer.from(`%PDF-1.4 ${label} `), Buffer.alloc(size - 10 - label.length, 0x20)]);
+}
+
+// Write an upload to disk the way multer's disk storage does
+function upload(originalname, buffer, mimetype) {
+  const filePath = path.join(UPLOADS, `${fs.readdirSync(UPLOADS).length}`);
+  fs.writeFileSync(filePath, buffer);
+  return { originalname, mimetype, path: filePath, size: buffer.length };
+}
+
+// Temporary batch directories that still exist
+function batchDirectories() {
+  return fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('ocr-batch-'));
+}
+
+beforeAll(() => {
+  queueService.pauseQueue();
+});
+
+afterAll(() => {
+  fs.rmSync(UPLOADS, { recursive: true, force: true });
+});
+
+test('ZIP entries are queued from disk until the batch reaches its total size', async () => {
+  const first = pdf(600 * 1024, 'first');
+  const zip = new AdmZip();
+  zip.addFile('faktur/first.pdf', first);
+  zip.addFile('faktur/second.pdf', pdf(600 * 1024, 'second'));
+  zip.addFile('faktur/notes.txt', Buffer.from('not an invoice'));
+  const before = batchDirectories();
+
+  const { batch, jobs, rejected } = await batchService.createBatch([
+    upload('faktur.zip', zip.toBuffer(), 'application/zip')
+  ]);
+
+  expect(batch).toMatchObject({ name: 'faktur.zip', job_count: 1 });
+  expect(jobs).toEqual([{ fileId: expect.any(String), name: 'faktur/first.pdf', archive: 'faktur.zip', duplicates: [] }]);
+  expect(rejected).toEqual([
+    { name: 'faktur/notes.txt', archive: 'faktur.zip', reason: 'Unsupported file type. Only JPEG, JPG, PNG, and PDF files are allowed.' },
+    { name: 'faktur/second.pdf', archive: 'faktur.zip', reason: 'A batch can contain at most 1MB of documents' }
+  ]);
+
+  const job = models.jobs.get(jobs[0].fileId);
+  expect(job).toMatchObject({ original_filename: 'first.pdf', mimetype: 'application/pdf', batch_id: 'batch-1', data_size: 600 * 1024 });
+  expect(job.file_data.equals(first)).toBe(true);
+  expect(batchDirectories()).toEqual(before);
+});
+
+test('uploaded files on disk are checked against their content', async () => {
+  models.jobs.clear();
+
+  const { jobs, rejected } = await batchService.createBatch([
+    upload('scan.pdf', pdf(200, 'scan'), 'application/pdf'),
+    upload('photo.jpg', pdf(200, 'photo'), 'image/jpeg')
+  ]);
+
+  expect(jobs.map(job => job.name)).toEqual(['scan.pdf']);
+  expect(rejected).toEqual([{ name: 'photo.jpg', archive: null, reason: 'Content is not a valid JPG file' }]);
+  expect(models.jobs.get(jobs[0].fileId).file_data.toString()).toMatch(/^%PDF-1.4 scan/);
+});
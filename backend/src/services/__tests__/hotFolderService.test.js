@@ -0,0 +1,89 @@
+/**
+ * Queueing files from the scanner hot folder
+ * The hot folder is a temporary directory and the tables are replaced by in-memory rows, so no database is needed.
+ * The processing queue is paused, so the queued jobs are not run.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const HOT_FOLDER = fs.mkdtempSync(path.join(os.tmpdir(), 'hot-folder-'));
+process.env.HOT_FOLDER_PATH = HOT_FOLDER;
+
+jest.mock('../../models', () => {
+  const jobs = new Map();
+  const savedInvoices = [];
+  return {
+    jobs,
+    savedInvoices,
+    OCRJob: {
+      create: jest.fn(async (values) => {
+        jobs.set(values.id, { ...values });
+        return { ...values };
+      }),
+      findByPk: jest.fn(async (id) => jobs.get(id) || null),
+      update: jest.fn(async () => [1])
+    },
+    ProcessedInvoice: {
+      findAll: jest.fn(async ({ where }) => savedInvoices.filter(invoice => invoice.content_hash === where.content_hash))
+    }
+  };
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const models = require('../../models');
+const queueService = require('../queueService');
+const hotFolderService = require('../hotFolderService');
+
+const PDF = Buffer.from('%PDF-1.4 faktur MA/2503/00412');
+
+beforeAll(() => {
+  queueService.pauseQueue();
+});
+
+afterAll(() => {
+  fs.rmSync(HOT_FOLDER, { recursive: true, force: true });
+});
+
+// Scan twice, so files written before the first scan are stable
+async function scanTwice() {
+  await hotFolderService.scan();
+  await hotFolderService.scan();
+}
+
+test('a scanned PDF is queued with its MIME type and content hash and checked against saved invoices', async () => {
+  const contentHash = crypto.createHash('sha256').update(PDF).digest('hex');
+  models.savedInvoices.push({ id: 7, invoice_number: 'MA/2503/00412', content_hash: contentHash });
+  fs.writeFileSync(path.join(HOT_FOLDER, 'faktur.pdf'), PDF);
+
+  await scanTwice();
+
+  const [job] = Array.from(models.jobs.values());
+  expect(models.jobs.size).toBe(1);
+  expect(job).toMatchObject({
+    original_filename: 'faktur.pdf',
+    file_path: path.join(HOT_FOLDER, 'faktur.pdf'),
+    mimetype: 'application/pdf',
+    content_hash: contentHash,
+    perceptual_hash: null,
+    source: 'scanner'
+  });
+  expect(models.ProcessedInvoice.findAll).toHaveBeenCalledWith(expect.objectContaining({
+    where: { content_hash: contentHash }
+  }));
+  expect(console.log).toHaveBeenCalledWith(`[HotFolder:${job.id}] File looks like 1 saved invoice(s): MA/2503/00412`);
+});
+
+test('a file whose content does not match its extension is moved to failed/ without a job', async () => {
+  models.jobs.clear();
+  fs.writeFileSync(path.join(HOT_FOLDER, 'foto.jpg'), PDF);
+
+  await scanTwice();
+
+  expect(models.jobs.size).toBe(0);
+  expect(fs.existsSync(path.join(HOT_FOLDER, 'foto.jpg'))).toBe(false);
+  expect(fs.existsSync(path.join(HOT_FOLDER, 'failed', 'foto.jpg'))).toBe(true);
+});
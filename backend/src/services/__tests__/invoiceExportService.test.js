@@ -0,0 +1,59 @@
+/**
+ * CSV and XLSX export cells
+ */
+const AdmZip = require('adm-zip');
+const { toCsv, toXlsx, DEFAULT_PROFILE } = require('../invoiceExportService');
+
+const table = {
+  titles: ['Supplier', '=Total'],
+  rows: [
+    [{ type: 'text', value: '=HYPERLINK("http://example.com","klik")' }, { type: 'number', value: -1500 }],
+    [{ type: 'text', value: '+62 21 555' }, { type: 'number', value: 2500.5 }],
+    [{ type: 'text', value: '-SUM(A1:A9)' }, { type: 'number', value: 0 }],
+    [{ type: 'text', value: '@cmd' }, { type: 'number', value: null }],
+    [{ type: 'text', value: 'PT SUMBER = JAYA' }, { type: 'number', value: 1 }]
+  ]
+};
+
+// Text of the inline string cells of the first worksheet
+function worksheetStrings(buffer) {
+  const xml = new AdmZip(buffer).readAsText('xl/worksheets/sheet1.xml');
+  return [...xml.matchAll(/<t[^>]*>([^<]*)<\/t>/g)].map(match => match[1]);
+}
+
+test('CSV text starting with a formula character is prefixed with an apostrophe', () => {
+  const lines = toCsv(table, DEFAULT_PROFILE).trim().split('\n');
+
+  expect(lines).toEqual([
+    'Supplier,\'=Total',
+    '"\'=HYPERLINK(""http://example.com"",""klik"")",-1500',
+    '\'+62 21 555,2500.5',
+    '\'-SUM(A1:A9),0',
+    '\'@cmd,',
+    'PT SUMBER = JAYA,1'
+  ]);
+});
+
+test('XLSX inline strings keep their text and mark formula-like text with the quotePrefix style', () => {
+  const buffer = toXlsx([{ name: 'Faktur', table }], DEFAULT_PROFILE);
+  const xml = new AdmZip(buffer).readAsText('xl/worksheets/sheet1.xml');
+
+  expect(worksheetStrings(buffer)).toEqual([
+    'Supplier',
+    '=Total',
+    '=HYPERLINK(&quot;http://example.com&quot;,&quot;klik&quot;)',
+    '+62 21 555',
+    '-SUM(A1:A9)',
+    '@cmd',
+    'PT SUMBER = JAYA'
+  ]);
+  expect(xml).toContain('<c r="A3" t="inlineStr" s="3">');
+  expect(xml).toContain('<c r="A6" t="inlineStr"><is>');
+  expect(new AdmZip(buffer).readAsText('xl/styles.xml')).toContain('quotePrefix="1"');
+});
+
+test('negative numbers stay numbers', () => {
+  const xml = new AdmZip(toXlsx([{ name: 'Faktur', table }], DEFAULT_PROFILE)).readAsText('xl/worksheets/sheet1.xml');
+
+  expect(xml).toContain('<c r="B2"><v>-1500</v></c>');
+});
@@ -0,0 +1,38 @@
+/**
+ * Text filters of the invoice search
+ * The invoice table is replaced by a mock that keeps the query, which is turned into SQL without a database.
+ */
+jest.mock('../../models', () => ({
+  ProcessedInvoice: {
+    findAll: jest.fn(async () => []),
+    count: jest.fn(async () => 0)
+  }
+}));
+
+const { ProcessedInvoice } = require('../../models');
+const { sequelize } = require('../../config/database');
+const { searchInvoices } = require('../invoiceSearchService');
+
+// WHERE clause of the last count query
+function whereSql() {
+  const [{ where }] = ProcessedInvoice.count.mock.calls[ProcessedInvoice.count.mock.calls.length - 1];
+  return sequelize.getQueryInterface().queryGenerator.whereQuery(where);
+}
+
+test('wildcards and backslashes in the text filters match themselves', async () => {
+  await searchInvoices({ q: 'DISKON 50%_A\\B', item: '10%', supplier: 'PT_SUMBER' });
+  const sql = whereSql();
+
+  expect(sql).toContain(`"salesman" ILIKE '%DISKON 50\\%\\_A\\\\B%'`);
+  expect(sql).toContain(`line.product_code ILIKE '%10\\%%'`);
+  expect(sql).toContain(`"supplier_name" ILIKE '%PT\\_SUMBER%'`);
+  expect(sql).toContain(`name ILIKE '%PT\\_SUMBER%'`);
+});
+
+test('document and payment types are matched whole, ignoring case', async () => {
+  await searchInvoices({ document_type: 'faktur%', payment_type: 'KREDIT' });
+  const sql = whereSql();
+
+  expect(sql).toContain(`"document_type" ILIKE 'faktur\\%'`);
+  expect(sql).toContain(`"payment_type" ILIKE 'KREDIT'`);
+});
@@ -0,0 +1,25 @@
+/**
+ * Actor checks of invoice status transitions
+ * Both checks run before the invoice is loaded, so no database is needed.
+ */
+const { transition } = require('../invoiceWorkflowService');
+
+afterEach(() => {
+  delete process.env.INVOICE_APPROVERS;
+});
+
+test('a transition without an actor is refused', async () => {
+  await expect(transition(1, 'approve')).rejects.toMatchObject({
+    statusCode: 400,
+    message: 'The X-Actor header is required to approve invoices'
+  });
+});
+
+test('an actor outside the role list is refused', async () => {
+  process.env.INVOICE_APPROVERS = 'Budi, Sari';
+
+  await expect(transition(1, 'approve', { actor: 'Andi' })).rejects.toMatchObject({
+    statusCode: 403,
+    message: 'Andi may not approve invoices; set X-Actor to one of INVOICE_APPROVERS'
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * The OCR steps run offline: a file goes through the local stub provider, the canonical document normalizer and
+ * the arithmetic validation. queueOcrJob.test.js runs the same steps through the processing queue.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createLocalStubProvider = require('../ocrProviders/localStubProvider');
+const { normalizeOcrDocument, validateOcrDocument } = require('../ocrDocument');
+const { validateInvoice } = require('../invoiceValidator');
+
+const FIXTURE_DIR = path.join(__dirname, '../../../fixtures/ocr');
+
+// Run a file through the pipeline
+async function runPipeline(provider, buffer) {
+  const { ocrData } = await provider.recognize({ buffer, filename: 'scan.jpg', mimetype: 'image/jpeg' });
+  const document = normalizeOcrDocument(ocrData);
+  return { document, validation: validateInvoice(document) };
+}
+
+// A file the stub answers with the fixture holding the given invoice number
+async function bufferFor(provider, invoiceNumber) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const buffer = Buffer.from(`scan-${attempt}`);
+    const { ocrData } = await provider.recognize({ buffer, filename: 'scan.jpg' });
+    if (ocrData.output.nomor_referensi.value === invoiceNumber) {
+      return buffer;
+    }
+  }
+  throw new Error(`No file maps to fixture ${invoiceNumber}`);
+}
+
+describe('offline OCR pipeline', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = createLocalStubProvider({ name: 'local-stub' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the default fixture directory is inside the backend', () => {
+    expect(fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json')).length).toBeGreaterThan(1);
+  });
+
+  test('the same file always gets the same fixture', async () => {
+    const buffer = Buffer.from('the same scan');
+    const first = await provider.recognize({ buffer, filename: 'a.jpg' });
+    const second = await provider.recognize({ buffer, filename: 'b.jpg' });
+
+    expect(first.provider).toBe('local-stub');
+    expect(second.ocrData).toEqual(first.ocrData);
+  });
+
+  test('an invoice without BKP flags has its line PPN checked against the invoice PPN setting', async () => {
+    const { document, validation } = await runPipeline(provider, await bufferFor(provider, 'MA/2503/00412'));
+
+    expect(validateOcrDocument(document)).toEqual([]);
+    expect(document.output.nama_supplier.value).toBe('CV MITRA ABADI');
+    expect(document.output.include_ppn.value).toBe(false);
+    expect(document.output.items).toHaveLength(3);
+    // The provider read no BKP flags, so the lines follow include_ppn and their PPN is unexpected
+    expect(validation.valid).toBe(false);
+    expect(validation.issues.map(({ index, field, rule, expected, actual }) => ({ index, field, rule, expected, actual }))).toEqual([
+      { index: 0, field: 'ppn', rule: 'ppn', expected: 0, actual: 13750 },
+      { index: 1, field: 'ppn', rule: 'ppn', expected: 0, actual: 50160 },
+      { index: 2, field: 'ppn', rule: 'ppn', expected: 0, actual: 15847 }
+    ]);
+  });
+
+  test('an invoice with misread discounts is reported with blocking errors', async () => {
+    const { document, validation } = await runPipeline(provider, await bufferFor(provider, 'SSP318905'));
+
+    expect(validateOcrDocument(document)).toEqual([]);
+    expect(document.output.items).toHaveLength(7);
+    expect(validation.valid).toBe(false);
+    expect(validation.issues).toEqual(expect.arrayContaining([
+      expect.objectContaining({ scope: 'item', index: 2, field: 'diskon_rp', rule: 'discount', severity: 'error', expected: 14280 })
+    ]));
+  });
+
+  test('the stub reports the parsing stage', async () => {
+    const onStage = jest.fn();
+    await provider.recognize({ buffer: Buffer.from('scan'), filename: 'scan.jpg' }, { onStage });
+
+    expect(onStage).toHaveBeenCalledWith('parsing');
+  });
+
+  test('a missing or empty fixture directory is an error', async () => {
+    const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-fixtures-'));
+    try {
+      const missing = createLocalStubProvider({ name: 'local-stub', fixtureDir: path.join(emptyDir, 'missing') });
+      const empty = createLocalStubProvider({ name: 'local-stub', fixtureDir: emptyDir });
+
+      await expect(missing.recognize({ buffer: Buffer.from('scan') })).rejects.toThrow('OCR fixture directory not found');
+      await expect(empty.recognize({ buffer: Buffer.from('scan') })).rejects.toThrow('No OCR fixtures found');
+    } finally {
+      fs.rmSync(emptyDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Aging report CSV
+ */
+const { agingCsv } = require('../paymentService');
+
+const row = (values) => ({
+  invoice_count: 1,
+  current: 0,
+  days_1_30: 0,
+  days_31_60: 0,
+  days_61_90: 0,
+  days_over_90: 0,
+  ...values
+});
+
+test('supplier names read as formulas are written as text and amounts stay numbers', () => {
+  const report = {
+    suppliers: [
+      { supplier_name: '=HYPERLINK("http://example.com","klik")', ...row({ current: 1500, total: 1500 }) },
+      { supplier_name: 'PT MAJU, JAYA', ...row({ days_1_30: -250, total: -250 }) }
+    ],
+    totals: row({ invoice_count: 2, current: 1500, days_1_30: -250, total: 1250 })
+  };
+
+  expect(agingCsv(report).trim().split('\n')).toEqual([
+    'Supplier,Invoices,Current,1-30,31-60,61-90,90+,Total',
+    '"\'=HYPERLINK(""http://example.com"",""klik"")",1,1500,0,0,0,0,1500',
+    '"PT MAJU, JAYA",1,0,-250,0,0,0,-250',
+    'TOTAL,2,1500,-250,0,0,0,1250'
+  ]);
+});
@@ -0,0 +1,39 @@
+/**
+ * Cancelling jobs on the processing queue
+ * The job table is replaced by an in-memory row, so no database is needed.
+ */
+jest.mock('../../models', () => {
+  const job = { id: 'job-1', status: 'queued', progress: 0, priority: 0, original_filename: 'faktur.jpg' };
+  return {
+    job,
+    OCRJob: {
+      findByPk: jest.fn(async () => ({ ...job, toJSON: () => ({ ...job }) })),
+      update: jest.fn(async (values) => {
+        Object.assign(job, values);
+        return [1];
+      })
+    }
+  };
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const models = require('../../models');
+const queueService = require('../queueService');
+
+beforeAll(() => {
+  // Keep jobs waiting on the queue instead of running them
+  queueService.pauseQueue();
+});
+
+test('a job cancelled while waiting rejects its pending promise', async () => {
+  const result = queueService.processQueuedFile('job-1');
+  // Let enqueueJob mark the job as dispatched and push it
+  await new Promise(resolve => setImmediate(resolve));
+
+  const status = await queueService.cancelJob('job-1');
+
+  expect(status.status).toBe('cancelled');
+  expect(models.job.status).toBe('cancelled');
+  await expect(result).rejects.toMatchObject({ cancelled: true, message: 'Job job-1 was cancelled' });
+});
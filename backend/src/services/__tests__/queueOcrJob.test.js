@@ -0,0 +1,129 @@
+/**
+ * An OCR job run through the processing queue offline
+ * The job goes through the queue, runJob and recognizeDocument with the local stub provider: the image is
+ * preprocessed, recognized, normalized, validated and the result is saved on the job. The tables are replaced by an
+ * in-memory job row, so no database is needed. mupdf is an ES module jest cannot load without
+ * --experimental-vm-modules, so PDF pages are rendered by a stand-in; the page loop and merge are the real ones.
+ */
+jest.mock('../../models', () => {
+  const jobs = new Map();
+  return {
+    jobs,
+    OCRJob: {
+      findByPk: jest.fn(async (id) => {
+        const job = jobs.get(id);
+        return job ? { ...job, toJSON: () => ({ ...job }) } : null;
+      }),
+      // Only the job ID and a status condition are used in the where clauses of the queue
+      update: jest.fn(async (values, { where }) => {
+        const job = jobs.get(where.id);
+        if (!job || (where.status && typeof where.status === 'object' && job.status === 'cancelled')
+          || (typeof where.status === 'string' && job.status !== where.status)) {
+          return [0];
+        }
+        const attempts = values.attempts && typeof values.attempts === 'object' ? job.attempts + 1 : undefined;
+        Object.assign(job, values, attempts === undefined ? {} : { attempts });
+        return [1];
+      })
+    },
+    Supplier: { findAll: jest.fn(async () => []) },
+    WebhookSubscription: { findAll: jest.fn(async () => []) }
+  };
+});
+
+jest.mock('../pdfService', () => ({
+  ...jest.requireActual('../pdfService'),
+  rasterizePdf: jest.fn()
+}));
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const sharp = require('sharp');
+const models = require('../../models');
+const queueService = require('../queueService');
+const createLocalStubProvider = require('../ocrProviders/localStubProvider');
+const { normalizeOcrDocument } = require('../ocrDocument');
+const { validateInvoice } = require('../invoiceValidator');
+const { rasterizePdf } = require('../pdfService');
+const mergePageResults = require('../ocrProviders/mergePageResults');
+
+// A small scanned-looking page: dark text lines on white
+async function scanImage() {
+  const lines = [40, 80, 120].map(top => ({
+    input: { create: { width: 300, height: 12, channels: 3, background: '#222222' } },
+    top,
+    left: 50
+  }));
+  return sharp({ create: { width: 400, height: 200, channels: 3, background: '#ffffff' } })
+    .composite(lines)
+    .jpeg()
+    .toBuffer();
+}
+
+// Put a job row in the in-memory table
+function addJob(id, values) {
+  models.jobs.set(id, { id, status: 'queued', progress: 0, attempts: 0, priority: 0, attempt_history: [], ...values });
+}
+
+test('a queued image is preprocessed, recognized by the stub and saved with its validation', async () => {
+  const buffer = await scanImage();
+  addJob('job-ocr', { original_filename: 'faktur.jpg', mimetype: 'image/jpeg', file_data: buffer });
+
+  const result = await queueService.processQueuedFile('job-ocr', 'local-stub');
+  const job = models.jobs.get('job-ocr');
+
+  // The stub answers with the fixture of the preprocessed image, not of the upload
+  expect(job.processed_mimetype).toBe('image/png');
+  expect(job.preprocessing.steps.length).toBeGreaterThan(0);
+  const { ocrData } = await createLocalStubProvider({ name: 'local-stub' }).recognize({ buffer: job.processed_data });
+  const expected = normalizeOcrDocument(ocrData);
+
+  expect(result.provider).toBe('local-stub');
+  expect(result.ocrData).toEqual(expected);
+  expect(result.validation).toEqual(validateInvoice(expected));
+
+  expect(job.status).toBe('completed');
+  expect(job.stage).toBe('done');
+  expect(job.progress).toBe(100);
+  expect(job.attempts).toBe(1);
+  expect(job.result.ocrData).toEqual(expected);
+  expect(job.attempt_history).toEqual([
+    expect.objectContaining({ attempt: 1, status: 'completed', provider: 'local-stub', error: null })
+  ]);
+
+  const status = await queueService.getFileStatus('job-ocr');
+  expect(status.status).toBe('completed');
+  expect(status.result.ocrData.schema_version).toBe(expected.schema_version);
+});
+
+test('the pages of a queued PDF are recognized one by one and merged', async () => {
+  const pages = [1, 2].map(pageNumber => ({
+    pageNumber,
+    buffer: Buffer.from(`page ${pageNumber}`),
+    filename: `faktur-page-${pageNumber}.png`,
+    mimetype: 'image/png'
+  }));
+  rasterizePdf.mockResolvedValue(pages);
+  addJob('job-pdf', { original_filename: 'faktur.pdf', mimetype: 'application/pdf', file_data: Buffer.from('%PDF-1.4 faktur') });
+
+  const result = await queueService.processQueuedFile('job-pdf', 'local-stub');
+  const job = models.jobs.get('job-pdf');
+
+  const provider = createLocalStubProvider({ name: 'local-stub' });
+  const pageResults = [];
+  for (const page of pages) {
+    const { ocrData } = await provider.recognize(page);
+    pageResults.push({ pageNumber: page.pageNumber, provider: 'local-stub', ocrData });
+  }
+  const expected = normalizeOcrDocument(mergePageResults(pageResults));
+
+  expect(rasterizePdf).toHaveBeenCalledWith(expect.any(Buffer), { filename: 'faktur.pdf' });
+  expect(result.provider).toBe('local-stub');
+  expect(result.ocrData).toEqual(expected);
+  expect(result.ocrData.output.items.map(item => item.source_page.value)).toEqual(
+    expect.arrayContaining([1, 2])
+  );
+  expect(job.status).toBe('completed');
+  expect(job.attempt_history[0].provider_calls.map(call => call.page)).toEqual([1, 2]);
+});
@@ -0,0 +1,46 @@
+/**
+ * Learning supplier aliases
+ * The supplier table is replaced by a mock, so no database is needed.
+ */
+jest.mock('../../models', () => ({
+  Supplier: { findByPk: jest.fn() },
+  ProcessedInvoice: {},
+  ProductItem: {}
+}));
+
+const { Supplier } = require('../../models');
+const { learnAlias } = require('../supplierService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  Supplier.findByPk.mockReset();
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+test('a fuzzy match adds the printed name to the aliases of the current row, in the transaction', async () => {
+  const supplier = { id: 7, code: 'SUP-007', name: 'PT Sumber Makmur', aliases: ['Sumber Makmur Jaya'], update: jest.fn() };
+  Supplier.findByPk.mockResolvedValue(supplier);
+  const match = { supplier: { id: 7, aliases: [] }, match_type: 'fuzzy', score: 0.9 };
+
+  await learnAlias(match, 'PT SUMBER MAKMOER', { transaction });
+
+  expect(Supplier.findByPk).toHaveBeenCalledWith(7, { transaction, lock: 'UPDATE' });
+  expect(supplier.update).toHaveBeenCalledWith(
+    { aliases: ['Sumber Makmur Jaya', 'PT SUMBER MAKMOER'] },
+    { transaction }
+  );
+});
+
+test.each([
+  ['no match', null],
+  ['an exact match', { supplier: { id: 7 }, match_type: 'name', score: 1 }]
+])('%s learns nothing', async (label, match) => {
+  await learnAlias(match, 'PT Sumber Makmur', { transaction });
+
+  expect(Supplier.findByPk).not.toHaveBeenCalled();
+});
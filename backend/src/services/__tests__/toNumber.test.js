@@ -0,0 +1,39 @@
+/**
+ * Numbers read from OCR output
+ */
+const { toNumber } = require('../invoiceValidator');
+
+test.each([
+  ['1.000,50', 1000.5],
+  ['1,000.50', 1000.5],
+  ['1.000.000', 1000000],
+  ['1,000,000', 1000000],
+  ['12.500', 12500],
+  ['1,500', 1500],
+  ['-1,500', -1500],
+  ['Rp 2,500', 2500],
+  ['1,5', 1.5],
+  ['12,50', 12.5],
+  ['1.5', 1.5],
+  ['11%', 11],
+  ['0.500', 0.5],
+  ['0,500', 0.5],
+  ['-0.250', -0.25]
+])('%s is %d', (value, expected) => {
+  expect(toNumber(value)).toBe(expected);
+});
+
+test.each([
+  ['1.250', 1.25],
+  ['1,250', 1.25],
+  ['0.500', 0.5],
+  ['12', 12],
+  ['1.000.000', 1000000],
+  ['1.250,5', 1250.5]
+])('quantity %s is %d', (value, expected) => {
+  expect(toNumber(value, { quantity: true })).toBe(expected);
+});
+
+test.each(['', 'Rp', 'abc', null, undefined, NaN])('%p is not a number', (value) => {
+  expect(toNumber(value)).toBeNull();
+});
@@ -0,0 +1,331 @@
+/**
+ * Batch uploads
+ * A ZIP archive or several files uploaded together are unpacked into one queued OCR job per document,
+ * grouped under a batch so their progress can be followed as a whole.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { OCRBatch, OCRJob } = require('../models');
+const queueService = require('./queueService');
+const duplicateService = require('./duplicateService');
+
+// Largest document that is queued, the same limit as a single upload
+const MAX_DOCUMENT_SIZE = 25 * 1024 * 1024;
+// Maximum number of documents queued from one batch
+const MAX_BATCH_DOCUMENTS = parseInt(process.env.OCR_BATCH_MAX_FILES, 10) || 200;
+// Maximum total size of the documents of one batch once they are unpacked
+const MAX_BATCH_SIZE = parseInt(process.env.OCR_BATCH_MAX_TOTAL_SIZE, 10) || 500 * 1024 * 1024;
+
+// Supported document extensions and their MIME type
+const DOCUMENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+
+// Leading bytes of each supported MIME type
+const SIGNATURES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'application/pdf': [0x25, 0x50, 0x44, 0x46] // %PDF
+};
+
+// Statuses after which a job no longer changes by itself
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled'];
+
+// Check whether an uploaded file is a ZIP archive
+function isZipFile(file) {
+  return ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+    path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+// Check whether the content of a file starts like its MIME type
+function matchesSignature(buffer, mimetype) {
+  const signature = SIGNATURES[mimetype];
+  return buffer.length >= signature.length && signature.every((byte, index) => buffer[index] === byte);
+}
+
+/**
+ * Decide whether a document can be queued
+ * @param {string} name - File name or path inside the archive
+ * @param {number} size - Size in bytes
+ * @returns {object} - { mimetype } when the document is supported, otherwise { reason }
+ */
+function checkDocument(name, size) {
+  const basename = path.posix.basename(name.replace(/\\/g, '/'));
+
+  if (basename.startsWith('.') || name.startsWith('__MACOSX/') || basename.toLowerCase() === 'thumbs.db') {
+    return { reason: 'System or hidden file' };
+  }
+
+  const extension = path.extname(basename).toLowerCase();
+  if (extension === '.zip') {
+    return { reason: 'Nested archives are not supported' };
+  }
+
+  const mimetype = DOCUMENT_TYPES[extension];
+  if (!mimetype) {
+    return { reason: 'Unsupported file type. Only JPEG, JPG, PNG, and PDF files are allowed.' };
+  }
+
+  if (size === 0) {
+    return { reason: 'File is empty' };
+  }
+
+  if (size > MAX_DOCUMENT_SIZE) {
+    return { reason: 'File size too large. Maximum allowed size is 25MB.' };
+  }
+
+  return { mimetype };
+}
+
+/**
+ * Detect the MIME type of a document from its extension and check its content against it
+ * Used for files that arrive without a MIME type, such as those the scanner writes to the hot folder.
+ * @param {string} name - File name
+ * @param {Buffer} buffer - File content
+ * @returns {object} - { mimetype } when the document is supported, otherwise { reason }
+ */
+function detectDocumentType(name, buffer) {
+  const { mimetype, reason } = checkDocument(name, buffer.length);
+  if (reason) {
+    return { reason };
+  }
+
+  if (!matchesSignature(buffer, mimetype)) {
+    return { reason: `Content is not a valid ${path.extname(name).substring(1).toUpperCase()} file` };
+  }
+
+  return { mimetype };
+}
+
+// Read the first bytes of a file on disk, enough to compare them with the signatures
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Unpack the uploaded files into the documents to queue
+ * Each archive entry is inflated on its own and written to the directory before the next one, so only one document
+ * is held in memory at a time. Uploaded files that are already on disk stay where they are.
+ * @param {Array<object>} files - Files from multer, with a path when stored on disk or a buffer otherwise
+ * @param {string} directory - Directory the documents are written to
+ * @returns {Promise<object>} - { documents: [{ name, archive, path, mimetype, size }], rejected: [{ name, archive, reason }] }
+ */
+async function collectDocuments(files, directory) {
+  const documents = [];
+  const rejected = [];
+  let totalSize = 0;
+
+  // Check a document against its size before its content is read, so rejected entries are never inflated
+  const admit = (name, archive, size) => {
+    if (documents.length >= MAX_BATCH_DOCUMENTS) {
+      rejected.push({ name, archive, reason: `A batch can contain at most ${MAX_BATCH_DOCUMENTS} documents` });
+      return null;
+    }
+
+    const { mimetype, reason } = checkDocument(name, size);
+    if (reason) {
+      rejected.push({ name, archive, reason });
+      return null;
+    }
+
+    if (totalSize + size > MAX_BATCH_SIZE) {
+      rejected.push({ name, archive, reason: `A batch can contain at most ${Math.round(MAX_BATCH_SIZE / 1024 / 1024)}MB of documents` });
+      return null;
+    }
+
+    return mimetype;
+  };
+
+  const accept = (name, archive, filePath, head, mimetype, size) => {
+    if (!matchesSignature(head, mimetype)) {
+      rejected.push({ name, archive, reason: `Content is not a valid ${path.extname(name).substring(1).toUpperCase()} file` });
+      return;
+    }
+
+    totalSize += size;
+    documents.push({ name, archive, path: filePath, mimetype, size });
+  };
+
+  // Write a document to the directory under a name of its own
+  const writeDocument = async (name, buffer) => {
+    const filePath = path.join(directory, `${documents.length + rejected.length}${path.extname(name).toLowerCase()}`);
+    await fs.promises.writeFile(filePath, buffer);
+    return filePath;
+  };
+
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      const mimetype = admit(file.originalname, null, file.size);
+      if (!mimetype) {
+        continue;
+      }
+
+      if (file.path) {
+        accept(file.originalname, null, file.path, await readHead(file.path), mimetype, file.size);
+      } else {
+        accept(file.originalname, null, await writeDocument(file.originalname, file.buffer), file.buffer, mimetype, file.size);
+      }
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.path || file.buffer).getEntries();
+    } catch (error) {
+      rejected.push({ name: file.originalname, archive: null, reason: `Not a readable ZIP archive: ${error.message}` });
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        continue;
+      }
+
+      if (entry.header.encrypted) {
+        rejected.push({ name: entry.entryName, archive: file.originalname, reason: 'Encrypted entries are not supported' });
+        continue;
+      }
+
+      // The size is checked against the header before anything is inflated
+      const mimetype = admit(entry.entryName, file.originalname, entry.header.size);
+      if (!mimetype) {
+        continue;
+      }
+
+      let data;
+      try {
+        data = entry.getData();
+      } catch (error) {
+        rejected.push({ name: entry.entryName, archive: file.originalname, reason: `Could not be extracted: ${error.message}` });
+        continue;
+      }
+
+      // The header may understate the size, so the inflated data is checked again
+      if (data.length !== entry.header.size && !admit(entry.entryName, file.originalname, data.length)) {
+        continue;
+      }
+
+      accept(entry.entryName, file.originalname, await writeDocument(entry.entryName, data), data, mimetype, data.length);
+    }
+  }
+
+  return { documents, rejected };
+}
+
+/**
+ * Create a batch from uploaded files and queue one job per document
+ * The documents are unpacked to a temporary directory and read back one at a time while they are queued.
+ * @param {Array<object>} files - Files from multer, ZIP archives are unpacked
+ * @param {object} options - { priority, source, name, sourceDetails }; name defaults to the uploaded file names
+ *   and sourceDetails is stored on every job
+ * @returns {Promise<object>} - { batch, jobs: [{ fileId, name, archive, duplicates }], rejected },
+ *   batch is null when none of the documents could be queued
+ */
+async function createBatch(files, { priority, source = 'upload', name, sourceDetails } = {}) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-batch-'));
+
+  try {
+    const { documents, rejected } = await collectDocuments(files, directory);
+
+    if (documents.length === 0) {
+      return { batch: null, jobs: [], rejected };
+    }
+
+    const batch = await OCRBatch.create({
+      name: name || (files.length === 1 ? files[0].originalname : `${files.length} files`),
+      source,
+      job_count: documents.length,
+      rejected
+    });
+
+    const jobs = [];
+    for (const document of documents) {
+      const buffer = await fs.promises.readFile(document.path);
+      const fingerprint = await duplicateService.computeFileHashes(buffer, document.mimetype);
+      const fileId = await queueService.queueBuffer(
+        buffer,
+        path.posix.basename(document.name.replace(/\\/g, '/')),
+        document.mimetype,
+        fingerprint,
+        { priority, batchId: batch.id, autoProcess: true, source, sourceDetails }
+      );
+      const duplicates = await duplicateService.findDuplicateInvoices(fingerprint);
+
+      jobs.push({ fileId, name: document.name, archive: document.archive, duplicates });
+    }
+
+    return { batch, jobs, rejected };
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Aggregate progress of the jobs of a batch
+ * @param {string} batchId - The batch ID
+ * @returns {Promise<object|null>} - The batch progress, or null if the batch does not exist
+ */
+async function getBatchProgress(batchId) {
+  const batch = await OCRBatch.findByPk(batchId);
+
+  if (!batch) {
+    return null;
+  }
+
+  const jobs = await OCRJob.findAll({
+    where: { batch_id: batchId },
+    attributes: ['id', 'original_filename', 'status', 'stage', 'progress', 'error', 'finished_at'],
+    order: [['queued_at', 'ASC']]
+  });
+
+  const counts = { queued: 0, processing: 0, completed: 0, error: 0, cancelled: 0 };
+  let progressSum = 0;
+
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+    progressSum += FINISHED_STATUSES.includes(job.status) ? 100 : job.progress;
+  }
+
+  const finished = counts.completed + counts.error + counts.cancelled;
+
+  return {
+    id: batch.id,
+    name: batch.name,
+    source: batch.source,
+    createdAt: batch.created_at,
+    total: jobs.length,
+    counts,
+    progress: jobs.length > 0 ? Math.round(progressSum / jobs.length) : 100,
+    done: finished === jobs.length,
+    rejected: batch.rejected,
+    jobs: jobs.map(job => ({
+      id: job.id,
+      name: job.original_filename,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      error: job.error,
+      finishedAt: job.finished_at
+    }))
+  };
+}
+
+module.exports = {
+  createBatch,
+  getBatchProgress,
+  collectDocuments,
+  detectDocumentType,
+  MAX_BATCH_DOCUMENTS,
+  MAX_BATCH_SIZE
+};
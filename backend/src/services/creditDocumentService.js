@@ -0,0 +1,240 @@
+/**
+ * Returns and credit notes
+ * A return (retur) or credit note is a processed invoice whose document_type marks it as a credit document and whose
+ * reference_invoice_id points at the posted invoice it corrects. Its lines name the original line in
+ * reference_line_number, or are matched to it by product code. Posting a credit document takes the returned
+ * quantities off the stock and lowers the outstanding balance of the original invoice; cost prices are left alone.
+ */
+const { Op } = require('sequelize');
+const { ProcessedInvoice, ProcessedInvoiceItem, ProductStock } = require('../models');
+const { toItemJson, invoiceAmount } = require('./invoiceItemService');
+
+// document_type values of returns and credit notes, compared in lower case
+const CREDIT_DOCUMENT_TYPES = ['retur', 'return', 'nota retur', 'nota kredit', 'credit note', 'credit memo'];
+// Statuses in which a credit document counts against the quantities of the original invoice
+const ACTIVE_STATUSES = ['reviewed', 'approved', 'posted'];
+// Invoice columns needed to work out the amount of a credit document
+const AMOUNT_ATTRIBUTES = ['id', 'reference_invoice_id', 'document_type', 'include_tax', 'tax_rate'];
+
+/**
+ * Whether a document type is a return or credit note
+ * @param {string} documentType - document_type of a processed invoice
+ * @returns {boolean}
+ */
+function isCreditDocument(documentType) {
+  return CREDIT_DOCUMENT_TYPES.includes(String(documentType || '').trim().toLowerCase());
+}
+
+// Lines of an invoice as plain JSON, in invoice order
+async function loadLines(invoiceId, { transaction } = {}) {
+  const items = await ProcessedInvoiceItem.findAll({
+    where: { invoice_id: invoiceId },
+    order: [['line_number', 'ASC']],
+    transaction
+  });
+  return items.map(toItemJson);
+}
+
+/**
+ * Original line of each line of a credit document
+ * A line is matched by its reference_line_number, otherwise by its invoice or mapped product code.
+ * @param {Array<object>} items - Lines of the credit document
+ * @param {Array<object>} originalItems - Lines of the referenced invoice
+ * @returns {Array<object|null>} - The original line per credit line, null when none matches
+ */
+function matchReferenceLines(items, originalItems) {
+  return items.map(item => {
+    if (item.reference_line_number) {
+      return originalItems.find(original => original.line_number === item.reference_line_number) || null;
+    }
+    return originalItems.find(original => (
+      (item.product_code && original.product_code === item.product_code) ||
+      (item.mapped_product_code && original.mapped_product_code === item.mapped_product_code)
+    )) || null;
+  });
+}
+
+/**
+ * Rule failures of a credit document against the invoice it references
+ * The referenced invoice must be a posted invoice of the same supplier, every line must match one of its lines, and
+ * together with the other active credit documents no line may be returned more than it was received and no more than
+ * the invoice amount may be credited.
+ * @param {object} invoice - The credit document
+ * @param {Array<object>} items - Its lines as plain JSON
+ * @param {object} options - { transaction }
+ * @returns {Promise<Array<string>>} - Messages, empty when the references are valid
+ */
+async function referenceFailures(invoice, items, { transaction } = {}) {
+  if (!invoice.reference_invoice_id) {
+    return [`${invoice.document_type} harus merujuk ke invoice asal`];
+  }
+
+  const original = await ProcessedInvoice.findByPk(invoice.reference_invoice_id, {
+    attributes: { exclude: ['image_data'] },
+    transaction
+  });
+  if (!original) {
+    return [`Invoice asal ${invoice.reference_invoice_id} tidak ditemukan`];
+  }
+  if (isCreditDocument(original.document_type)) {
+    return [`${original.invoice_number} adalah ${original.document_type}, bukan invoice asal`];
+  }
+  if (original.status !== 'posted') {
+    return [`Invoice asal ${original.invoice_number} belum diposting`];
+  }
+
+  const failures = [];
+  // Linked suppliers are compared by ID, unlinked ones by name
+  const otherSupplier = invoice.supplier_id && original.supplier_id
+    ? invoice.supplier_id !== original.supplier_id
+    : invoice.supplier_name && original.supplier_name &&
+      invoice.supplier_name.trim().toLowerCase() !== original.supplier_name.trim().toLowerCase();
+  if (otherSupplier) {
+    failures.push(`Supplier ${invoice.supplier_name} berbeda dengan supplier invoice asal (${original.supplier_name})`);
+  }
+
+  const originalItems = await loadLines(original.id, { transaction });
+
+  // Quantities and amounts already taken back by the other active credit documents of the invoice
+  const others = await ProcessedInvoice.findAll({
+    where: {
+      reference_invoice_id: original.id,
+      id: { [Op.ne]: invoice.id },
+      status: { [Op.in]: ACTIVE_STATUSES }
+    },
+    attributes: AMOUNT_ATTRIBUTES,
+    include: [{ model: ProcessedInvoiceItem, as: 'items' }],
+    transaction
+  });
+  const returned = new Map();
+  let credited = 0;
+  for (const other of others.filter(document => isCreditDocument(document.document_type))) {
+    const otherItems = other.items.map(toItemJson);
+    matchReferenceLines(otherItems, originalItems).forEach((match, index) => {
+      if (match) {
+        returned.set(match.line_number, (returned.get(match.line_number) || 0) + (otherItems[index].quantity || 0));
+      }
+    });
+    credited += invoiceAmount(other, otherItems);
+  }
+
+  matchReferenceLines(items, originalItems).forEach((match, index) => {
+    const item = items[index];
+    if (!match) {
+      failures.push(`Item ${item.line_number}: ${item.product_name || item.product_code || 'tanpa nama'} tidak ada di invoice asal ${original.invoice_number}`);
+      return;
+    }
+    const quantity = (returned.get(match.line_number) || 0) + (item.quantity || 0);
+    returned.set(match.line_number, quantity);
+    if (quantity > (match.quantity || 0)) {
+      failures.push(`Item ${item.line_number}: jumlah retur ${quantity} melebihi jumlah ${match.quantity} pada baris ${match.line_number} invoice asal`);
+    }
+  });
+
+  credited = Math.round((credited + invoiceAmount(invoice, items)) * 100) / 100;
+  const originalAmount = invoiceAmount(original, originalItems);
+  if (credited - originalAmount > 0.005) {
+    failures.push(`Total retur dan nota kredit (${credited}) melebihi nilai invoice asal (${originalAmount})`);
+  }
+
+  return failures;
+}
+
+/**
+ * Take the returned quantities of a posted credit document off the stock
+ * Lines use their own product and unit, or those of the original line when they are not mapped.
+ * @param {object} invoice - The credit document
+ * @param {Array<object>} items - Its lines as plain JSON
+ * @param {object} options - { transaction }
+ */
+async function postCredit(invoice, items, { transaction } = {}) {
+  const originalItems = await loadLines(invoice.reference_invoice_id, { transaction });
+  const matches = matchReferenceLines(items, originalItems);
+
+  for (const [index, item] of items.entries()) {
+    const match = matches[index];
+    const productId = item.product_id || (match && match.product_id);
+    const unitId = item.unit_id || (match && match.unit_id);
+    if (!productId || !unitId || !item.quantity) {
+      continue;
+    }
+
+    const [stock] = await ProductStock.findOrCreate({
+      where: { ID_Produk: productId, ID_Satuan: unitId },
+      defaults: { Jumlah_Stok: 0 },
+      transaction
+    });
+    await stock.update({ Jumlah_Stok: parseFloat(stock.Jumlah_Stok || 0) - item.quantity }, { transaction });
+  }
+}
+
+/**
+ * Amounts credited to invoices by their posted returns and credit notes
+ * @param {Array<number>} invoiceIds - IDs of the original invoices
+ * @param {object} options - { asOf: YYYY-MM-DD, leaves out credit documents posted later; transaction }
+ * @returns {Promise<Map<number, number>>} - Credited amount per invoice ID; invoices without credits are missing
+ */
+async function creditedAmounts(invoiceIds, { asOf = null, transaction } = {}) {
+  const credited = new Map();
+  if (invoiceIds.length === 0) {
+    return credited;
+  }
+
+  const where = { reference_invoice_id: { [Op.in]: invoiceIds }, status: 'posted' };
+  if (asOf) {
+    where.posted_at = { [Op.lte]: `${asOf}T23:59:59.999Z` };
+  }
+  const credits = await ProcessedInvoice.findAll({
+    where,
+    attributes: AMOUNT_ATTRIBUTES,
+    include: [{ model: ProcessedInvoiceItem, as: 'items', attributes: ['total', 'taxable', 'tax_amount'] }],
+    transaction
+  });
+
+  for (const credit of credits.filter(document => isCreditDocument(document.document_type))) {
+    const amount = (credited.get(credit.reference_invoice_id) || 0) + invoiceAmount(credit, credit.items);
+    credited.set(credit.reference_invoice_id, Math.round(amount * 100) / 100);
+  }
+  return credited;
+}
+
+/**
+ * Returns and credit notes of an invoice, in any status
+ * @param {number} invoiceId - ID of the original invoice
+ * @returns {Promise<Array<object>>} - { id, invoice_number, document_type, invoice_date, status, posted_at,
+ *   total_amount, items }
+ */
+async function listCreditDocuments(invoiceId) {
+  const documents = await ProcessedInvoice.findAll({
+    where: { reference_invoice_id: invoiceId },
+    attributes: [...AMOUNT_ATTRIBUTES, 'invoice_number', 'invoice_date', 'status', 'posted_at', 'created_at'],
+    include: [{ model: ProcessedInvoiceItem, as: 'items' }],
+    order: [['created_at', 'ASC'], [{ model: ProcessedInvoiceItem, as: 'items' }, 'line_number', 'ASC']]
+  });
+
+  return documents
+    .filter(document => isCreditDocument(document.document_type))
+    .map(document => {
+      const items = document.items.map(toItemJson);
+      return {
+        id: document.id,
+        invoice_number: document.invoice_number,
+        document_type: document.document_type,
+        invoice_date: document.invoice_date,
+        status: document.status,
+        posted_at: document.posted_at,
+        total_amount: invoiceAmount(document, items),
+        items
+      };
+    });
+}
+
+module.exports = {
+  CREDIT_DOCUMENT_TYPES,
+  isCreditDocument,
+  matchReferenceLines,
+  referenceFailures,
+  postCredit,
+  creditedAmounts,
+  listCreditDocuments
+};
@@ -0,0 +1,58 @@
+/**
+ * CSV fields for the exports
+ * Fields are quoted when they hold the delimiter, a quote or a line break. Text from OCR output or users that a
+ * spreadsheet program would run as a formula when it opens the file is prefixed with an apostrophe.
+ */
+
+// Text a spreadsheet program runs as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Whether text would be run as a formula
+ * @param {*} value - Cell text
+ * @returns {boolean}
+ */
+function isFormulaText(value) {
+  return FORMULA_START.test(String(value));
+}
+
+/**
+ * Text that a spreadsheet will not run as a formula
+ * Only for text: numbers are written as they are, so negative amounts stay numbers.
+ * @param {*} value - Cell text
+ * @returns {string}
+ */
+function spreadsheetText(value) {
+  const text = String(value);
+  return isFormulaText(text) ? `'${text}` : text;
+}
+
+/**
+ * CSV field, quoted when it holds the delimiter, a quote or a line break
+ * @param {string} text - Field text, already guarded with spreadsheetText when it is text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function csvField(text, delimiter = ',') {
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV field of a value: text is guarded against formulas, numbers are written as they are and empty values as ''
+ * @param {*} value - String, number or empty value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function csvCell(value, delimiter = ',') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return csvField(typeof value === 'string' ? spreadsheetText(value) : String(value), delimiter);
+}
+
+module.exports = {
+  isFormulaText,
+  spreadsheetText,
+  csvField,
+  csvCell
+};
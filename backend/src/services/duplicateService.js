@@ -0,0 +1,174 @@
+/**
+ * Duplicate invoice detection
+ * Uploads are fingerprinted with a SHA-256 of the file bytes and a perceptual hash of the image,
+ * and invoices are compared on supplier, invoice number and date before saving.
+ */
+const crypto = require('crypto');
+const sharp = require('sharp');
+const moment = require('moment');
+const { Op, fn, col, where } = require('sequelize');
+const { ProcessedInvoice } = require('../models');
+
+// Maximum number of differing bits for two images to count as the same invoice
+const PHASH_MAX_DISTANCE = parseInt(process.env.DUPLICATE_PHASH_MAX_DISTANCE, 10) || 6;
+
+// Fields returned for every duplicate
+const INVOICE_ATTRIBUTES = ['id', 'invoice_number', 'supplier_name', 'invoice_date', 'created_at'];
+
+/**
+ * Compute the perceptual (difference) hash of an image
+ * The image is shrunk to 9x8 grayscale and every bit records whether a pixel is brighter than its right neighbour,
+ * so re-encoding, resizing or small lighting changes keep the hash (almost) the same.
+ * @param {Buffer} buffer - The image
+ * @returns {Promise<string>} - 64-bit hash as 16 hex characters
+ */
+async function perceptualHash(buffer) {
+  const { data } = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (data[y * 9 + x] > data[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - Hash as hex
+ * @param {string} b - Hash as hex
+ * @returns {number} - Hamming distance
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Fingerprint an uploaded file
+ * @param {Buffer} buffer - The file contents
+ * @param {string} mimetype - MIME type of the file
+ * @returns {Promise<object>} - { contentHash, perceptualHash }, perceptualHash is null for non-images
+ */
+async function computeFileHashes(buffer, mimetype) {
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  let imageHash = null;
+
+  if (mimetype && mimetype.startsWith('image/')) {
+    try {
+      imageHash = await perceptualHash(buffer);
+    } catch (error) {
+      console.error('Error computing perceptual hash:', error.message);
+    }
+  }
+
+  return { contentHash, perceptualHash: imageHash };
+}
+
+// Add a match to the list, keeping one entry per invoice with all the reasons it matched
+function addMatch(matches, invoice, match) {
+  let entry = matches.get(invoice.id);
+  if (!entry) {
+    entry = {
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      supplier_name: invoice.supplier_name,
+      invoice_date: invoice.invoice_date,
+      created_at: invoice.created_at,
+      matches: []
+    };
+    matches.set(invoice.id, entry);
+  }
+  entry.matches.push(match);
+}
+
+/**
+ * Find saved invoices that are likely duplicates
+ * @param {object} criteria - What to compare
+ * @param {string} criteria.contentHash - SHA-256 of the file
+ * @param {string} criteria.perceptualHash - Perceptual hash of the image
+ * @param {string} criteria.supplierName - Supplier name
+ * @param {string} criteria.invoiceNumber - Invoice number as printed on the invoice
+ * @param {Date} criteria.invoiceDate - Invoice date
+ * @returns {Promise<Array<object>>} - Duplicates with the list of matches
+ *   ({ type: 'exact_file' | 'similar_image' | 'same_invoice', distance }) for each invoice
+ */
+async function findDuplicateInvoices({ contentHash, perceptualHash: imageHash, supplierName, invoiceNumber, invoiceDate }) {
+  const matches = new Map();
+
+  if (contentHash) {
+    const sameFile = await ProcessedInvoice.findAll({
+      where: { content_hash: contentHash },
+      attributes: INVOICE_ATTRIBUTES
+    });
+    sameFile.forEach(invoice => addMatch(matches, invoice, { type: 'exact_file' }));
+  }
+
+  if (imageHash) {
+    const withHash = await ProcessedInvoice.findAll({
+      where: { perceptual_hash: { [Op.ne]: null } },
+      attributes: [...INVOICE_ATTRIBUTES, 'perceptual_hash']
+    });
+    for (const invoice of withHash) {
+      const distance = hammingDistance(imageHash, invoice.perceptual_hash);
+      // Invoices already matched on the exact file do not need a second match
+      if (distance <= PHASH_MAX_DISTANCE && !matches.has(invoice.id)) {
+        addMatch(matches, invoice, { type: 'similar_image', distance });
+      }
+    }
+  }
+
+  if (supplierName && invoiceNumber) {
+    const conditions = [
+      where(fn('lower', col('supplier_name')), supplierName.trim().toLowerCase()),
+      {
+        [Op.or]: [
+          { invoice_number: invoiceNumber },
+          // Earlier saves of the same number were stored with a -2, -3, ... suffix
+          { invoice_number: { [Op.like]: `${invoiceNumber}-%` } }
+        ]
+      }
+    ];
+
+    if (invoiceDate) {
+      conditions.push({
+        invoice_date: {
+          [Op.between]: [
+            moment(invoiceDate).startOf('day').toDate(),
+            moment(invoiceDate).endOf('day').toDate()
+          ]
+        }
+      });
+    }
+
+    const sameInvoice = await ProcessedInvoice.findAll({
+      where: { [Op.and]: conditions },
+      attributes: INVOICE_ATTRIBUTES
+    });
+    sameInvoice
+      .filter(invoice => invoice.invoice_number === invoiceNumber || /^-\d+$/.test(invoice.invoice_number.slice(invoiceNumber.length)))
+      .forEach(invoice => addMatch(matches, invoice, { type: 'same_invoice' }));
+  }
+
+  return Array.from(matches.values());
+}
+
+module.exports = {
+  computeFileHashes,
+  perceptualHash,
+  hammingDistance,
+  findDuplicateInvoices,
+  PHASH_MAX_DISTANCE
+};
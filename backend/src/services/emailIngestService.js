@@ -0,0 +1,250 @@
+/**
+ * Email ingestion
+ * Reads RFC 822 messages, from an uploaded .eml file or a local Maildir, and queues their PDF and image attachments
+ * as one batch per message. The sender, subject and received date travel with every job and end up on RawOCRData
+ * when the invoice is saved. The sender is matched to a known supplier before OCR runs.
+ */
+const path = require('path');
+const fs = require('fs');
+const { simpleParser } = require('mailparser');
+const { Op, fn, col, where } = require('sequelize');
+const { ProcessedInvoice, RawOCRData } = require('../models');
+const batchService = require('./batchService');
+const { normalizeName } = require('./supplierService');
+
+// Maildir to poll; polling is off when it is not set
+const MAILDIR_PATH = process.env.MAILDIR_PATH ? path.resolve(process.env.MAILDIR_PATH) : null;
+// Time between two polls of the Maildir
+const POLL_INTERVAL_MS = parseInt(process.env.MAILDIR_POLL_INTERVAL_MS, 10) || 60000;
+
+// Source recorded on the jobs and batches created from email
+const SOURCE = 'email';
+
+// Mail providers shared by many senders, their domain says nothing about the supplier
+const FREE_MAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'yahoo.co.id', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'ymail.com'];
+
+let timer = null;
+let polling = false;
+
+// Most frequent supplier name among saved invoices, or null
+function mostFrequent(names) {
+  const counts = new Map();
+  for (const name of names.filter(Boolean)) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  let best = null;
+  for (const [name, count] of counts) {
+    if (!best || count > best.count) {
+      best = { name, count };
+    }
+  }
+  return best ? best.name : null;
+}
+
+// Supplier names of saved invoices that came from matching senders
+async function suppliersFromSenders(condition) {
+  const rows = await RawOCRData.findAll({
+    where: { [Op.and]: [condition, { processed_invoice_id: { [Op.ne]: null } }] },
+    attributes: ['processed_invoice_id'],
+    include: [{ model: ProcessedInvoice, as: 'processed_invoice', attributes: ['supplier_name'] }],
+    order: [['created_at', 'DESC']],
+    limit: 50
+  });
+  return rows.map(row => row.processed_invoice && row.processed_invoice.supplier_name);
+}
+
+/**
+ * Match a sender to a known supplier
+ * Tried in order: earlier invoices from the same address, earlier invoices from the same company domain,
+ * and a supplier name that appears in the display name or domain of the sender.
+ * @param {string} address - Sender address
+ * @param {string} displayName - Sender display name
+ * @returns {Promise<object|null>} - { supplier_name, match_type } or null when no supplier matches
+ */
+async function matchSupplier(address, displayName) {
+  if (!address) {
+    return null;
+  }
+
+  const email = address.toLowerCase();
+  const domain = email.split('@')[1] || '';
+
+  const byAddress = mostFrequent(await suppliersFromSenders(where(fn('lower', col('email_from')), email)));
+  if (byAddress) {
+    return { supplier_name: byAddress, match_type: 'sender_address' };
+  }
+
+  const companyDomain = domain && !FREE_MAIL_DOMAINS.includes(domain);
+  if (companyDomain) {
+    const byDomain = mostFrequent(await suppliersFromSenders(where(fn('lower', col('email_from')), { [Op.like]: `%@${domain}` })));
+    if (byDomain) {
+      return { supplier_name: byDomain, match_type: 'sender_domain' };
+    }
+  }
+
+  const candidates = [normalizeName(displayName)];
+  if (companyDomain) {
+    // Name part of the domain, e.g. "suksessejati" for billing@suksessejati.co.id
+    candidates.push(normalizeName(domain.split('.')[0]));
+  }
+
+  const suppliers = await ProcessedInvoice.findAll({
+    attributes: [[fn('DISTINCT', col('supplier_name')), 'supplier_name']],
+    where: { supplier_name: { [Op.ne]: null } },
+    raw: true
+  });
+
+  for (const { supplier_name: supplierName } of suppliers) {
+    const normalized = normalizeName(supplierName);
+    // Very short names would match almost any sender
+    if (normalized.length >= 4 && candidates.some(candidate => candidate && candidate.includes(normalized))) {
+      return { supplier_name: supplierName, match_type: 'sender_name' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Queue the PDF and image attachments of one message
+ * @param {Buffer|string} raw - The RFC 822 message
+ * @param {object} options - { origin } describing where the message was read from, e.g. the .eml file name
+ * @returns {Promise<object>} - { batchId, email, jobs, rejected }, batchId is null when no attachment was queued
+ */
+async function ingestMessage(raw, { origin } = {}) {
+  const message = await simpleParser(raw, { skipHtmlToText: true, skipTextToHtml: true, skipTextLinks: true });
+
+  const sender = message.from && message.from.value && message.from.value[0];
+  const email = {
+    from: sender ? sender.address : null,
+    from_name: sender ? sender.name || null : null,
+    subject: message.subject || null,
+    received_at: (message.date || new Date()).toISOString(),
+    message_id: message.messageId || null,
+    origin: origin || null
+  };
+  email.supplier_match = await matchSupplier(email.from, email.from_name);
+
+  // Inline images such as logos and signatures are not invoices
+  const attachments = message.attachments.filter(attachment => attachment.contentDisposition !== 'inline' || !attachment.related);
+  const files = attachments.map((attachment, index) => ({
+    originalname: attachment.filename || `attachment-${index + 1}`,
+    mimetype: attachment.contentType,
+    buffer: attachment.content,
+    size: attachment.size
+  }));
+
+  const logPrefix = `[Email${email.message_id ? `:${email.message_id}` : ''}]`;
+
+  if (files.length === 0) {
+    console.log(`${logPrefix} No attachments in message "${email.subject}" from ${email.from}`);
+    return { batchId: null, email, jobs: [], rejected: [] };
+  }
+
+  const { batch, jobs, rejected } = await batchService.createBatch(files, {
+    source: SOURCE,
+    name: (email.subject || `Email from ${email.from}`).substring(0, 255),
+    sourceDetails: email
+  });
+
+  console.log(`${logPrefix} Queued ${jobs.length} attachment(s) from ${email.from}, ${rejected.length} rejected` +
+    (email.supplier_match ? `, supplier ${email.supplier_match.supplier_name} (${email.supplier_match.match_type})` : ''));
+
+  return { batchId: batch ? batch.id : null, email, jobs, rejected };
+}
+
+/**
+ * Fields recorded on RawOCRData for an invoice that was read from an email attachment
+ * @param {object} job - The OCR job, with source and source_details
+ * @returns {object} - The fields, empty when the job did not come from email
+ */
+function rawDataFields(job) {
+  if (!job || job.source !== SOURCE || !job.source_details) {
+    return {};
+  }
+
+  const details = job.source_details;
+  return {
+    email_from: details.from,
+    email_subject: details.subject ? details.subject.substring(0, 500) : null,
+    email_received_at: details.received_at,
+    matched_supplier_name: details.supplier_match ? details.supplier_match.supplier_name : null
+  };
+}
+
+/**
+ * Read the new messages of the Maildir once
+ * Every message in new/ is ingested and moved to cur/ with the Seen flag; messages that cannot be read stay in new/.
+ * @returns {Promise<object>} - { messages, jobs } counts
+ */
+async function pollMaildir() {
+  const summary = { messages: 0, jobs: 0 };
+
+  if (!MAILDIR_PATH || polling) {
+    return summary;
+  }
+  polling = true;
+
+  try {
+    const newDir = path.join(MAILDIR_PATH, 'new');
+    const curDir = path.join(MAILDIR_PATH, 'cur');
+    await fs.promises.mkdir(newDir, { recursive: true });
+    await fs.promises.mkdir(curDir, { recursive: true });
+
+    for (const name of await fs.promises.readdir(newDir)) {
+      if (name.startsWith('.')) {
+        continue;
+      }
+
+      const messagePath = path.join(newDir, name);
+      try {
+        const result = await ingestMessage(await fs.promises.readFile(messagePath), { origin: `maildir:${name}` });
+        await fs.promises.rename(messagePath, path.join(curDir, `${name.split(':')[0]}:2,S`));
+        summary.messages++;
+        summary.jobs += result.jobs.length;
+      } catch (error) {
+        console.error(`[Email] Unable to ingest ${messagePath}:`, error.message);
+      }
+    }
+  } finally {
+    polling = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Start polling the Maildir if MAILDIR_PATH is set
+ * @returns {boolean} - True when polling was started
+ */
+function start() {
+  if (!MAILDIR_PATH || timer) {
+    return false;
+  }
+
+  timer = setInterval(() => {
+    pollMaildir().catch(error => console.error('[Email] Unexpected Maildir error:', error));
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+
+  console.log(`[Email] Polling Maildir ${MAILDIR_PATH} every ${POLL_INTERVAL_MS / 1000}s`);
+  return true;
+}
+
+// Stop polling the Maildir
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  ingestMessage,
+  matchSupplier,
+  rawDataFields,
+  pollMaildir,
+  start,
+  stop,
+  SOURCE
+};
@@ -0,0 +1,177 @@
+/**
+ * Export profiles
+ * A profile names the columns of the invoice and line exports and their titles, so an export matches the import
+ * layout of an accounting system, together with the CSV delimiter, decimal separator and date format it expects.
+ */
+const Joi = require('joi');
+const { UniqueConstraintError } = require('sequelize');
+const { ExportProfile } = require('../models');
+const { HEADER_FIELDS, LINE_FIELDS, DEFAULT_PROFILE } = require('./invoiceExportService');
+
+// Columns of one level: a known field and the title written above it
+const columnsSchema = (fields) => Joi.array().items(Joi.object({
+  field: Joi.string().valid(...Object.keys(fields)).required(),
+  title: Joi.string().trim().max(100).allow('', null)
+})).min(1).max(100);
+
+const profileSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().allow('', null),
+  header_columns: columnsSchema(HEADER_FIELDS),
+  line_columns: columnsSchema(LINE_FIELDS),
+  delimiter: Joi.string().min(1).max(5).pattern(/^[^"\r\n]+$/).messages({
+    'string.pattern.base': 'delimiter cannot contain quotes or line breaks'
+  }),
+  decimal_separator: Joi.string().valid('.', ','),
+  date_format: Joi.string().max(20).pattern(/^(?=.*D)(?=.*M)(?=.*Y)[DMY/.\- ]+$/).messages({
+    'string.pattern.base': 'date_format must be a date format such as DD/MM/YYYY'
+  })
+});
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check a profile sent by a client
+ * @param {object} body - The request body
+ * @param {boolean} partial - True for updates, where every field is optional
+ * @returns {string|null} - Error message, or null when the profile is valid
+ */
+function validateProfile(body, partial = false) {
+  const schema = partial ? profileSchema : profileSchema.fork(['name', 'header_columns', 'line_columns'], field => field.required());
+  const { error } = schema.validate(body, { errors: { wrap: { label: false } } });
+  if (error) {
+    return error.details[0].message;
+  }
+  // Updates are checked against the stored profile by updateProfile
+  if (!partial && (body.delimiter || ',') === (body.decimal_separator || '.')) {
+    return 'delimiter and decimal_separator must differ';
+  }
+  return null;
+}
+
+// Fields of a valid request as stored, with column titles defaulting to the field name
+function profileValues(body) {
+  const values = {};
+  for (const field of ['name', 'description', 'delimiter', 'decimal_separator', 'date_format']) {
+    if (body[field] !== undefined) {
+      values[field] = typeof body[field] === 'string' && field !== 'delimiter' ? body[field].trim() || null : body[field];
+    }
+  }
+  for (const field of ['header_columns', 'line_columns']) {
+    if (body[field] !== undefined) {
+      values[field] = body[field].map(column => ({ field: column.field, title: (column.title || '').trim() || column.field }));
+    }
+  }
+  return values;
+}
+
+// Save a profile, refusing a name another profile has
+async function saveProfile(save, name) {
+  try {
+    return await save();
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw httpError(`An export profile named ${name} already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fields that can be exported, per level, with the columns of the default profile
+ * @returns {object} - { header: [{ field, label, type }], lines: [...], default_profile }
+ */
+function exportFields() {
+  const list = (fields) => Object.entries(fields).map(([field, { label, type }]) => ({ field, label, type }));
+  return { header: list(HEADER_FIELDS), lines: list(LINE_FIELDS), default_profile: DEFAULT_PROFILE };
+}
+
+/**
+ * All export profiles by name
+ * @returns {Promise<Array<object>>}
+ */
+async function listProfiles() {
+  return ExportProfile.findAll({ order: [['name', 'ASC']] });
+}
+
+/**
+ * One export profile
+ * @param {number} id - Profile ID
+ * @returns {Promise<object>}
+ * @throws {Error} - With statusCode 404 when there is no such profile
+ */
+async function getProfile(id) {
+  const profile = await ExportProfile.findByPk(id);
+  if (!profile) {
+    throw httpError('Export profile not found', 404);
+  }
+  return profile;
+}
+
+/**
+ * Profile an export uses: the given one, or the default profile when none is named
+ * @param {*} id - Profile ID from a request, or empty
+ * @returns {Promise<object>}
+ */
+async function resolveProfile(id) {
+  if (id === undefined || id === null || id === '') {
+    return DEFAULT_PROFILE;
+  }
+  const profileId = Number(id);
+  if (!Number.isInteger(profileId) || profileId <= 0) {
+    throw httpError('profile_id must be a positive integer', 400);
+  }
+  return (await getProfile(profileId)).toJSON();
+}
+
+/**
+ * Create an export profile
+ * @param {object} data - Fields of the profile, checked with validateProfile
+ * @returns {Promise<object>}
+ */
+async function createProfile(data) {
+  const values = profileValues(data);
+  return saveProfile(() => ExportProfile.create(values), values.name);
+}
+
+/**
+ * Update an export profile
+ * @param {number} id - Profile ID
+ * @param {object} data - Fields to change, checked with validateProfile
+ * @returns {Promise<object>}
+ */
+async function updateProfile(id, data) {
+  const profile = await getProfile(id);
+  const values = profileValues(data);
+  const delimiter = values.delimiter !== undefined ? values.delimiter : profile.delimiter;
+  const decimalSeparator = values.decimal_separator !== undefined ? values.decimal_separator : profile.decimal_separator;
+  if (delimiter === decimalSeparator) {
+    throw httpError('delimiter and decimal_separator must differ', 400);
+  }
+  return saveProfile(() => profile.update(values), values.name);
+}
+
+/**
+ * Delete an export profile
+ * @param {number} id - Profile ID
+ */
+async function deleteProfile(id) {
+  const profile = await getProfile(id);
+  await profile.destroy();
+}
+
+module.exports = {
+  validateProfile,
+  exportFields,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
@@ -0,0 +1,264 @@
+/**
+ * Hot-folder ingestion
+ * Polls a directory the scanner writes to and queues every new matching file once its size stops changing.
+ * Files move to the done/ or failed/ subfolder when their job finishes.
+ */
+const path = require('path');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { OCRJob } = require('../models');
+const queueService = require('./queueService');
+const duplicateService = require('./duplicateService');
+const { detectDocumentType } = require('./batchService');
+
+// Directory to watch; the watcher is off when it is not set
+const HOT_FOLDER_PATH = process.env.HOT_FOLDER_PATH ? path.resolve(process.env.HOT_FOLDER_PATH) : null;
+// Comma separated file name patterns, * and ? are supported
+const HOT_FOLDER_PATTERNS = (process.env.HOT_FOLDER_PATTERNS || '*.pdf,*.jpg,*.jpeg,*.png')
+  .split(',')
+  .map(pattern => pattern.trim())
+  .filter(Boolean);
+// Time between two scans of the directory
+const POLL_INTERVAL_MS = parseInt(process.env.HOT_FOLDER_POLL_INTERVAL_MS, 10) || 10000;
+
+// Source recorded on the jobs created from the hot folder
+const SOURCE = 'scanner';
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+
+// Size and modification time of each file at the previous scan, by path
+const lastSeen = new Map();
+// Files whose job has not finished yet
+const inFlight = new Set();
+
+let timer = null;
+let scanning = false;
+let unsubscribe = null;
+
+// Turn a file name pattern into a case-insensitive regular expression
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const PATTERN_EXPRESSIONS = HOT_FOLDER_PATTERNS.map(patternToRegExp);
+
+// Check whether a file name matches one of the configured patterns
+function matchesPattern(filename) {
+  return PATTERN_EXPRESSIONS.some(expression => expression.test(filename));
+}
+
+/**
+ * Move a file into a subfolder of the hot folder, adding a timestamp when the name is taken
+ * @param {string} filePath - The file to move
+ * @param {string} subfolder - done or failed
+ * @returns {Promise<string>} - The new path
+ */
+async function moveTo(filePath, subfolder) {
+  const directory = path.join(HOT_FOLDER_PATH, subfolder);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  let target = path.join(directory, path.basename(filePath));
+  if (fs.existsSync(target)) {
+    const extension = path.extname(filePath);
+    target = path.join(directory, `${path.basename(filePath, extension)}-${Date.now()}${extension}`);
+  }
+
+  await fs.promises.rename(filePath, target);
+  return target;
+}
+
+/**
+ * Move the file of a finished job to done/ or failed/ and point the job at the new location
+ * A retried job that completes moves from failed/ to done/.
+ * @param {string} fileId - The job ID
+ * @param {string} status - Final status of the job
+ * @param {string} filePath - Current location of the file
+ */
+async function settleFile(fileId, status, filePath) {
+  const subfolder = status === 'completed' ? DONE_DIR : FAILED_DIR;
+
+  if (!filePath || path.dirname(filePath) === path.join(HOT_FOLDER_PATH, subfolder) || !fs.existsSync(filePath)) {
+    inFlight.delete(filePath);
+    return;
+  }
+
+  try {
+    const target = await moveTo(filePath, subfolder);
+    await OCRJob.update({ file_path: target }, { where: { id: fileId } });
+    console.log(`[HotFolder:${fileId}] Moved ${path.basename(filePath)} to ${subfolder}/`);
+  } catch (error) {
+    console.error(`[HotFolder:${fileId}] Unable to move ${filePath} to ${subfolder}/:`, error.message);
+  } finally {
+    inFlight.delete(filePath);
+  }
+}
+
+// Settle the file of a scanner job as soon as the job finishes
+function handleStatus(status) {
+  if (status.source !== SOURCE || !['completed', 'error', 'cancelled'].includes(status.status)) {
+    return;
+  }
+
+  settleFile(status.id, status.status, status.fileInfo.path).catch(error => {
+    console.error(`[HotFolder:${status.id}] Unexpected error:`, error);
+  });
+}
+
+/**
+ * Queue a stable file of the hot folder
+ * The MIME type is detected from the extension and checked against the content, and the file is fingerprinted and
+ * checked against saved invoices the same way as an upload. A file that is not a supported document moves to failed/.
+ * @param {string} filePath - The file to queue
+ * @param {string} filename - Its name
+ * @returns {Promise<string|null>} - The job ID, or null when the file was rejected
+ */
+async function queueScannedFile(filePath, filename) {
+  const buffer = await fs.promises.readFile(filePath);
+  const { mimetype, reason } = detectDocumentType(filename, buffer);
+  if (reason) {
+    await moveTo(filePath, FAILED_DIR);
+    console.error(`[HotFolder] Moved ${filename} to ${FAILED_DIR}/: ${reason}`);
+    return null;
+  }
+
+  const fingerprint = await duplicateService.computeFileHashes(buffer, mimetype);
+  const duplicates = await duplicateService.findDuplicateInvoices(fingerprint);
+
+  const fileId = await queueService.queueFile(filePath, filename, { source: SOURCE, mimetype, fingerprint });
+  console.log(`[HotFolder:${fileId}] Queued ${filename} (${buffer.length} bytes)`);
+  if (duplicates.length > 0) {
+    console.log(`[HotFolder:${fileId}] File looks like ${duplicates.length} saved invoice(s): ${duplicates.map(d => d.invoice_number).join(', ')}`);
+  }
+
+  return fileId;
+}
+
+/**
+ * Scan the hot folder once
+ * A file is queued when it matches a pattern and its size and modification time did not change since the previous scan,
+ * so files that are still being written are left alone.
+ */
+async function scan() {
+  if (scanning) {
+    return;
+  }
+  scanning = true;
+
+  try {
+    const entries = await fs.promises.readdir(HOT_FOLDER_PATH, { withFileTypes: true });
+    const present = new Set();
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !matchesPattern(entry.name)) {
+        continue;
+      }
+
+      const filePath = path.join(HOT_FOLDER_PATH, entry.name);
+      present.add(filePath);
+
+      if (inFlight.has(filePath)) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        // Removed between readdir and stat
+        continue;
+      }
+
+      const previous = lastSeen.get(filePath);
+      lastSeen.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+
+      if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs || stats.size === 0) {
+        continue;
+      }
+
+      inFlight.add(filePath);
+      lastSeen.delete(filePath);
+
+      try {
+        if (!await queueScannedFile(filePath, entry.name)) {
+          inFlight.delete(filePath);
+        }
+      } catch (error) {
+        inFlight.delete(filePath);
+        console.error(`[HotFolder] Unable to queue ${entry.name}:`, error.message);
+      }
+    }
+
+    // Forget files that disappeared before they were stable
+    for (const filePath of lastSeen.keys()) {
+      if (!present.has(filePath)) {
+        lastSeen.delete(filePath);
+      }
+    }
+  } catch (error) {
+    console.error(`[HotFolder] Unable to scan ${HOT_FOLDER_PATH}:`, error.message);
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Start watching the hot folder if HOT_FOLDER_PATH is set
+ * Files of jobs that are still running are not queued again, and jobs that finished while the server was down are settled.
+ * @returns {Promise<boolean>} - True when the watcher was started
+ */
+async function start() {
+  if (!HOT_FOLDER_PATH || timer) {
+    return false;
+  }
+
+  await fs.promises.mkdir(HOT_FOLDER_PATH, { recursive: true });
+
+  const jobs = await OCRJob.findAll({
+    where: {
+      source: SOURCE,
+      file_path: { [Op.like]: `${HOT_FOLDER_PATH}${path.sep}%` }
+    },
+    attributes: ['id', 'status', 'file_path']
+  });
+
+  for (const job of jobs) {
+    if (['queued', 'processing'].includes(job.status)) {
+      inFlight.add(job.file_path);
+    } else if (path.dirname(job.file_path) === HOT_FOLDER_PATH) {
+      await settleFile(job.id, job.status, job.file_path);
+    }
+  }
+
+  unsubscribe = queueService.subscribe(handleStatus);
+  timer = setInterval(() => {
+    scan().catch(error => console.error('[HotFolder] Unexpected scan error:', error));
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+
+  console.log(`[HotFolder] Watching ${HOT_FOLDER_PATH} for ${HOT_FOLDER_PATTERNS.join(', ')} every ${POLL_INTERVAL_MS / 1000}s`);
+  return true;
+}
+
+// Stop watching the hot folder
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  scan,
+  matchesPattern,
+  SOURCE
+};
@@ -0,0 +1,326 @@
+/**
+ * Image preprocessing applied to invoice photos before they are sent to OCR
+ * Steps: EXIF auto-orient, grayscale, normalize, deskew, crop to the page border and downscale
+ */
+const sharp = require('sharp');
+
+// Enable or disable preprocessing for all jobs
+const PREPROCESSING_ENABLED = process.env.OCR_PREPROCESSING !== 'false';
+// Steps that are applied, in pipeline order
+const ALL_STEPS = ['orient', 'grayscale', 'normalize', 'deskew', 'crop', 'resize'];
+const PREPROCESSING_STEPS = process.env.OCR_PREPROCESSING_STEPS
+  ? process.env.OCR_PREPROCESSING_STEPS.split(',').map(step => step.trim()).filter(Boolean)
+  : ALL_STEPS;
+// Resolution the page is downscaled to, assuming an A4 page
+const TARGET_DPI = parseInt(process.env.OCR_TARGET_DPI, 10) || 300;
+const A4_LONG_SIDE_INCHES = 11.69;
+// Largest skew angle in degrees that deskew looks for
+const MAX_SKEW_ANGLE = parseFloat(process.env.OCR_MAX_SKEW_ANGLE) || 10;
+
+// Width of the small image used to detect skew and the page border
+const ANALYSIS_WIDTH = 800;
+// Skew smaller than this is left alone
+const MIN_SKEW_ANGLE = 0.3;
+const SKEW_STEP = 0.25;
+
+// Create a sharp instance from raw pixels
+function fromRaw({ data, info }) {
+  return sharp(data, {
+    raw: { width: info.width, height: info.height, channels: info.channels }
+  });
+}
+
+// Render a small grayscale copy of the image for analysis
+async function analysisImage(image) {
+  return fromRaw(image)
+    .grayscale()
+    .normalize()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Otsu threshold of a grayscale pixel buffer
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) {
+    histogram[value]++;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 256; i++) {
+    sum += i * histogram[i];
+  }
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 128;
+
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+
+    const weightForeground = pixels.length - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = i;
+    }
+  }
+
+  return threshold;
+}
+
+// Average gray value of the image border, used to fill the corners uncovered by deskew
+function borderColor({ data, info }) {
+  const { width, height } = info;
+  let sum = 0;
+  let count = 0;
+
+  for (let x = 0; x < width; x++) {
+    sum += data[x] + data[(height - 1) * width + x];
+    count += 2;
+  }
+  for (let y = 0; y < height; y++) {
+    sum += data[y * width] + data[y * width + width - 1];
+    count += 2;
+  }
+
+  const value = Math.round(sum / count);
+  return { r: value, g: value, b: value, alpha: 1 };
+}
+
+/**
+ * Estimate the skew of text lines with a projection profile
+ * Stroke edges are sheared by each candidate angle; the angle that packs them into the fewest rows wins.
+ * @param {object} analysis - Grayscale analysis image as { data, info }
+ * @returns {number} - Skew angle in degrees, positive when lines slope down to the right
+ */
+function estimateSkew({ data, info }) {
+  const { width, height } = info;
+  const threshold = otsuThreshold(data);
+
+  // Collect the top edges of dark strokes once, so large dark areas such as the background do not count
+  const xs = [];
+  const ys = [];
+  for (let y = 1; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold && data[(y - 1) * width + x] >= threshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+
+  if (xs.length === 0) {
+    return 0;
+  }
+
+  const offset = Math.ceil(width * Math.tan(MAX_SKEW_ANGLE * Math.PI / 180));
+  const rows = new Float64Array(height + offset * 2 + 1);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -MAX_SKEW_ANGLE; angle <= MAX_SKEW_ANGLE; angle += SKEW_STEP) {
+    const slope = Math.tan(angle * Math.PI / 180);
+    rows.fill(0);
+
+    for (let i = 0; i < xs.length; i++) {
+      rows[Math.round(ys[i] - xs[i] * slope) + offset]++;
+    }
+
+    let score = 0;
+    for (const count of rows) {
+      score += count * count;
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
+
+/**
+ * Find the page in a photo by looking for the bright region surrounded by darker background
+ * @param {object} analysis - Grayscale analysis image as { data, info }
+ * @returns {object|null} - Page box as fractions { left, top, width, height }, or null when no border was found
+ */
+function findPageBox({ data, info }) {
+  const { width, height } = info;
+  const threshold = otsuThreshold(data);
+  const isBright = (x, y) => data[y * width + x] >= threshold;
+
+  // First and last index whose bright count is at least half of the brightest line
+  const pageExtent = counts => {
+    const limit = Math.max(...counts) / 2;
+    const start = counts.findIndex(count => count > 0 && count >= limit);
+    let end = counts.length - 1;
+    while (end > start && counts[end] < limit) end--;
+    return start === -1 ? null : [start, end];
+  };
+
+  const rowCounts = new Array(height).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isBright(x, y)) rowCounts[y]++;
+    }
+  }
+
+  const rows = pageExtent(rowCounts);
+  if (!rows) {
+    return null;
+  }
+  const [top, bottom] = rows;
+
+  const columnCounts = new Array(width).fill(0);
+  for (let x = 0; x < width; x++) {
+    for (let y = top; y <= bottom; y++) {
+      if (isBright(x, y)) columnCounts[x]++;
+    }
+  }
+
+  const columns = pageExtent(columnCounts);
+  if (!columns) {
+    return null;
+  }
+  const [left, right] = columns;
+  const box = {
+    left: left / width,
+    top: top / height,
+    width: (right - left + 1) / width,
+    height: (bottom - top + 1) / height
+  };
+  const area = box.width * box.height;
+
+  // Skip tiny boxes (probably not a page) and boxes that are already the whole image
+  if (area < 0.2 || area > 0.95) {
+    return null;
+  }
+
+  return box;
+}
+
+/**
+ * Check whether preprocessing applies to a file
+ * @param {string} mimetype - MIME type of the file
+ * @param {string} filename - Original name of the file
+ * @returns {boolean} - True if the file is an image that should be preprocessed
+ */
+function shouldPreprocess(mimetype, filename) {
+  if (!PREPROCESSING_ENABLED || PREPROCESSING_STEPS.length === 0) {
+    return false;
+  }
+
+  if (mimetype) {
+    return mimetype.startsWith('image/');
+  }
+
+  return /\.(jpe?g|png|gif|bmp|webp|tiff?)$/i.test(filename || '');
+}
+
+/**
+ * Run the preprocessing pipeline on an image
+ * @param {Buffer} buffer - The original image
+ * @param {object} options - Pipeline options
+ * @param {Array<string>} options.steps - Steps to apply, defaults to OCR_PREPROCESSING_STEPS
+ * @param {number} options.targetDpi - Resolution to downscale to, defaults to OCR_TARGET_DPI
+ * @returns {Promise<object>} - The processed PNG as { buffer, mimetype, info }
+ */
+async function preprocessImage(buffer, { steps = PREPROCESSING_STEPS, targetDpi = TARGET_DPI } = {}) {
+  const enabled = new Set(steps);
+  const unknown = steps.filter(step => !ALL_STEPS.includes(step));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown preprocessing step(s): ${unknown.join(', ')}`);
+  }
+
+  const metadata = await sharp(buffer).metadata();
+  const info = {
+    steps: [],
+    originalWidth: metadata.width,
+    originalHeight: metadata.height,
+    skewAngle: 0,
+    crop: null
+  };
+
+  // Decode once, every later step works on raw pixels
+  let pipeline = sharp(buffer);
+  if (enabled.has('orient')) {
+    pipeline = pipeline.rotate(); // Without an angle sharp rotates according to the EXIF orientation
+    info.steps.push('orient');
+  }
+  if (enabled.has('grayscale')) {
+    pipeline = pipeline.grayscale();
+    info.steps.push('grayscale');
+  }
+  let image = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+  if (enabled.has('deskew')) {
+    const analysis = await analysisImage(image);
+    const angle = estimateSkew(analysis);
+    if (Math.abs(angle) >= MIN_SKEW_ANGLE) {
+      // Fill the uncovered corners with the background so the page border can still be found
+      image = await fromRaw(image)
+        .rotate(-angle, { background: borderColor(analysis) })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      info.skewAngle = angle;
+      info.steps.push('deskew');
+    }
+  }
+
+  if (enabled.has('crop')) {
+    const box = findPageBox(await analysisImage(image));
+    if (box) {
+      const { width, height } = image.info;
+      const crop = {
+        left: Math.floor(box.left * width),
+        top: Math.floor(box.top * height),
+        width: Math.min(Math.ceil(box.width * width), width - Math.floor(box.left * width)),
+        height: Math.min(Math.ceil(box.height * height), height - Math.floor(box.top * height))
+      };
+      image = await fromRaw(image).extract(crop).raw().toBuffer({ resolveWithObject: true });
+      info.crop = crop;
+      info.steps.push('crop');
+    }
+  }
+
+  let output = fromRaw(image);
+  if (enabled.has('normalize')) {
+    output = output.normalize();
+    info.steps.push('normalize');
+  }
+  if (enabled.has('resize')) {
+    const maxSide = Math.round(targetDpi * A4_LONG_SIDE_INCHES);
+    if (Math.max(image.info.width, image.info.height) > maxSide) {
+      output = output.resize({ width: maxSide, height: maxSide, fit: 'inside' });
+      info.steps.push('resize');
+    }
+  }
+
+  const result = await output.png().toBuffer({ resolveWithObject: true });
+  info.width = result.info.width;
+  info.height = result.info.height;
+
+  return {
+    buffer: result.data,
+    mimetype: 'image/png',
+    info
+  };
+}
+
+module.exports = {
+  shouldPreprocess,
+  preprocessImage,
+  estimateSkew,
+  findPageBox
+};
@@ -0,0 +1,479 @@
+/**
+ * Invoice export for accounting
+ * Exports the invoices matching the invoice search filters as CSV (one row per invoice or one row per line), as an
+ * XLSX workbook with an invoice sheet and a line sheet, or as UBL 2.1 Invoice XML. The CSV and XLSX columns come
+ * from an export profile: an ordered list of { field, title } per level, picked from HEADER_FIELDS and LINE_FIELDS.
+ * Lines are exported with the internal product code and name from the product database: the linked product, else
+ * the product of the mapped code, else the product the supplier's code is registered to.
+ */
+const { Op } = require('sequelize');
+const AdmZip = require('adm-zip');
+const moment = require('moment');
+const { ProcessedInvoice, ProductItem, Supplier } = require('../models');
+const { toItemJson, lineTax, invoiceTotals, ITEMS_INCLUDE, ITEM_ORDER } = require('./invoiceItemService');
+const { toNumber } = require('./invoiceValidator');
+const { searchInvoiceIds } = require('./invoiceSearchService');
+const { toUblInvoice } = require('./ublInvoiceService');
+const { isFormulaText, spreadsheetText, csvField } = require('./csvWriter');
+
+// Formats an export can be made in
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ubl'];
+// Levels of a CSV export
+const CSV_LEVELS = ['header', 'lines'];
+// Most invoices in one export
+const EXPORT_MAX_INVOICES = parseInt(process.env.EXPORT_MAX_INVOICES, 10) || 5000;
+
+// Amount rounded to whole sen
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Supplier name of an invoice: the linked supplier, else the name as printed
+const supplierName = (invoice) => (invoice.supplier && invoice.supplier.name) || invoice.supplier_name;
+
+/**
+ * Fields of the invoice level; value reads the field from { invoice, lines, totals, reference_number }
+ */
+const HEADER_FIELDS = {
+  id: { label: 'ID invoice', type: 'number', value: ({ invoice }) => invoice.id },
+  invoice_number: { label: 'Nomor faktur', type: 'text', value: ({ invoice }) => invoice.invoice_number },
+  document_type: { label: 'Tipe dokumen', type: 'text', value: ({ invoice }) => invoice.document_type },
+  status: { label: 'Status', type: 'text', value: ({ invoice }) => invoice.status },
+  reference_invoice_number: { label: 'Nomor faktur asal', type: 'text', value: (context) => context.reference_number },
+  supplier_code: { label: 'Kode supplier', type: 'text', value: ({ invoice }) => invoice.supplier && invoice.supplier.code },
+  supplier_name: { label: 'Nama supplier', type: 'text', value: ({ invoice }) => supplierName(invoice) },
+  supplier_name_printed: { label: 'Nama supplier di faktur', type: 'text', value: ({ invoice }) => invoice.supplier_name },
+  supplier_npwp: { label: 'NPWP supplier', type: 'text', value: ({ invoice }) => invoice.supplier && invoice.supplier.npwp },
+  invoice_date: { label: 'Tanggal faktur', type: 'date', value: ({ invoice }) => invoice.invoice_date },
+  due_date: { label: 'Jatuh tempo', type: 'date', value: ({ invoice }) => invoice.due_date },
+  payment_type: { label: 'Tipe pembayaran', type: 'text', value: ({ invoice }) => invoice.payment_type },
+  salesman: { label: 'Salesman', type: 'text', value: ({ invoice }) => invoice.salesman },
+  include_tax: { label: 'Harga termasuk PPN', type: 'boolean', value: ({ invoice }) => invoice.include_tax },
+  tax_rate: { label: 'Tarif PPN (%)', type: 'number', value: ({ totals }) => totals.tax_rate },
+  line_count: { label: 'Jumlah baris', type: 'number', value: ({ lines }) => lines.length },
+  gross_amount: { label: 'Bruto', type: 'number', value: ({ totals }) => totals.gross },
+  discount_amount: { label: 'Diskon', type: 'number', value: ({ totals }) => totals.discount },
+  net_amount: { label: 'Jumlah netto', type: 'number', value: ({ totals }) => totals.net },
+  tax_base: { label: 'DPP', type: 'number', value: ({ totals }) => totals.tax_base },
+  tax_amount: { label: 'PPN', type: 'number', value: ({ totals }) => totals.tax },
+  total_amount: { label: 'Total', type: 'number', value: ({ totals }) => totals.total },
+  approved_by: { label: 'Disetujui oleh', type: 'text', value: ({ invoice }) => invoice.approved_by },
+  approved_at: { label: 'Tanggal disetujui', type: 'date', value: ({ invoice }) => invoice.approved_at },
+  posted_at: { label: 'Tanggal diposting', type: 'date', value: ({ invoice }) => invoice.posted_at }
+};
+
+/**
+ * Fields of the line level; value reads the field from { invoice, line } where line is an exportLine
+ */
+const LINE_FIELDS = {
+  invoice_number: { label: 'Nomor faktur', type: 'text', value: ({ invoice }) => invoice.invoice_number },
+  invoice_date: { label: 'Tanggal faktur', type: 'date', value: ({ invoice }) => invoice.invoice_date },
+  supplier_code: { label: 'Kode supplier', type: 'text', value: ({ invoice }) => invoice.supplier && invoice.supplier.code },
+  supplier_name: { label: 'Nama supplier', type: 'text', value: ({ invoice }) => supplierName(invoice) },
+  line_number: { label: 'Baris', type: 'number', value: ({ line }) => line.line_number },
+  internal_code: { label: 'Kode barang internal', type: 'text', value: ({ line }) => line.internal_code },
+  internal_name: { label: 'Nama barang internal', type: 'text', value: ({ line }) => line.internal_name },
+  internal_unit: { label: 'Satuan internal', type: 'text', value: ({ line }) => line.mapped_unit },
+  internal_code_source: {
+    label: 'Asal kode internal (product, mapped_code, supplier_code)',
+    type: 'text',
+    value: ({ line }) => line.internal_code_source
+  },
+  supplier_product_code: { label: 'Kode barang supplier', type: 'text', value: ({ line }) => line.product_code },
+  supplier_product_name: { label: 'Nama barang supplier', type: 'text', value: ({ line }) => line.product_name },
+  quantity: { label: 'Qty', type: 'number', value: ({ line }) => line.quantity },
+  unit: { label: 'Satuan', type: 'text', value: ({ line }) => line.unit },
+  base_quantity: { label: 'Qty satuan internal', type: 'number', value: ({ line }) => line.base_quantity },
+  price: { label: 'Harga satuan', type: 'number', value: ({ line }) => line.price },
+  gross_amount: { label: 'Bruto', type: 'number', value: ({ line }) => line.gross_amount },
+  discount_percent: { label: 'Diskon (%)', type: 'number', value: ({ line }) => line.discount_percent },
+  discount_amount: { label: 'Diskon (Rp)', type: 'number', value: ({ line }) => line.discount_amount },
+  net_amount: { label: 'Jumlah netto', type: 'number', value: ({ line }) => line.total },
+  taxable: { label: 'Kena PPN', type: 'boolean', value: ({ line }) => line.taxable },
+  tax_amount: { label: 'PPN', type: 'number', value: ({ line }) => line.tax },
+  amount_excl_tax: { label: 'Jumlah tanpa PPN', type: 'number', value: ({ line }) => line.amount_excl_tax },
+  amount_incl_tax: { label: 'Jumlah dengan PPN', type: 'number', value: ({ line }) => line.amount_incl_tax }
+};
+
+// Columns exported when no profile is chosen; the titles are the field names
+const DEFAULT_HEADER_COLUMNS = [
+  'invoice_number', 'document_type', 'supplier_code', 'supplier_name', 'supplier_npwp', 'invoice_date', 'due_date',
+  'payment_type', 'tax_base', 'tax_amount', 'total_amount'
+].map(field => ({ field, title: field }));
+const DEFAULT_LINE_COLUMNS = [
+  'invoice_number', 'line_number', 'internal_code', 'internal_name', 'supplier_product_code', 'quantity', 'unit',
+  'internal_unit', 'base_quantity', 'price', 'discount_amount', 'amount_excl_tax', 'tax_amount', 'amount_incl_tax'
+].map(field => ({ field, title: field }));
+
+// Profile used when an export names none
+const DEFAULT_PROFILE = {
+  id: null,
+  name: 'Default',
+  header_columns: DEFAULT_HEADER_COLUMNS,
+  line_columns: DEFAULT_LINE_COLUMNS,
+  delimiter: ',',
+  decimal_separator: '.',
+  date_format: 'YYYY-MM-DD'
+};
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Products of the database the lines of the invoices belong to
+ * @param {Array<object>} invoices - Invoices with supplier_id and their lines as JSON
+ * @returns {Promise<Function>} - Finds the product of a line: (invoice, line) => { product, source } or null
+ */
+async function productLookup(invoices) {
+  const ids = new Set();
+  const codes = new Set();
+  const supplierCodes = new Set();
+  for (const invoice of invoices) {
+    for (const line of invoice.lines) {
+      if (line.product_id) {
+        ids.add(line.product_id);
+      } else if (line.mapped_product_code) {
+        codes.add(line.mapped_product_code);
+      } else if (line.product_code && invoice.supplier_id) {
+        supplierCodes.add(line.product_code);
+      }
+    }
+  }
+
+  const conditions = [];
+  if (ids.size > 0) conditions.push({ ID_Produk: { [Op.in]: [...ids] } });
+  if (codes.size > 0) conditions.push({ Kode_Item: { [Op.in]: [...codes] } });
+  if (supplierCodes.size > 0) conditions.push({ Supplier_Code: { [Op.in]: [...supplierCodes] } });
+  const products = conditions.length > 0
+    ? await ProductItem.findAll({
+      where: { [Op.or]: conditions },
+      attributes: ['ID_Produk', 'Kode_Item', 'Nama_Item', 'Supplier_Code', 'supplier_id']
+    })
+    : [];
+
+  const byId = new Map(products.map(product => [product.ID_Produk, product]));
+  const byCode = new Map(products.map(product => [product.Kode_Item, product]));
+  const bySupplierCode = new Map(products
+    .filter(product => product.Supplier_Code && product.supplier_id)
+    .map(product => [`${product.supplier_id}:${product.Supplier_Code}`, product]));
+
+  return (invoice, line) => {
+    if (line.product_id && byId.has(line.product_id)) {
+      return { product: byId.get(line.product_id), source: 'product' };
+    }
+    if (line.mapped_product_code && byCode.has(line.mapped_product_code)) {
+      return { product: byCode.get(line.mapped_product_code), source: 'mapped_code' };
+    }
+    const key = `${invoice.supplier_id}:${line.product_code}`;
+    if (!line.mapped_product_code && bySupplierCode.has(key)) {
+      return { product: bySupplierCode.get(key), source: 'supplier_code' };
+    }
+    return null;
+  };
+}
+
+/**
+ * Line as exported: the line JSON with its internal product and its amounts with and without PPN
+ * @param {object} invoice - The invoice of the line
+ * @param {object} line - Line as JSON
+ * @param {object|null} match - Result of the product lookup
+ * @returns {object}
+ */
+function exportLine(invoice, line, match) {
+  const total = toNumber(line.total) || 0;
+  const tax = roundMoney(lineTax(invoice, line));
+  return {
+    ...line,
+    internal_code: match ? match.product.Kode_Item : line.mapped_product_code,
+    internal_name: match ? match.product.Nama_Item : line.mapped_product_name,
+    internal_code_source: match ? match.source : (line.mapped_product_code ? 'mapped_code' : null),
+    tax,
+    amount_excl_tax: roundMoney(invoice.include_tax ? total - tax : total),
+    amount_incl_tax: roundMoney(invoice.include_tax ? total : total + tax)
+  };
+}
+
+/**
+ * Load invoices for an export
+ * @param {Array<number>} ids - Invoice IDs, in the order they are exported
+ * @returns {Promise<Array<object>>} - { invoice, lines, totals, reference_number } per invoice
+ */
+async function loadExportInvoices(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const invoices = await ProcessedInvoice.findAll({
+    where: { id: { [Op.in]: ids } },
+    attributes: { exclude: ['image_data'] },
+    include: [
+      ITEMS_INCLUDE,
+      { model: Supplier, as: 'supplier', attributes: ['id', 'code', 'name', 'npwp', 'address'] }
+    ],
+    order: [ITEM_ORDER]
+  });
+  const loaded = invoices.map(invoice => Object.assign(invoice, { lines: invoice.items.map(toItemJson) }));
+
+  const referenceIds = [...new Set(loaded.map(invoice => invoice.reference_invoice_id).filter(Boolean))];
+  const references = referenceIds.length > 0
+    ? await ProcessedInvoice.findAll({ where: { id: { [Op.in]: referenceIds } }, attributes: ['id', 'invoice_number'] })
+    : [];
+  const referenceNumbers = new Map(references.map(reference => [reference.id, reference.invoice_number]));
+
+  const findProduct = await productLookup(loaded);
+  const byId = new Map(loaded.map(invoice => [invoice.id, invoice]));
+
+  return ids.filter(id => byId.has(id)).map(id => {
+    const invoice = byId.get(id);
+    return {
+      invoice,
+      lines: invoice.lines.map(line => exportLine(invoice, line, findProduct(invoice, line))),
+      totals: invoiceTotals(invoice, invoice.lines),
+      reference_number: referenceNumbers.get(invoice.reference_invoice_id) || null
+    };
+  });
+}
+
+/**
+ * Rows of one export level, each cell as { type, value }
+ * @param {Array<object>} exported - Result of loadExportInvoices
+ * @param {Array<object>} columns - Columns of the profile as [{ field, title }]
+ * @param {string} level - header or lines
+ * @returns {object} - { titles, rows }
+ */
+function exportTable(exported, columns, level) {
+  const fields = level === 'header' ? HEADER_FIELDS : LINE_FIELDS;
+  const cells = (context) => columns.map(({ field }) => {
+    const value = fields[field].value(context);
+    return { type: fields[field].type, value: value === undefined || value === '' ? null : value };
+  });
+
+  const rows = level === 'header'
+    ? exported.map(cells)
+    : exported.flatMap(context => context.lines.map(line => cells({ ...context, line })));
+  return { titles: columns.map(column => column.title || column.field), rows };
+}
+
+// Cell value as CSV text in the number and date notation of the profile
+function csvValue(cell, profile) {
+  if (cell.value === null) {
+    return '';
+  }
+  if (cell.type === 'number') {
+    const number = toNumber(cell.value);
+    return number === null ? '' : String(number).replace('.', profile.decimal_separator);
+  }
+  if (cell.type === 'date') {
+    const date = moment.utc(cell.value);
+    return date.isValid() ? date.format(profile.date_format) : '';
+  }
+  if (cell.type === 'boolean') {
+    return cell.value ? '1' : '0';
+  }
+  return spreadsheetText(cell.value);
+}
+
+/**
+ * Export table as CSV
+ * @param {object} table - Result of exportTable
+ * @param {object} profile - Export profile, for the delimiter and the number and date notation
+ * @returns {string}
+ */
+function toCsv(table, profile) {
+  const lines = [
+    table.titles.map(title => csvField(spreadsheetText(title), profile.delimiter)),
+    ...table.rows.map(row => row.map(cell => csvField(csvValue(cell, profile), profile.delimiter)))
+  ];
+  return `${lines.map(fields => fields.join(profile.delimiter)).join('\n')}\n`;
+}
+
+// Text escaped for XML, without the control characters XML does not allow
+function xmlText(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters of a zero-based column index
+function columnName(index) {
+  let name = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Days since 30-12-1899, the way spreadsheets store dates
+function spreadsheetDate(value) {
+  const date = moment.utc(value);
+  return date.isValid() ? (date.valueOf() - Date.UTC(1899, 11, 30)) / 86400000 : null;
+}
+
+// XML of one worksheet; style 1 is the bold title row, style 2 dates
+function worksheetXml(table) {
+  const cellXml = (cell, reference) => {
+    if (cell.value === null) {
+      return '';
+    }
+    if (cell.type === 'number' || cell.type === 'boolean') {
+      const number = cell.type === 'boolean' ? (cell.value ? 1 : 0) : toNumber(cell.value);
+      return number === null ? '' : `<c r="${reference}"><v>${number}</v></c>`;
+    }
+    if (cell.type === 'date') {
+      const serial = spreadsheetDate(cell.value);
+      return serial === null ? '' : `<c r="${reference}" s="2"><v>${serial}</v></c>`;
+    }
+    // quotePrefix keeps formula-like text as text when the cell is edited
+    const style = isFormulaText(cell.value) ? ' s="3"' : '';
+    return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlText(cell.value)}</t></is></c>`;
+  };
+
+  const titleRow = table.titles
+    .map((title, column) => `<c r="${columnName(column)}1" t="inlineStr" s="1"><is><t>${xmlText(title)}</t></is></c>`)
+    .join('');
+  const rows = table.rows.map((row, index) => {
+    const number = index + 2;
+    return `<row r="${number}">${row.map((cell, column) => cellXml(cell, `${columnName(column)}${number}`)).join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData><row r="1">${titleRow}</row>${rows.join('')}</sheetData>`
+    + '</worksheet>';
+}
+
+/**
+ * XLSX workbook with one worksheet per table
+ * Written as plain SpreadsheetML with inline strings, so no spreadsheet library is needed.
+ * @param {Array<object>} sheets - { name, table } per worksheet, table as returned by exportTable
+ * @param {object} profile - Export profile; dates are shown in its date_format
+ * @returns {Buffer}
+ */
+function toXlsx(sheets, profile) {
+  const zip = new AdmZip();
+  const add = (name, xml) => zip.addFile(name, Buffer.from(xml, 'utf8'));
+  const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const dateFormat = profile.date_format.replace(/Y/g, 'y').replace(/M/g, 'm').replace(/D/g, 'd');
+
+  add('[Content_Types].xml', `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>');
+  add('_rels/.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>');
+  add('xl/workbook.xml', `${header}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+    + sheets.map((sheet, index) => `<sheet name="${xmlText(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+    + '</sheets></workbook>');
+  add('xl/_rels/workbook.xml.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>');
+  add('xl/styles.xml', `${header}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + `<numFmts count="1"><numFmt numFmtId="164" formatCode="${xmlText(dateFormat)}"/></numFmts>`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>'
+    + '</styleSheet>');
+  sheets.forEach((sheet, index) => add(`xl/worksheets/sheet${index + 1}.xml`, worksheetXml(sheet.table)));
+
+  return zip.toBuffer();
+}
+
+// File name part of an invoice number
+const fileName = (text) => String(text).replace(/[^A-Za-z0-9._-]+/g, '_');
+
+/**
+ * Export the invoices matching search filters
+ * @param {object} params - Invoice search filters, sort and order (see invoiceSearchService), format (csv, xlsx or
+ *   ubl) and level (header or lines, for CSV)
+ * @param {object} profile - Export profile, or DEFAULT_PROFILE
+ * @returns {Promise<object>} - { content: Buffer or string, content_type, filename, count: number of invoices }
+ * @throws {Error} - With statusCode 400 for an unknown format or level or when too many invoices match, 404 when none do
+ */
+async function exportInvoices(params, profile = DEFAULT_PROFILE) {
+  const format = (params.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw httpError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+  const level = (params.level || 'header').toLowerCase();
+  if (format === 'csv' && !CSV_LEVELS.includes(level)) {
+    throw httpError(`level must be one of ${CSV_LEVELS.join(', ')}`, 400);
+  }
+
+  const ids = await searchInvoiceIds(params, { max: EXPORT_MAX_INVOICES });
+  if (ids.length === 0) {
+    throw httpError('No invoices match the filters', 404);
+  }
+  const exported = await loadExportInvoices(ids);
+  const stamp = moment().format('YYYYMMDD-HHmmss');
+
+  if (format === 'csv') {
+    const columns = level === 'header' ? profile.header_columns : profile.line_columns;
+    return {
+      content: toCsv(exportTable(exported, columns, level), profile),
+      content_type: 'text/csv',
+      filename: `invoices-${level}-${stamp}.csv`,
+      count: exported.length
+    };
+  }
+
+  if (format === 'xlsx') {
+    const content = toXlsx([
+      { name: 'Faktur', table: exportTable(exported, profile.header_columns, 'header') },
+      { name: 'Barang', table: exportTable(exported, profile.line_columns, 'lines') }
+    ], profile);
+    return {
+      content,
+      content_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename: `invoices-${stamp}.xlsx`,
+      count: exported.length
+    };
+  }
+
+  // UBL has one document per invoice: a single invoice is sent as XML, several as a ZIP of XML files
+  const documents = exported.map(context => ({
+    name: `${fileName(context.invoice.invoice_number)}.xml`,
+    xml: toUblInvoice(context)
+  }));
+  if (documents.length === 1) {
+    return { content: documents[0].xml, content_type: 'application/xml', filename: documents[0].name, count: 1 };
+  }
+  const zip = new AdmZip();
+  const used = new Set();
+  documents.forEach((document, index) => {
+    const name = used.has(document.name) ? `${index + 1}-${document.name}` : document.name;
+    used.add(name);
+    zip.addFile(name, Buffer.from(document.xml, 'utf8'));
+  });
+  return { content: zip.toBuffer(), content_type: 'application/zip', filename: `invoices-ubl-${stamp}.zip`, count: documents.length };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_LEVELS,
+  EXPORT_MAX_INVOICES,
+  HEADER_FIELDS,
+  LINE_FIELDS,
+  DEFAULT_PROFILE,
+  exportTable,
+  toCsv,
+  toXlsx,
+  exportInvoices
+};
@@ -0,0 +1,349 @@
+/**
+ * Invoice edit history
+ * Every create, update, delete and restore of a ProcessedInvoice is stored in invoice_versions as a snapshot of the
+ * invoice fields and items, with a field-level diff against the previous version and the actor who made the change.
+ * Callers record the version inside the transaction of the change so the history never misses a committed write.
+ */
+const { ProcessedInvoice, ProcessedInvoiceItem, InvoiceVersion, Supplier } = require('../models');
+const { sequelize } = require('../config/database');
+const { replaceInvoiceItems, toItemJson, ITEMS_INCLUDE, ITEM_ORDER } = require('./invoiceItemService');
+const webhookService = require('./webhookService');
+const supplierService = require('./supplierService');
+
+// Invoice columns kept in a snapshot; the image is left out
+const SNAPSHOT_FIELDS = [
+  'invoice_number', 'document_type', 'supplier_name', 'supplier_id', 'invoice_date', 'due_date', 'payment_type',
+  'include_tax', 'salesman', 'tax_rate', 'reference_invoice_id', 'status'
+];
+// Item columns kept in a snapshot
+const ITEM_COLUMNS = Object.keys(ProcessedInvoiceItem.rawAttributes)
+  .filter(column => !['id', 'invoice_id', 'created_at', 'updated_at'].includes(column));
+
+// Recorded actions
+const ACTIONS = {
+  BASELINE: 'baseline', // State of an invoice saved before the history existed, written before its first change
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  // Status transitions, see invoiceWorkflowService
+  REVIEW: 'review',
+  APPROVE: 'approve',
+  POST: 'post',
+  REOPEN: 'reopen'
+};
+
+// Longest actor name that is stored
+const MAX_ACTOR_LENGTH = 255;
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Actor of a request, sent by clients in the X-Actor header
+ * @param {object} req - Express request
+ * @returns {string|null} - The actor, or null when the client did not identify itself
+ */
+function actorFromRequest(req) {
+  const actor = (req.get('X-Actor') || '').trim();
+  return actor ? actor.substring(0, MAX_ACTOR_LENGTH) : null;
+}
+
+// Comparable form of a snapshot value: dates as ISO strings and empty strings as null
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Snapshot of an invoice with its items loaded
+ * @param {object} invoice - ProcessedInvoice instance
+ * @returns {object} - { <SNAPSHOT_FIELDS>, items: [...] } as plain JSON
+ */
+function snapshotOf(invoice) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    const value = invoice[field];
+    snapshot[field] = value instanceof Date ? value.toISOString() : value === undefined ? null : value;
+  }
+  snapshot.items = (invoice.items || []).map(item => {
+    const plain = toItemJson(item);
+    return ITEM_COLUMNS.reduce((row, column) => ({ ...row, [column]: plain[column] === undefined ? null : plain[column] }), {});
+  });
+  return snapshot;
+}
+
+/**
+ * Load the current snapshot of an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {object} options - { transaction }
+ * @returns {Promise<object|null>} - The snapshot, or null when the invoice does not exist
+ */
+async function loadSnapshot(invoiceId, { transaction } = {}) {
+  const invoice = await ProcessedInvoice.findByPk(invoiceId, {
+    attributes: { exclude: ['image_data'] },
+    include: [ITEMS_INCLUDE],
+    order: [ITEM_ORDER],
+    transaction
+  });
+  return invoice ? snapshotOf(invoice) : null;
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @param {object|null} before - Older snapshot, null for a new invoice
+ * @param {object|null} after - Newer snapshot
+ * @returns {Array<object>} - [{ field, before, after }]; item changes use names like items[2].price and a
+ *   whole item that was added or removed is reported as items[2]
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+  const older = before || {};
+  const newer = after || {};
+
+  for (const field of SNAPSHOT_FIELDS) {
+    const a = older[field] === undefined ? null : older[field];
+    const b = newer[field] === undefined ? null : newer[field];
+    if (comparable(a) !== comparable(b)) {
+      changes.push({ field, before: a, after: b });
+    }
+  }
+
+  const olderItems = older.items || [];
+  const newerItems = newer.items || [];
+  for (let index = 0; index < Math.max(olderItems.length, newerItems.length); index++) {
+    const a = olderItems[index];
+    const b = newerItems[index];
+
+    if (!a || !b) {
+      changes.push({ field: `items[${index}]`, before: a || null, after: b || null });
+      continue;
+    }
+
+    for (const column of ITEM_COLUMNS) {
+      if (comparable(a[column]) !== comparable(b[column])) {
+        changes.push({
+          field: `items[${index}].${column}`,
+          before: a[column] === undefined ? null : a[column],
+          after: b[column] === undefined ? null : b[column]
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record a version of an invoice
+ * An update that changed nothing is not recorded. When an invoice saved before the history existed changes for
+ * the first time, its previous state is written first as a baseline version so the diff has something to start from.
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {string} action - One of ACTIONS
+ * @param {object} options - { actor, source, before, snapshot, restoredFromVersion, transaction }; before is the
+ *   snapshot taken before the change and snapshot the state to store, loaded from the database when not given
+ * @returns {Promise<object|null>} - The InvoiceVersion, or null when nothing changed
+ */
+async function recordVersion(invoiceId, action, { actor = null, source = null, before = null, snapshot, restoredFromVersion = null, transaction } = {}) {
+  let previous = await InvoiceVersion.findOne({
+    where: { invoice_id: invoiceId },
+    order: [['version', 'DESC']],
+    transaction
+  });
+
+  if (!previous && before) {
+    previous = await InvoiceVersion.create({
+      invoice_id: invoiceId,
+      version: 1,
+      action: ACTIONS.BASELINE,
+      snapshot: before,
+      changes: [],
+      source: 'history'
+    }, { transaction });
+  }
+
+  const state = snapshot || await loadSnapshot(invoiceId, { transaction });
+  const changes = diffSnapshots(previous ? previous.snapshot : null, state);
+
+  if (action === ACTIONS.UPDATE && previous && changes.length === 0) {
+    return null;
+  }
+
+  return InvoiceVersion.create({
+    invoice_id: invoiceId,
+    version: previous ? previous.version + 1 : 1,
+    action,
+    snapshot: state,
+    changes,
+    actor,
+    source,
+    restored_from_version: restoredFromVersion
+  }, { transaction });
+}
+
+// Version row as returned by the API, without the snapshot unless asked for
+function toVersionJson(version, { withSnapshot = false } = {}) {
+  const plain = version.get({ plain: true });
+  const result = {
+    id: plain.id,
+    invoice_id: plain.invoice_id,
+    version: plain.version,
+    action: plain.action,
+    actor: plain.actor,
+    source: plain.source,
+    restored_from_version: plain.restored_from_version,
+    created_at: plain.created_at,
+    change_count: plain.changes.length,
+    changes: plain.changes
+  };
+  if (withSnapshot) {
+    result.snapshot = plain.snapshot;
+  }
+  return result;
+}
+
+/**
+ * List the versions of an invoice, newest first
+ * @param {number} invoiceId - ProcessedInvoice ID, also of a deleted invoice
+ * @returns {Promise<Array<object>>} - Versions without their snapshot
+ * @throws {Error} - With statusCode 404 when the invoice has no history and does not exist
+ */
+async function listVersions(invoiceId) {
+  const versions = await InvoiceVersion.findAll({
+    where: { invoice_id: invoiceId },
+    order: [['version', 'DESC']]
+  });
+
+  if (versions.length === 0 && !(await ProcessedInvoice.findByPk(invoiceId, { attributes: ['id'] }))) {
+    throw httpError('Invoice not found', 404);
+  }
+
+  return versions.map(version => toVersionJson(version));
+}
+
+// Load one version or fail with 404
+async function findVersion(invoiceId, version, { transaction } = {}) {
+  const row = await InvoiceVersion.findOne({ where: { invoice_id: invoiceId, version }, transaction });
+  if (!row) {
+    throw httpError(`Version ${version} of invoice ${invoiceId} not found`, 404);
+  }
+  return row;
+}
+
+/**
+ * Get one version with its snapshot
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {number} version - Version number
+ * @returns {Promise<object>} - The version
+ */
+async function getVersion(invoiceId, version) {
+  return toVersionJson(await findVersion(invoiceId, version), { withSnapshot: true });
+}
+
+/**
+ * Diff between any two versions of an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {number} from - Older version number
+ * @param {number} to - Newer version number
+ * @returns {Promise<object>} - { invoice_id, from, to, changes }
+ */
+async function diffVersions(invoiceId, from, to) {
+  const [older, newer] = await Promise.all([findVersion(invoiceId, from), findVersion(invoiceId, to)]);
+  return {
+    invoice_id: Number(invoiceId),
+    from: older.version,
+    to: newer.version,
+    changes: diffSnapshots(older.snapshot, newer.snapshot)
+  };
+}
+
+/**
+ * Restore an invoice to a prior version
+ * The fields and items of the snapshot are written back; a deleted invoice is created again under its old ID.
+ * Only draft invoices can be restored and the restored invoice stays a draft, whatever status the snapshot had.
+ * The image is not part of the history: a restored invoice keeps its current image, a re-created one has none.
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {number} version - Version number to restore
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - The new restore version
+ */
+async function restoreVersion(invoiceId, version, { actor = null } = {}) {
+  const { restored, created, snapshot } = await sequelize.transaction(async (transaction) => {
+    const target = await findVersion(invoiceId, version, { transaction });
+    const { items, status, ...fields } = target.snapshot;
+
+    const conflict = await ProcessedInvoice.findOne({
+      where: { invoice_number: fields.invoice_number },
+      attributes: ['id'],
+      transaction
+    });
+    if (conflict && conflict.id !== Number(invoiceId)) {
+      throw httpError(`Invoice number ${fields.invoice_number} is now used by invoice ${conflict.id}`, 409);
+    }
+
+    const invoice = await ProcessedInvoice.findByPk(invoiceId, { attributes: { exclude: ['image_data'] }, transaction });
+    if (invoice && invoice.status !== 'draft') {
+      throw httpError(`Invoice ${invoice.invoice_number} is ${invoice.status}; only draft invoices can be restored`, 409);
+    }
+    const before = invoice ? await loadSnapshot(invoiceId, { transaction }) : null;
+
+    // The supplier may have been merged or deleted since the snapshot, the name is matched again then
+    if (fields.supplier_id && !await Supplier.findByPk(fields.supplier_id, { attributes: ['id'], transaction })) {
+      const match = await supplierService.matchSupplier(fields.supplier_name, { transaction });
+      fields.supplier_id = match ? match.supplier.id : null;
+    }
+
+    if (invoice) {
+      await invoice.update({ ...fields, updated_at: new Date() }, { transaction });
+    } else {
+      await ProcessedInvoice.create({ ...fields, id: Number(invoiceId) }, { transaction });
+    }
+    await replaceInvoiceItems(Number(invoiceId), items || [], { transaction });
+
+    const row = await recordVersion(Number(invoiceId), ACTIONS.RESTORE, {
+      actor,
+      source: 'restore',
+      before,
+      restoredFromVersion: target.version,
+      transaction
+    });
+    return { restored: row, created: !invoice, snapshot: target.snapshot };
+  });
+
+  await webhookService.emitEvent('invoice.saved', {
+    invoice_id: Number(invoiceId),
+    invoice_number: snapshot.invoice_number,
+    supplier_name: snapshot.supplier_name,
+    invoice_date: snapshot.invoice_date,
+    created,
+    source: 'restore',
+    restored_from_version: Number(version)
+  });
+
+  return toVersionJson(restored);
+}
+
+module.exports = {
+  actorFromRequest,
+  snapshotOf,
+  loadSnapshot,
+  diffSnapshots,
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion,
+  ACTIONS
+};
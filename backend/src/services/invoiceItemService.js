@@ -0,0 +1,285 @@
+/**
+ * Invoice line items
+ * Converts items between the processed_invoice_items rows and the JSON sent by API clients, resolves the mapped
+ * product and unit to their IDs, and replaces the lines of an invoice.
+ */
+const { Op } = require('sequelize');
+const { ProcessedInvoiceItem, ProductItem, ProductUnit } = require('../models');
+const { toNumber, toBoolean } = require('./invoiceValidator');
+
+// Columns returned as numbers; DECIMAL columns come back from Postgres as strings
+const NUMERIC_COLUMNS = [
+  'quantity', 'price', 'gross_amount', 'discount_percent', 'discount_amount', 'total', 'tax_amount',
+  'unit_conversion', 'base_quantity', 'base_price'
+];
+// Numeric columns holding quantities, where 1.250 is a decimal and not a thousand separator
+const QUANTITY_COLUMNS = ['quantity', 'base_quantity'];
+// Text columns an API client may write
+const TEXT_COLUMNS = [
+  'product_code', 'product_name', 'unit', 'mapped_product_code', 'mapped_product_name', 'mapped_unit', 'match_reason'
+];
+
+// PPN rate used when an invoice has none
+const DEFAULT_TAX_RATE = 11;
+
+// Older names of item properties, accepted from API clients that still send the JSONB item format
+const ITEM_ALIASES = {
+  product_code: ['kode_barang_invoice', 'kode_barang'],
+  product_name: ['nama_barang_invoice', 'nama_barang'],
+  quantity: ['qty', 'jumlah'],
+  unit: ['satuan'],
+  price: ['harga_satuan'],
+  gross_amount: ['harga_bruto'],
+  discount_percent: ['diskon_persen', 'discount'],
+  discount_amount: ['diskon_rp'],
+  total: ['jumlah_netto', 'total_price'],
+  taxable: ['bkp'],
+  tax_amount: ['ppn'],
+  mapped_product_code: ['kode_barang_main'],
+  mapped_product_name: ['nama_barang_main'],
+  mapped_unit: ['satuan_main'],
+  base_quantity: ['jumlah_base'],
+  base_price: ['harga_dasar_main', 'harga_pokok']
+};
+
+// Value of an item property under its column name or one of its older names, unwrapping { value } objects
+function pick(item, column) {
+  for (const name of [column, ...(ITEM_ALIASES[column] || [])]) {
+    let value = item[name];
+    if (value !== null && typeof value === 'object' && 'value' in value) {
+      value = value.value;
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert the items of an API request into rows
+ * @param {Array<object>|string} items - Items as an array or a JSON string, in the row format or the older JSONB format
+ * @returns {Array<object>} - Rows without invoice_id, product_id and unit_id
+ * @throws {Error} - With statusCode 400 when items is not an array or a JSON array
+ */
+function itemsFromRequest(items) {
+  let list = items;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = undefined;
+    }
+  }
+  if (list === null) {
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    const error = new Error('items must be an array of invoice lines');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return list.map((item, index) => {
+    const source = item && typeof item === 'object' ? item : {};
+    const row = { line_number: index + 1 };
+
+    for (const column of TEXT_COLUMNS) {
+      const value = pick(source, column);
+      row[column] = value === null ? null : String(value);
+    }
+    for (const column of NUMERIC_COLUMNS) {
+      row[column] = toNumber(pick(source, column), { quantity: QUANTITY_COLUMNS.includes(column) });
+    }
+
+    const taxable = pick(source, 'taxable');
+    row.taxable = taxable === null ? null : toBoolean(taxable);
+    row.source_page = toNumber(source.source_page);
+    row.reference_line_number = toNumber(source.reference_line_number);
+    row.is_confident = source.is_confident && typeof source.is_confident === 'object' ? source.is_confident : null;
+    // Conversion and match reason travel inside satuan_main in the OCR item format
+    if (source.satuan_main && typeof source.satuan_main === 'object') {
+      row.unit_conversion = row.unit_conversion ?? toNumber(source.satuan_main.conversion);
+      row.match_reason = row.match_reason || source.satuan_main.matchReason || null;
+    }
+    return row;
+  });
+}
+
+/**
+ * Look up the product and unit IDs of the mapped product codes and unit names
+ * Lines whose code or unit is not in the product database keep a null ID.
+ * @param {Array<object>} items - Rows with mapped_product_code and mapped_unit
+ * @param {object} options - { transaction }
+ * @returns {Promise<Array<object>>} - The rows with product_id and unit_id set
+ */
+async function resolveProductKeys(items, { transaction } = {}) {
+  const codes = Array.from(new Set(items.map(item => item.mapped_product_code).filter(Boolean)));
+  if (codes.length === 0) {
+    return items.map(item => ({ ...item, product_id: null, unit_id: null }));
+  }
+
+  const products = await ProductItem.findAll({
+    where: { Kode_Item: { [Op.in]: codes } },
+    attributes: ['ID_Produk', 'Kode_Item'],
+    transaction
+  });
+  const productIds = new Map(products.map(product => [product.Kode_Item, product.ID_Produk]));
+
+  const units = await ProductUnit.findAll({
+    where: { ID_Produk: { [Op.in]: Array.from(productIds.values()) } },
+    attributes: ['ID_Satuan', 'ID_Produk', 'Nama_Satuan'],
+    transaction
+  });
+  const unitIds = new Map(units.map(unit => [`${unit.ID_Produk}:${String(unit.Nama_Satuan).toLowerCase()}`, unit.ID_Satuan]));
+
+  return items.map(item => {
+    const productId = productIds.get(item.mapped_product_code) || null;
+    const unitKey = productId && item.mapped_unit ? `${productId}:${item.mapped_unit.toLowerCase()}` : null;
+    return {
+      ...item,
+      product_id: productId,
+      unit_id: unitKey ? unitIds.get(unitKey) || null : null
+    };
+  });
+}
+
+/**
+ * Replace all lines of an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {Array<object>} items - Rows from toInvoiceFields or itemsFromRequest
+ * @param {object} options - { transaction }
+ * @returns {Promise<Array<object>>} - The created ProcessedInvoiceItem rows
+ */
+async function replaceInvoiceItems(invoiceId, items, { transaction } = {}) {
+  const rows = await resolveProductKeys(items, { transaction });
+
+  await ProcessedInvoiceItem.destroy({ where: { invoice_id: invoiceId }, transaction });
+
+  return ProcessedInvoiceItem.bulkCreate(
+    rows.map((row, index) => ({ ...row, invoice_id: invoiceId, line_number: row.line_number || index + 1 })),
+    { transaction }
+  );
+}
+
+/**
+ * Plain JSON form of a line as returned by the API
+ * @param {object} item - ProcessedInvoiceItem instance or plain row
+ * @returns {object} - The row with numeric columns as numbers
+ */
+function toItemJson(item) {
+  const plain = typeof item.get === 'function' ? item.get({ plain: true }) : { ...item };
+  for (const column of NUMERIC_COLUMNS) {
+    if (plain[column] !== null && plain[column] !== undefined) {
+      plain[column] = Number(plain[column]);
+    }
+  }
+  return plain;
+}
+
+/**
+ * PPN of a line
+ * The tax_amount of the line when set, otherwise worked out from the tax rate for taxable lines: taken out of the line
+ * total when prices include PPN, added on top when they do not.
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice
+ * @param {object} item - Line of the invoice
+ * @returns {number} - The PPN, not rounded
+ */
+function lineTax(invoice, item) {
+  const taxAmount = toNumber(item.tax_amount);
+  if (taxAmount !== null) {
+    return taxAmount;
+  }
+  if (!item.taxable) {
+    return 0;
+  }
+  const taxRate = invoice.tax_rate ?? DEFAULT_TAX_RATE;
+  const total = toNumber(item.total) || 0;
+  return invoice.include_tax ? total * taxRate / (100 + taxRate) : total * taxRate / 100;
+}
+
+/**
+ * Amount owed for an invoice
+ * Line totals already include PPN when include_tax is set; otherwise the PPN of taxable lines is added.
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice
+ * @param {Array<object>} items - Lines of the invoice
+ * @returns {number} - The amount, rounded to whole sen
+ */
+function invoiceAmount(invoice, items) {
+  const amount = items.reduce((sum, item) => {
+    const total = toNumber(item.total) || 0;
+    return sum + total + (invoice.include_tax ? 0 : lineTax(invoice, item));
+  }, 0);
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Gross, discount, PPN and total of an invoice, as printed on its PDF and exported to accounting
+ * The PPN is the sum of lineTax over the lines and the total matches invoiceAmount.
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice
+ * @param {Array<object>} items - Lines of the invoice
+ * @returns {object} - { gross, discount, net, tax_base, tax, tax_rate, total }
+ */
+function invoiceTotals(invoice, items) {
+  let gross = 0;
+  let net = 0;
+  let tax = 0;
+
+  for (const item of items) {
+    const total = toNumber(item.total) || 0;
+    const quantity = toNumber(item.quantity, { quantity: true });
+    const price = toNumber(item.price);
+    gross += toNumber(item.gross_amount) ?? (quantity !== null && price !== null ? quantity * price : total);
+    net += total;
+    tax += lineTax(invoice, item);
+  }
+
+  const total = invoiceAmount(invoice, items);
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    gross: round(gross),
+    discount: round(Math.max(0, gross - net)),
+    net: round(net),
+    tax_base: round(total - tax),
+    tax: round(tax),
+    tax_rate: invoice.tax_rate ?? DEFAULT_TAX_RATE,
+    total
+  };
+}
+
+/**
+ * SQL expression of invoiceAmount, for filtering and sorting invoices by amount in a query
+ * @param {string} alias - Alias of processed_invoices in the query, e.g. "ProcessedInvoice"
+ * @returns {string}
+ */
+function invoiceAmountSql(alias) {
+  return `ROUND((
+    SELECT COALESCE(SUM(COALESCE(line.total, 0) + CASE
+      WHEN "${alias}".include_tax THEN 0
+      ELSE COALESCE(line.tax_amount, CASE
+        WHEN line.taxable THEN COALESCE(line.total, 0) * COALESCE("${alias}".tax_rate, ${DEFAULT_TAX_RATE})::numeric / 100
+        ELSE 0
+      END)
+    END), 0)
+    FROM processed_invoice_items AS line
+    WHERE line.invoice_id = "${alias}".id
+  ), 2)`;
+}
+
+// Include of the lines of an invoice, in invoice order when used with ITEM_ORDER
+const ITEMS_INCLUDE = { model: ProcessedInvoiceItem, as: 'items' };
+const ITEM_ORDER = [{ model: ProcessedInvoiceItem, as: 'items' }, 'line_number', 'ASC'];
+
+module.exports = {
+  DEFAULT_TAX_RATE,
+  itemsFromRequest,
+  resolveProductKeys,
+  replaceInvoiceItems,
+  toItemJson,
+  lineTax,
+  invoiceAmount,
+  invoiceTotals,
+  invoiceAmountSql,
+  ITEMS_INCLUDE,
+  ITEM_ORDER
+};
@@ -0,0 +1,502 @@
+/**
+ * Printable invoice documents
+ * Renders a processed invoice to an A4 PDF with mupdf. The invoice variant lists the lines under their mapped internal
+ * product code and name with units, prices, discounts, PPN and totals; the goods-received variant leaves out the prices
+ * and adds a column for the counted quantity and signature lines for the warehouse. Text is set in the standard
+ * Helvetica fonts, so no font files are needed. All pages are laid out before drawing, so the footer can show the page
+ * count.
+ */
+const { ProcessedInvoice, Supplier } = require('../models');
+const { toItemJson, invoiceTotals, ITEMS_INCLUDE, ITEM_ORDER } = require('./invoiceItemService');
+const { toNumber } = require('./invoiceValidator');
+const { isCreditDocument } = require('./creditDocumentService');
+const { loadMupdf } = require('./pdfService');
+
+// Documents an invoice can be printed as
+const VARIANTS = ['invoice', 'goods_received'];
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 36;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+// Space kept free at the bottom of every page for the footer
+const FOOTER_HEIGHT = 24;
+
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10.5;
+const CELL_PADDING = 3;
+
+const BLACK = [0, 0, 0];
+const GREY = [0.45, 0.45, 0.45];
+const RULE = [0.75, 0.75, 0.75];
+const HEADER_FILL = [0.92, 0.92, 0.92];
+
+// Item table columns per variant; widths add up to CONTENT_WIDTH
+const COLUMNS = {
+  invoice: [
+    { key: 'no', label: 'No', width: 20, align: 'right' },
+    { key: 'code', label: 'Kode', width: 62 },
+    { key: 'name', label: 'Nama Barang', width: 173 },
+    { key: 'quantity', label: 'Qty', width: 40, align: 'right' },
+    { key: 'unit', label: 'Satuan', width: 40 },
+    { key: 'price', label: 'Harga', width: 62, align: 'right' },
+    { key: 'discount', label: 'Diskon', width: 62, align: 'right' },
+    { key: 'total', label: 'Jumlah', width: 64, align: 'right' }
+  ],
+  goods_received: [
+    { key: 'no', label: 'No', width: 20, align: 'right' },
+    { key: 'code', label: 'Kode', width: 70 },
+    { key: 'name', label: 'Nama Barang', width: 203 },
+    { key: 'quantity', label: 'Qty Faktur', width: 50, align: 'right' },
+    { key: 'unit', label: 'Satuan', width: 45 },
+    { key: 'received', label: 'Qty Diterima', width: 60, align: 'right' },
+    { key: 'note', label: 'Keterangan', width: 75 }
+  ]
+};
+
+// Supplier columns printed in the header
+const SUPPLIER_INCLUDE = { model: Supplier, as: 'supplier', attributes: ['id', 'code', 'name', 'npwp', 'address'] };
+
+// Signature boxes of the goods-received document
+const SIGNATURES = ['Dikirim oleh', 'Diterima oleh (Gudang)', 'Diperiksa oleh'];
+
+const numberFormat = new Intl.NumberFormat('id-ID', { maximumFractionDigits: 2 });
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Number in Indonesian notation, or an empty string
+function formatNumber(value) {
+  const number = toNumber(value);
+  return number === null ? '' : numberFormat.format(number);
+}
+
+// Date as DD-MM-YYYY, or a dash
+function formatDate(value) {
+  if (!value) {
+    return '-';
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '-';
+  }
+  const [year, month, day] = date.toISOString().substring(0, 10).split('-');
+  return `${day}-${month}-${year}`;
+}
+
+// Width of a text in points
+function textWidth(font, text, size) {
+  let width = 0;
+  for (const char of text) {
+    width += font.advanceGlyph(font.encodeCharacter(char.codePointAt(0)));
+  }
+  return width * size;
+}
+
+// Text cut to a width, ending in dots when it was cut
+function fitText(font, text, size, width) {
+  if (textWidth(font, text, size) <= width) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 0 && textWidth(font, `${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+}
+
+// Text broken into lines that fit a width; words longer than a line are broken between characters
+function wrapText(font, text, size, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(font, candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = word;
+      while (textWidth(font, line, size) > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(font, line.slice(0, cut), size) > width) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Page layout
+ * Collects drawing operations per page and tracks the vertical position of the next block.
+ */
+function createLayout(fonts) {
+  const layout = {
+    fonts,
+    pages: [],
+    y: 0,
+    onNewPage: null
+  };
+
+  layout.newPage = () => {
+    layout.pages.push([]);
+    layout.y = MARGIN;
+    if (layout.onNewPage) {
+      layout.onNewPage();
+    }
+  };
+
+  // Start a new page when a block of this height does not fit on the current one
+  layout.reserve = (height) => {
+    if (layout.y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) {
+      layout.newPage();
+    }
+  };
+
+  // Text with its baseline at y; align right puts its end at x + width
+  layout.text = (text, x, y, { bold = false, size = FONT_SIZE, color = BLACK, width = null, align = 'left' } = {}) => {
+    const font = bold ? fonts.bold : fonts.regular;
+    const value = width === null ? String(text) : fitText(font, String(text), size, width);
+    const left = align === 'right' ? x + width - textWidth(font, value, size) : x;
+    layout.pages[layout.pages.length - 1].push({ type: 'text', text: value, x: left, y, font, size, color });
+  };
+
+  layout.line = (x1, y1, x2, y2, { color = RULE, width = 0.5 } = {}) => {
+    layout.pages[layout.pages.length - 1].push({ type: 'line', x1, y1, x2, y2, color, width });
+  };
+
+  layout.rect = (x, y, width, height, { fill = null, stroke = null } = {}) => {
+    layout.pages[layout.pages.length - 1].push({ type: 'rect', x, y, width, height, fill, stroke });
+  };
+
+  return layout;
+}
+
+// Title, supplier block and header fields
+function drawHeader(layout, invoice, variant, referenceNumber) {
+  const { fonts } = layout;
+  let title = variant === 'goods_received' ? 'TANDA TERIMA BARANG' : 'FAKTUR PEMBELIAN';
+  if (variant === 'invoice' && isCreditDocument(invoice.document_type)) {
+    title = 'NOTA RETUR';
+  }
+  layout.text(title, MARGIN, layout.y + 14, { bold: true, size: 15 });
+  layout.text(invoice.invoice_number, MARGIN, layout.y + 14, { size: 10, width: CONTENT_WIDTH, align: 'right' });
+  layout.y += 22;
+  layout.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { color: BLACK, width: 1 });
+  layout.y += 14;
+
+  const columnWidth = CONTENT_WIDTH / 2 - 10;
+  const supplier = invoice.supplier;
+  const supplierLines = [
+    ...wrapText(fonts.bold, (supplier && supplier.name) || invoice.supplier_name || '-', 10, columnWidth)
+      .map(text => ({ text, bold: true, size: 10 })),
+    ...(supplier && supplier.code ? [{ text: `Kode supplier: ${supplier.code}` }] : []),
+    ...(supplier && supplier.npwp ? [{ text: `NPWP: ${supplier.npwp}` }] : []),
+    ...(supplier && supplier.address ? wrapText(fonts.regular, supplier.address, FONT_SIZE, columnWidth).map(text => ({ text })) : [])
+  ];
+  if (supplier && invoice.supplier_name && invoice.supplier_name !== supplier.name) {
+    supplierLines.push({ text: `Tertulis di faktur: ${invoice.supplier_name}`, color: GREY });
+  }
+
+  const fields = [
+    ['No. Faktur', invoice.invoice_number],
+    ['Tipe Dokumen', invoice.document_type || '-'],
+    ['Tanggal Faktur', formatDate(invoice.invoice_date)],
+    ['Jatuh Tempo', formatDate(invoice.due_date)],
+    ['Tipe Pembayaran', invoice.payment_type || '-'],
+    ['Salesman', invoice.salesman || '-']
+  ];
+  if (referenceNumber) {
+    fields.push(['Faktur Asal', referenceNumber]);
+  }
+  if (variant === 'invoice' && invoice.approved_by) {
+    fields.push(['Disetujui', `${invoice.approved_by}, ${formatDate(invoice.approved_at)}`]);
+  }
+
+  const top = layout.y;
+  layout.text('Supplier', MARGIN, top, { color: GREY });
+  let supplierY = top + LINE_HEIGHT + 2;
+  for (const line of supplierLines) {
+    const size = line.size || FONT_SIZE;
+    layout.text(line.text, MARGIN, supplierY, { bold: line.bold, size, color: line.color, width: columnWidth });
+    supplierY += size + 3;
+  }
+
+  const fieldsX = MARGIN + CONTENT_WIDTH / 2 + 10;
+  let fieldsY = top;
+  for (const [label, value] of fields) {
+    layout.text(label, fieldsX, fieldsY, { color: GREY });
+    layout.text(String(value), fieldsX + 80, fieldsY, { width: columnWidth - 80 });
+    fieldsY += LINE_HEIGHT + 2;
+  }
+
+  layout.y = Math.max(supplierY, fieldsY) + 8;
+}
+
+// Cell texts of a line; every cell is a list of { text, color }
+function itemCells(item, index, variant) {
+  const printedName = [item.product_code, item.product_name].filter(Boolean).join(' - ');
+  const mapped = Boolean(item.mapped_product_code || item.mapped_product_name);
+  const name = [{ text: item.mapped_product_name || item.product_name || '-' }];
+  if (mapped && printedName && item.product_name !== item.mapped_product_name) {
+    name.push({ text: `Faktur: ${printedName}`, color: GREY });
+  }
+
+  const quantity = [{ text: formatNumber(item.quantity) }];
+  const unit = [{ text: item.unit || item.mapped_unit || '' }];
+  // Quantity in the internal unit when the invoice counts in another one
+  if (item.base_quantity !== null && item.base_quantity !== undefined && item.mapped_unit && item.mapped_unit !== item.unit) {
+    quantity.push({ text: formatNumber(item.base_quantity), color: GREY });
+    unit.push({ text: item.mapped_unit, color: GREY });
+  }
+
+  const discount = [];
+  if (item.discount_percent) {
+    discount.push({ text: `${formatNumber(item.discount_percent)}%` });
+  }
+  if (item.discount_amount) {
+    discount.push({ text: formatNumber(item.discount_amount), color: discount.length > 0 ? GREY : BLACK });
+  }
+
+  const cells = {
+    no: [{ text: String(index + 1) }],
+    code: [{ text: item.mapped_product_code || item.product_code || '-' }],
+    name,
+    quantity,
+    unit,
+    price: [{ text: formatNumber(item.price) }],
+    discount,
+    total: [{ text: formatNumber(item.total) }],
+    received: [],
+    note: []
+  };
+  return COLUMNS[variant].map(column => cells[column.key]);
+}
+
+// Header row of the item table
+function drawTableHeader(layout, columns) {
+  const height = LINE_HEIGHT + 2 * CELL_PADDING;
+  layout.rect(MARGIN, layout.y, CONTENT_WIDTH, height, { fill: HEADER_FILL });
+  let x = MARGIN;
+  for (const column of columns) {
+    layout.text(column.label, x + CELL_PADDING, layout.y + CELL_PADDING + FONT_SIZE, {
+      bold: true,
+      width: column.width - 2 * CELL_PADDING,
+      align: column.align
+    });
+    x += column.width;
+  }
+  layout.y += height;
+}
+
+// Item table, with its header repeated on every page it runs over
+function drawItems(layout, items, variant) {
+  const { fonts } = layout;
+  const columns = COLUMNS[variant];
+  drawTableHeader(layout, columns);
+  layout.onNewPage = () => drawTableHeader(layout, columns);
+
+  items.forEach((item, index) => {
+    // The name column wraps, the other columns are cut to their width
+    const cells = itemCells(item, index, variant).map((lines, column) => (columns[column].key === 'name'
+      ? lines.flatMap(line => wrapText(fonts.regular, line.text, FONT_SIZE, columns[column].width - 2 * CELL_PADDING)
+        .map(text => ({ ...line, text })))
+      : lines));
+    const height = Math.max(1, ...cells.map(lines => lines.length)) * LINE_HEIGHT + 2 * CELL_PADDING;
+
+    layout.reserve(height);
+    let x = MARGIN;
+    cells.forEach((lines, column) => {
+      const { width, align, key } = columns[column];
+      lines.forEach((line, lineIndex) => {
+        layout.text(line.text, x + CELL_PADDING, layout.y + CELL_PADDING + FONT_SIZE + lineIndex * LINE_HEIGHT, {
+          color: line.color,
+          width: width - 2 * CELL_PADDING,
+          align
+        });
+      });
+      if (key === 'received') {
+        layout.rect(x + CELL_PADDING, layout.y + CELL_PADDING - 1, width - 2 * CELL_PADDING, LINE_HEIGHT + 2, { stroke: RULE });
+      }
+      x += width;
+    });
+    layout.y += height;
+    layout.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y);
+  });
+
+  if (items.length === 0) {
+    layout.text('Tidak ada barang', MARGIN + CELL_PADDING, layout.y + CELL_PADDING + FONT_SIZE, { color: GREY });
+    layout.y += LINE_HEIGHT + 2 * CELL_PADDING;
+  }
+
+  layout.onNewPage = null;
+  layout.y += 8;
+}
+
+// Totals block, right-aligned under the table
+function drawTotals(layout, invoice, items) {
+  const totals = invoiceTotals(invoice, items);
+  const rows = [
+    ['Bruto', totals.gross],
+    ['Diskon', totals.discount],
+    [invoice.include_tax ? 'Jumlah (termasuk PPN)' : 'Jumlah', totals.net],
+    ['DPP', totals.tax_base],
+    [`PPN ${formatNumber(totals.tax_rate)}%`, totals.tax]
+  ];
+  const width = 220;
+  const x = MARGIN + CONTENT_WIDTH - width;
+
+  layout.reserve((rows.length + 1) * (LINE_HEIGHT + 2) + 8);
+  for (const [label, value] of rows) {
+    layout.text(label, x, layout.y + FONT_SIZE, { color: GREY });
+    layout.text(formatNumber(value), x, layout.y + FONT_SIZE, { width, align: 'right' });
+    layout.y += LINE_HEIGHT + 2;
+  }
+  layout.line(x, layout.y, x + width, layout.y, { color: BLACK });
+  layout.y += 4;
+  layout.text('Total', x, layout.y + 10, { bold: true, size: 10 });
+  layout.text(`Rp ${formatNumber(totals.total)}`, x, layout.y + 10, { bold: true, size: 10, width, align: 'right' });
+  layout.y += 20;
+}
+
+// Signature boxes of the goods-received document
+function drawSignatures(layout) {
+  const height = 96;
+  layout.reserve(height + 10);
+  layout.y += 10;
+
+  const gap = 20;
+  const width = (CONTENT_WIDTH - gap * (SIGNATURES.length - 1)) / SIGNATURES.length;
+  SIGNATURES.forEach((label, index) => {
+    const x = MARGIN + index * (width + gap);
+    layout.text(label, x, layout.y + FONT_SIZE, { bold: true, width });
+    layout.line(x, layout.y + 58, x + width, layout.y + 58, { color: BLACK });
+    layout.text('Nama:', x, layout.y + 58 + LINE_HEIGHT + 2, { color: GREY });
+    layout.text('Tanggal:', x, layout.y + 58 + 2 * (LINE_HEIGHT + 2), { color: GREY });
+  });
+  layout.y += height;
+}
+
+// Draw the laid-out pages with a footer on each
+function renderPages(mupdf, layout, invoice) {
+  const buffer = new mupdf.Buffer();
+  const writer = new mupdf.DocumentWriter(buffer, 'pdf', '');
+  const stroke = (width) => new mupdf.StrokeState({ lineCap: 'Butt', lineJoin: 'Miter', lineWidth: width, miterLimit: 10 });
+  const printed = `Dicetak ${formatDate(new Date())}`;
+
+  layout.pages.forEach((operations, index) => {
+    const footerY = PAGE_HEIGHT - MARGIN + 4;
+    operations.push({ type: 'line', x1: MARGIN, y1: footerY - 10, x2: MARGIN + CONTENT_WIDTH, y2: footerY - 10, color: RULE, width: 0.5 });
+    for (const [text, x] of [[`${invoice.invoice_number} - ${printed}`, MARGIN], [`Halaman ${index + 1} dari ${layout.pages.length}`, null]]) {
+      const width = textWidth(layout.fonts.regular, text, 7);
+      operations.push({
+        type: 'text', text, x: x === null ? MARGIN + CONTENT_WIDTH - width : x, y: footerY, font: layout.fonts.regular, size: 7, color: GREY
+      });
+    }
+
+    const device = writer.beginPage([0, 0, PAGE_WIDTH, PAGE_HEIGHT]);
+    for (const operation of operations) {
+      if (operation.type === 'text') {
+        const text = new mupdf.Text();
+        // Device space runs down the page, so the glyphs are flipped back upright
+        text.showString(operation.font, [operation.size, 0, 0, -operation.size, operation.x, operation.y], operation.text);
+        device.fillText(text, mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, operation.color, 1);
+      } else if (operation.type === 'line') {
+        const path = new mupdf.Path();
+        path.moveTo(operation.x1, operation.y1);
+        path.lineTo(operation.x2, operation.y2);
+        device.strokePath(path, stroke(operation.width), mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, operation.color, 1);
+      } else {
+        const path = new mupdf.Path();
+        path.rect(operation.x, operation.y, operation.x + operation.width, operation.y + operation.height);
+        if (operation.fill) {
+          device.fillPath(path, false, mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, operation.fill, 1);
+        }
+        if (operation.stroke) {
+          device.strokePath(path, stroke(0.5), mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, operation.stroke, 1);
+        }
+      }
+    }
+    writer.endPage();
+  });
+
+  writer.close();
+  return Buffer.from(buffer.asUint8Array());
+}
+
+/**
+ * Render an invoice and its lines to a PDF
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice, with supplier when it is linked
+ * @param {Array<object>} items - Lines of the invoice as JSON, in invoice order
+ * @param {object} options - { variant: invoice or goods_received; referenceNumber: number of the invoice a credit
+ *   document corrects }
+ * @returns {Promise<Buffer>} - The PDF
+ */
+async function renderInvoicePdf(invoice, items, { variant = 'invoice', referenceNumber = null } = {}) {
+  const mupdf = await loadMupdf();
+  const layout = createLayout({ regular: new mupdf.Font('Helvetica'), bold: new mupdf.Font('Helvetica-Bold') });
+
+  layout.newPage();
+  drawHeader(layout, invoice, variant, referenceNumber);
+  drawItems(layout, items, variant);
+  if (variant === 'goods_received') {
+    drawSignatures(layout);
+  } else {
+    drawTotals(layout, invoice, items);
+  }
+
+  return renderPages(mupdf, layout, invoice);
+}
+
+/**
+ * Printable document of a stored invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {object} options - { variant: invoice (default) or goods_received }
+ * @returns {Promise<object>} - { buffer: the PDF, filename }
+ * @throws {Error} - With statusCode 400 for an unknown variant and 404 when the invoice does not exist
+ */
+async function invoicePdf(invoiceId, { variant = 'invoice' } = {}) {
+  if (!VARIANTS.includes(variant)) {
+    throw httpError(`variant must be one of ${VARIANTS.join(', ')}`, 400);
+  }
+
+  const invoice = await ProcessedInvoice.findByPk(invoiceId, {
+    include: [ITEMS_INCLUDE, SUPPLIER_INCLUDE],
+    order: [ITEM_ORDER]
+  });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+
+  let referenceNumber = null;
+  if (invoice.reference_invoice_id) {
+    const reference = await ProcessedInvoice.findByPk(invoice.reference_invoice_id, { attributes: ['invoice_number'] });
+    referenceNumber = reference ? reference.invoice_number : null;
+  }
+
+  const buffer = await renderInvoicePdf(invoice, invoice.items.map(toItemJson), { variant, referenceNumber });
+  const name = String(invoice.invoice_number).replace(/[^A-Za-z0-9._-]+/g, '_');
+  return {
+    buffer,
+    filename: `${variant === 'goods_received' ? 'tanda-terima' : 'faktur'}-${name}.pdf`
+  };
+}
+
+module.exports = {
+  VARIANTS,
+  renderInvoicePdf,
+  invoicePdf
+};
@@ -0,0 +1,323 @@
+/**
+ * Invoice search
+ * Filters processed invoices on their header, their amount and the content of their lines, sorted on one column and
+ * paged with a cursor: the cursor holds the sort value and ID of the last row of a page, so pages do not shift when
+ * invoices are added while a user pages through the results. Line text is matched through the trigram indexes of the
+ * add-invoice-search-indexes migration.
+ */
+const { Op, literal, where } = require('sequelize');
+const { ProcessedInvoice } = require('../models');
+const { sequelize } = require('../config/database');
+const { invoiceAmountSql } = require('./invoiceItemService');
+const { parseDate } = require('./paymentService');
+
+// Columns results can be sorted on; amount is computed from the lines
+const SORT_FIELDS = ['created_at', 'invoice_date', 'due_date', 'invoice_number', 'supplier_name', 'amount'];
+// Sort columns that can be empty; empty values come last in both directions
+const NULLABLE_SORT_FIELDS = ['invoice_date', 'due_date', 'supplier_name'];
+const DEFAULT_SORT = 'created_at';
+// Rows per page
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Amount of an invoice in queries on processed_invoices
+const AMOUNT_SQL = invoiceAmountSql('ProcessedInvoice');
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Text taken literally in an ILIKE pattern: its wildcards and the escape character are escaped
+function likeText(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+// ILIKE pattern of text found anywhere in a column
+function containsPattern(text) {
+  return `%${likeText(text)}%`;
+}
+
+// Values of a comma-separated parameter
+function listParam(value) {
+  return value ? String(value).split(',').map(part => part.trim()).filter(Boolean) : [];
+}
+
+// Day after a YYYY-MM-DD date, so a range includes its last day
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().substring(0, 10);
+}
+
+// Cursor of the row a page ended with
+function encodeCursor(sort, order, value, id) {
+  return Buffer.from(JSON.stringify({ sort, order, value, id })).toString('base64url');
+}
+
+// Sort value and ID of a cursor, checked against the requested sort
+function decodeCursor(cursor, sort, order) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError('cursor is not valid', 400);
+  }
+  if (!data || !Number.isInteger(data.id) || data.value === undefined) {
+    throw httpError('cursor is not valid', 400);
+  }
+  if (data.sort !== sort || data.order !== order) {
+    throw httpError('cursor belongs to another sort order, start again without a cursor', 400);
+  }
+  return data;
+}
+
+// Condition comparing the sort column with a value
+function compareSort(sort, op, value) {
+  return sort === 'amount'
+    ? where(literal(AMOUNT_SQL), op, value)
+    : { [sort]: { [op]: value } };
+}
+
+/**
+ * Condition selecting the rows after a cursor
+ * Rows are ordered by the sort column with empty values last, then by ID in the same direction.
+ */
+function afterCursor(sort, order, { value, id }) {
+  const op = order === 'asc' ? Op.gt : Op.lt;
+  if (value === null) {
+    return { [Op.and]: [compareSort(sort, Op.is, null), { id: { [op]: id } }] };
+  }
+  const later = [
+    compareSort(sort, op, value),
+    { [Op.and]: [compareSort(sort, Op.eq, value), { id: { [op]: id } }] }
+  ];
+  if (NULLABLE_SORT_FIELDS.includes(sort)) {
+    later.push(compareSort(sort, Op.is, null));
+  }
+  return { [Op.or]: later };
+}
+
+// Parse an amount bound, or undefined when it is not given
+function amountParam(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) {
+    throw httpError(`${name} must be a number`, 400);
+  }
+  return amount;
+}
+
+// Conditions of a YYYY-MM-DD range on a date column
+function dateRange(column, from, to) {
+  const conditions = [];
+  for (const [name, value] of [[`${column}_from`, from], [`${column}_to`, to]]) {
+    if (value !== undefined && value !== '' && !parseDate(value)) {
+      throw httpError(`${name} must be a date as YYYY-MM-DD`, 400);
+    }
+  }
+  if (from) {
+    conditions.push({ [column]: { [Op.gte]: from } });
+  }
+  if (to) {
+    conditions.push({ [column]: { [Op.lt]: nextDay(to) } });
+  }
+  return conditions;
+}
+
+/**
+ * Conditions of the search filters
+ * @param {object} params - Query parameters, see searchInvoices
+ * @returns {Array<object>} - Conditions that all have to hold
+ */
+function filterConditions(params) {
+  const conditions = [];
+
+  if (params.q) {
+    const pattern = containsPattern(params.q);
+    conditions.push({
+      [Op.or]: [
+        { invoice_number: { [Op.iLike]: pattern } },
+        { supplier_name: { [Op.iLike]: pattern } },
+        { salesman: { [Op.iLike]: pattern } }
+      ]
+    });
+  }
+
+  if (params.ids) {
+    const ids = listParam(params.ids).map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw httpError('ids must be one or more comma-separated invoice IDs', 400);
+    }
+    conditions.push({ id: { [Op.in]: ids } });
+  }
+
+  if (params.supplier_id) {
+    const ids = listParam(params.supplier_id).map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw httpError('supplier_id must be one or more comma-separated supplier IDs', 400);
+    }
+    conditions.push({ supplier_id: { [Op.in]: ids } });
+  }
+
+  // Printed name, or the name or code of the linked supplier
+  if (params.supplier) {
+    const pattern = containsPattern(params.supplier);
+    const escaped = sequelize.escape(pattern);
+    conditions.push({
+      [Op.or]: [
+        { supplier_name: { [Op.iLike]: pattern } },
+        { supplier_id: { [Op.in]: literal(`(SELECT id FROM suppliers WHERE name ILIKE ${escaped} OR code ILIKE ${escaped})`) } }
+      ]
+    });
+  }
+
+  const documentTypes = listParam(params.document_type);
+  if (documentTypes.length > 0) {
+    conditions.push({ [Op.or]: documentTypes.map(type => ({ document_type: { [Op.iLike]: likeText(type) } })) });
+  }
+
+  const paymentTypes = listParam(params.payment_type);
+  if (paymentTypes.length > 0) {
+    conditions.push({ [Op.or]: paymentTypes.map(type => ({ payment_type: { [Op.iLike]: likeText(type) } })) });
+  }
+
+  const statuses = listParam(params.status);
+  if (statuses.length > 0) {
+    conditions.push({ status: { [Op.in]: statuses } });
+  }
+
+  conditions.push(...dateRange('invoice_date', params.invoice_date_from, params.invoice_date_to));
+  conditions.push(...dateRange('due_date', params.due_date_from, params.due_date_to));
+
+  const amountMin = amountParam(params.amount_min, 'amount_min');
+  const amountMax = amountParam(params.amount_max, 'amount_max');
+  if (amountMin !== undefined) {
+    conditions.push(where(literal(AMOUNT_SQL), Op.gte, amountMin));
+  }
+  if (amountMax !== undefined) {
+    conditions.push(where(literal(AMOUNT_SQL), Op.lte, amountMax));
+  }
+
+  // Any line whose invoice or mapped product code or name contains the text
+  if (params.item) {
+    const pattern = sequelize.escape(containsPattern(params.item));
+    conditions.push(literal(`EXISTS (
+      SELECT 1 FROM processed_invoice_items AS line
+      WHERE line.invoice_id = "ProcessedInvoice".id
+        AND (line.product_name ILIKE ${pattern} OR line.product_code ILIKE ${pattern}
+          OR line.mapped_product_name ILIKE ${pattern} OR line.mapped_product_code ILIKE ${pattern})
+    )`));
+  }
+
+  return conditions;
+}
+
+// Checked sort column and direction of the search parameters
+function sortParams(params) {
+  const sort = params.sort || DEFAULT_SORT;
+  if (!SORT_FIELDS.includes(sort)) {
+    throw httpError(`sort must be one of ${SORT_FIELDS.join(', ')}`, 400);
+  }
+  const order = (params.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw httpError('order must be asc or desc', 400);
+  }
+  return { sort, order };
+}
+
+// Order clause of a sort, empty values last and ties broken by ID
+function orderClause(sort, order) {
+  const direction = order.toUpperCase();
+  const sortOrder = sort === 'amount' ? [literal(AMOUNT_SQL), direction] : [sort, `${direction} NULLS LAST`];
+  return [sortOrder, ['id', direction]];
+}
+
+/**
+ * Search processed invoices
+ * @param {object} params - Query parameters: q (invoice number, supplier name or salesman), item (line product code
+ *   or name), ids and supplier_id (comma-separated IDs), supplier (name or code), document_type, payment_type and
+ *   status (comma-separated values), invoice_date_from/_to and due_date_from/_to (YYYY-MM-DD, inclusive),
+ *   amount_min/_max, sort, order (asc or desc), limit and cursor (next_cursor of the previous page)
+ * @returns {Promise<object>} - { ids: invoice IDs of the page in order, next_cursor, has_more, total, sort, order, limit }
+ */
+async function searchInvoices(params = {}) {
+  const { sort, order } = sortParams(params);
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(`limit must be a whole number from 1 to ${MAX_LIMIT}`, 400);
+  }
+
+  const conditions = filterConditions(params);
+  const pageConditions = params.cursor
+    ? [...conditions, afterCursor(sort, order, decodeCursor(params.cursor, sort, order))]
+    : conditions;
+
+  const sortAttribute = sort === 'amount' ? [literal(AMOUNT_SQL), 'amount'] : sort;
+
+  const [rows, total] = await Promise.all([
+    ProcessedInvoice.findAll({
+      attributes: ['id', sortAttribute],
+      where: { [Op.and]: pageConditions },
+      order: orderClause(sort, order),
+      limit: limit + 1,
+      raw: true
+    }),
+    ProcessedInvoice.count({ where: { [Op.and]: conditions } })
+  ]);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  let nextCursor = null;
+  if (hasMore) {
+    const value = last[sort] instanceof Date ? last[sort].toISOString() : last[sort];
+    nextCursor = encodeCursor(sort, order, value === undefined ? null : value, last.id);
+  }
+
+  return {
+    ids: page.map(row => row.id),
+    next_cursor: nextCursor,
+    has_more: hasMore,
+    total,
+    sort,
+    order,
+    limit
+  };
+}
+
+/**
+ * IDs of every invoice matching the search filters, for exports
+ * @param {object} params - Filters, sort and order as for searchInvoices; limit and cursor are ignored
+ * @param {object} options - { max: most invoices returned }
+ * @returns {Promise<Array<number>>} - Invoice IDs in order
+ * @throws {Error} - With statusCode 400 when more than max invoices match
+ */
+async function searchInvoiceIds(params = {}, { max }) {
+  const { sort, order } = sortParams(params);
+  const conditions = { [Op.and]: filterConditions(params) };
+
+  const total = await ProcessedInvoice.count({ where: conditions });
+  if (total > max) {
+    throw httpError(`${total} invoices match, narrow the filters to at most ${max}`, 400);
+  }
+
+  const rows = await ProcessedInvoice.findAll({
+    attributes: ['id'],
+    where: conditions,
+    order: orderClause(sort, order),
+    raw: true
+  });
+  return rows.map(row => row.id);
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  searchInvoices,
+  searchInvoiceIds
+};
@@ -0,0 +1,216 @@
+/**
+ * Arithmetic validation of OCR invoice data
+ * Checks line item calculations, PPN and the line sum against extracted invoice totals.
+ * Every violation is reported per field with a severity: 'error' blocks saving, 'warning' only informs.
+ */
+
+// Relative difference above which a mismatch is an error instead of a warning
+const ERROR_TOLERANCE = 0.01;
+// Absolute difference (rupiah) always accepted as rounding
+const ROUNDING_TOLERANCE = 1;
+// PPN rate used when the invoice does not specify one
+const DEFAULT_PPN_RATE = 11;
+
+// Header fields that may hold the invoice total, in order of preference
+const TOTAL_FIELDS = ['grand_total', 'total_faktur', 'total_invoice', 'jumlah_total', 'total_tagihan', 'total'];
+
+/**
+ * Parse a number from OCR output
+ * Accepts numbers and strings in Indonesian (1.000,50) or English (1,000.50) format. In amounts, a single separator
+ * between a group of one to three digits not starting with 0 and exactly three digits is a thousand separator, so
+ * 12.500 and 12,500 are both 12500 while 0.500 is 0.5. Quantities such as 1.250 kg read it as a decimal separator.
+ * @param {*} value - Raw value
+ * @param {object} options - { quantity: true when the value is a quantity rather than an amount }
+ * @returns {number|null} - The number, or null when the value is empty or not a number
+ */
+function toNumber(value, { quantity = false } = {}) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let clean = value.replace(/rp|%|\s/gi, '');
+  if (clean === '') {
+    return null;
+  }
+
+  const lastComma = clean.lastIndexOf(',');
+  const lastPeriod = clean.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastPeriod !== -1) {
+    // The last separator is the decimal separator
+    clean = lastComma > lastPeriod
+      ? clean.replace(/\./g, '').replace(',', '.')
+      : clean.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // 1,000,000 or 1,500 use commas as thousand separators, 1,5 uses a decimal comma
+    clean = (clean.match(/,/g).length > 1 || (!quantity && /^-?[1-9]\d{0,2},\d{3}$/.test(clean)))
+      ? clean.replace(/,/g, '')
+      : clean.replace(',', '.');
+  } else if ((clean.match(/\./g) || []).length > 1 || (!quantity && /^-?[1-9]\d{0,2}\.\d{3}$/.test(clean))) {
+    // 1.000.000 or 12.500 use periods as thousand separators
+    clean = clean.replace(/\./g, '');
+  }
+
+  const number = Number(clean);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Value of a { value, is_confident } field or a plain value
+function fieldValue(field) {
+  return field && typeof field === 'object' && 'value' in field ? field.value : field;
+}
+
+// Read a boolean flag that may be stored as a string
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    return ['true', 'ya', 'yes', '1'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+// Severity of a difference between an expected and an actual amount, or null if they agree
+function severityOf(expected, actual, tolerance = ROUNDING_TOLERANCE) {
+  const difference = Math.abs(expected - actual);
+  if (difference <= tolerance) {
+    return null;
+  }
+  const base = Math.max(Math.abs(expected), Math.abs(actual));
+  return base > 0 && difference / base <= ERROR_TOLERANCE ? 'warning' : 'error';
+}
+
+/**
+ * Validate OCR invoice data
+ * @param {object} ocrData - Canonical OCR document, see ocrDocument.js
+ * @returns {object} - { valid, errors, warnings, issues } where issues are
+ *   { scope: 'item'|'invoice', index, field, rule, severity, message, expected, actual }
+ */
+function validateInvoice(ocrData) {
+  const issues = [];
+  const output = (ocrData && ocrData.output) || {};
+  const items = Array.isArray(output.items) ? output.items : [];
+
+  const includePpn = toBoolean(fieldValue(output.include_ppn));
+  const ppnRate = toNumber(fieldValue(output.ppn_rate)) ?? DEFAULT_PPN_RATE;
+
+  const addIssue = (issue) => {
+    issues.push({ expected: null, actual: null, ...issue });
+  };
+
+  let nettoSum = 0;
+  let ppnSum = 0;
+
+  items.forEach((item, index) => {
+    const qty = toNumber(fieldValue(item.qty), { quantity: true });
+    const hargaSatuan = toNumber(fieldValue(item.harga_satuan));
+    const hargaBruto = toNumber(fieldValue(item.harga_bruto));
+    const diskonPersen = toNumber(fieldValue(item.diskon_persen));
+    const diskonRp = toNumber(fieldValue(item.diskon_rp));
+    const jumlahNetto = toNumber(fieldValue(item.jumlah_netto));
+    const ppn = toNumber(fieldValue(item.ppn));
+    const line = index + 1;
+
+    for (const [field, value] of [['qty', qty], ['harga_satuan', hargaSatuan], ['jumlah_netto', jumlahNetto]]) {
+      if (value === null) {
+        addIssue({ scope: 'item', index, field, rule: 'required', severity: 'error', message: `Item ${line}: ${field} kosong atau bukan angka` });
+      } else if (value < 0) {
+        addIssue({ scope: 'item', index, field, rule: 'non_negative', severity: 'error', message: `Item ${line}: ${field} tidak boleh negatif`, actual: value });
+      }
+    }
+
+    // qty x harga_satuan = harga_bruto, allowing half a rupiah of unit price rounding per unit
+    if (qty !== null && hargaSatuan !== null && hargaBruto !== null) {
+      const expected = qty * hargaSatuan;
+      const severity = severityOf(expected, hargaBruto, Math.max(ROUNDING_TOLERANCE, Math.abs(qty) * 0.5));
+      if (severity) {
+        addIssue({
+          scope: 'item', index, field: 'harga_bruto', rule: 'bruto', severity,
+          message: `Item ${line}: qty × harga satuan = ${expected}, bukan ${hargaBruto}`,
+          expected, actual: hargaBruto
+        });
+      }
+    }
+
+    // diskon_persen and diskon_rp agree
+    if (hargaBruto !== null && diskonPersen !== null && diskonRp !== null) {
+      const expected = Math.round(hargaBruto * diskonPersen / 100);
+      const severity = severityOf(expected, diskonRp);
+      if (severity) {
+        addIssue({
+          scope: 'item', index, field: 'diskon_rp', rule: 'discount', severity,
+          message: `Item ${line}: diskon ${diskonPersen}% dari ${hargaBruto} = ${expected}, bukan ${diskonRp}`,
+          expected, actual: diskonRp
+        });
+      }
+    }
+
+    // jumlah_netto = harga_bruto - diskon_rp
+    if (hargaBruto !== null && jumlahNetto !== null) {
+      const expected = hargaBruto - (diskonRp || 0);
+      const severity = severityOf(expected, jumlahNetto);
+      if (severity) {
+        addIssue({
+          scope: 'item', index, field: 'jumlah_netto', rule: 'netto', severity,
+          message: `Item ${line}: harga bruto − diskon = ${expected}, bukan ${jumlahNetto}`,
+          expected, actual: jumlahNetto
+        });
+      }
+    }
+
+    // PPN follows include_ppn and the tax rate; items without a BKP flag follow include_ppn
+    if (ppn !== null && jumlahNetto !== null) {
+      const bkp = item.bkp !== undefined ? toBoolean(fieldValue(item.bkp)) : includePpn;
+      let expected = 0;
+      if (bkp) {
+        expected = includePpn
+          ? Math.round(jumlahNetto * (ppnRate / (100 + ppnRate)))
+          : Math.round(jumlahNetto * (ppnRate / 100));
+      }
+      const severity = severityOf(expected, ppn);
+      if (severity) {
+        addIssue({
+          scope: 'item', index, field: 'ppn', rule: 'ppn', severity,
+          message: `Item ${line}: PPN ${bkp ? `${ppnRate}%` : '(non-BKP)'} seharusnya ${expected}, bukan ${ppn}`,
+          expected, actual: ppn
+        });
+      }
+      ppnSum += ppn;
+    }
+
+    nettoSum += jumlahNetto || 0;
+  });
+
+  // Line sum against an extracted invoice total. Extracted totals may be subtotals or include
+  // other charges, so a mismatch is only a warning.
+  const totalField = TOTAL_FIELDS.find(name => toNumber(fieldValue(output[name])) !== null);
+  if (totalField && items.length > 0) {
+    const total = toNumber(fieldValue(output[totalField]));
+    const candidates = includePpn ? [nettoSum] : [nettoSum, nettoSum + ppnSum];
+    const matches = candidates.some(sum => severityOf(sum, total, Math.max(ROUNDING_TOLERANCE, items.length)) === null);
+    if (!matches) {
+      const expected = candidates[candidates.length - 1];
+      addIssue({
+        scope: 'invoice', field: totalField, rule: 'total', severity: 'warning',
+        message: `Jumlah item (${expected}) tidak sama dengan ${totalField} (${total})`,
+        expected, actual: total
+      });
+    }
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: issues.length - errors,
+    issues
+  };
+}
+
+module.exports = {
+  validateInvoice,
+  toNumber,
+  toBoolean
+};
@@ -0,0 +1,355 @@
+/**
+ * Invoice lifecycle
+ * A processed invoice moves draft → reviewed → approved → posted through explicit transitions. Each transition checks
+ * the role of the actor and the rules of its target status, and posting is the only step that writes cost prices and
+ * stock to the product database. Only draft invoices may be edited; reviewed and approved invoices can be reopened
+ * to draft, posted invoices are final. Returns and credit notes follow the same steps, but are checked against the
+ * invoice they reference and posting them only takes stock back, see creditDocumentService.
+ *
+ * The role checks and the four-eyes rule are advisory until the API has real authentication: the actor is the name a
+ * client sends in the X-Actor header, which the frontend takes from localStorage, so any client can claim any name.
+ * They keep honest users to the agreed process; they do not stop a client that sends another user's name.
+ */
+const { ProcessedInvoice, ProcessedInvoiceItem, ProductItem, ProductUnit, ProductPrice, ProductStock } = require('../models');
+const { sequelize } = require('../config/database');
+const { validateInvoice } = require('./invoiceValidator');
+const { toItemJson } = require('./invoiceItemService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const paymentService = require('./paymentService');
+const creditDocumentService = require('./creditDocumentService');
+const webhookService = require('./webhookService');
+
+const STATUS = {
+  DRAFT: 'draft',
+  REVIEWED: 'reviewed',
+  APPROVED: 'approved',
+  POSTED: 'posted'
+};
+
+// Transitions by name: the statuses they start from, the status they lead to and the env var listing who may run them
+const TRANSITIONS = {
+  review: { from: [STATUS.DRAFT], to: STATUS.REVIEWED, roleVar: 'INVOICE_REVIEWERS' },
+  approve: { from: [STATUS.REVIEWED], to: STATUS.APPROVED, roleVar: 'INVOICE_APPROVERS' },
+  post: { from: [STATUS.APPROVED], to: STATUS.POSTED, roleVar: 'INVOICE_POSTERS' },
+  reopen: { from: [STATUS.REVIEWED, STATUS.APPROVED], to: STATUS.DRAFT, roleVar: 'INVOICE_APPROVERS' }
+};
+
+// Error carrying an HTTP status code and optional rule failures
+function httpError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Names allowed to run a transition, from a comma-separated env var
+ * @param {string} roleVar - Env var name
+ * @returns {Array<string>|null} - Lower-cased names, or null when anyone may run the transition
+ */
+function allowedActors(roleVar) {
+  const names = (process.env[roleVar] || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Transitions that can start from a status
+ * @param {string} status - Invoice status
+ * @returns {Array<string>} - Transition names
+ */
+function transitionsFrom(status) {
+  return Object.keys(TRANSITIONS).filter(name => TRANSITIONS[name].from.includes(status || STATUS.DRAFT));
+}
+
+/**
+ * Refuse a change to the content of an invoice that is no longer a draft
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice
+ * @throws {Error} - With statusCode 409 when the invoice is reviewed, approved or posted
+ */
+function assertEditable(invoice) {
+  const status = invoice.status || STATUS.DRAFT;
+  if (status !== STATUS.DRAFT) {
+    const hint = status === STATUS.POSTED ? 'posted invoices cannot be changed' : 'reopen it to draft first';
+    throw httpError(`Invoice ${invoice.invoice_number} is ${status}; ${hint}`, 409);
+  }
+}
+
+// Lines of an invoice in the canonical document shape read by validateInvoice
+function validationDocument(invoice, items) {
+  return {
+    output: {
+      include_ppn: invoice.include_tax,
+      ppn_rate: invoice.tax_rate,
+      items: items.map(item => ({
+        qty: item.quantity,
+        harga_satuan: item.price,
+        harga_bruto: item.gross_amount,
+        diskon_persen: item.discount_percent,
+        diskon_rp: item.discount_amount,
+        jumlah_netto: item.total,
+        ppn: item.tax_amount,
+        ...(item.taxable === null ? {} : { bkp: item.taxable })
+      }))
+    }
+  };
+}
+
+// Lines that are not linked to a product and unit of the product database
+function unmappedLines(items) {
+  return items
+    .filter(item => !item.product_id || !item.unit_id)
+    .map(item => `Item ${item.line_number}: ${item.product_name || item.product_code || 'tanpa nama'} belum dipetakan ke produk dan satuan`);
+}
+
+/**
+ * Rule failures that block a transition
+ * @param {string} name - Transition name
+ * @param {object} invoice - ProcessedInvoice instance
+ * @param {Array<object>} items - Lines as plain JSON
+ * @param {object} context - { actor: who runs the transition, paymentCount: payments recorded against the invoice,
+ *   credit: whether the invoice is a return or credit note }
+ * @returns {Array<string>} - Messages, empty when the transition may run
+ */
+function ruleFailures(name, invoice, items, { actor, paymentCount, credit }) {
+  const failures = [];
+
+  if (name === 'review') {
+    if (items.length === 0) {
+      failures.push('Invoice tidak memiliki item');
+    }
+    const validation = validateInvoice(validationDocument(invoice, items));
+    failures.push(...validation.issues.filter(issue => issue.severity === 'error').map(issue => issue.message));
+  }
+
+  if (name === 'approve') {
+    // Lines of a credit document may take their product and unit from the original lines
+    if (!credit) {
+      failures.push(...unmappedLines(items));
+    }
+    // Four-eyes rule: the approver is not the reviewer; invoices reviewed before the workflow have no reviewer
+    if (invoice.reviewed_by && actor.toLowerCase() === invoice.reviewed_by.toLowerCase()) {
+      failures.push(`Invoice harus disetujui oleh orang lain selain pemeriksa (${invoice.reviewed_by})`);
+    }
+  }
+
+  if (name === 'post' && !credit) {
+    // Products or units may have been deleted since the approval
+    failures.push(...unmappedLines(items));
+  }
+
+  if (name === 'reopen' && paymentCount > 0) {
+    // A draft can be edited below the amount already paid
+    failures.push(`Invoice sudah memiliki ${paymentCount} pembayaran; hapus pembayaran terlebih dahulu`);
+  }
+
+  return failures;
+}
+
+/**
+ * Write the cost prices, supplier data and stock of a posted invoice to the product database
+ * @param {object} invoice - ProcessedInvoice instance
+ * @param {Array<object>} items - Lines as plain JSON, all mapped to a product and unit
+ * @param {object} options - { transaction }
+ * @returns {Promise<Array<object>>} - product.price_changed payloads to send once the transaction is committed
+ */
+async function postToProducts(invoice, items, { transaction } = {}) {
+  const priceChanges = [];
+  const pricedUnits = new Set();
+
+  for (const item of items) {
+    const product = await ProductItem.findByPk(item.product_id, { transaction });
+    const unit = await ProductUnit.findByPk(item.unit_id, { transaction });
+    if (!product || !unit) {
+      continue;
+    }
+
+    // Supplier and the supplier's own code of the product
+    const productUpdates = {};
+    if (invoice.supplier_name) {
+      productUpdates.Supplier_Name = invoice.supplier_name;
+    }
+    if (invoice.supplier_id) {
+      productUpdates.supplier_id = invoice.supplier_id;
+    }
+    if (item.product_code && item.product_code !== product.Kode_Item) {
+      productUpdates.Supplier_Code = item.product_code;
+    }
+    if (Object.keys(productUpdates).length > 0) {
+      await product.update(productUpdates, { transaction });
+    }
+
+    if (item.unit && item.unit !== unit.Satuan_Supplier) {
+      await unit.update({ Satuan_Supplier: item.unit }, { transaction });
+    }
+
+    // Received quantity goes onto the stock of the mapped unit
+    if (item.quantity) {
+      const [stock] = await ProductStock.findOrCreate({
+        where: { ID_Produk: product.ID_Produk, ID_Satuan: unit.ID_Satuan },
+        defaults: { Jumlah_Stok: 0 },
+        transaction
+      });
+      await stock.update({ Jumlah_Stok: parseFloat(stock.Jumlah_Stok || 0) + item.quantity }, { transaction });
+    }
+
+    // The first line of a product and unit sets its cost price
+    const unitKey = `${product.ID_Produk}:${unit.ID_Satuan}`;
+    const newPrice = item.price || item.base_price;
+    if (pricedUnits.has(unitKey) || !newPrice) {
+      continue;
+    }
+    pricedUnits.add(unitKey);
+
+    const price = await ProductPrice.findOne({
+      where: { ID_Produk: product.ID_Produk, ID_Satuan: unit.ID_Satuan },
+      transaction
+    });
+    if (!price) {
+      continue;
+    }
+
+    // Decimal columns are returned as strings, so compare as numbers
+    const oldPrice = price.Harga_Pokok !== null ? parseFloat(price.Harga_Pokok) : null;
+    if (oldPrice !== newPrice) {
+      await price.update({ Harga_Pokok_Sebelumnya: price.Harga_Pokok, Harga_Pokok: newPrice }, { transaction });
+      priceChanges.push({
+        product_id: product.ID_Produk,
+        product_code: product.Kode_Item,
+        product_name: product.Nama_Item,
+        unit: unit.Nama_Satuan,
+        old_price: oldPrice,
+        new_price: newPrice,
+        supplier_name: invoice.supplier_name || null,
+        invoice_number: invoice.invoice_number
+      });
+    }
+
+    // Threshold margin from the previous cost price and the selling price
+    const hargaJual = parseFloat(price.Harga_Jual || 0);
+    if (oldPrice > 0 && hargaJual > 0) {
+      await unit.update({ Threshold_Margin: ((hargaJual - oldPrice) / oldPrice) * 100 }, { transaction });
+    }
+  }
+
+  return priceChanges;
+}
+
+/**
+ * Run a transition on an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {string} name - review, approve, post or reopen
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { id, invoice_number, status, previous_status, reviewed_by, ..., posted_at }
+ * @throws {Error} - 400 without an actor, 404 for an unknown invoice, 403 when the actor may not run the transition,
+ *   409 when the invoice is not in a status the transition starts from and 422 with the failed rules in details
+ */
+async function transition(invoiceId, name, { actor = null } = {}) {
+  const definition = TRANSITIONS[name];
+  if (!definition) {
+    throw httpError(`Unknown transition: ${name}`, 400);
+  }
+
+  // Anonymous transitions would skip the role checks and the four-eyes rule
+  if (!actor) {
+    throw httpError(`The X-Actor header is required to ${name} invoices`, 400);
+  }
+  const allowed = allowedActors(definition.roleVar);
+  if (allowed && !allowed.includes(actor.toLowerCase())) {
+    throw httpError(`${actor} may not ${name} invoices; set X-Actor to one of ${definition.roleVar}`, 403);
+  }
+
+  const { invoice, previousStatus, priceChanges } = await sequelize.transaction(async (transaction) => {
+    // Lock the row so the same invoice is never posted twice
+    const invoice = await ProcessedInvoice.findByPk(invoiceId, {
+      attributes: { exclude: ['image_data'] },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!invoice) {
+      throw httpError('Invoice not found', 404);
+    }
+
+    const previousStatus = invoice.status || STATUS.DRAFT;
+    if (!definition.from.includes(previousStatus)) {
+      throw httpError(`Cannot ${name} an invoice that is ${previousStatus}`, 409);
+    }
+
+    const items = (await ProcessedInvoiceItem.findAll({
+      where: { invoice_id: invoice.id },
+      order: [['line_number', 'ASC']],
+      transaction
+    })).map(toItemJson);
+
+    const paymentCount = name === 'reopen' ? await paymentService.countPayments(invoice.id, { transaction }) : 0;
+    const credit = creditDocumentService.isCreditDocument(invoice.document_type);
+    const failures = ruleFailures(name, invoice, items, { actor, paymentCount, credit });
+    // Other credit documents of the same invoice may have been reviewed or posted in the meantime
+    if (credit && name !== 'reopen') {
+      failures.push(...await creditDocumentService.referenceFailures(invoice, items, { transaction }));
+    }
+    if (failures.length > 0) {
+      throw httpError(`Invoice ${invoice.invoice_number} cannot be ${definition.to}`, 422, failures);
+    }
+
+    const before = await invoiceHistoryService.loadSnapshot(invoice.id, { transaction });
+    const now = new Date();
+    const updates = { status: definition.to, updated_at: now };
+    if (name === 'review') {
+      Object.assign(updates, { reviewed_by: actor, reviewed_at: now });
+    } else if (name === 'approve') {
+      Object.assign(updates, { approved_by: actor, approved_at: now });
+    } else if (name === 'post') {
+      Object.assign(updates, { posted_by: actor, posted_at: now });
+    } else if (name === 'reopen') {
+      Object.assign(updates, { reviewed_by: null, reviewed_at: null, approved_by: null, approved_at: null });
+    }
+    await invoice.update(updates, { transaction });
+
+    let priceChanges = [];
+    if (name === 'post' && credit) {
+      await creditDocumentService.postCredit(invoice, items, { transaction });
+    } else if (name === 'post') {
+      priceChanges = await postToProducts(invoice, items, { transaction });
+    }
+
+    await invoiceHistoryService.recordVersion(invoice.id, name, { actor, source: 'workflow', before, transaction });
+
+    return { invoice, previousStatus, priceChanges };
+  });
+
+  await webhookService.emitEvent('invoice.status_changed', {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    supplier_name: invoice.supplier_name,
+    from: previousStatus,
+    to: invoice.status,
+    actor
+  });
+  for (const change of priceChanges) {
+    await webhookService.emitEvent('product.price_changed', change);
+  }
+
+  return {
+    id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    status: invoice.status,
+    previous_status: previousStatus,
+    reviewed_by: invoice.reviewed_by,
+    reviewed_at: invoice.reviewed_at,
+    approved_by: invoice.approved_by,
+    approved_at: invoice.approved_at,
+    posted_by: invoice.posted_by,
+    posted_at: invoice.posted_at,
+    transitions: transitionsFrom(invoice.status)
+  };
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  transitionsFrom,
+  assertEditable,
+  transition
+};
@@ -0,0 +1,457 @@
+/**
+ * Canonical OCR invoice document
+ * Every OCR result, from any provider or from older versions of the app, is converted into one versioned shape:
+ *
+ *   {
+ *     schema_version: 1,
+ *     output: { <header fields>, items: [{ <item fields> }] },
+ *     debug: [{ issue, item?, page? }],
+ *     debug_summary: { value, is_confident } | null,
+ *     pages?, page_count?
+ *   }
+ *
+ * Header and item fields are { value, is_confident } objects; dates may also carry an epoch.
+ * Controllers, services and the frontend read only this shape.
+ */
+const Joi = require('joi');
+const moment = require('moment');
+const { toNumber, toBoolean } = require('./invoiceValidator');
+
+// Version of the canonical shape, raised whenever a field is renamed or moved
+const SCHEMA_VERSION = 1;
+
+// Canonical header fields and the names they were stored under before, in order of preference
+const HEADER_ALIASES = {
+  nomor_referensi: ['nomor_referensi', 'invoice_number', 'nomor_faktur'],
+  nama_supplier: ['nama_supplier', 'supplier_name'],
+  tanggal_faktur: ['tanggal_faktur', 'invoice_date'],
+  tgl_jatuh_tempo: ['tgl_jatuh_tempo', 'tanggal_jatuh_tempo', 'due_date'],
+  tipe_dokumen: ['tipe_dokumen', 'document_type'],
+  tipe_pembayaran: ['tipe_pembayaran', 'payment_type'],
+  salesman: ['salesman'],
+  include_ppn: ['include_ppn', 'include_vat', 'include_tax'],
+  ppn_rate: ['ppn_rate', 'tax_rate'],
+  margin_threshold: ['margin_threshold'],
+  total_items: ['total_items']
+};
+
+// Canonical item fields and their legacy names, in order of preference
+const ITEM_ALIASES = {
+  kode_barang_invoice: ['kode_barang_invoice', 'kode_barang', 'product_code', 'code'],
+  nama_barang_invoice: ['nama_barang_invoice', 'nama_barang', 'product_name', 'name'],
+  qty: ['qty', 'jumlah', 'quantity'],
+  satuan: ['satuan', 'unit'],
+  harga_satuan: ['harga_satuan', 'price'],
+  harga_bruto: ['harga_bruto'],
+  diskon_persen: ['diskon_persen'],
+  diskon_rp: ['diskon_rp'],
+  jumlah_netto: ['jumlah_netto', 'total'],
+  ppn: ['ppn'],
+  bkp: ['bkp'],
+  source_page: ['source_page']
+};
+
+// Header keys holding invoice totals, kept under their own name
+const TOTAL_KEY_PATTERN = /(^|_)(total|subtotal|grand|dpp|ppn|pajak|materai)(_|$)/;
+// Keys that are never copied as header fields
+const RESERVED_KEYS = ['schema_version', 'output', 'items', 'debug', 'debug_summary', 'summary_debug', 'pages', 'page_count', 'item_keys'];
+
+// Field names allowed in the header and in items
+const FIELD_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Check whether a value is a plain object
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Convert a raw value into a { value, is_confident } field
+ * Plain values were typed or stored by the app and are taken as confident.
+ * @param {*} raw - A field object or a plain value
+ * @returns {object|undefined} - The field, or undefined when there is no value
+ */
+function toField(raw) {
+  if (raw === undefined || raw === null) {
+    return undefined;
+  }
+
+  if (raw instanceof Date) {
+    return { value: raw.toISOString(), is_confident: true };
+  }
+
+  if (isObject(raw)) {
+    if (!('value' in raw) && raw.epoch === undefined) {
+      return undefined;
+    }
+    return {
+      ...raw,
+      value: raw.value === undefined ? null : raw.value,
+      is_confident: raw.is_confident !== false
+    };
+  }
+
+  return { value: raw, is_confident: true };
+}
+
+// First defined field among several names in several containers
+function pickField(containers, names) {
+  for (const container of containers) {
+    for (const name of names) {
+      const field = toField(container[name]);
+      if (field !== undefined) {
+        return field;
+      }
+    }
+  }
+  return undefined;
+}
+
+// Convert one item of any known shape
+function normalizeItem(raw) {
+  const source = isObject(raw) ? raw : {};
+  const item = {};
+  const consumed = new Set();
+
+  for (const [name, aliases] of Object.entries(ITEM_ALIASES)) {
+    aliases.forEach(alias => consumed.add(alias));
+    const field = pickField([source], aliases);
+    if (field !== undefined) {
+      item[name] = field;
+    }
+  }
+
+  // Fields filled in by the app, e.g. kode_barang_main or satuan_main, keep their name
+  for (const [key, value] of Object.entries(source)) {
+    if (consumed.has(key) || !FIELD_NAME.test(key)) {
+      continue;
+    }
+    const field = toField(value);
+    if (field !== undefined) {
+      item[key] = field;
+    }
+  }
+
+  return item;
+}
+
+// Merge the elements of an array response, where header fields and items may be in different elements
+function fromArray(data) {
+  const merged = { output: {} };
+  for (const element of data.filter(isObject)) {
+    Object.assign(merged, element, { output: merged.output });
+    if (isObject(element.output)) {
+      Object.assign(merged.output, element.output);
+    }
+  }
+  return merged;
+}
+
+// Debug messages from the root and from output, as { issue, ... } objects
+// Older clients copied the root messages into output, so repeated messages are kept once
+function normalizeDebug(containers) {
+  const debug = [];
+  const seen = new Set();
+  for (const container of containers) {
+    const entries = Array.isArray(container.debug) ? container.debug : [];
+    for (const entry of entries) {
+      const message = isObject(entry) ? { ...entry } : { issue: String(entry) };
+      const key = JSON.stringify(message);
+      if (!seen.has(key)) {
+        seen.add(key);
+        debug.push(message);
+      }
+    }
+  }
+  return debug;
+}
+
+/**
+ * Convert OCR data of any known shape into the canonical document
+ * Header fields may be at the root, in output or in output.output; when a field appears in several places the
+ * one in output wins because that is where edits are written. Items may be in output.items, output.output.items or items.
+ * @param {*} data - OCR data from a provider, a stored job result or a client request
+ * @returns {object} - The canonical document
+ * @throws {Error} - When the data was written by a newer schema version
+ */
+function normalizeOcrDocument(data) {
+  let source = Array.isArray(data) ? fromArray(data) : data;
+  if (!isObject(source)) {
+    source = {};
+  }
+
+  if (source.schema_version !== undefined && source.schema_version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported OCR schema_version ${source.schema_version}, this server reads up to ${SCHEMA_VERSION}`);
+  }
+
+  const output = isObject(source.output) ? source.output : {};
+  const nested = isObject(output.output) ? output.output : {};
+  const containers = [output, nested, source];
+
+  const header = {};
+  const consumed = new Set(RESERVED_KEYS);
+
+  for (const [name, aliases] of Object.entries(HEADER_ALIASES)) {
+    aliases.forEach(alias => consumed.add(alias));
+    const field = pickField(containers, aliases);
+    if (field !== undefined) {
+      header[name] = field;
+    }
+  }
+
+  // Totals and other header fields keep their name
+  for (const container of containers) {
+    for (const [key, value] of Object.entries(container)) {
+      if (consumed.has(key) || header[key] !== undefined || !FIELD_NAME.test(key)) {
+        continue;
+      }
+      if (!TOTAL_KEY_PATTERN.test(key) && !(isObject(value) && 'value' in value)) {
+        continue;
+      }
+      const field = toField(value);
+      if (field !== undefined) {
+        header[key] = field;
+      }
+    }
+  }
+
+  const rawItems = [output.items, nested.items, source.items].find(Array.isArray) || [];
+
+  const document = {
+    schema_version: SCHEMA_VERSION,
+    output: {
+      ...header,
+      items: rawItems.map(normalizeItem)
+    },
+    debug: normalizeDebug([source, output, nested]),
+    debug_summary: pickField(containers.slice().reverse(), ['debug_summary', 'summary_debug']) || null
+  };
+
+  if (Array.isArray(source.pages)) {
+    document.pages = source.pages;
+    document.page_count = source.page_count || source.pages.length;
+  }
+
+  return document;
+}
+
+// Accept numbers and number strings in Indonesian or English format
+const numeric = Joi.alternatives().try(
+  Joi.number(),
+  Joi.string().allow('').custom((value, helpers) => (value.trim() === '' || toNumber(value) !== null ? value : helpers.error('number.base')))
+).allow(null).messages({
+  'alternatives.types': '{{#label}} must be a number',
+  'alternatives.match': '{{#label}} must be a number'
+});
+
+// Accept booleans and their common string forms
+const flag = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.string().trim().lowercase().valid('true', 'false', 'ya', 'tidak', 'yes', 'no', '1', '0', ''),
+  Joi.number().valid(0, 1)
+).allow(null).messages({
+  'alternatives.types': '{{#label}} must be true or false',
+  'alternatives.match': '{{#label}} must be true or false'
+});
+
+const text = Joi.alternatives().try(Joi.string().allow(''), Joi.number()).allow(null).messages({
+  'alternatives.types': '{{#label}} must be a string'
+});
+
+// Dates are DD-MM-YYYY or ISO strings
+const dateText = Joi.string().allow('').custom((value, helpers) => (
+  value.trim() === '' || moment(value, ['DD-MM-YYYY', 'D-M-YYYY', 'DD/MM/YYYY', moment.ISO_8601], true).isValid()
+    ? value
+    : helpers.error('date.base')
+)).allow(null).messages({ 'date.base': '{{#label}} must be a date in DD-MM-YYYY format' });
+
+// A { value, is_confident } field whose value matches the given schema
+const field = (valueSchema = Joi.any()) => Joi.object({
+  value: valueSchema,
+  is_confident: Joi.boolean().required(),
+  epoch: Joi.number().allow(null)
+}).unknown(true);
+
+const headerSchema = Joi.object({
+  nomor_referensi: field(text),
+  nama_supplier: field(text),
+  tanggal_faktur: field(dateText),
+  tgl_jatuh_tempo: field(dateText),
+  tipe_dokumen: field(text),
+  tipe_pembayaran: field(text),
+  salesman: field(text),
+  include_ppn: field(flag),
+  ppn_rate: field(numeric),
+  margin_threshold: field(numeric),
+  total_items: field(numeric),
+  items: Joi.array().items(Joi.object({
+    kode_barang_invoice: field(text),
+    nama_barang_invoice: field(text),
+    qty: field(numeric),
+    satuan: field(text),
+    harga_satuan: field(numeric),
+    harga_bruto: field(numeric),
+    diskon_persen: field(numeric),
+    diskon_rp: field(numeric),
+    jumlah_netto: field(numeric),
+    ppn: field(numeric),
+    bkp: field(flag),
+    source_page: field(Joi.number().integer().min(1).allow(null))
+  }).pattern(FIELD_NAME, field())).required()
+}).pattern(TOTAL_KEY_PATTERN, field(numeric)).pattern(FIELD_NAME, field());
+
+const documentSchema = Joi.object({
+  schema_version: Joi.number().valid(SCHEMA_VERSION).required(),
+  output: headerSchema.required(),
+  debug: Joi.array().items(Joi.object({ issue: Joi.any() }).unknown(true)).required(),
+  debug_summary: field().allow(null),
+  pages: Joi.array().items(Joi.object().unknown(true)),
+  page_count: Joi.number().integer().min(1)
+});
+
+/**
+ * Validate a canonical document
+ * @param {object} document - Output of normalizeOcrDocument
+ * @returns {Array<object>} - Errors as { path, message, type }, empty when the document is valid
+ */
+function validateOcrDocument(document) {
+  const { error } = documentSchema.validate(document, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+
+  if (!error) {
+    return [];
+  }
+
+  return error.details.map(detail => {
+    const path = detail.path.join('.');
+    return {
+      path,
+      message: detail.message.replace(detail.context.label, path),
+      type: detail.type
+    };
+  });
+}
+
+/**
+ * Normalize and validate OCR data in one step
+ * @param {*} data - OCR data of any known shape
+ * @returns {object} - { document, errors }, document is null when the data cannot be read at all
+ */
+function parseOcrDocument(data) {
+  let document;
+  try {
+    document = normalizeOcrDocument(data);
+  } catch (error) {
+    return { document: null, errors: [{ path: 'schema_version', message: error.message, type: 'any.only' }] };
+  }
+  return { document, errors: validateOcrDocument(document) };
+}
+
+// Value of a canonical field, or the default when the field is missing or empty
+function fieldValue(field, defaultValue = null) {
+  if (!field || field.value === undefined || field.value === null || field.value === '') {
+    return defaultValue;
+  }
+  return field.value;
+}
+
+/**
+ * Date of a canonical date field
+ * The value wins over the epoch because edits only change the value.
+ * @param {object} field - { value, epoch }
+ * @returns {Date|null} - The date, or null when it cannot be read
+ */
+function fieldDate(field) {
+  const value = fieldValue(field);
+  if (value !== null) {
+    const parsed = moment(String(value), ['DD-MM-YYYY', 'D-M-YYYY', 'DD/MM/YYYY', moment.ISO_8601], true);
+    if (parsed.isValid()) {
+      return parsed.toDate();
+    }
+  }
+  if (field && typeof field.epoch === 'number') {
+    return new Date(field.epoch * 1000);
+  }
+  return null;
+}
+
+// Fields without a confidence flag were typed by the user
+function isConfident(field) {
+  return field ? field.is_confident : true;
+}
+
+/**
+ * Read the ProcessedInvoice columns from a canonical document
+ * Used when an invoice is saved and when stored raw OCR data is parsed again, so both follow the same rules.
+ * @param {object} document - Canonical OCR document
+ * @returns {object} - { invoice_number, document_type, supplier_name, invoice_date, due_date, payment_type, include_tax, salesman,
+ *   tax_rate, items, debug, debug_summary }; invoice_number is null when OCR found none
+ */
+function toInvoiceFields(document) {
+  const { output } = document;
+  const invoiceNumber = fieldValue(output.nomor_referensi);
+
+  return {
+    invoice_number: invoiceNumber === null ? null : String(invoiceNumber),
+    // Faktur, Retur, Nota Kredit, ... as printed; Invoice when OCR found none
+    document_type: fieldValue(output.tipe_dokumen) || 'Invoice',
+    supplier_name: fieldValue(output.nama_supplier, ''),
+    invoice_date: fieldDate(output.tanggal_faktur),
+    due_date: fieldDate(output.tgl_jatuh_tempo),
+    payment_type: fieldValue(output.tipe_pembayaran, ''),
+    include_tax: toBoolean(fieldValue(output.include_ppn, false)),
+    salesman: fieldValue(output.salesman, ''),
+    tax_rate: toNumber(fieldValue(output.ppn_rate)) || 11.0,
+    // Rows of processed_invoice_items, without the invoice and the resolved product and unit IDs
+    items: output.items.map((item, index) => {
+      const mappedUnit = item.satuan_main || {};
+      return {
+        line_number: index + 1,
+        product_code: fieldValue(item.kode_barang_invoice, ''),
+        product_name: fieldValue(item.nama_barang_invoice, ''),
+        quantity: toNumber(fieldValue(item.qty), { quantity: true }) || 0,
+        unit: fieldValue(item.satuan, ''),
+        price: toNumber(fieldValue(item.harga_satuan)) || 0,
+        gross_amount: toNumber(fieldValue(item.harga_bruto)),
+        discount_percent: toNumber(fieldValue(item.diskon_persen)),
+        discount_amount: toNumber(fieldValue(item.diskon_rp)),
+        total: toNumber(fieldValue(item.jumlah_netto)) || 0,
+        taxable: item.bkp ? toBoolean(fieldValue(item.bkp)) : null,
+        tax_amount: toNumber(fieldValue(item.ppn)),
+        // Page of a multi-page PDF the item was read from
+        source_page: toNumber(fieldValue(item.source_page)),
+        is_confident: {
+          product_code: isConfident(item.kode_barang_invoice),
+          product_name: isConfident(item.nama_barang_invoice),
+          quantity: isConfident(item.qty),
+          unit: isConfident(item.satuan),
+          price: isConfident(item.harga_satuan),
+          total: isConfident(item.jumlah_netto)
+        },
+        // Product and unit chosen in the review, kept by the app as kode_barang_main, satuan_main, etc.
+        mapped_product_code: fieldValue(item.kode_barang_main) || null,
+        mapped_product_name: fieldValue(item.nama_barang_main) || null,
+        mapped_unit: fieldValue(mappedUnit) || null,
+        unit_conversion: toNumber(mappedUnit.conversion),
+        base_quantity: toNumber(fieldValue(item.jumlah_base), { quantity: true }),
+        base_price: toNumber(fieldValue(item.harga_dasar_main)),
+        match_reason: mappedUnit.matchReason || null
+      };
+    }),
+    debug: document.debug,
+    debug_summary: fieldValue(document.debug_summary, '')
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FIELD_NAME,
+  documentSchema,
+  normalizeOcrDocument,
+  validateOcrDocument,
+  parseOcrDocument,
+  fieldValue,
+  fieldDate,
+  toInvoiceFields
+};
@@ -0,0 +1,99 @@
+const mergePageResults = require('../mergePageResults');
+
+const field = (value, confident = true) => ({ value, is_confident: confident });
+const item = (code, total) => ({ kode_barang_invoice: field(code), qty: field(1), harga_satuan: field(total), jumlah_netto: field(total) });
+
+// Pages of a three-page invoice; the header is printed on every page but only read well on the first
+const PAGES = [
+  {
+    pageNumber: 1,
+    provider: 'webhook',
+    ocrData: {
+      output: {
+        nomor_referensi: field('INV-001'),
+        nama_supplier: field('PT SUKSES SEJATI'),
+        tanggal_faktur: field('01-03-2025'),
+        subtotal: field(100),
+        items: [item('A', 100)]
+      },
+      debug: [{ item: 1, issue: 'first page' }],
+      debug_summary: field('page one')
+    }
+  },
+  {
+    pageNumber: 2,
+    provider: 'webhook',
+    ocrData: {
+      output: {
+        nomor_referensi: field('INV-00I', false),
+        nama_supplier: field('PT SUKSES SEJAT', false),
+        dpp: field(300),
+        items: [item('B', 200), item('C', 100)]
+      },
+      debug: []
+    }
+  },
+  {
+    pageNumber: 3,
+    provider: 'fallback-webhook',
+    ocrData: {
+      output: {
+        subtotal: field(400),
+        grand_total: field(444),
+        items: [item('D', 100)]
+      },
+      debug: [{ item: 1, issue: 'last page' }],
+      debug_summary: field('page three', false)
+    }
+  }
+];
+
+describe('mergePageResults', () => {
+  test('takes the header from the first page', () => {
+    const merged = mergePageResults(PAGES);
+
+    expect(merged.output.nomor_referensi).toEqual(field('INV-001'));
+    expect(merged.output.nama_supplier).toEqual(field('PT SUKSES SEJATI'));
+    expect(merged.output.tanggal_faktur).toEqual(field('01-03-2025'));
+  });
+
+  test('concatenates the items in page order with their source page', () => {
+    const merged = mergePageResults(PAGES);
+
+    expect(merged.output.items.map(line => line.kode_barang_invoice.value)).toEqual(['A', 'B', 'C', 'D']);
+    expect(merged.output.items.map(line => line.source_page.value)).toEqual([1, 2, 2, 3]);
+    expect(merged.output.total_items).toEqual(field(4));
+  });
+
+  test('takes each total from the last page that has it', () => {
+    const merged = mergePageResults(PAGES);
+
+    expect(merged.output.subtotal).toEqual(field(400));
+    expect(merged.output.grand_total).toEqual(field(444));
+    expect(merged.output.dpp).toEqual(field(300));
+  });
+
+  test('records the pages and tags debug entries with their page', () => {
+    const merged = mergePageResults(PAGES);
+
+    expect(merged.page_count).toBe(3);
+    expect(merged.pages).toEqual([
+      { page: 1, provider: 'webhook', item_count: 1 },
+      { page: 2, provider: 'webhook', item_count: 2 },
+      { page: 3, provider: 'fallback-webhook', item_count: 1 }
+    ]);
+    expect(merged.debug.map(entry => [entry.page, entry.issue])).toEqual([[1, 'first page'], [3, 'last page']]);
+    expect(merged.debug_summary).toEqual(field('Hal. 1: page one\nHal. 3: page three', false));
+  });
+
+  test('does not change the page results', () => {
+    const copy = JSON.parse(JSON.stringify(PAGES));
+    mergePageResults(PAGES);
+
+    expect(PAGES).toEqual(copy);
+  });
+
+  test('refuses an empty list', () => {
+    expect(() => mergePageResults([])).toThrow('No page results to merge');
+  });
+});
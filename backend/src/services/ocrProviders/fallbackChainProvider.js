@@ -0,0 +1,46 @@
+/**
+ * OCR provider that tries a list of providers in order until one succeeds
+ */
+
+/**
+ * Create a fallback chain provider
+ * @param {object} options - Provider options
+ * @param {string} options.name - Name used in logs and results
+ * @param {Array<object>} options.providers - Providers to try, in order
+ * @returns {object} - Provider with a recognize(file, context) function resolving to { provider, ocrData }
+ */
+function createFallbackChainProvider({ name, providers }) {
+  async function recognize(file, context = {}) {
+    const logPrefix = context.logPrefix || `[OCR:${name}]`;
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        // The result keeps the name of the provider in the chain that produced it
+        return await provider.recognize(file, context);
+      } catch (error) {
+        // A cancelled job does not fall back to the next provider
+        if (context.signal && context.signal.aborted) {
+          throw error;
+        }
+
+        lastError = error;
+        console.error(`${logPrefix} Provider ${provider.name} failed:`, error.message);
+
+        // Let the caller send notifications about the failed provider
+        if (typeof context.onProviderFailure === 'function') {
+          await context.onProviderFailure(provider.name, error);
+        }
+      }
+    }
+
+    throw lastError || new Error(`No OCR providers configured for ${name}`);
+  }
+
+  return {
+    name,
+    recognize
+  };
+}
+
+module.exports = createFallbackChainProvider;
@@ -0,0 +1,96 @@
+/**
+ * OCR provider that posts the file to an HTTP webhook (n8n, Node-RED, ...)
+ */
+const axios = require('axios');
+const FormData = require('form-data');
+const normalizeResponse = require('./normalizeResponse');
+
+/**
+ * Create an HTTP webhook provider
+ * @param {object} options - Provider options
+ * @param {string} options.name - Name used in logs and results
+ * @param {string} options.endpoint - URL the file is posted to
+ * @param {string} options.token - Value of the Authorization header
+ * @param {number} options.maxRetries - Number of retries after the first attempt
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {object} - Provider with a recognize(file, context) function resolving to { provider, ocrData }
+ */
+function createHttpWebhookProvider({ name, endpoint, token, maxRetries = 0, timeout = 600000 }) {
+  async function recognize(file, context = {}) {
+    const logPrefix = context.logPrefix || `[OCR:${name}]`;
+
+    console.log(`${logPrefix} Starting OCR API request to: ${endpoint}`);
+    console.log(`${logPrefix} File: ${file.filename}, Size: ${file.buffer.length} bytes`);
+
+    let lastError = null;
+
+    // Try up to maxRetries + 1 times
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        console.log(`${logPrefix} Retry attempt ${attempt}/${maxRetries} for OCR API request`);
+      }
+
+      try {
+        // A new form is built for every attempt because the previous stream has been consumed
+        const formData = new FormData();
+        formData.append('file', file.buffer, {
+          filename: file.filename,
+          contentType: file.mimetype
+        });
+
+        const response = await axios.post(endpoint, formData, {
+          headers: {
+            ...formData.getHeaders(),
+            'Authorization': token
+          },
+          timeout,
+          // Aborted when the job is cancelled
+          signal: context.signal,
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        });
+
+        // Log response for debugging
+        console.log(`${logPrefix} OCR API Response status: ${response.status}`);
+        console.log(`${logPrefix} OCR API Response type: ${typeof response.data}`);
+        console.log(`${logPrefix} OCR API Response snippet:`,
+          JSON.stringify(response.data).substring(0, 300) + '...');
+
+        // Report that the response is being parsed
+        if (typeof context.onStage === 'function') {
+          await context.onStage('parsing');
+        }
+
+        return {
+          provider: name,
+          ocrData: normalizeResponse(response.data, logPrefix)
+        };
+      } catch (error) {
+        // A cancelled job is not retried
+        if (context.signal && context.signal.aborted) {
+          throw error;
+        }
+
+        lastError = error;
+        console.error(`${logPrefix} Error calling OCR API (attempt ${attempt+1}/${maxRetries+1}):`, error.message);
+
+        // Check if the API returned a response despite the error
+        if (error.response) {
+          console.log(`${logPrefix} API Error Status:`, error.response.status);
+          console.log(`${logPrefix} API Error Data:`, error.response.data);
+        }
+      }
+    }
+
+    console.error(`${logPrefix} All ${maxRetries+1} attempts to ${endpoint} failed`);
+    lastError.attempts = maxRetries + 1;
+    throw lastError;
+  }
+
+  return {
+    name,
+    recognize
+  };
+}
+
+module.exports = createHttpWebhookProvider;
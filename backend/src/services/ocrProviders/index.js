@@ -0,0 +1,114 @@
+/**
+ * Registry of OCR provider adapters
+ * Every provider exposes recognize(file, context) which resolves to { provider, ocrData }
+ * where file is { buffer, filename, mimetype } and ocrData is already normalized.
+ * Providers may call context.onStage(stage) when they move to a new processing stage
+ * and should stop as soon as context.signal is aborted.
+ */
+const createHttpWebhookProvider = require('./httpWebhookProvider');
+const createFallbackChainProvider = require('./fallbackChainProvider');
+const createLocalStubProvider = require('./localStubProvider');
+
+// Get OCR API configuration from environment variables
+const OCR_API_ENDPOINT = process.env.OCR_API_ENDPOINT || 'http://amien-server:5678/webhook/04f85cfb-8f2a-4a22-9e1a-d4bbfa3de5cc';
+const OCR_API_TOKEN = process.env.OCR_API_TOKEN || 'a3f5d6e8b9c0a1b2d3e4f5g6h7i8j9k0l1m2n3o4p5q6r7s8';
+const FALLBACK_OCR_API_ENDPOINT = process.env.FALLBACK_OCR_API_ENDPOINT || 'http://localhost:1880/testingupload';
+const OCR_STUB_FIXTURE_DIR = process.env.OCR_STUB_FIXTURE_DIR || undefined;
+const MAX_RETRIES = 2; // Number of retry attempts before falling back
+
+// Development mode flag
+const IS_DEV_MODE = process.env.NODE_ENV === 'development';
+// Use mock data only as fallback, not by default
+const USE_MOCK_DATA = IS_DEV_MODE && process.env.USE_MOCK_DATA === 'true';
+
+// Providers tried by the fallback chain, in order. The local stub is only a last resort in development.
+const DEFAULT_CHAIN = ['webhook']
+  .concat(OCR_API_ENDPOINT !== FALLBACK_OCR_API_ENDPOINT ? ['fallback-webhook'] : [])
+  .concat(IS_DEV_MODE ? ['local-stub'] : []);
+const OCR_PROVIDER_CHAIN = process.env.OCR_PROVIDER_CHAIN
+  ? process.env.OCR_PROVIDER_CHAIN.split(',').map(name => name.trim()).filter(Boolean)
+  : DEFAULT_CHAIN;
+
+// Provider used when no name is given
+const DEFAULT_PROVIDER = process.env.OCR_PROVIDER || (USE_MOCK_DATA ? 'local-stub' : 'fallback-chain');
+
+// Factories for each provider name, instances are created on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Name used to select the provider
+ * @param {Function} factory - Function returning a provider object
+ */
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name, defaults to OCR_PROVIDER
+ * @returns {object} - The provider instance
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown OCR provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} - Provider names
+ */
+function listProviders() {
+  return Array.from(factories.keys());
+}
+
+// Built-in providers
+registerProvider('webhook', () => createHttpWebhookProvider({
+  name: 'webhook',
+  endpoint: OCR_API_ENDPOINT,
+  token: OCR_API_TOKEN,
+  maxRetries: MAX_RETRIES
+}));
+
+registerProvider('fallback-webhook', () => createHttpWebhookProvider({
+  name: 'fallback-webhook',
+  endpoint: FALLBACK_OCR_API_ENDPOINT,
+  token: OCR_API_TOKEN
+}));
+
+registerProvider('local-stub', () => createLocalStubProvider({
+  name: 'local-stub',
+  fixtureDir: OCR_STUB_FIXTURE_DIR
+}));
+
+registerProvider('fallback-chain', () => createFallbackChainProvider({
+  name: 'fallback-chain',
+  providers: OCR_PROVIDER_CHAIN.map(name => getProvider(name))
+}));
+
+// Log configuration
+console.log('OCR Provider Configuration:', {
+  OCR_API_ENDPOINT,
+  OCR_API_TOKEN: OCR_API_TOKEN ? '***' : 'undefined', // Mask token for security
+  FALLBACK_OCR_API_ENDPOINT,
+  MAX_RETRIES,
+  DEFAULT_PROVIDER,
+  OCR_PROVIDER_CHAIN,
+  IS_DEV_MODE,
+  USE_MOCK_DATA
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  DEFAULT_PROVIDER
+};
@@ -0,0 +1,78 @@
+/**
+ * Local OCR provider that returns fixture JSON files instead of calling an OCR engine
+ * Used for offline development and tests
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const normalizeResponse = require('./normalizeResponse');
+
+// Fixture directory shipped with the backend, so it is part of the Docker build context
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../fixtures/ocr');
+
+/**
+ * Create a local stub provider
+ * The same file always maps to the same fixture, chosen by the SHA-256 hash of its contents.
+ * @param {object} options - Provider options
+ * @param {string} options.name - Name used in logs and results
+ * @param {string} options.fixtureDir - Directory holding the fixture .json files
+ * @returns {object} - Provider with a recognize(file, context) function resolving to { provider, ocrData }
+ */
+function createLocalStubProvider({ name, fixtureDir = DEFAULT_FIXTURE_DIR }) {
+  // Load fixtures lazily and keep them sorted so the selection is stable
+  let fixtures = null;
+
+  function loadFixtures() {
+    if (fixtures) {
+      return fixtures;
+    }
+
+    if (!fs.existsSync(fixtureDir)) {
+      throw new Error(`OCR fixture directory not found: ${fixtureDir}`);
+    }
+
+    fixtures = fs.readdirSync(fixtureDir)
+      .filter(file => file.toLowerCase().endsWith('.json'))
+      .sort()
+      .map(file => ({
+        file,
+        data: JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'))
+      }));
+
+    if (fixtures.length === 0) {
+      throw new Error(`No OCR fixtures found in ${fixtureDir}`);
+    }
+
+    return fixtures;
+  }
+
+  async function recognize(file, context = {}) {
+    const logPrefix = context.logPrefix || `[OCR:${name}]`;
+    const available = loadFixtures();
+
+    const hash = crypto.createHash('sha256').update(file.buffer).digest();
+    const fixture = available[hash.readUInt32BE(0) % available.length];
+
+    console.log(`${logPrefix} Using local fixture ${fixture.file} for ${file.filename}`);
+
+    // Report that the response is being parsed
+    if (typeof context.onStage === 'function') {
+      await context.onStage('parsing');
+    }
+
+    // Copy the fixture so callers cannot modify the cached data
+    const ocrData = JSON.parse(JSON.stringify(fixture.data));
+
+    return {
+      provider: name,
+      ocrData: normalizeResponse(ocrData, logPrefix)
+    };
+  }
+
+  return {
+    name,
+    recognize
+  };
+}
+
+module.exports = createLocalStubProvider;
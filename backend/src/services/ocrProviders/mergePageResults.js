@@ -0,0 +1,110 @@
+/**
+ * Merge the canonical OCR documents of each page of a document into one invoice
+ * Header fields come from the first page, items are concatenated and totals come from the last page.
+ */
+const { normalizeOcrDocument } = require('../ocrDocument');
+
+// Keys holding invoice totals, taken from the last page that has them
+const TOTAL_KEY_PATTERN = /(^|_)(total|subtotal|grand|dpp|ppn|pajak|materai)(_|$)/;
+// Keys rebuilt by the merge instead of copied from a page
+const MERGED_KEYS = ['items', 'total_items'];
+
+// Check whether a field has a usable value
+function hasValue(field) {
+  if (field === null || field === undefined) {
+    return false;
+  }
+  if (typeof field === 'object' && !Array.isArray(field) && 'value' in field) {
+    return field.value !== null && field.value !== undefined && field.value !== '';
+  }
+  return true;
+}
+
+// Copy total fields from a page object onto the merged object
+function copyTotals(target, source) {
+  for (const [key, field] of Object.entries(source)) {
+    if (MERGED_KEYS.includes(key) || !TOTAL_KEY_PATTERN.test(key)) {
+      continue;
+    }
+    if (hasValue(field)) {
+      target[key] = field;
+    }
+  }
+}
+
+/**
+ * Merge page results
+ * @param {Array<object>} pageResults - Results as { pageNumber, provider, ocrData } in page order
+ * @returns {object} - One canonical OCR document with per-page provenance
+ */
+function mergePageResults(pageResults) {
+  if (!Array.isArray(pageResults) || pageResults.length === 0) {
+    throw new Error('No page results to merge');
+  }
+
+  // Header fields from the first page
+  const merged = normalizeOcrDocument(JSON.parse(JSON.stringify(pageResults[0].ocrData)));
+
+  const items = [];
+  const debug = [];
+  const summaries = [];
+  const pages = [];
+
+  for (const { pageNumber, provider, ocrData } of pageResults) {
+    const page = normalizeOcrDocument(ocrData);
+    const pageItems = page.output.items;
+
+    // Tag every item with the page it was read from
+    for (const item of pageItems) {
+      items.push({
+        ...item,
+        source_page: { value: pageNumber, is_confident: true }
+      });
+    }
+
+    for (const entry of page.debug) {
+      debug.push({ ...entry, page: pageNumber });
+    }
+
+    if (hasValue(page.debug_summary)) {
+      summaries.push({ pageNumber, summary: page.debug_summary });
+    }
+
+    // Later pages overwrite totals, so the last page that has them wins
+    if (pageNumber !== pageResults[0].pageNumber) {
+      copyTotals(merged.output, page.output);
+    }
+
+    pages.push({
+      page: pageNumber,
+      provider,
+      item_count: pageItems.length
+    });
+  }
+
+  merged.output.items = items;
+  merged.output.total_items = { value: items.length, is_confident: true };
+
+  merged.debug = debug;
+
+  if (summaries.length === 1) {
+    merged.debug_summary = summaries[0].summary;
+  } else if (summaries.length > 1) {
+    merged.debug_summary = {
+      value: summaries
+        .map(({ pageNumber, summary }) => `Hal. ${pageNumber}: ${summary.value}`)
+        .join('\n'),
+      is_confident: summaries.every(({ summary }) => summary.is_confident !== false)
+    };
+  } else {
+    merged.debug_summary = null;
+  }
+
+  // Provenance of the merged document
+  merged.page_count = pageResults.length;
+  merged.pages = pages;
+
+  return merged;
+}
+
+module.exports = mergePageResults;
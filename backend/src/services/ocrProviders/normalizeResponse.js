@@ -0,0 +1,54 @@
+/**
+ * Normalize raw OCR provider responses into the canonical OCR document used by the rest of the system
+ * Missing invoice number, supplier and invoice date are filled with placeholders the user corrects before saving.
+ */
+const { normalizeOcrDocument } = require('../ocrDocument');
+
+/**
+ * Normalize a raw provider response
+ * @param {*} ocrData - Response body returned by the OCR provider
+ * @param {string} logPrefix - Prefix used for log messages
+ * @returns {object} - Canonical OCR document, see services/ocrDocument.js
+ */
+function normalizeResponse(ocrData, logPrefix = '[OCR]') {
+  console.log(`${logPrefix} Processing ${Array.isArray(ocrData) ? `array response with ${ocrData.length} element(s)` : 'single object response'}`);
+
+  const document = normalizeOcrDocument(ocrData);
+  const { output } = document;
+
+  // Ensure essential properties exist in output
+  if (!output.nomor_referensi) {
+    output.nomor_referensi = {
+      value: `INV-${Date.now()}`,
+      is_confident: true
+    };
+  }
+
+  if (!output.nama_supplier) {
+    output.nama_supplier = {
+      value: "Unknown Supplier",
+      is_confident: false
+    };
+  }
+
+  if (!output.tanggal_faktur) {
+    output.tanggal_faktur = {
+      value: new Date().toISOString().split('T')[0],
+      is_confident: false
+    };
+  }
+
+  // Log structured data for debugging
+  console.log(`${logPrefix} Final OCR data structure:`,
+    JSON.stringify({
+      schemaVersion: document.schema_version,
+      hasNomorReferensi: !!output.nomor_referensi,
+      hasNamaSupplier: !!output.nama_supplier,
+      hasTanggalFaktur: !!output.tanggal_faktur,
+      itemCount: output.items.length
+    }));
+
+  return document;
+}
+
+module.exports = normalizeResponse;
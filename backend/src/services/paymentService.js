@@ -0,0 +1,411 @@
+/**
+ * Accounts payable
+ * Records full and partial payments against processed invoices and derives the outstanding balance of an invoice
+ * from its lines, payments and posted returns and credit notes. Only approved and posted invoices are payable, credit
+ * documents themselves never are; the aging report groups the outstanding balances by supplier into buckets of days
+ * past the due date.
+ */
+const { Op } = require('sequelize');
+const { ProcessedInvoice, ProcessedInvoiceItem, InvoicePayment, Supplier } = require('../models');
+const { sequelize } = require('../config/database');
+const { toNumber } = require('./invoiceValidator');
+const { invoiceAmount } = require('./invoiceItemService');
+const creditDocumentService = require('./creditDocumentService');
+const { csvCell } = require('./csvWriter');
+
+// Ways a supplier can be paid
+const PAYMENT_METHODS = ['tunai', 'transfer', 'giro', 'cek', 'lainnya'];
+// Invoice statuses that can be paid and show up in the aging report
+const PAYABLE_STATUSES = ['approved', 'posted'];
+
+// Aging buckets by days past the due date; the last one has no upper bound
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90', maxDays: 90 },
+  { key: 'days_over_90', label: '90+', maxDays: Infinity }
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Amount rounded to whole sen
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Calendar date of a value as YYYY-MM-DD, or null
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD date from a request
+ * @param {string} value - Date string
+ * @returns {string|null} - The date, or null when it is not a valid calendar date
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  return toDateString(value) === value ? value : null;
+}
+
+// Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / MS_PER_DAY);
+}
+
+// Date an invoice is due; invoices without a due date are due on their invoice date
+function dueDateOf(invoice) {
+  return toDateString(invoice.due_date) || toDateString(invoice.invoice_date) || toDateString(invoice.created_at);
+}
+
+/**
+ * Balance and payment flags of an invoice
+ * @param {object} invoice - ProcessedInvoice instance or plain invoice
+ * @param {Array<object>} items - Lines of the invoice
+ * @param {Array<object>} payments - Payments of the invoice
+ * @param {object} options - { asOf: YYYY-MM-DD date the invoice is looked at, later payments are left out;
+ *   credited: amount of its posted returns and credit notes }
+ * @returns {object} - { total_amount, paid_amount, credited_amount, outstanding, payment_status, is_paid, is_partial,
+ *   is_overdue, days_overdue, last_payment_date }; payment_status is null for a return or credit note
+ */
+function paymentSummary(invoice, items, payments, { asOf = toDateString(new Date()), credited = 0 } = {}) {
+  const totalAmount = invoiceAmount(invoice, items);
+  if (creditDocumentService.isCreditDocument(invoice.document_type)) {
+    return {
+      total_amount: totalAmount,
+      paid_amount: 0,
+      credited_amount: 0,
+      outstanding: 0,
+      payment_status: null,
+      is_paid: false,
+      is_partial: false,
+      is_overdue: false,
+      days_overdue: 0,
+      last_payment_date: null
+    };
+  }
+
+  const counted = payments.filter(payment => toDateString(payment.payment_date) <= asOf);
+  const paidAmount = roundMoney(counted.reduce((sum, payment) => sum + (toNumber(payment.amount) || 0), 0));
+  const outstanding = Math.max(0, roundMoney(totalAmount - paidAmount - credited));
+
+  let paymentStatus = 'unpaid';
+  if (outstanding <= 0) {
+    paymentStatus = 'paid';
+  } else if (paidAmount > 0 || credited > 0) {
+    paymentStatus = 'partial';
+  }
+
+  const dueDate = dueDateOf(invoice);
+  const daysOverdue = dueDate ? Math.max(0, daysBetween(dueDate, asOf)) : 0;
+  const lastPayment = counted.map(payment => toDateString(payment.payment_date)).sort().pop() || null;
+
+  return {
+    total_amount: totalAmount,
+    paid_amount: paidAmount,
+    credited_amount: credited,
+    outstanding,
+    payment_status: paymentStatus,
+    is_paid: paymentStatus === 'paid',
+    is_partial: paymentStatus === 'partial',
+    is_overdue: outstanding > 0 && daysOverdue > 0,
+    days_overdue: outstanding > 0 ? daysOverdue : 0,
+    last_payment_date: lastPayment
+  };
+}
+
+// Plain JSON form of a payment with the amount as a number
+function toPaymentJson(payment) {
+  const plain = typeof payment.get === 'function' ? payment.get({ plain: true }) : { ...payment };
+  plain.amount = Number(plain.amount);
+  return plain;
+}
+
+/**
+ * Check the fields of a payment request
+ * @param {object} body - The request body
+ * @returns {string|null} - Error message, or null when the fields are valid
+ */
+function validatePayment(body) {
+  const { payment_date, method, amount, reference } = body;
+
+  if (!parseDate(payment_date)) {
+    return 'payment_date must be a date as YYYY-MM-DD';
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    return `method must be one of ${PAYMENT_METHODS.join(', ')}`;
+  }
+  const value = toNumber(amount);
+  if (value === null || value <= 0) {
+    return 'amount must be a positive number';
+  }
+  if (reference !== undefined && reference !== null && (typeof reference !== 'string' || reference.length > 100)) {
+    return 'reference must be text of at most 100 characters';
+  }
+
+  return null;
+}
+
+// Invoice with its lines and payments, without the image
+async function loadInvoice(invoiceId, { transaction, lock } = {}) {
+  const invoice = await ProcessedInvoice.findByPk(invoiceId, {
+    attributes: { exclude: ['image_data'] },
+    lock,
+    transaction
+  });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+
+  const items = await ProcessedInvoiceItem.findAll({ where: { invoice_id: invoice.id }, transaction });
+  const payments = await InvoicePayment.findAll({
+    where: { invoice_id: invoice.id },
+    order: [['payment_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+
+  return { invoice, items, payments };
+}
+
+/**
+ * Payments and balance of an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @returns {Promise<object>} - { invoice_id, invoice_number, supplier_name, status, summary, payments }
+ */
+async function listPayments(invoiceId) {
+  const { invoice, items, payments } = await loadInvoice(invoiceId);
+  const credited = await creditDocumentService.creditedAmounts([invoice.id]);
+  return {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    supplier_name: invoice.supplier_name,
+    status: invoice.status,
+    summary: paymentSummary(invoice, items, payments, { credited: credited.get(invoice.id) || 0 }),
+    payments: payments.map(toPaymentJson)
+  };
+}
+
+/**
+ * Record a payment against an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {object} body - { payment_date, method, amount, reference, notes }
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { payment, summary }
+ * @throws {Error} - 400 for invalid fields, 404 for an unknown invoice, 409 for a return or credit note or an invoice
+ *   that is not approved or posted and 422 when the amount is more than the outstanding balance
+ */
+async function recordPayment(invoiceId, body, { actor = null } = {}) {
+  const validationError = validatePayment(body);
+  if (validationError) {
+    throw httpError(validationError, 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Lock the invoice so two payments cannot both fit the same balance
+    const { invoice, items, payments } = await loadInvoice(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (creditDocumentService.isCreditDocument(invoice.document_type)) {
+      throw httpError(`${invoice.invoice_number} is a ${invoice.document_type} and is not paid`, 409);
+    }
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      throw httpError(`Invoice ${invoice.invoice_number} is ${invoice.status}; only approved or posted invoices can be paid`, 409);
+    }
+
+    const amount = roundMoney(toNumber(body.amount));
+    const credited = (await creditDocumentService.creditedAmounts([invoice.id], { transaction })).get(invoice.id) || 0;
+    const { outstanding } = paymentSummary(invoice, items, payments, { asOf: '9999-12-31', credited });
+    if (amount > outstanding) {
+      throw httpError(`Payment of ${amount} is more than the outstanding balance of ${outstanding}`, 422);
+    }
+
+    const payment = await InvoicePayment.create({
+      invoice_id: invoice.id,
+      payment_date: body.payment_date,
+      method: body.method,
+      reference: body.reference || null,
+      amount,
+      notes: body.notes || null,
+      recorded_by: actor
+    }, { transaction });
+
+    return {
+      payment: toPaymentJson(payment),
+      summary: paymentSummary(invoice, items, [...payments, payment], { credited })
+    };
+  });
+}
+
+/**
+ * Delete a payment recorded by mistake
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {number} paymentId - InvoicePayment ID
+ * @returns {Promise<object>} - { summary } of the invoice without the payment
+ */
+async function deletePayment(invoiceId, paymentId) {
+  return sequelize.transaction(async (transaction) => {
+    const payment = await InvoicePayment.findOne({ where: { id: paymentId, invoice_id: invoiceId }, transaction });
+    if (!payment) {
+      throw httpError(`Payment ${paymentId} of invoice ${invoiceId} not found`, 404);
+    }
+    await payment.destroy({ transaction });
+
+    const { invoice, items, payments } = await loadInvoice(invoiceId, { transaction });
+    const credited = await creditDocumentService.creditedAmounts([invoice.id], { transaction });
+    return { summary: paymentSummary(invoice, items, payments, { credited: credited.get(invoice.id) || 0 }) };
+  });
+}
+
+/**
+ * Number of payments of an invoice
+ * @param {number} invoiceId - ProcessedInvoice ID
+ * @param {object} options - { transaction }
+ * @returns {Promise<number>}
+ */
+function countPayments(invoiceId, { transaction } = {}) {
+  return InvoicePayment.count({ where: { invoice_id: invoiceId }, transaction });
+}
+
+// Bucket of an invoice by its days past due
+function bucketOf(daysOverdue) {
+  return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays);
+}
+
+// Bucket amounts set to zero
+function emptyBuckets() {
+  return AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+}
+
+/**
+ * Aging report of unpaid supplier invoices
+ * Invoices linked to the supplier master are grouped by supplier, the others by their printed supplier name.
+ * @param {object} options - { asOf: YYYY-MM-DD, default today; supplier: part of the supplier name or code }
+ * @returns {Promise<object>} - { as_of, buckets, suppliers: [{ supplier_id, supplier_code, supplier_name,
+ *   invoice_count, <bucket keys>, total, invoices }], totals }
+ */
+async function agingReport({ asOf = toDateString(new Date()), supplier = null } = {}) {
+  const where = {
+    status: { [Op.in]: PAYABLE_STATUSES },
+    [Op.or]: [{ invoice_date: null }, { invoice_date: { [Op.lte]: `${asOf}T23:59:59.999Z` } }]
+  };
+  if (supplier) {
+    where[Op.and] = [{
+      [Op.or]: [
+        { supplier_name: { [Op.iLike]: `%${supplier}%` } },
+        { '$supplier.name$': { [Op.iLike]: `%${supplier}%` } },
+        { '$supplier.code$': { [Op.iLike]: `%${supplier}%` } }
+      ]
+    }];
+  }
+
+  const invoices = await ProcessedInvoice.findAll({
+    attributes: [
+      'id', 'invoice_number', 'document_type', 'supplier_name', 'supplier_id', 'invoice_date', 'due_date', 'include_tax',
+      'tax_rate', 'status', 'created_at'
+    ],
+    include: [
+      { model: Supplier, as: 'supplier', attributes: ['id', 'code', 'name'] },
+      { model: ProcessedInvoiceItem, as: 'items', attributes: ['total', 'taxable', 'tax_amount'] },
+      { model: InvoicePayment, as: 'payments', attributes: ['amount', 'payment_date'] }
+    ],
+    order: [['supplier_name', 'ASC'], ['due_date', 'ASC'], ['id', 'ASC']]
+  });
+
+  const credited = await creditDocumentService.creditedAmounts(invoices.map(invoice => invoice.id), { asOf });
+  const bySupplier = new Map();
+  const totals = { invoice_count: 0, ...emptyBuckets(), total: 0 };
+
+  for (const invoice of invoices) {
+    const summary = paymentSummary(invoice, invoice.items, invoice.payments, {
+      asOf,
+      credited: credited.get(invoice.id) || 0
+    });
+    if (summary.outstanding <= 0) {
+      continue;
+    }
+
+    const key = invoice.supplier ? `id:${invoice.supplier.id}` : `name:${invoice.supplier_name || ''}`;
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, {
+        supplier_id: invoice.supplier ? invoice.supplier.id : null,
+        supplier_code: invoice.supplier ? invoice.supplier.code : null,
+        supplier_name: invoice.supplier ? invoice.supplier.name : invoice.supplier_name || '(tanpa supplier)',
+        invoice_count: 0,
+        ...emptyBuckets(),
+        total: 0,
+        invoices: []
+      });
+    }
+    const row = bySupplier.get(key);
+    const bucket = bucketOf(summary.days_overdue);
+
+    for (const target of [row, totals]) {
+      target.invoice_count += 1;
+      target[bucket.key] = roundMoney(target[bucket.key] + summary.outstanding);
+      target.total = roundMoney(target.total + summary.outstanding);
+    }
+    row.invoices.push({
+      id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      invoice_date: toDateString(invoice.invoice_date),
+      due_date: dueDateOf(invoice),
+      total_amount: summary.total_amount,
+      paid_amount: summary.paid_amount,
+      credited_amount: summary.credited_amount,
+      outstanding: summary.outstanding,
+      days_overdue: summary.days_overdue,
+      bucket: bucket.key
+    });
+  }
+
+  return {
+    as_of: asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    suppliers: [...bySupplier.values()].sort((a, b) => a.supplier_name.localeCompare(b.supplier_name)),
+    totals
+  };
+}
+
+/**
+ * Aging report as CSV, one line per supplier and a total line
+ * @param {object} report - Result of agingReport
+ * @returns {string}
+ */
+function agingCsv(report) {
+  const header = ['Supplier', 'Invoices', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total'];
+  const line = (name, row) => [name, row.invoice_count, ...AGING_BUCKETS.map(bucket => row[bucket.key]), row.total];
+
+  const lines = [
+    header,
+    ...report.suppliers.map(row => line(row.supplier_name, row)),
+    line('TOTAL', report.totals)
+  ];
+  return `${lines.map(fields => fields.map(value => csvCell(value)).join(',')).join('\n')}\n`;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  AGING_BUCKETS,
+  parseDate,
+  paymentSummary,
+  listPayments,
+  recordPayment,
+  deletePayment,
+  countPayments,
+  agingReport,
+  agingCsv
+};
@@ -0,0 +1,98 @@
+/**
+ * PDF service for turning multi-page PDF invoices into page images for OCR
+ */
+const path = require('path');
+
+// Resolution used when rendering PDF pages
+const PDF_RENDER_DPI = parseInt(process.env.PDF_RENDER_DPI, 10) || 200;
+// Maximum number of pages rendered from a single PDF
+const PDF_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES, 10) || 10;
+
+// mupdf is an ES module, load it once on first use
+let mupdfModule = null;
+
+/**
+ * Load the mupdf module
+ * @returns {Promise<object>} - The mupdf ES module
+ */
+async function loadMupdf() {
+  if (!mupdfModule) {
+    mupdfModule = await import('mupdf');
+  }
+  return mupdfModule;
+}
+
+/**
+ * Check whether a file is a PDF document
+ * @param {Buffer} buffer - The file contents
+ * @param {string} filename - Original name of the file
+ * @param {string} mimetype - MIME type of the file, if known
+ * @returns {boolean} - True if the file is a PDF
+ */
+function isPdfFile(buffer, filename, mimetype) {
+  if (mimetype === 'application/pdf') {
+    return true;
+  }
+
+  if (filename && path.extname(filename).toLowerCase() === '.pdf') {
+    return true;
+  }
+
+  // Files queued by path have no MIME type, so fall back to the PDF magic bytes
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Render every page of a PDF to a PNG image
+ * @param {Buffer} buffer - The PDF contents
+ * @param {object} options - Render options
+ * @param {string} options.filename - Original name of the PDF, used to name the pages
+ * @param {number} options.dpi - Render resolution, defaults to PDF_RENDER_DPI
+ * @param {number} options.maxPages - Maximum number of pages, defaults to PDF_MAX_PAGES
+ * @returns {Promise<Array<object>>} - Pages as { pageNumber, buffer, filename, mimetype }
+ */
+async function rasterizePdf(buffer, { filename = 'document.pdf', dpi = PDF_RENDER_DPI, maxPages = PDF_MAX_PAGES } = {}) {
+  const mupdf = await loadMupdf();
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+
+  try {
+    const pageCount = document.countPages();
+
+    if (pageCount === 0) {
+      throw new Error('PDF has no pages');
+    }
+
+    if (pageCount > maxPages) {
+      throw new Error(`PDF has ${pageCount} pages, the maximum is ${maxPages}`);
+    }
+
+    const baseName = path.basename(filename, path.extname(filename));
+    const scale = dpi / 72; // PDF units are 1/72 inch
+    const pages = [];
+
+    for (let index = 0; index < pageCount; index++) {
+      const page = document.loadPage(index);
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+
+      pages.push({
+        pageNumber: index + 1,
+        buffer: Buffer.from(pixmap.asPNG()),
+        filename: `${baseName}-page-${index + 1}.png`,
+        mimetype: 'image/png'
+      });
+
+      pixmap.destroy();
+      page.destroy();
+    }
+
+    return pages;
+  } finally {
+    document.destroy();
+  }
+}
+
+module.exports = {
+  loadMupdf,
+  isPdfFile,
+  rasterizePdf
+};
@@ -2,36 +2,129 @@
  * Queue service for asynchronous file processing
  */
 const Queue = require('better-queue');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
-const FormData = require('form-data');
-const { ProcessedInvoice, RawOCRData } = require('../models');
-
-// Store processing status and results
-const processingStatus = new Map();
-
-// Get OCR API configuration from environment variables
-const OCR_API_ENDPOINT = process.env.OCR_API_ENDPOINT || 'http://amien-server:5678/webhook/04f85cfb-8f2a-4a22-9e1a-d4bbfa3de5cc';
-const OCR_API_TOKEN = process.env.OCR_API_TOKEN || 'a3f5d6e8b9c0a1b2d3e4f5g6h7i8j9k0l1m2n3o4p5q6r7s8';
-const FALLBACK_OCR_API_ENDPOINT = process.env.FALLBACK_OCR_API_ENDPOINT || 'http://localhost:1880/testingupload';
-const MAX_RETRIES = 2; // Number of retry attempts before falling back
-
-// Development mode flag
-const IS_DEV_MODE = process.env.NODE_ENV === 'development';
-// Use mock data only as fallback, not by default
-const USE_MOCK_DATA = IS_DEV_MODE && process.env.USE_MOCK_DATA === 'true';
-
-// Log configuration
-console.log('Queue Service Configuration:', {
-  OCR_API_ENDPOINT,
-  OCR_API_TOKEN: OCR_API_TOKEN ? '***' : 'undefined', // Mask token for security
-  FALLBACK_OCR_API_ENDPOINT,
-  MAX_RETRIES,
-  IS_DEV_MODE,
-  USE_MOCK_DATA
-});
+const { Op } = require('sequelize');
+const { OCRJob } = require('../models');
+const { sequelize } = require('../config/database');
+const ocrProviders = require('./ocrProviders');
+const mergePageResults = require('./ocrProviders/mergePageResults');
+const { isPdfFile, rasterizePdf } = require('./pdfService');
+const { shouldPreprocess, preprocessImage } = require('./imagePreprocessor');
+const { validateInvoice } = require('./invoiceValidator');
+const { normalizeOcrDocument, SCHEMA_VERSION } = require('./ocrDocument');
+const webhookService = require('./webhookService');
+const supplierTemplateService = require('./supplierTemplateService');
+
+// Number of times a job may be started before an interrupted job is marked as failed
+const MAX_JOB_ATTEMPTS = parseInt(process.env.OCR_MAX_JOB_ATTEMPTS, 10) || 3;
+// Number of jobs returned by getAllStatuses
+const STATUS_LIST_LIMIT = 200;
+// Columns holding file contents, left out when only the status is needed
+const BINARY_COLUMNS = ['file_data', 'processed_data'];
+// Failed jobs older than this are removed by a purge without an explicit age
+const DEAD_LETTER_RETENTION_DAYS = parseInt(process.env.OCR_DEAD_LETTER_RETENTION_DAYS, 10) || 30;
+// Statuses a job can be retried from
+const RETRYABLE_STATUSES = ['error', 'cancelled'];
+// Statuses a job can be cancelled from
+const CANCELLABLE_STATUSES = ['queued', 'processing'];
+// Statuses that end an attempt
+const FINAL_STATUSES = ['completed', 'error', 'cancelled'];
+// Number of jobs processed at the same time, can be changed at runtime with setConcurrency
+const QUEUE_CONCURRENCY = parseInt(process.env.OCR_QUEUE_CONCURRENCY, 10) || 3;
+const MAX_QUEUE_CONCURRENCY = 20;
+// Priority range; jobs with a higher priority are started first
+const MIN_PRIORITY = -10;
+const MAX_PRIORITY = 10;
+// Period and maximum number of finished jobs the queue metrics are computed over
+const METRICS_WINDOW_HOURS = parseInt(process.env.OCR_METRICS_WINDOW_HOURS, 10) || 24;
+const METRICS_JOB_LIMIT = 1000;
+
+// Progress reported for each processing stage
+const STAGE_PROGRESS = {
+  uploaded: 0,
+  preprocessing: 10,
+  provider_call: 25,
+  parsing: 85,
+  done: 100
+};
+
+// Progress for a stage while OCR runs on one page of a multi-page document
+function pageStageProgress(stage, page) {
+  if (!page || page.count <= 1 || !['provider_call', 'parsing'].includes(stage)) {
+    return STAGE_PROGRESS[stage];
+  }
+  
+  // Split the provider_call..parsing range evenly across the pages
+  const span = (STAGE_PROGRESS.parsing - STAGE_PROGRESS.provider_call) / page.count;
+  const start = STAGE_PROGRESS.provider_call + span * (page.number - 1);
+  return Math.round(stage === 'parsing' ? start + span / 2 : start);
+}
+
+// Emits a 'status' event with the job status every time a job changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per connected browser
+
+// Abort controllers of the jobs being processed, by job ID
+const activeJobs = new Map();
+// Callers waiting for the result of a job on the processing queue, as { resolve, reject } by job ID.
+// better-queue settles nothing when a waiting task is cancelled, so cancelJob rejects these itself.
+const jobWaiters = new Map();
+// Whether the queue was paused with pauseQueue; better-queue has no getter for it
+let paused = false;
+// Provider calls and failures of the current attempt of each job, saved in the attempt history when the attempt ends
+const attemptDetails = new Map();
+
+// Create an error for a request that does not fit the job, with the HTTP status to answer with
+function jobError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Create the error used to stop processing of a cancelled job
+function cancelledError(fileId) {
+  const error = new Error(`Job ${fileId} was cancelled`);
+  error.cancelled = true;
+  return error;
+}
+
+// Details of the current attempt of a job
+function currentAttempt(fileId) {
+  if (!attemptDetails.has(fileId)) {
+    attemptDetails.set(fileId, { provider_errors: [], provider_calls: [] });
+  }
+  return attemptDetails.get(fileId);
+}
+
+// Remember a provider failure for the attempt history
+function recordProviderFailure(fileId, providerName, error) {
+  currentAttempt(fileId).provider_errors.push({
+    provider: providerName,
+    error: error.message,
+    at: new Date().toISOString()
+  });
+}
+
+// Remember how long a successful provider call took, used for the latency metrics
+function recordProviderCall(fileId, providerName, durationMs, page) {
+  currentAttempt(fileId).provider_calls.push({
+    provider: providerName,
+    duration_ms: durationMs,
+    page: page ? page.number : null
+  });
+}
+
+// Clamp a requested priority to the supported range
+function toPriority(value) {
+  const priority = parseInt(value, 10);
+  if (isNaN(priority)) {
+    return 0;
+  }
+  return Math.min(MAX_PRIORITY, Math.max(MIN_PRIORITY, priority));
+}
 
 // Function to check if file is image
 function isImageFile(filename) {
@@ -51,13 +144,7 @@ async function sendFailureNotification(fileId, filename, error, retryCount) {
     console.log(`[Queue:${fileId}] NOTIFICATION: OCR processing failed after ${retryCount} retries for file ${filename}`);
     console.log(`[Queue:${fileId}] NOTIFICATION: Error details: ${error.message}`);
     
-    // Here you could implement additional notification methods:
-    // - Send email notification
-    // - Send webhook to external service
-    // - Log to dedicated error tracking system
-    // - Store in database for admin dashboard
-    
-    // For now, we'll just log it prominently
+    // Subscribers are notified through the ocr.failed webhook once the whole job has failed (see publishJobEvent)
     console.error(`
       =======================================================
       ⚠️ CRITICAL: OCR PROCESSING FAILED AFTER ${retryCount} RETRIES ⚠️
@@ -72,833 +159,570 @@ async function sendFailureNotification(fileId, filename, error, retryCount) {
   }
 }
 
-// Create processing queue
-const processingQueue = new Queue(async (task, cb) => {
+/**
+ * Run a file through an OCR provider
+ * @param {string} fileId - The job ID
+ * @param {object} file - The file as { buffer, filename, mimetype }
+ * @param {string} providerName - Provider to use, defaults to the configured provider
+ * @param {string} logPrefix - Prefix used for log messages
+ * @param {object} page - Page being processed as { number, count }, omitted for single images
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ * @returns {Promise<object>} - The provider result as { provider, ocrData }
+ */
+async function runOcr(fileId, file, providerName, logPrefix, page, signal) {
+  const provider = ocrProviders.getProvider(providerName);
+  
   try {
-    const { fileId, filePath, originalname } = task;
+    await setStage(fileId, 'provider_call', pageStageProgress('provider_call', page));
     
-    // Store original file information for correlation
-    const fileInfo = {
-      id: fileId,
-      name: originalname,
-      path: filePath
+    const startedAt = Date.now();
+    const result = await provider.recognize(file, {
+      fileId,
+      logPrefix,
+      page,
+      signal,
+      // Called by providers once the response has arrived and is being parsed
+      onStage: stage => setStage(fileId, stage, pageStageProgress(stage, page)),
+      // Called by the fallback chain for every provider that fails
+      onProviderFailure: async (name, error) => {
+        recordProviderFailure(fileId, name, error);
+        await sendFailureNotification(fileId, file.filename, error, error.attempts || 1);
+        error.notified = true;
+      }
+    });
+    
+    // For a fallback chain this includes the time spent on the providers that failed before
+    recordProviderCall(fileId, result.provider, Date.now() - startedAt, page);
+    return result;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw cancelledError(fileId);
+    }
+    if (!error.notified) {
+      recordProviderFailure(fileId, provider.name, error);
+      await sendFailureNotification(fileId, file.filename, error, error.attempts || 1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Preprocess an image before OCR and store the processed copy next to the original
+ * Preprocessing errors are logged and the original file is used instead.
+ * @param {string} fileId - The job ID
+ * @param {object} file - The file as { buffer, filename, mimetype }
+ * @param {string} logPrefix - Prefix used for log messages
+ * @returns {Promise<object>} - The file to send to OCR
+ */
+async function preprocessFile(fileId, file, logPrefix) {
+  if (!shouldPreprocess(file.mimetype, file.filename)) {
+    return file;
+  }
+  
+  try {
+    const { buffer, mimetype, info } = await preprocessImage(file.buffer);
+    console.log(`${logPrefix} Preprocessed image (${info.steps.join(', ')}): ${info.originalWidth}x${info.originalHeight} -> ${info.width}x${info.height}`);
+    
+    await OCRJob.update({
+      processed_data: buffer,
+      processed_mimetype: mimetype,
+      preprocessing: info
+    }, { where: { id: fileId } });
+    
+    return {
+      buffer,
+      filename: `${path.basename(file.filename, path.extname(file.filename))}.png`,
+      mimetype
     };
+  } catch (error) {
+    console.error(`${logPrefix} Image preprocessing failed, using the original image:`, error.message);
+    return file;
+  }
+}
+
+/**
+ * Run a document through OCR
+ * PDFs are rendered page by page, each page is sent to the provider and the results are merged.
+ * @param {string} fileId - The job ID
+ * @param {object} file - The file as { buffer, filename, mimetype }
+ * @param {string} providerName - Provider to use, defaults to the configured provider
+ * @param {string} logPrefix - Prefix used for log messages
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ * @returns {Promise<object>} - The result as { provider, ocrData }
+ */
+async function recognizeDocument(fileId, file, providerName, logPrefix, signal) {
+  if (!isPdfFile(file.buffer, file.filename, file.mimetype)) {
+    return runOcr(fileId, await preprocessFile(fileId, file, logPrefix), providerName, logPrefix, undefined, signal);
+  }
+  
+  const pages = await rasterizePdf(file.buffer, { filename: file.filename });
+  console.log(`${logPrefix} Rendered ${pages.length} PDF page(s) from ${file.filename}`);
+  
+  const pageResults = [];
+  for (const page of pages) {
+    // Stop between pages once the job has been cancelled
+    if (signal && signal.aborted) {
+      throw cancelledError(fileId);
+    }
+    
+    const { provider, ocrData } = await runOcr(
+      fileId,
+      page,
+      providerName,
+      `${logPrefix}[page ${page.pageNumber}/${pages.length}]`,
+      { number: page.pageNumber, count: pages.length },
+      signal
+    );
+    pageResults.push({ pageNumber: page.pageNumber, provider, ocrData });
+  }
+  
+  // Report the provider once when every page used the same one
+  const providers = [...new Set(pageResults.map(result => result.provider))];
+  
+  return {
+    provider: providers.join(','),
+    ocrData: mergePageResults(pageResults)
+  };
+}
+
+/**
+ * Run OCR for a job, reading its file from the database or from disk
+ * @param {string} fileId - The job ID
+ * @param {string} providerName - OCR provider to use, defaults to the provider of the job
+ * @returns {Promise<object>} - The OCR processing result
+ */
+async function runJob(fileId, providerName) {
+  const logPrefix = `[Queue:${fileId}]`;
+  
+  try {
+    const job = await OCRJob.findByPk(fileId, {
+      attributes: ['id', 'original_filename', 'mimetype', 'file_path', 'file_data', 'provider']
+    });
+    
+    if (!job) {
+      throw new Error(`No queued file found with ID: ${fileId}`);
+    }
+    
+    if (!job.file_data && !(job.file_path && fs.existsSync(job.file_path))) {
+      throw new Error(`File not found for ID: ${fileId}`);
+    }
     
     // Update status to processing
-    updateStatus(fileId, 'processing', null, 0, fileInfo);
+    const signal = await startJob(fileId);
     
-    // Setup progress tracking
-    let progress = 0;
-    const progressInterval = setInterval(() => {
-      progress += 5;
-      if (progress <= 90) { // Cap at 90% until we get actual results
-        updateStatus(fileId, 'processing', null, progress, fileInfo);
-      } else {
-        clearInterval(progressInterval);
-      }
-    }, 1000);
+    console.log(`${logPrefix} Starting processing of file: ${job.original_filename}`);
+    
+    const file = {
+      buffer: job.file_data || fs.readFileSync(job.file_path),
+      filename: job.original_filename,
+      mimetype: job.mimetype
+    };
+    
+    const recognized = await recognizeDocument(fileId, file, providerName || job.provider || undefined, logPrefix, signal);
+    const { provider } = recognized;
+    // Registered providers should already return the canonical document, this guarantees it
+    let ocrData = normalizeOcrDocument(recognized.ocrData);
     
-    // Process the file with actual OCR API
+    // Correct what the supplier always prints differently; a failing lookup leaves the document as read
     try {
-      // In development mode, optionally skip real API call and use mock data directly
-      if (USE_MOCK_DATA) {
-        console.log(`[Queue:${fileId}] Development mode: Using mock data directly`);
-        
-        // Create mock OCR result
-        const mockResult = createMockResult(fileId, originalname);
-        
-        // Clean up progress interval
-        clearInterval(progressInterval);
-        
-        // Update status to completed with mock results
-        updateStatus(fileId, 'completed', mockResult, 100, fileInfo);
-        cb(null, mockResult);
-        
-        // Clean up the temporary file
-        try {
-          fs.unlinkSync(filePath);
-          console.log(`[Queue:${fileId}] Temporary file deleted: ${filePath}`);
-        } catch (err) {
-          console.error(`[Queue:${fileId}] Error deleting temporary file:`, err);
-        }
-        
-        return; // Skip actual API call
+      const templated = await supplierTemplateService.applySupplierTemplate(ocrData);
+      if (templated.supplier) {
+        console.log(`${logPrefix} Applied template of supplier ${templated.supplier.code}: ${templated.changes.join(', ') || 'no changes'}`);
+        ocrData = templated.document;
       }
+    } catch (error) {
+      console.warn(`${logPrefix} Supplier template not applied:`, error.message);
+    }
     
-      // Create form data for API request
-      const formData = new FormData();
-      
-      // Add file to FormData without additional manipulation
-      const fileStream = fs.createReadStream(filePath);
-      formData.append('file', fileStream);
-      
-      console.log(`[Queue:${fileId}] Starting OCR API request to: ${OCR_API_ENDPOINT}`);
-      console.log(`[Queue:${fileId}] File: ${originalname}`);
-      
-      // Implement retry logic with API call
-      let retryCount = 0;
-      let lastError = null;
-      let successful = false;
-      let ocrData = null;
-      
-      // Try up to MAX_RETRIES times
-      while (retryCount <= MAX_RETRIES && !successful) {
-        try {
-          if (retryCount > 0) {
-            console.log(`[Queue:${fileId}] Retry attempt ${retryCount}/${MAX_RETRIES} for OCR API request`);
-            // Reset the file stream for retry
-            formData.delete('file');
-            const newFileStream = fs.createReadStream(filePath);
-            formData.append('file', newFileStream);
-          }
-          
-          // Send request to OCR API
-          const response = await axios.post(OCR_API_ENDPOINT, formData, {
-            headers: {
-              ...formData.getHeaders(),
-              'Authorization': OCR_API_TOKEN
-            },
-            timeout: 600000, // 10 minutes timeout for OCR processing
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
-          });
-          
-          // Process OCR results
-          ocrData = response.data;
-          
-          // Log response for debugging
-          console.log(`[Queue:${fileId}] OCR API Response status: ${response.status}`);
-          console.log(`[Queue:${fileId}] OCR API Response type: ${typeof ocrData}`);
-          console.log(`[Queue:${fileId}] OCR API Response snippet:`, 
-            JSON.stringify(ocrData).substring(0, 300) + '...');
-          
-          successful = true;
-        } catch (error) {
-          lastError = error;
-          console.error(`[Queue:${fileId}] Error calling OCR API (attempt ${retryCount+1}/${MAX_RETRIES+1}):`, error.message);
-          
-          // Check if the API returned a response despite the error
-          if (error.response) {
-            console.log(`[Queue:${fileId}] API Error Status:`, error.response.status);
-            console.log(`[Queue:${fileId}] API Error Data:`, error.response.data);
-          }
-          
-          // Increment retry count
-          retryCount++;
-        }
-      }
-      
-      // If all retries failed, try fallback API
-      if (!successful) {
-        console.error(`[Queue:${fileId}] All ${MAX_RETRIES+1} attempts to OCR API failed`);
-        
-        // Send notification about the failure
-        await sendFailureNotification(fileId, originalname, lastError, MAX_RETRIES+1);
-        
-        // Try fallback API if available and different from main API
-        if (OCR_API_ENDPOINT !== FALLBACK_OCR_API_ENDPOINT) {
-          console.log(`[Queue:${fileId}] Trying fallback OCR API: ${FALLBACK_OCR_API_ENDPOINT}`);
-          
-          try {
-            // Reset stream because it was consumed in previous attempts
-            formData.delete('file');
-            const fileStream2 = fs.createReadStream(filePath);
-            formData.append('file', fileStream2);
-            
-            const fallbackResponse = await axios.post(FALLBACK_OCR_API_ENDPOINT, formData, {
-              headers: {
-                ...formData.getHeaders(),
-                'Authorization': OCR_API_TOKEN
-              },
-              timeout: 600000 // 10 minutes timeout
-            });
-            
-            // Process fallback response
-            ocrData = fallbackResponse.data;
-            successful = true;
-            
-            console.log(`[Queue:${fileId}] Fallback OCR API succeeded`);
-          } catch (fallbackError) {
-            console.error(`[Queue:${fileId}] Fallback OCR API also failed:`, fallbackError.message);
-            lastError = fallbackError;
-            
-            // Send additional notification for fallback failure
-            await sendFailureNotification(fileId, originalname, fallbackError, MAX_RETRIES+2);
-            
-            // If everything failed, use mock data in dev mode or report error in prod
-            if (IS_DEV_MODE) {
-              console.log(`[Queue:${fileId}] Using mock data as last resort fallback`);
-              const mockResult = createMockResult(fileId, originalname);
-              clearInterval(progressInterval);
-              updateStatus(fileId, 'completed', mockResult, 100, fileInfo);
-              cb(null, mockResult);
-            } else {
-              // In prod, don't use mock data, just report the error
-              clearInterval(progressInterval);
-              updateStatus(fileId, 'error', { message: lastError.message }, 0);
-              cb(lastError);
-            }
-            return;
-          }
-        } else {
-          // If there's no separate fallback API, use mock data in dev mode or report error in prod
-          if (IS_DEV_MODE) {
-            console.log(`[Queue:${fileId}] Using mock data as last resort fallback`);
-            const mockResult = createMockResult(fileId, originalname);
-            clearInterval(progressInterval);
-            updateStatus(fileId, 'completed', mockResult, 100, fileInfo);
-            cb(null, mockResult);
-          } else {
-            // In prod, don't use mock data, just report the error
-            clearInterval(progressInterval);
-            updateStatus(fileId, 'error', { message: lastError.message }, 0);
-            cb(lastError);
-          }
-          return;
-        }
-      }
-      
-      // Process the OCR data (successful case)
-      // Find the item with output property or create a new one
-      let processedOcrData;
-      if (Array.isArray(ocrData)) {
-        // Find element with output property
-        const outputItem = ocrData.find(item => item.output);
-        if (outputItem) {
-          console.log(`[Queue:${fileId}] Found item with output property in array`);
-          processedOcrData = outputItem;
-        } else {
-          // Merge all array items into one object with output property
-          console.log(`[Queue:${fileId}] Creating structured output from array items`);
-          processedOcrData = {
-            output: {
-              // Add essential properties if found in any array element
-              nomor_referensi: findPropertyInArray(ocrData, 'nomor_referensi') || { value: `INV-${Date.now()}`, is_confident: false },
-              nama_supplier: findPropertyInArray(ocrData, 'nama_supplier') || { value: "Unknown Supplier", is_confident: false },
-              tanggal_faktur: findPropertyInArray(ocrData, 'tanggal_faktur') || { value: new Date().toISOString().split('T')[0], is_confident: false },
-              tgl_jatuh_tempo: findPropertyInArray(ocrData, 'tgl_jatuh_tempo') || { value: "", is_confident: false },
-              items: []
-            }
-          };
-          
-          // Add any properties from third element which typically has items
-          if (ocrData[2] && ocrData[2].output && Array.isArray(ocrData[2].output.items)) {
-            processedOcrData.output.items = ocrData[2].output.items;
-          }
-        }
-      } else {
-        // Process single object
-        console.log(`[Queue:${fileId}] Processing single object response`);
-        processedOcrData = ocrData;
-      }
+    // Create result object
+    const result = {
+      id: fileId,
+      filename: job.original_filename,
+      ...(job.file_path ? { filePath: job.file_path } : {}),
+      provider,
+      processedAt: new Date().toISOString(),
+      ocrData,
+      validation: validateInvoice(ocrData)
+    };
+    
+    // Update status to completed with OCR results
+    await updateStatus(fileId, 'completed', result, 100);
+    return result;
+  } catch (error) {
+    if (error.cancelled) {
+      console.log(`${logPrefix} Processing cancelled`);
+      throw error;
+    }
+    console.error(`${logPrefix} Error processing file:`, error);
+    await updateStatus(fileId, 'error', { message: error.message }, 0);
+    throw error;
+  } finally {
+    activeJobs.delete(fileId);
+  }
+}
 
-      // Ensure output property exists
-      if (!processedOcrData.output) {
-        console.log(`[Queue:${fileId}] Adding missing output property`);
-        processedOcrData = {
-          output: {
-            // Copy any properties from original data
-            ...(typeof processedOcrData === 'object' ? processedOcrData : {}),
-            // Ensure items array exists
-            items: []
-          }
-        };
-      }
+// Create processing queue; every job runs through it so concurrency and priorities apply to all uploads
+const processingQueue = new Queue((task, cb) => {
+  runJob(task.fileId, task.provider)
+    .then(result => cb(null, result))
+    .catch(error => cb(error.cancelled ? null : error));
+}, {
+  concurrent: QUEUE_CONCURRENCY,
+  id: 'fileId', // Lets queued tasks be cancelled and reprioritized by job ID
+  priority: (task, cb) => cb(null, task.priority || 0)
+});
 
-      // Ensure essential properties exist in output
-      if (!processedOcrData.output.nomor_referensi) {
-        processedOcrData.output.nomor_referensi = { 
-          value: `INV-${Date.now()}`, 
-          is_confident: true 
-        };
-      }
+// Settle every caller waiting for a job, once
+function settleJob(fileId, error, result) {
+  const waiters = jobWaiters.get(fileId) || [];
+  jobWaiters.delete(fileId);
+  waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(result)));
+}
 
-      if (!processedOcrData.output.nama_supplier) {
-        processedOcrData.output.nama_supplier = { 
-          value: "Unknown Supplier", 
-          is_confident: false 
-        };
-      }
+processingQueue.on('task_finish', (fileId, result) => settleJob(fileId, null, result));
+processingQueue.on('task_failed', (fileId, error) => settleJob(fileId, error));
 
-      if (!processedOcrData.output.tanggal_faktur) {
-        processedOcrData.output.tanggal_faktur = { 
-          value: new Date().toISOString().split('T')[0], 
-          is_confident: false 
-        };
-      }
+// Job result with its OCR data in the canonical shape; results stored before schema_version existed are converted
+function canonicalResult(result) {
+  if (!result || !result.ocrData || result.ocrData.schema_version === SCHEMA_VERSION) {
+    return result;
+  }
+  return { ...result, ocrData: normalizeOcrDocument(result.ocrData) };
+}
 
-      // Ensure items array exists and is an array
-      if (!Array.isArray(processedOcrData.output.items)) {
-        processedOcrData.output.items = [];
-      }
+// Convert a job row into the status shape returned by the API
+function toStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    result: job.status === 'error' || job.status === 'cancelled' ? { message: job.error } : canonicalResult(job.result),
+    progress: job.progress,
+    stage: job.stage,
+    attempts: job.attempts,
+    attemptHistory: job.attempt_history,
+    provider: job.provider,
+    priority: job.priority,
+    batchId: job.batch_id,
+    source: job.source,
+    sourceDetails: job.source_details,
+    preprocessing: job.preprocessing,
+    fileInfo: {
+      id: job.id,
+      name: job.original_filename,
+      mimetype: job.mimetype,
+      path: job.file_path
+    },
+    queuedAt: job.queued_at,
+    dispatchedAt: job.dispatched_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+    updatedAt: job.updated_at
+  };
+}
 
-      // Log structured data for debugging
-      console.log(`[Queue:${fileId}] Final OCR data structure:`, 
-        JSON.stringify({
-          hasOutput: true,
-          hasNomorReferensi: !!processedOcrData.output.nomor_referensi,
-          hasNamaSupplier: !!processedOcrData.output.nama_supplier, 
-          hasTanggalFaktur: !!processedOcrData.output.tanggal_faktur,
-          hasItems: Array.isArray(processedOcrData.output.items),
-          itemCount: processedOcrData.output.items.length
-        }));
-
-      // Close progress interval
-      clearInterval(progressInterval);
-
-      // Create result object
-      const result = {
-        id: fileId,
-        filename: originalname,
-        filePath: filePath,
-        processedAt: new Date().toISOString(),
-        ocrData: processedOcrData
-      };
-
-      // Helper function to find a property in array of objects
-      function findPropertyInArray(array, propertyName) {
-        for (const item of array) {
-          if (item[propertyName]) {
-            return item[propertyName];
-          }
-          if (item.output && item.output[propertyName]) {
-            return item.output[propertyName];
-          }
-        }
-        return null;
-      }
+// Attempt history of a job with the attempt that just ended added
+async function attemptHistoryWith(fileId, status, result) {
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: ['attempt_history', 'attempts', 'started_at', 'provider']
+  });
+  const details = attemptDetails.get(fileId) || { provider_errors: [], provider_calls: [] };
+  attemptDetails.delete(fileId);
+  
+  if (!job) {
+    return [];
+  }
+  
+  return [
+    ...(job.attempt_history || []),
+    {
+      attempt: job.attempts,
+      status,
+      provider: (status === 'completed' && result && result.provider) || job.provider || ocrProviders.DEFAULT_PROVIDER,
+      started_at: job.started_at,
+      finished_at: new Date().toISOString(),
+      error: status === 'completed' ? null : (result && result.message) || 'Unknown error',
+      provider_errors: details.provider_errors,
+      provider_calls: details.provider_calls
+    }
+  ];
+}
 
-      // Update status to completed with OCR results
-      updateStatus(fileId, 'completed', result, 100, fileInfo);
-      cb(null, result);
-    } catch (error) {
-      console.error(`[Queue:${fileId}] Error processing file:`, error);
-      updateStatus(fileId, 'error', { message: error.message }, 0);
-      cb(error);
+// Update status function
+async function updateStatus(fileId, status, result, progress) {
+  const values = { status, progress };
+  
+  if (status === 'error' || status === 'cancelled') {
+    values.error = result && result.message ? result.message : 'Unknown error';
+    values.finished_at = new Date();
+  } else {
+    values.result = result;
+    values.error = null;
+    values.finished_at = status === 'completed' ? new Date() : null;
+  }
+  
+  if (status === 'completed') {
+    values.stage = 'done';
+  }
+  
+  try {
+    if (FINAL_STATUSES.includes(status)) {
+      values.attempt_history = await attemptHistoryWith(fileId, status, result);
+    }
+    
+    // A cancelled job keeps its status when the aborted run finishes afterwards
+    const [updated] = await OCRJob.update(values, {
+      where: { id: fileId, status: { [Op.ne]: 'cancelled' } }
+    });
+    if (updated === 0) {
+      return;
     }
+    await emitStatus(fileId);
   } catch (error) {
-    console.error(`[Queue:${fileId}] Error processing file:`, error);
-    updateStatus(fileId, 'error', { message: error.message }, 0);
-    cb(error);
+    console.error(`[Queue:${fileId}] Error updating job status to ${status}:`, error);
+  }
+  
+  if (status === 'completed' || status === 'error') {
+    await publishJobEvent(fileId, status, result);
   }
-}, { concurrent: 3 }); // Allow up to 3 concurrent processing tasks
+}
 
-// Update status function
-function updateStatus(fileId, status, result, progress, fileInfo = null) {
-  processingStatus.set(fileId, {
-    id: fileId,
-    status,
-    result,
-    progress,
-    fileInfo,
-    updatedAt: new Date().toISOString()
+// Publish the ocr.completed or ocr.failed webhook event for a finished job
+async function publishJobEvent(fileId, status, result) {
+  try {
+    const job = await OCRJob.findByPk(fileId, {
+      attributes: ['id', 'original_filename', 'mimetype', 'attempts', 'queued_at', 'finished_at']
+    });
+    
+    const data = {
+      file_id: fileId,
+      filename: job ? job.original_filename : null,
+      mimetype: job ? job.mimetype : null,
+      attempts: job ? job.attempts : null,
+      queued_at: job ? job.queued_at : null,
+      finished_at: job ? job.finished_at : new Date()
+    };
+    
+    if (status === 'completed') {
+      const items = result && result.ocrData && result.ocrData.output && result.ocrData.output.items;
+      await webhookService.emitEvent('ocr.completed', {
+        ...data,
+        provider: result ? result.provider : null,
+        item_count: Array.isArray(items) ? items.length : 0,
+        validation: result && result.validation ? {
+          valid: result.validation.valid,
+          errors: result.validation.errors,
+          warnings: result.validation.warnings
+        } : null
+      });
+    } else {
+      await webhookService.emitEvent('ocr.failed', {
+        ...data,
+        error: result && result.message ? result.message : 'Unknown error'
+      });
+    }
+  } catch (error) {
+    console.error(`[Queue:${fileId}] Error publishing webhook event:`, error);
+  }
+}
+
+// Send the current status of a job to subscribers
+async function emitStatus(fileId) {
+  if (jobEvents.listenerCount('status') === 0) {
+    return;
+  }
+  
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: { exclude: BINARY_COLUMNS }
   });
   
-  // In a production app, you might emit events via websockets here
+  if (job) {
+    jobEvents.emit('status', toStatus(job));
+  }
+}
+
+/**
+ * Mark a job as started and count the attempt
+ * @param {string} fileId - The job ID
+ * @returns {Promise<AbortSignal>} - Aborted when the job is cancelled
+ */
+async function startJob(fileId) {
+  let started = true;
+  
+  try {
+    [started] = await OCRJob.update({
+      status: 'processing',
+      stage: 'preprocessing',
+      progress: STAGE_PROGRESS.preprocessing,
+      result: null,
+      error: null,
+      started_at: new Date(),
+      finished_at: null,
+      attempts: sequelize.literal('attempts + 1')
+    }, { where: { id: fileId, status: { [Op.ne]: 'cancelled' } } });
+    await emitStatus(fileId);
+  } catch (error) {
+    console.error(`[Queue:${fileId}] Error marking job as started:`, error);
+  }
+  
+  if (!started) {
+    throw cancelledError(fileId);
+  }
+  
+  const controller = new AbortController();
+  activeJobs.set(fileId, controller);
+  attemptDetails.delete(fileId);
+  return controller.signal;
+}
+
+// Move a job that is still processing to the next stage
+async function setStage(fileId, stage, progress = STAGE_PROGRESS[stage]) {
+  try {
+    // Only touch jobs that are still processing so a late write cannot overwrite a final state
+    await OCRJob.update(
+      { stage, progress },
+      { where: { id: fileId, status: 'processing' } }
+    );
+    await emitStatus(fileId);
+  } catch (error) {
+    console.error(`[Queue:${fileId}] Error updating job stage to ${stage}:`, error);
+  }
 }
 
-// Add file to queue
-function queueFile(filePath, originalname) {
+/**
+ * Subscribe to job status changes
+ * @param {Function} listener - Called with the job status on every change
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(listener) {
+  jobEvents.on('status', listener);
+  return () => jobEvents.off('status', listener);
+}
+
+/**
+ * Add a file on disk to the queue
+ * @param {string} filePath - Location of the file, it is read when the job runs
+ * @param {string} originalname - Original file name
+ * @param {object} options - { priority, source, mimetype, fingerprint }; fingerprint holds the contentHash and
+ *   perceptualHash used by the duplicate check
+ * @returns {Promise<string>} - The job ID
+ */
+async function queueFile(filePath, originalname, { priority, source, mimetype, fingerprint = {} } = {}) {
   const fileId = uuidv4();
   
   // Initialize status
-  updateStatus(fileId, 'queued', null, 0, { id: fileId, name: originalname, path: filePath });
+  const job = await OCRJob.create({
+    id: fileId,
+    status: 'queued',
+    original_filename: originalname,
+    mimetype: mimetype || null,
+    file_path: filePath,
+    data_size: fs.existsSync(filePath) ? fs.statSync(filePath).size : null,
+    content_hash: fingerprint.contentHash || null,
+    perceptual_hash: fingerprint.perceptualHash || null,
+    priority: toPriority(priority),
+    source: source || 'upload'
+  });
+  await emitStatus(fileId);
   
   // Add to queue
-  processingQueue.push({
-    fileId,
-    filePath,
-    originalname
-  });
+  dispatchJob(job);
   
   return fileId;
 }
 
 // Get status of a specific file
-function getFileStatus(fileId) {
-  return processingStatus.get(fileId) || { 
-    id: fileId,
-    status: 'not_found',
-    progress: 0
-  };
+async function getFileStatus(fileId) {
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: { exclude: BINARY_COLUMNS }
+  });
+  
+  if (!job) {
+    return { 
+      id: fileId,
+      status: 'not_found',
+      progress: 0
+    };
+  }
+  
+  return toStatus(job);
+}
+
+/**
+ * Get the original or preprocessed image of a job
+ * @param {string} fileId - The job ID
+ * @param {string} variant - 'original' or 'processed'
+ * @returns {Promise<object|null>} - The image as { buffer, mimetype, filename }, or null if not available
+ */
+async function getJobImage(fileId, variant = 'original') {
+  const column = variant === 'processed' ? 'processed_data' : 'file_data';
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: ['id', 'original_filename', 'mimetype', 'file_path', 'processed_mimetype', column]
+  });
+  
+  if (!job) {
+    return null;
+  }
+  
+  if (variant === 'processed') {
+    return job.processed_data
+      ? { buffer: job.processed_data, mimetype: job.processed_mimetype, filename: job.original_filename }
+      : null;
+  }
+  
+  // Jobs queued by path keep the original on disk
+  const buffer = job.file_data || (job.file_path && fs.existsSync(job.file_path) ? fs.readFileSync(job.file_path) : null);
+  return buffer ? { buffer, mimetype: job.mimetype, filename: job.original_filename } : null;
 }
 
 // Get all statuses
-function getAllStatuses() {
-  return Array.from(processingStatus.values());
+async function getAllStatuses() {
+  const jobs = await OCRJob.findAll({
+    attributes: { exclude: BINARY_COLUMNS },
+    order: [['updated_at', 'DESC']],
+    limit: STATUS_LIST_LIMIT
+  });
+  
+  return jobs.map(toStatus);
 }
 
-// Function to create mock OCR result for testing
-function createMockResult(fileId, filename) {
-  return {
-    id: fileId,
-    filename: filename,
-    processedAt: new Date().toISOString(),
-    ocrData: {
-      nomor_referensi: {
-        value: "SSP318905",
-        is_confident: true
-      },
-      nama_supplier: {
-        value: "PT SUKSES SEJATI PERKASA",
-        is_confident: true
-      },
-      tgl_jatuh_tempo: {
-        value: "05-03-2025",
-        epoch: 1741150800,
-        is_confident: true
-      },
-      tanggal_faktur: {
-        value: "26-02-2025",
-        epoch: 1740546000,
-        is_confident: true
-      },
-      tipe_dokumen: {
-        value: "Faktur",
-        is_confident: true
-      },
-      tipe_pembayaran: {
-        value: "Tunai",
-        is_confident: true
-      },
-      salesman: {
-        value: "ZUN",
-        is_confident: true
-      },
-      include_vat: {
-        value: true,
-        is_confident: true
-      },
-      output: {
-        item_keys: [
-          "kode_barang_invoice",
-          "nama_barang_invoice",
-          "qty",
-          "satuan",
-          "harga_satuan",
-          "harga_bruto",
-          "diskon_persen",
-          "diskon_rp",
-          "jumlah_netto"
-        ],
-        items: [
-          {
-            kode_barang_invoice: {
-              value: "12540202",
-              is_confident: true
-            },
-            nama_barang_invoice: {
-              value: "MILO ACTIV - GO UHT Cabk 110ml / 36",
-              is_confident: true
-            },
-            qty: {
-              value: 5,
-              is_confident: true
-            },
-            satuan: {
-              value: "CTN",
-              is_confident: true
-            },
-            harga_satuan: {
-              value: 95570,
-              is_confident: true
-            },
-            harga_bruto: {
-              value: 477850,
-              is_confident: true
-            },
-            diskon_persen: {
-              value: 3,
-              is_confident: true
-            },
-            diskon_rp: {
-              value: 14336,
-              is_confident: true
-            },
-            jumlah_netto: {
-              value: 463515,
-              is_confident: true
-            }
-          },
-          {
-            kode_barang_invoice: {
-              value: "12540203",
-              is_confident: true
-            },
-            nama_barang_invoice: {
-              value: "MILO ACTIV - GO UHT Cabk 180ml / 36",
-              is_confident: true
-            },
-            qty: {
-              value: 5,
-              is_confident: true
-            },
-            satuan: {
-              value: "CTN",
-              is_confident: true
-            },
-            harga_satuan: {
-              value: 163490,
-              is_confident: true
-            },
-            harga_bruto: {
-              value: 817450,
-              is_confident: true
-            },
-            diskon_persen: {
-              value: 3,
-              is_confident: true
-            },
-            diskon_rp: {
-              value: 24524,
-              is_confident: false
-            },
-            jumlah_netto: {
-              value: 792926,
-              is_confident: false
-            }
-          }
-        ],
-        total_items: {
-          value: 0,
-          is_confident: false
-        }
-      },
-      debug: [
-        {
-          item: 1,
-          issue: "Diskon Rp pada item 2 (24.524) tidak sesuai dengan perhitungan (3% dari 817.450 adalah 24.523,5)."
-        }
-      ],
-      debug_summary: {
-        value: "Ada beberapa ketidaksesuaian dalam perhitungan diskon dan jumlah netto pada beberapa item.",
-        is_confident: false
-      }
-    }
-  };
+/**
+ * Put a job on the processing queue
+ * @param {object} job - The job row
+ * @param {string} providerName - OCR provider to use, defaults to the provider of the job
+ * @returns {Promise<object>} - The OCR processing result once the job has run; rejects with an error whose cancelled
+ *   flag is set when the job is cancelled
+ */
+async function enqueueJob(job, providerName) {
+  await OCRJob.update({ dispatched_at: new Date() }, { where: { id: job.id } });
+  
+  return new Promise((resolve, reject) => {
+    jobWaiters.set(job.id, [...(jobWaiters.get(job.id) || []), { resolve, reject }]);
+    processingQueue.push({
+      fileId: job.id,
+      provider: providerName || undefined,
+      priority: job.priority || 0
+    });
+  });
 }
 
 /**
  * Process a previously queued file when save data is requested
+ * The file waits on the processing queue until a worker is free.
  * @param {string} fileId - The ID of the queued file to process
+ * @param {string} providerName - OCR provider to use, defaults to the configured provider
  * @returns {Promise<object>} - The OCR processing result
  */
-function processQueuedFile(fileId) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Get the queued file info
-      const queuedItem = processingStatus.get(fileId);
-      
-      if (!queuedItem) {
-        throw new Error(`No queued file found with ID: ${fileId}`);
-      }
-      
-      if (!queuedItem.buffer) {
-        throw new Error(`File buffer not found for ID: ${fileId}`);
-      }
-      
-      console.log(`[ProcessQueue:${fileId}] Starting processing of queued file: ${queuedItem.originalFilename}`);
-      
-      // Update status to processing
-      updateStatus(fileId, 'processing', null, 0, {
-        id: fileId,
-        name: queuedItem.originalFilename,
-        mimetype: queuedItem.mimetype
-      });
-      
-      // Set up progress tracking
-      let progress = 0;
-      const progressInterval = setInterval(() => {
-        progress += 5;
-        if (progress <= 90) { // Cap at 90% until we get actual results
-          updateStatus(fileId, 'processing', null, progress);
-        } else {
-          clearInterval(progressInterval);
-        }
-      }, 1000);
-      
-      // Create form data for API request
-      const formData = new FormData();
-      
-      // Create a temporary file path for the buffer
-      const tempDir = path.join(__dirname, '../../uploads/temp');
-      
-      // Ensure temp directory exists
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFilePath = path.join(tempDir, queuedItem.originalFilename);
-      
-      // Write buffer to temporary file
-      fs.writeFileSync(tempFilePath, queuedItem.buffer);
-      
-      // Add file to form data
-      const fileStream = fs.createReadStream(tempFilePath);
-      formData.append('file', fileStream);
-      
-      console.log(`[ProcessQueue:${fileId}] Starting OCR API request to: ${OCR_API_ENDPOINT}`);
-      console.log(`[ProcessQueue:${fileId}] File: ${queuedItem.originalFilename}, Size: ${queuedItem.dataSize} bytes`);
-      
-      // Implement retry logic with API call
-      let retryCount = 0;
-      let lastError = null;
-      let successful = false;
-      let ocrData = null;
-      
-      // Try up to MAX_RETRIES times
-      while (retryCount <= MAX_RETRIES && !successful) {
-        try {
-          if (retryCount > 0) {
-            console.log(`[ProcessQueue:${fileId}] Retry attempt ${retryCount}/${MAX_RETRIES} for OCR API request`);
-            // Reset the file stream for retry
-            formData.delete('file');
-            const newFileStream = fs.createReadStream(tempFilePath);
-            formData.append('file', newFileStream);
-          }
-          
-          // Send request to OCR API
-          const response = await axios.post(OCR_API_ENDPOINT, formData, {
-            headers: {
-              ...formData.getHeaders(),
-              'Authorization': OCR_API_TOKEN
-            },
-            timeout: 600000, // 10 minutes timeout for OCR processing
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
-          });
-          
-          // Process OCR results
-          ocrData = response.data;
-          
-          // Log response for debugging
-          console.log(`[ProcessQueue:${fileId}] OCR API Response status: ${response.status}`);
-          console.log(`[ProcessQueue:${fileId}] OCR API Response type: ${typeof ocrData}`);
-          console.log(`[ProcessQueue:${fileId}] OCR API Response snippet:`, 
-            JSON.stringify(ocrData).substring(0, 300) + '...');
-          
-          successful = true;
-        } catch (error) {
-          lastError = error;
-          console.error(`[ProcessQueue:${fileId}] Error calling OCR API (attempt ${retryCount+1}/${MAX_RETRIES+1}):`, error.message);
-          
-          // Check if the API returned a response despite the error
-          if (error.response) {
-            console.log(`[ProcessQueue:${fileId}] API Error Status:`, error.response.status);
-            console.log(`[ProcessQueue:${fileId}] API Error Data:`, error.response.data);
-          }
-          
-          // Increment retry count
-          retryCount++;
-        }
-      }
-      
-      // If all retries failed, try fallback API
-      if (!successful) {
-        console.error(`[ProcessQueue:${fileId}] All ${MAX_RETRIES+1} attempts to OCR API failed`);
-        
-        // Send notification about the failure
-        await sendFailureNotification(fileId, queuedItem.originalFilename, lastError, MAX_RETRIES+1);
-        
-        // Try fallback API if available and different from main API
-        if (OCR_API_ENDPOINT !== FALLBACK_OCR_API_ENDPOINT) {
-          console.log(`[ProcessQueue:${fileId}] Trying fallback OCR API: ${FALLBACK_OCR_API_ENDPOINT}`);
-          
-          try {
-            // Reset stream because it was consumed in previous attempts
-            formData.delete('file');
-            const fileStream2 = fs.createReadStream(tempFilePath);
-            formData.append('file', fileStream2);
-            
-            const fallbackResponse = await axios.post(FALLBACK_OCR_API_ENDPOINT, formData, {
-              headers: {
-                ...formData.getHeaders(),
-                'Authorization': OCR_API_TOKEN
-              },
-              timeout: 600000 // 10 minutes timeout
-            });
-            
-            // Process fallback response
-            ocrData = fallbackResponse.data;
-            successful = true;
-            
-            console.log(`[ProcessQueue:${fileId}] Fallback OCR API succeeded`);
-          } catch (fallbackError) {
-            console.error(`[ProcessQueue:${fileId}] Fallback OCR API also failed:`, fallbackError.message);
-            lastError = fallbackError;
-            
-            // Send additional notification for fallback failure
-            await sendFailureNotification(fileId, queuedItem.originalFilename, fallbackError, MAX_RETRIES+2);
-            
-            // Use mock data as last resort in dev mode
-            if (IS_DEV_MODE) {
-              console.log(`[ProcessQueue:${fileId}] Using mock data as last resort fallback`);
-              const mockResult = createMockResult(fileId, queuedItem.originalFilename);
-              clearInterval(progressInterval);
-              
-              // Remove temporary file
-              try {
-                fs.unlinkSync(tempFilePath);
-              } catch (err) {
-                console.error(`[ProcessQueue:${fileId}] Error deleting temporary file:`, err);
-              }
-              
-              updateStatus(fileId, 'completed', mockResult, 100);
-              resolve(mockResult);
-              return;
-            } else {
-              // In production, report the error
-              clearInterval(progressInterval);
-              
-              // Remove temporary file
-              try {
-                fs.unlinkSync(tempFilePath);
-              } catch (err) {
-                console.error(`[ProcessQueue:${fileId}] Error deleting temporary file:`, err);
-              }
-              
-              updateStatus(fileId, 'error', { message: lastError.message }, 0);
-              reject(lastError);
-              return;
-            }
-          }
-        } else {
-          // If there's no separate fallback API, use mock data in dev mode or report error in prod
-          if (IS_DEV_MODE) {
-            console.log(`[ProcessQueue:${fileId}] Using mock data as last resort fallback`);
-            const mockResult = createMockResult(fileId, queuedItem.originalFilename);
-            clearInterval(progressInterval);
-            
-            // Remove temporary file
-            try {
-              fs.unlinkSync(tempFilePath);
-            } catch (err) {
-              console.error(`[ProcessQueue:${fileId}] Error deleting temporary file:`, err);
-            }
-            
-            updateStatus(fileId, 'completed', mockResult, 100);
-            resolve(mockResult);
-            return;
-          } else {
-            // In production, report the error
-            clearInterval(progressInterval);
-            
-            // Remove temporary file
-            try {
-              fs.unlinkSync(tempFilePath);
-            } catch (err) {
-              console.error(`[ProcessQueue:${fileId}] Error deleting temporary file:`, err);
-            }
-            
-            updateStatus(fileId, 'error', { message: lastError.message }, 0);
-            reject(lastError);
-            return;
-          }
-        }
-      }
-      
-      // Process the OCR data (successful case)
-      // Use existing normalizing logic for OCR data
-      let processedOcrData;
-      if (Array.isArray(ocrData)) {
-        // Find element with output property
-        const outputItem = ocrData.find(item => item.output);
-        if (outputItem) {
-          console.log(`[ProcessQueue:${fileId}] Found item with output property in array`);
-          processedOcrData = outputItem;
-        } else {
-          // Merge all array items into one object with output property
-          console.log(`[ProcessQueue:${fileId}] Creating structured output from array items`);
-          processedOcrData = {
-            output: {
-              // Add essential properties if found in any array element
-              nomor_referensi: findPropertyInArray(ocrData, 'nomor_referensi') || { value: `INV-${Date.now()}`, is_confident: false },
-              nama_supplier: findPropertyInArray(ocrData, 'nama_supplier') || { value: "Unknown Supplier", is_confident: false },
-              tanggal_faktur: findPropertyInArray(ocrData, 'tanggal_faktur') || { value: new Date().toISOString().split('T')[0], is_confident: false },
-              tgl_jatuh_tempo: findPropertyInArray(ocrData, 'tgl_jatuh_tempo') || { value: "", is_confident: false },
-              items: []
-            }
-          };
-          
-          // Add any properties from third element which typically has items
-          if (ocrData[2] && ocrData[2].output && Array.isArray(ocrData[2].output.items)) {
-            processedOcrData.output.items = ocrData[2].output.items;
-          }
-        }
-      } else {
-        // Process single object
-        console.log(`[ProcessQueue:${fileId}] Processing single object response`);
-        processedOcrData = ocrData;
-      }
-
-      // Ensure output property exists
-      if (!processedOcrData.output) {
-        console.log(`[ProcessQueue:${fileId}] Adding missing output property`);
-        processedOcrData = {
-          output: {
-            // Copy any properties from original data
-            ...(typeof processedOcrData === 'object' ? processedOcrData : {}),
-            // Ensure items array exists
-            items: []
-          }
-        };
-      }
-
-      // Ensure essential properties exist in output
-      if (!processedOcrData.output.nomor_referensi) {
-        processedOcrData.output.nomor_referensi = { 
-          value: `INV-${Date.now()}`, 
-          is_confident: true 
-        };
-      }
-
-      if (!processedOcrData.output.nama_supplier) {
-        processedOcrData.output.nama_supplier = { 
-          value: "Unknown Supplier", 
-          is_confident: false 
-        };
-      }
-
-      if (!processedOcrData.output.tanggal_faktur) {
-        processedOcrData.output.tanggal_faktur = { 
-          value: new Date().toISOString().split('T')[0], 
-          is_confident: false 
-        };
-      }
-
-      // Ensure items array exists and is an array
-      if (!Array.isArray(processedOcrData.output.items)) {
-        processedOcrData.output.items = [];
-      }
-      
-      // Clean up
-      clearInterval(progressInterval);
-      
-      // Remove temporary file
-      try {
-        fs.unlinkSync(tempFilePath);
-        console.log(`[ProcessQueue:${fileId}] Temporary file deleted: ${tempFilePath}`);
-      } catch (err) {
-        console.error(`[ProcessQueue:${fileId}] Error deleting temporary file:`, err);
-      }
-      
-      // Update status with results
-      const result = {
-        id: fileId,
-        filename: queuedItem.originalFilename,
-        processedAt: new Date().toISOString(),
-        ocrData: processedOcrData
-      };
-      
-      updateStatus(fileId, 'completed', result, 100);
-      resolve(result);
-      
-    } catch (error) {
-      console.error(`[ProcessQueue:${fileId}] Error processing file:`, error);
-      updateStatus(fileId, 'error', { message: error.message }, 0);
-      reject(error);
-    }
+async function processQueuedFile(fileId, providerName) {
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: { exclude: BINARY_COLUMNS }
   });
+  
+  if (!job) {
+    throw new Error(`No queued file found with ID: ${fileId}`);
+  }
+  
+  console.log(`[ProcessQueue:${fileId}] Queueing file for processing: ${job.original_filename}`);
+  return enqueueJob(job, providerName);
 }
 
 /**
@@ -906,43 +730,442 @@ function processQueuedFile(fileId) {
  * @param {Buffer} buffer - The file buffer to process
  * @param {string} originalFilename - Original name of the file
  * @param {string} mimetype - MIME type of the file
- * @returns {string} The generated ID for the queued process
+ * @param {object} fingerprint - Optional file hashes as { contentHash, perceptualHash }
+ * @param {object} options - Optional { priority, batchId, autoProcess, source, sourceDetails }; higher priorities are processed first,
+ *   autoProcess puts the job on the processing queue right away instead of waiting for save data
+ * @returns {Promise<string>} The generated ID for the queued process
  */
-exports.queueBuffer = function(buffer, originalFilename, mimetype) {
+exports.queueBuffer = async function(buffer, originalFilename, mimetype, fingerprint = {}, { priority, batchId, autoProcess = false, source, sourceDetails } = {}) {
   // Generate a unique ID for this queued process
   const processId = uuidv4();
   
   console.log(`Queueing buffer for processing. Original filename: ${originalFilename}, Size: ${buffer.length} bytes, MIME: ${mimetype}`);
   
-  // Store initial status - the buffer is not saved to disk until actually needed
-  processingStatus.set(processId, {
+  // Store the job together with its file so it survives a server restart
+  const job = await OCRJob.create({
     id: processId,
-    originalFilename,
     status: 'queued',
+    batch_id: batchId || null,
+    source: source || 'upload',
+    source_details: sourceDetails || null,
+    original_filename: originalFilename,
     mimetype,
-    queuedAt: new Date().toISOString(),
-    // Store buffer in memory until save data action
-    buffer: buffer,
-    dataSize: buffer.length,
-    results: null,
-    error: null
+    file_data: buffer,
+    data_size: buffer.length,
+    content_hash: fingerprint.contentHash || null,
+    perceptual_hash: fingerprint.perceptualHash || null,
+    priority: toPriority(priority)
   });
+  await emitStatus(processId);
   
-  // Process will only take place when save data is pressed
+  // Unless requested, process will only take place when save data is pressed
+  if (autoProcess) {
+    dispatchJob(job);
+  }
   
   return processId;
 };
 
+// Put a job on the processing queue without waiting for the result
+function dispatchJob(job, providerName) {
+  enqueueJob(job, providerName).catch(error => {
+    if (error.cancelled) {
+      return;
+    }
+    console.error(`[Queue:${job.id}] Job failed:`, error.message || error);
+  });
+}
+
+/**
+ * Get the dead-letter list: failed jobs with their last error and attempt history
+ * The original file stays stored on the job so it can be retried.
+ * @param {object} options - Pagination as { page, limit }
+ * @returns {Promise<object>} - { total, page, limit, data } with job statuses
+ */
+async function getDeadLetterJobs({ page = 1, limit = 50 } = {}) {
+  const { count, rows } = await OCRJob.findAndCountAll({
+    where: { status: 'error' },
+    attributes: { exclude: BINARY_COLUMNS },
+    order: [['finished_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+  
+  return {
+    total: count,
+    page,
+    limit,
+    data: rows.map(toStatus)
+  };
+}
+
+/**
+ * Queue a failed or cancelled job again
+ * @param {string} fileId - The job ID
+ * @param {string} providerName - OCR provider to use instead of the one of the job
+ * @returns {Promise<object|null>} - The job status, or null if the job does not exist
+ */
+async function retryJob(fileId, providerName) {
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: { exclude: BINARY_COLUMNS }
+  });
+  
+  if (!job) {
+    return null;
+  }
+  
+  if (!RETRYABLE_STATUSES.includes(job.status)) {
+    throw jobError(`A job that is ${job.status} cannot be retried`, 409);
+  }
+  
+  if (providerName && !ocrProviders.listProviders().includes(providerName)) {
+    throw jobError(`Unknown OCR provider: ${providerName}`, 400);
+  }
+  
+  const hasFile = job.file_path ? fs.existsSync(job.file_path) : job.data_size > 0;
+  if (!hasFile) {
+    throw jobError('The file of this job is no longer available', 409);
+  }
+  
+  console.log(`[Queue:${fileId}] Retrying job${providerName ? ` with provider ${providerName}` : ''}: ${job.original_filename}`);
+  await job.update({
+    status: 'queued',
+    stage: 'uploaded',
+    progress: 0,
+    result: null,
+    error: null,
+    finished_at: null,
+    provider: providerName || job.provider
+  });
+  await emitStatus(fileId);
+  
+  dispatchJob(job, job.provider);
+  
+  return toStatus(job);
+}
+
+/**
+ * Cancel a queued or running job
+ * Running jobs stop at the next page or when the provider request is aborted.
+ * @param {string} fileId - The job ID
+ * @returns {Promise<object|null>} - The job status, or null if the job does not exist
+ */
+async function cancelJob(fileId) {
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: ['id', 'status', 'progress']
+  });
+  
+  if (!job) {
+    return null;
+  }
+  
+  if (!CANCELLABLE_STATUSES.includes(job.status)) {
+    throw jobError(`A job that is ${job.status} cannot be cancelled`, 409);
+  }
+  
+  console.log(`[Queue:${fileId}] Cancelling ${job.status} job`);
+  await updateStatus(fileId, 'cancelled', { message: 'Cancelled by user' }, job.progress);
+  
+  // The job may still be waiting on the in-memory queue
+  processingQueue.cancel(fileId);
+  settleJob(fileId, cancelledError(fileId));
+  
+  const controller = activeJobs.get(fileId);
+  if (controller) {
+    controller.abort();
+  }
+  
+  return getFileStatus(fileId);
+}
+
+/**
+ * Delete failed jobs, including their stored files
+ * @param {number} olderThanDays - Only delete jobs that failed longer ago, 0 deletes all failed jobs
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+async function purgeDeadLetterJobs(olderThanDays = DEAD_LETTER_RETENTION_DAYS) {
+  const where = { status: 'error' };
+  
+  if (olderThanDays > 0) {
+    where.finished_at = { [Op.lt]: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) };
+  }
+  
+  return OCRJob.destroy({ where });
+}
+
+/**
+ * Change the number of jobs processed at the same time
+ * Running jobs are not affected; a lower limit applies as they finish.
+ * @param {number} concurrency - Number of workers, 1 to MAX_QUEUE_CONCURRENCY
+ * @returns {object} - The queue settings
+ */
+function setConcurrency(concurrency) {
+  const value = parseInt(concurrency, 10);
+  if (isNaN(value) || value < 1 || value > MAX_QUEUE_CONCURRENCY) {
+    throw jobError(`Concurrency must be a number from 1 to ${MAX_QUEUE_CONCURRENCY}`, 400);
+  }
+  
+  console.log(`[Queue] Setting concurrency to ${value}`);
+  processingQueue.concurrent = value;
+  
+  // Start waiting jobs right away when the limit was raised
+  if (!paused) {
+    processingQueue.resume();
+  }
+  
+  return getQueueSettings();
+}
+
+/**
+ * Stop starting new jobs; uploads are still accepted and wait on the queue
+ * @returns {object} - The queue settings
+ */
+function pauseQueue() {
+  console.log('[Queue] Pausing processing');
+  paused = true;
+  processingQueue.pause();
+  return getQueueSettings();
+}
+
+/**
+ * Start processing waiting jobs again
+ * @returns {object} - The queue settings
+ */
+function resumeQueue() {
+  console.log('[Queue] Resuming processing');
+  paused = false;
+  processingQueue.resume();
+  return getQueueSettings();
+}
+
+// Current runtime settings of the queue
+function getQueueSettings() {
+  return {
+    concurrency: processingQueue.concurrent,
+    maxConcurrency: MAX_QUEUE_CONCURRENCY,
+    paused,
+    priorityRange: { min: MIN_PRIORITY, max: MAX_PRIORITY }
+  };
+}
+
+/**
+ * Change the priority of a queued job
+ * @param {string} fileId - The job ID
+ * @param {number} priority - New priority, clamped to MIN_PRIORITY..MAX_PRIORITY
+ * @returns {Promise<object|null>} - The job status, or null if the job does not exist
+ */
+async function setJobPriority(fileId, priority) {
+  if (priority === undefined || priority === null || isNaN(parseInt(priority, 10))) {
+    throw jobError('Priority must be a number', 400);
+  }
+  
+  const job = await OCRJob.findByPk(fileId, {
+    attributes: { exclude: BINARY_COLUMNS }
+  });
+  
+  if (!job) {
+    return null;
+  }
+  
+  if (job.status !== 'queued') {
+    throw jobError(`The priority of a job that is ${job.status} cannot be changed`, 409);
+  }
+  
+  await job.update({ priority: toPriority(priority) });
+  console.log(`[Queue:${fileId}] Priority set to ${job.priority}`);
+  
+  // Pushing the same ID again updates the waiting task and re-sorts the queue
+  if (job.dispatched_at) {
+    processingQueue.push({
+      fileId: job.id,
+      provider: job.provider || undefined,
+      priority: job.priority
+    });
+  }
+  
+  await emitStatus(fileId);
+  return toStatus(job);
+}
+
+// Value at a percentile of sorted numbers, using the nearest rank
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Average of numbers, rounded to whole milliseconds
+function average(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Compute queue metrics
+ * Depth is the current state; times, success rate and provider latency cover the jobs that finished in the window.
+ * @param {object} options - { windowHours }
+ * @returns {Promise<object>} - The metrics
+ */
+async function getQueueMetrics({ windowHours = METRICS_WINDOW_HOURS } = {}) {
+  const hours = parseFloat(windowHours) > 0 ? parseFloat(windowHours) : METRICS_WINDOW_HOURS;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  
+  const [waiting, awaitingTrigger, processing] = await Promise.all([
+    OCRJob.count({ where: { status: 'queued', [Op.or]: [{ dispatched_at: { [Op.ne]: null } }, { file_path: { [Op.ne]: null } }] } }),
+    OCRJob.count({ where: { status: 'queued', dispatched_at: null, file_path: null } }),
+    OCRJob.count({ where: { status: 'processing' } })
+  ]);
+  
+  const jobs = await OCRJob.findAll({
+    where: {
+      status: FINAL_STATUSES,
+      finished_at: { [Op.gte]: since }
+    },
+    attributes: ['id', 'status', 'dispatched_at', 'started_at', 'finished_at', 'attempt_history'],
+    order: [['finished_at', 'DESC']],
+    limit: METRICS_JOB_LIMIT
+  });
+  
+  const waitTimes = [];
+  const processingTimes = [];
+  const latencies = {};
+  let completed = 0;
+  let failed = 0;
+  
+  for (const job of jobs) {
+    if (job.dispatched_at && job.started_at && job.started_at >= job.dispatched_at) {
+      waitTimes.push(job.started_at - job.dispatched_at);
+    }
+    
+    if (job.status === 'completed') {
+      completed++;
+      if (job.started_at) {
+        processingTimes.push(job.finished_at - job.started_at);
+      }
+    } else if (job.status === 'error') {
+      failed++;
+    }
+    
+    for (const attempt of job.attempt_history || []) {
+      for (const call of attempt.provider_calls || []) {
+        (latencies[call.provider] = latencies[call.provider] || []).push(call.duration_ms);
+      }
+    }
+  }
+  
+  const providerLatency = Object.entries(latencies).map(([provider, durations]) => {
+    const sorted = durations.slice().sort((a, b) => a - b);
+    return {
+      provider,
+      calls: sorted.length,
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99)
+    };
+  });
+  
+  return {
+    windowHours: hours,
+    jobCount: jobs.length,
+    depth: {
+      waiting,
+      awaitingTrigger,
+      processing,
+      inMemory: processingQueue.length
+    },
+    averageWaitMs: average(waitTimes),
+    averageProcessingMs: average(processingTimes),
+    successRate: completed + failed > 0 ? completed / (completed + failed) : null,
+    completed,
+    failed,
+    cancelled: jobs.length - completed - failed,
+    providerLatency
+  };
+}
+
+/**
+ * Resume or fail jobs that were interrupted by a server restart
+ * Jobs that were processing are restarted while they have attempts left, otherwise marked as error.
+ * Jobs that were waiting on the in-memory queue are pushed back onto it.
+ * @returns {Promise<object>} - Counts of resumed and failed jobs
+ */
+async function resumeInterruptedJobs() {
+  const summary = { resumed: 0, failed: 0 };
+  
+  const jobs = await OCRJob.findAll({
+    where: { status: ['queued', 'processing'] },
+    attributes: { exclude: BINARY_COLUMNS },
+    order: [['queued_at', 'ASC']]
+  });
+  
+  for (const job of jobs) {
+    const hasFile = job.file_path ? fs.existsSync(job.file_path) : job.data_size > 0;
+    
+    // Buffer jobs that were never put on the processing queue wait for the user to trigger processing
+    if (job.status === 'queued' && !job.file_path && !job.dispatched_at) {
+      continue;
+    }
+    
+    if (!hasFile || job.attempts >= MAX_JOB_ATTEMPTS) {
+      const reason = !hasFile
+        ? 'File is no longer available'
+        : `Gave up after ${job.attempts} attempts`;
+      console.log(`[Queue:${job.id}] Marking interrupted job as failed: ${reason}`);
+      await updateStatus(job.id, 'error', { message: `Processing interrupted by server restart. ${reason}` }, 0);
+      summary.failed++;
+      continue;
+    }
+    
+    console.log(`[Queue:${job.id}] Resuming interrupted job: ${job.original_filename}`);
+    await job.update({ status: 'queued', stage: 'uploaded', progress: 0 });
+    
+    dispatchJob(job, job.provider);
+    summary.resumed++;
+  }
+  
+  return summary;
+}
+
 // Export functions from the module
 exports.queueFile = queueFile;
 exports.getFileStatus = getFileStatus;
 exports.getAllStatuses = getAllStatuses;
+exports.getJobImage = getJobImage;
 exports.processQueuedFile = processQueuedFile;
+exports.resumeInterruptedJobs = resumeInterruptedJobs;
+exports.getDeadLetterJobs = getDeadLetterJobs;
+exports.retryJob = retryJob;
+exports.cancelJob = cancelJob;
+exports.purgeDeadLetterJobs = purgeDeadLetterJobs;
+exports.setConcurrency = setConcurrency;
+exports.pauseQueue = pauseQueue;
+exports.resumeQueue = resumeQueue;
+exports.getQueueSettings = getQueueSettings;
+exports.setJobPriority = setJobPriority;
+exports.getQueueMetrics = getQueueMetrics;
+exports.subscribe = subscribe;
 
 module.exports = {
   queueFile: exports.queueFile,
   queueBuffer: exports.queueBuffer,
   getFileStatus: exports.getFileStatus,
   getAllStatuses: exports.getAllStatuses,
-  processQueuedFile: exports.processQueuedFile
+  getJobImage: exports.getJobImage,
+  processQueuedFile: exports.processQueuedFile,
+  resumeInterruptedJobs: exports.resumeInterruptedJobs,
+  getDeadLetterJobs: exports.getDeadLetterJobs,
+  retryJob: exports.retryJob,
+  cancelJob: exports.cancelJob,
+  purgeDeadLetterJobs: exports.purgeDeadLetterJobs,
+  setConcurrency: exports.setConcurrency,
+  pauseQueue: exports.pauseQueue,
+  resumeQueue: exports.resumeQueue,
+  getQueueSettings: exports.getQueueSettings,
+  setJobPriority: exports.setJobPriority,
+  getQueueMetrics: exports.getQueueMetrics,
+  subscribe: exports.subscribe
 };
@@ -0,0 +1,395 @@
+/**
+ * Re-parse stored raw OCR data
+ * Runs the raw provider JSON kept in raw_ocr_data through the current normalizer, the current template of its supplier
+ * and the validation rules and compares the result with the linked ProcessedInvoice. Changes are only written for rows whose preview checksum is sent back,
+ * so an invoice is never changed without the user having seen its diff.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RawOCRData, ProcessedInvoice, ProcessedInvoiceItem, Supplier } = require('../models');
+const { sequelize } = require('../config/database');
+const { parseOcrDocument, toInvoiceFields } = require('./ocrDocument');
+const { validateInvoice } = require('./invoiceValidator');
+const webhookService = require('./webhookService');
+const { replaceInvoiceItems, toItemJson } = require('./invoiceItemService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const supplierService = require('./supplierService');
+const { selectSupplier, applyTemplate } = require('./supplierTemplateService');
+
+// ProcessedInvoice columns that are derived from the OCR data and compared
+const INVOICE_FIELDS = ['supplier_name', 'invoice_date', 'due_date', 'payment_type', 'include_tax', 'salesman', 'tax_rate'];
+// processed_invoice_items columns that are compared one by one
+const ITEM_FIELDS = [
+  'product_code', 'product_name', 'quantity', 'unit', 'price', 'gross_amount', 'discount_percent', 'discount_amount',
+  'total', 'taxable', 'tax_amount', 'source_page', 'mapped_product_code', 'mapped_unit'
+];
+
+// Rows read per query by the dry-run report
+const REPORT_PAGE_SIZE = 100;
+// Maximum number of rows that can be previewed or applied in one request
+const MAX_ROWS = 200;
+
+// Result status of a row
+const STATUS = {
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  INVALID: 'invalid', // The raw data does not match the schema or the amounts do not add up
+  UNLINKED: 'unlinked' // No ProcessedInvoice is linked to the row
+};
+
+// Comparable form of a column value: dates as YYYY-MM-DD, numbers as numbers, empty strings as null
+function comparable(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// Compared columns of an item that is added or removed
+function itemSummary(item) {
+  return item ? ITEM_FIELDS.reduce((summary, field) => ({ ...summary, [field]: comparable(item[field]) }), {}) : null;
+}
+
+// Check whether two column values are the same after conversion
+function sameValue(before, after) {
+  const a = comparable(before);
+  const b = comparable(after);
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) === Number(b) || (a === null && b === null);
+  }
+  return a === b;
+}
+
+/**
+ * List what would change on an invoice
+ * @param {object} invoice - The ProcessedInvoice with its items loaded
+ * @param {object} fields - Columns read from the raw data by toInvoiceFields
+ * @returns {Array<object>} - Changes as { field, before, after }; item changes use field names like items[2].price
+ */
+function diffInvoice(invoice, fields) {
+  const changes = [];
+
+  for (const field of INVOICE_FIELDS) {
+    const before = invoice[field];
+    const after = fields[field];
+    if (!sameValue(before, after)) {
+      changes.push({ field, before: comparable(before) === null ? null : before, after });
+    }
+  }
+
+  const beforeItems = Array.isArray(invoice.items) ? invoice.items.map(toItemJson) : [];
+  const afterItems = fields.items;
+
+  for (let index = 0; index < Math.max(beforeItems.length, afterItems.length); index++) {
+    const before = beforeItems[index];
+    const after = afterItems[index];
+
+    if (!before || !after) {
+      changes.push({ field: `items[${index}]`, before: itemSummary(before), after: itemSummary(after) });
+      continue;
+    }
+
+    for (const field of ITEM_FIELDS) {
+      if (!sameValue(before[field], after[field])) {
+        changes.push({ field: `items[${index}].${field}`, before: before[field] === undefined ? null : before[field], after: after[field] });
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Checksum of the changes of a row, sent back by the client to confirm it saw them
+function checksumOf(id, changes) {
+  return crypto.createHash('sha256').update(JSON.stringify({ id, changes })).digest('hex').substring(0, 16);
+}
+
+/**
+ * Read the raw data of a row as the canonical document, with the template of its supplier applied
+ * The supplier of the linked invoice wins over the printed name because it was checked in the review.
+ * @param {object} row - RawOCRData with its processed_invoice loaded
+ * @param {Array<object>} suppliers - All suppliers
+ * @returns {object} - { document, errors, supplier }; supplier is the one whose template was applied, or null
+ */
+function readRow(row, suppliers) {
+  const { document, errors } = parseOcrDocument(row.raw_data);
+  if (errors.length > 0) {
+    return { document, errors, supplier: null };
+  }
+
+  const supplier = selectSupplier(suppliers, document, row.processed_invoice ? row.processed_invoice.supplier_id : null);
+  if (!supplier) {
+    return { document, errors, supplier: null };
+  }
+  return { document: applyTemplate(document, supplier.template, supplier).document, errors, supplier };
+}
+
+/**
+ * Re-parse one row
+ * @param {object} row - RawOCRData with its processed_invoice loaded
+ * @param {Array<object>} suppliers - All suppliers, to select the template from
+ * @returns {object} - { id, invoice_number, processed_invoice_id, status, changes, checksum, validation, schema_errors,
+ *   template: code of the supplier whose template was applied }
+ */
+function reparseRow(row, suppliers = []) {
+  const result = {
+    id: row.id,
+    invoice_number: row.invoice_number,
+    processed_invoice_id: row.processed_invoice_id,
+    status: STATUS.UNCHANGED,
+    changes: [],
+    checksum: null,
+    validation: null,
+    schema_errors: [],
+    template: null
+  };
+
+  const { document, errors, supplier } = readRow(row, suppliers);
+  if (errors.length > 0) {
+    return { ...result, status: STATUS.INVALID, schema_errors: errors };
+  }
+  result.template = supplier ? supplier.code : null;
+
+  const validation = validateInvoice(document);
+  result.validation = { valid: validation.valid, errors: validation.errors, warnings: validation.warnings, issues: validation.issues };
+
+  // Saving refuses an invoice date after the due date, so the re-parse does too
+  const fields = toInvoiceFields(document);
+  if (fields.invoice_date && fields.due_date && fields.invoice_date > fields.due_date) {
+    result.schema_errors = [{
+      path: 'output.tgl_jatuh_tempo.value',
+      message: 'Tanggal faktur tidak boleh lebih dari tanggal jatuh tempo',
+      type: 'date.min'
+    }];
+  }
+
+  if (!row.processed_invoice) {
+    return { ...result, status: STATUS.UNLINKED };
+  }
+
+  result.changes = diffInvoice(row.processed_invoice, fields);
+
+  if (!validation.valid || result.schema_errors.length > 0) {
+    result.status = STATUS.INVALID;
+  } else if (result.changes.length > 0) {
+    result.status = STATUS.CHANGED;
+    result.checksum = checksumOf(row.id, result.changes);
+  }
+
+  return result;
+}
+
+// Linked invoice with its lines, without the image
+const INVOICE_INCLUDE = {
+  model: ProcessedInvoice,
+  as: 'processed_invoice',
+  attributes: { exclude: ['image_data'] },
+  include: [{ model: ProcessedInvoiceItem, as: 'items' }]
+};
+const ITEM_ORDER = [{ model: ProcessedInvoice, as: 'processed_invoice' }, { model: ProcessedInvoiceItem, as: 'items' }, 'line_number', 'ASC'];
+
+// Load raw rows with their invoice
+function findRows(ids) {
+  return RawOCRData.findAll({
+    where: { id: ids },
+    include: [INVOICE_INCLUDE],
+    order: [['id', 'ASC'], ITEM_ORDER]
+  });
+}
+
+// All suppliers, to select templates from
+function findSuppliers() {
+  return Supplier.findAll({ order: [['id', 'ASC']] });
+}
+
+// Validate a list of row IDs from a request
+function checkIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(Number(id)))) {
+    const error = new Error('ids must be a non-empty array of RawOCRData IDs');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (ids.length > MAX_ROWS) {
+    const error = new Error(`At most ${MAX_ROWS} rows can be re-parsed at once`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return ids.map(Number);
+}
+
+/**
+ * Preview the re-parse of one or more rows without changing anything
+ * @param {Array<number>} ids - RawOCRData IDs
+ * @returns {Promise<Array<object>>} - One result per row found, see reparseRow
+ */
+async function previewReparse(ids) {
+  const rows = await findRows(checkIds(ids));
+  const suppliers = await findSuppliers();
+  return rows.map(row => reparseRow(row, suppliers));
+}
+
+/**
+ * Apply the re-parse of rows the user confirmed
+ * A row is only written when its checksum still matches the preview, otherwise it is reported as stale.
+ * @param {Array<object>} confirmations - [{ id, checksum }] taken from a preview
+ * @param {object} options - { actor } recorded in the invoice history
+ * @returns {Promise<Array<object>>} - [{ id, invoice_number, processed_invoice_id, applied, status, reason, changes }]
+ */
+async function applyReparse(confirmations, { actor = null } = {}) {
+  if (!Array.isArray(confirmations) || confirmations.some(row => !row || !row.checksum)) {
+    const error = new Error('rows must be an array of { id, checksum } taken from a preview');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const checksums = new Map(confirmations.map(row => [Number(row.id), row.checksum]));
+  const rows = await findRows(checkIds(Array.from(checksums.keys())));
+  const suppliers = await findSuppliers();
+  const results = [];
+
+  for (const row of rows) {
+    const preview = reparseRow(row, suppliers);
+    const summary = {
+      id: row.id,
+      invoice_number: row.invoice_number,
+      processed_invoice_id: row.processed_invoice_id,
+      applied: false,
+      status: preview.status,
+      reason: null,
+      changes: preview.changes
+    };
+
+    if (preview.status !== STATUS.CHANGED) {
+      summary.reason = preview.status === STATUS.UNCHANGED ? 'Nothing to change' : `Row is ${preview.status}`;
+      results.push(summary);
+      continue;
+    }
+
+    if (preview.checksum !== checksums.get(row.id)) {
+      summary.status = 'stale';
+      summary.reason = 'The invoice or its raw data changed since the preview, preview it again';
+      results.push(summary);
+      continue;
+    }
+
+    const invoice = row.processed_invoice;
+    if (invoice.status !== 'draft') {
+      summary.status = 'locked';
+      summary.reason = `The invoice is ${invoice.status}, reopen it to draft before applying a re-parse`;
+      results.push(summary);
+      continue;
+    }
+
+    const { document } = readRow(row, suppliers);
+    const fields = toInvoiceFields(document);
+
+    await sequelize.transaction(async (transaction) => {
+      const before = await invoiceHistoryService.loadSnapshot(invoice.id, { transaction });
+      const supplierMatch = await supplierService.matchSupplier(fields.supplier_name, { transaction });
+      await invoice.update({
+        ...INVOICE_FIELDS.reduce((values, field) => ({ ...values, [field]: fields[field] }), {}),
+        supplier_id: supplierMatch ? supplierMatch.supplier.id : null,
+        updated_at: new Date()
+      }, { transaction });
+      await replaceInvoiceItems(invoice.id, fields.items, { transaction });
+      if (fields.invoice_date) {
+        await row.update({ invoice_date: fields.invoice_date }, { transaction });
+      }
+      await invoiceHistoryService.recordVersion(invoice.id, invoiceHistoryService.ACTIONS.UPDATE, {
+        actor,
+        source: 'reparse',
+        before,
+        transaction
+      });
+    });
+
+    await webhookService.emitEvent('invoice.saved', {
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      supplier_name: invoice.supplier_name,
+      invoice_date: invoice.invoice_date,
+      created: false,
+      source: 'reparse',
+      file_id: null
+    });
+
+    summary.applied = true;
+    results.push(summary);
+  }
+
+  return results;
+}
+
+/**
+ * Dry-run the re-parse of the whole table
+ * @returns {Promise<object>} - { total, counts, fields, rows } where fields counts the rows changing each column
+ *   and rows lists the rows that would change or cannot be parsed, without their full diff
+ */
+async function dryRunReport() {
+  const counts = { unchanged: 0, changed: 0, invalid: 0, unlinked: 0 };
+  const fields = {};
+  const rows = [];
+  let total = 0;
+  let lastId = 0;
+  const suppliers = await findSuppliers();
+
+  for (;;) {
+    // Page by ID so rows added while the report runs do not shift the pages
+    const page = await RawOCRData.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      include: [INVOICE_INCLUDE],
+      order: [['id', 'ASC'], ITEM_ORDER],
+      limit: REPORT_PAGE_SIZE
+    });
+
+    if (page.length === 0) {
+      break;
+    }
+
+    for (const row of page) {
+      const result = reparseRow(row, suppliers);
+      total++;
+      counts[result.status]++;
+
+      // Count each column once per row, items[3].price counts as items.price
+      const changed = new Set(result.changes.map(change => change.field.replace(/\[\d+\]/, '')));
+      for (const field of changed) {
+        fields[field] = (fields[field] || 0) + 1;
+      }
+
+      if (result.status === STATUS.CHANGED || result.status === STATUS.INVALID) {
+        rows.push({
+          id: result.id,
+          invoice_number: result.invoice_number,
+          processed_invoice_id: result.processed_invoice_id,
+          status: result.status,
+          changed_fields: Array.from(changed),
+          change_count: result.changes.length,
+          template: result.template,
+          validation_errors: result.validation ? result.validation.errors : null,
+          schema_errors: result.schema_errors.length
+        });
+      }
+    }
+
+    lastId = page[page.length - 1].id;
+  }
+
+  return { total, counts, fields, rows, generated_at: new Date().toISOString() };
+}
+
+module.exports = {
+  previewReparse,
+  applyReparse,
+  dryRunReport,
+  reparseRow,
+  diffInvoice,
+  STATUS,
+  MAX_ROWS
+};
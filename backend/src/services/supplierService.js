@@ -0,0 +1,478 @@
+/**
+ * Supplier master
+ * Invoices and products are linked to a supplier by supplier_id. The supplier name printed on an invoice is matched
+ * to a supplier by its legal name or one of its aliases, ignoring case, punctuation and company forms, and otherwise
+ * by fuzzy matching to absorb OCR typos. The payment terms and PPN setting of the supplier fill in what the invoice
+ * does not say.
+ */
+const { Op, fn, col, cast, where } = require('sequelize');
+const { Supplier, ProcessedInvoice, ProductItem } = require('../models');
+const { sequelize } = require('../config/database');
+
+// Lowest similarity (0-1) at which a name is taken as a misspelling of a supplier
+const MATCH_THRESHOLD = parseFloat(process.env.SUPPLIER_MATCH_THRESHOLD) || 0.85;
+// A fuzzy match closer than this to the runner-up is ambiguous and not used
+const AMBIGUITY_MARGIN = 0.05;
+// Shorter normalized names are only matched exactly
+const MIN_FUZZY_LENGTH = 4;
+
+// Company forms left out when comparing names
+const COMPANY_FORMS = /\b(pt|cv|ud|tbk|persero|pd|fa|koperasi)\b/g;
+
+// Prefix and width of generated supplier codes, e.g. SUP-0042
+const CODE_PREFIX = 'SUP-';
+const CODE_DIGITS = 4;
+
+// Columns that can be set through the API
+const EDITABLE_FIELDS = ['code', 'name', 'aliases', 'npwp', 'address', 'payment_terms_days', 'include_tax', 'template'];
+// Columns a merge copies from the merged suppliers when the target has none
+const MERGE_FILL_FIELDS = ['npwp', 'address', 'payment_terms_days', 'include_tax', 'template'];
+
+// Error carrying an HTTP status code
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lowercase a name and keep only letters and digits, without company forms
+ * @param {string} name - Supplier name
+ * @returns {string} - e.g. "suksessejatiperkasa" for "PT. Sukses Sejati Perkasa"
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(COMPANY_FORMS, ' ')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Letter pairs of a normalized name, with their counts
+function bigrams(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.substring(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+/**
+ * Similarity of two names as the Dice coefficient of the letter pairs of their normalized forms
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - 1 for the same normalized name, 0 when no letter pair is shared
+ */
+function similarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  for (const [pair, count] of leftPairs) {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  }
+  const total = (left.length - 1) + (right.length - 1);
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Clean a list of aliases: trimmed, without duplicates and without spellings of the legal name itself
+ * @param {Array<string>} aliases - Aliases
+ * @param {string} name - Legal name
+ * @returns {Array<string>}
+ */
+function cleanAliases(aliases, name) {
+  const seen = new Set([normalizeName(name)]);
+  const result = [];
+  for (const alias of aliases || []) {
+    const text = typeof alias === 'string' ? alias.trim() : '';
+    const key = normalizeName(text);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      result.push(text);
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the supplier of a name as printed on an invoice among loaded suppliers
+ * Tried in order: the legal name, an alias and the most similar name or alias when it is at least
+ * SUPPLIER_MATCH_THRESHOLD similar and clearly better than the next supplier.
+ * @param {Array<object>} suppliers - All suppliers
+ * @param {string} name - Supplier name
+ * @returns {object|null} - { supplier, match_type: 'name' | 'alias' | 'fuzzy', score } or null
+ */
+function findMatch(suppliers, name) {
+  const key = normalizeName(name);
+  if (!key) {
+    return null;
+  }
+
+  for (const supplier of suppliers) {
+    if (normalizeName(supplier.name) === key) {
+      return { supplier, match_type: 'name', score: 1 };
+    }
+  }
+  for (const supplier of suppliers) {
+    if ((supplier.aliases || []).some(alias => normalizeName(alias) === key)) {
+      return { supplier, match_type: 'alias', score: 1 };
+    }
+  }
+
+  if (key.length < MIN_FUZZY_LENGTH) {
+    return null;
+  }
+
+  const scores = suppliers
+    .map(supplier => ({
+      supplier,
+      score: Math.max(...[supplier.name, ...(supplier.aliases || [])].map(candidate => similarity(name, candidate)))
+    }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scores;
+  if (!best || best.score < MATCH_THRESHOLD || (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN)) {
+    return null;
+  }
+  return { supplier: best.supplier, match_type: 'fuzzy', score: Math.round(best.score * 1000) / 1000 };
+}
+
+/**
+ * Find the supplier of a name as printed on an invoice, see findMatch
+ * @param {string} name - Supplier name
+ * @param {object} options - { transaction }
+ * @returns {Promise<object|null>} - { supplier, match_type, score } or null
+ */
+async function matchSupplier(name, { transaction } = {}) {
+  if (!normalizeName(name)) {
+    return null;
+  }
+  const suppliers = await Supplier.findAll({ order: [['id', 'ASC']], transaction });
+  return findMatch(suppliers, name);
+}
+
+/**
+ * Remember a fuzzy-matched spelling as an alias of its supplier, so the next invoice with the same spelling matches
+ * exactly. Callers saving an invoice run it inside their transaction once the invoice passed its checks.
+ * @param {object|null} match - Result of matchSupplier; nothing is learned unless it is a fuzzy match
+ * @param {string} name - Supplier name as printed
+ * @param {object} options - { transaction }
+ */
+async function learnAlias(match, name, { transaction } = {}) {
+  if (!match || match.match_type !== 'fuzzy') {
+    return;
+  }
+  // Aliases may have changed since the match was made
+  const supplier = await Supplier.findByPk(match.supplier.id, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!supplier) {
+    return;
+  }
+  const aliases = cleanAliases([...(supplier.aliases || []), name], supplier.name);
+  await supplier.update({ aliases }, { transaction });
+  console.log(`Added alias "${name.trim()}" to supplier ${supplier.code} (similarity ${match.score})`);
+}
+
+/**
+ * Find the supplier of a name, optionally remembering a fuzzy-matched spelling as an alias, see learnAlias
+ * @param {string} name - Supplier name
+ * @param {object} options - { transaction, learn }
+ * @returns {Promise<object|null>} - Result of matchSupplier
+ */
+async function resolveSupplier(name, { transaction, learn = false } = {}) {
+  const match = await matchSupplier(name, { transaction });
+  if (learn) {
+    await learnAlias(match, name, { transaction });
+  }
+  return match;
+}
+
+// Date a number of days after another, as YYYY-MM-DD dates are stored
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Link invoice fields to their supplier and fill in the supplier defaults
+ * An explicit supplier_id wins over the supplier name. The due date is set from the payment terms when the invoice
+ * has none, and include_tax from the supplier when the caller says it was not read from the invoice.
+ * @param {object} fields - Invoice fields with supplier_name and optionally supplier_id, invoice_date, due_date
+ * @param {object} options - { transaction, learn: see resolveSupplier, taxKnown: whether include_tax was read }
+ * @returns {Promise<object>} - { fields, supplier, match }; fields is a copy with supplier_id set
+ */
+async function applySupplier(fields, { transaction, learn = false, taxKnown = true } = {}) {
+  const result = { ...fields };
+  let supplier = null;
+  let match = null;
+
+  if (fields.supplier_id) {
+    supplier = await Supplier.findByPk(fields.supplier_id, { transaction });
+    if (!supplier) {
+      throw httpError(`Supplier ${fields.supplier_id} not found`, 422);
+    }
+  } else if (fields.supplier_name) {
+    match = await resolveSupplier(fields.supplier_name, { transaction, learn });
+    supplier = match ? match.supplier : null;
+  }
+
+  result.supplier_id = supplier ? supplier.id : null;
+  if (!supplier) {
+    return { fields: result, supplier, match };
+  }
+
+  if (!result.supplier_name) {
+    result.supplier_name = supplier.name;
+  }
+  if (!result.due_date && result.invoice_date && supplier.payment_terms_days !== null) {
+    result.due_date = addDays(result.invoice_date, supplier.payment_terms_days);
+  }
+  if (!taxKnown && supplier.include_tax !== null) {
+    result.include_tax = supplier.include_tax;
+  }
+  return { fields: result, supplier, match };
+}
+
+// Next free generated code
+async function nextCode({ transaction } = {}) {
+  const rows = await Supplier.findAll({
+    attributes: ['code'],
+    where: { code: { [Op.like]: `${CODE_PREFIX}%` } },
+    transaction
+  });
+  const highest = rows.reduce((max, row) => {
+    const number = parseInt(row.code.substring(CODE_PREFIX.length), 10);
+    return Number.isInteger(number) && number > max ? number : max;
+  }, 0);
+  return `${CODE_PREFIX}${String(highest + 1).padStart(CODE_DIGITS, '0')}`;
+}
+
+// Number of invoices and products linked to each supplier
+async function usageCounts(supplierIds, { transaction } = {}) {
+  const usage = new Map(supplierIds.map(id => [id, { invoice_count: 0, product_count: 0 }]));
+  if (supplierIds.length === 0) {
+    return usage;
+  }
+
+  for (const [model, key] of [[ProcessedInvoice, 'invoice_count'], [ProductItem, 'product_count']]) {
+    const rows = await model.findAll({
+      attributes: ['supplier_id', [fn('COUNT', col('supplier_id')), 'count']],
+      where: { supplier_id: { [Op.in]: supplierIds } },
+      group: ['supplier_id'],
+      raw: true,
+      transaction
+    });
+    for (const row of rows) {
+      usage.get(row.supplier_id)[key] = parseInt(row.count, 10);
+    }
+  }
+  return usage;
+}
+
+// Supplier as returned by the API, with its usage counts
+function toSupplierJson(supplier, usage) {
+  return {
+    ...supplier.toJSON(),
+    ...(usage ? usage.get(supplier.id) : {})
+  };
+}
+
+/**
+ * Suppliers with the number of invoices and products linked to each
+ * @param {object} options - { search: part of the code, name, an alias or the NPWP }
+ * @returns {Promise<Array<object>>}
+ */
+async function listSuppliers({ search = null } = {}) {
+  const query = { order: [['name', 'ASC']] };
+  if (search) {
+    query.where = {
+      [Op.or]: [
+        { code: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } },
+        { npwp: { [Op.iLike]: `%${search}%` } },
+        where(cast(col('aliases'), 'text'), { [Op.iLike]: `%${search}%` })
+      ]
+    };
+  }
+
+  const suppliers = await Supplier.findAll(query);
+  const usage = await usageCounts(suppliers.map(supplier => supplier.id));
+  return suppliers.map(supplier => toSupplierJson(supplier, usage));
+}
+
+// Supplier or a 404
+async function findSupplier(id, { transaction } = {}) {
+  const supplier = await Supplier.findByPk(id, { transaction });
+  if (!supplier) {
+    throw httpError('Supplier not found', 404);
+  }
+  return supplier;
+}
+
+/**
+ * One supplier with its usage counts
+ * @param {number} id - Supplier ID
+ * @returns {Promise<object>}
+ */
+async function getSupplier(id) {
+  const supplier = await findSupplier(id);
+  return toSupplierJson(supplier, await usageCounts([supplier.id]));
+}
+
+// Refuse a code that another supplier already uses
+async function assertCodeFree(code, id, { transaction } = {}) {
+  const other = await Supplier.findOne({ where: { code }, attributes: ['id'], transaction });
+  if (other && other.id !== id) {
+    throw httpError(`Supplier code ${code} is already used`, 409);
+  }
+}
+
+// Editable fields of a request, with text trimmed and empty text as null
+function editableValues(data) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      values[field] = typeof data[field] === 'string' ? data[field].trim() || null : data[field];
+    }
+  }
+  return values;
+}
+
+/**
+ * Create a supplier; a code is generated when none is given
+ * @param {object} data - Fields of the supplier, checked by the controller
+ * @returns {Promise<object>}
+ */
+async function createSupplier(data) {
+  const supplier = await sequelize.transaction(async (transaction) => {
+    const values = editableValues(data);
+    values.aliases = cleanAliases(values.aliases, values.name);
+    values.code = values.code || await nextCode({ transaction });
+    await assertCodeFree(values.code, null, { transaction });
+    return Supplier.create(values, { transaction });
+  });
+  return toSupplierJson(supplier, await usageCounts([supplier.id]));
+}
+
+/**
+ * Update a supplier
+ * @param {number} id - Supplier ID
+ * @param {object} data - Fields to change, checked by the controller
+ * @returns {Promise<object>}
+ */
+async function updateSupplier(id, data) {
+  const supplier = await sequelize.transaction(async (transaction) => {
+    const current = await findSupplier(id, { transaction });
+    const values = editableValues(data);
+    if (values.aliases !== undefined || values.name !== undefined) {
+      values.aliases = cleanAliases(values.aliases !== undefined ? values.aliases : current.aliases, values.name || current.name);
+    }
+    if (values.code !== undefined) {
+      if (!values.code) {
+        throw httpError('Supplier code cannot be empty', 400);
+      }
+      await assertCodeFree(values.code, current.id, { transaction });
+    }
+    return current.update(values, { transaction });
+  });
+  return toSupplierJson(supplier, await usageCounts([supplier.id]));
+}
+
+/**
+ * Delete a supplier that no invoice or product is linked to
+ * @param {number} id - Supplier ID
+ */
+async function deleteSupplier(id) {
+  const supplier = await findSupplier(id);
+  const usage = (await usageCounts([supplier.id])).get(supplier.id);
+  if (usage.invoice_count > 0 || usage.product_count > 0) {
+    throw httpError(
+      `Supplier ${supplier.code} is linked to ${usage.invoice_count} invoices and ${usage.product_count} products; merge it into another supplier instead`,
+      409
+    );
+  }
+  await supplier.destroy();
+}
+
+/**
+ * Merge suppliers into one
+ * The invoices and products of the merged suppliers are linked to the target, their names and aliases become aliases
+ * of the target, missing defaults of the target are taken from them, and the merged suppliers are deleted.
+ * @param {number} targetId - Supplier that is kept
+ * @param {Array<number>} sourceIds - Suppliers merged into it
+ * @returns {Promise<object>} - { supplier, merged: codes of the merged suppliers, invoices, products }
+ */
+async function mergeSuppliers(targetId, sourceIds) {
+  const ids = [...new Set((sourceIds || []).map(Number))];
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw httpError('source_ids must be a non-empty array of supplier IDs', 400);
+  }
+  if (ids.includes(Number(targetId))) {
+    throw httpError('A supplier cannot be merged into itself', 400);
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const target = await findSupplier(targetId, { transaction });
+    const sources = await Supplier.findAll({ where: { id: { [Op.in]: ids } }, transaction });
+    const missing = ids.filter(id => !sources.some(source => source.id === id));
+    if (missing.length > 0) {
+      throw httpError(`Supplier(s) not found: ${missing.join(', ')}`, 404);
+    }
+
+    const [invoices] = await ProcessedInvoice.update({ supplier_id: target.id }, { where: { supplier_id: { [Op.in]: ids } }, transaction });
+    const [products] = await ProductItem.update({ supplier_id: target.id }, { where: { supplier_id: { [Op.in]: ids } }, transaction });
+
+    const values = {
+      aliases: cleanAliases(
+        [...(target.aliases || []), ...sources.flatMap(source => [source.name, ...(source.aliases || [])])],
+        target.name
+      )
+    };
+    for (const field of MERGE_FILL_FIELDS) {
+      const source = sources.find(candidate => candidate[field] !== null && candidate[field] !== '');
+      if ((target[field] === null || target[field] === '') && source) {
+        values[field] = source[field];
+      }
+    }
+    await target.update(values, { transaction });
+    await Supplier.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+
+    return { target, merged: sources.map(source => source.code), invoices, products };
+  });
+
+  return {
+    supplier: toSupplierJson(result.target, await usageCounts([result.target.id])),
+    merged: result.merged,
+    invoices: result.invoices,
+    products: result.products
+  };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeName,
+  similarity,
+  cleanAliases,
+  findMatch,
+  matchSupplier,
+  learnAlias,
+  resolveSupplier,
+  applySupplier,
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  mergeSuppliers
+};
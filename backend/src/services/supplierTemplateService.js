@@ -0,0 +1,263 @@
+/**
+ * Supplier OCR templates
+ * Every supplier prints invoices differently, so the canonical document read by OCR can carry the same mistakes on
+ * every invoice of a supplier. A template, stored on the supplier, corrects them after normalization:
+ *
+ *   {
+ *     header_fields: { nomor_po: 'nomor_referensi' },   // header field as read -> field it belongs to
+ *     item_fields: { keterangan: 'kode_barang_invoice' }, // item field as read -> field it belongs to
+ *     column_order: ['nama_barang_invoice', 'kode_barang_invoice', ...], // item columns as printed, left to right
+ *     unit_aliases: { CRT: 'CTN' },                       // unit as printed -> unit used in the app
+ *     date_format: 'DD/MM/YY',                            // format of the printed dates
+ *     invoice_number_pattern: 'INV-\\d{6}',               // the invoice number, the first group when it has one
+ *     include_vat: true                                   // whether prices include PPN when OCR cannot tell
+ *   }
+ *
+ * The template is selected from the supplier the printed name matches and applied when a job is processed and when
+ * stored OCR data is re-parsed. Stored data was already templated, so applying a template again must not change it:
+ * field remaps and the column order are applied once per document, the other rules leave corrected values alone.
+ */
+const Joi = require('joi');
+const moment = require('moment');
+const { Supplier } = require('../models');
+const { FIELD_NAME, fieldValue } = require('./ocrDocument');
+const { findMatch } = require('./supplierService');
+
+// Item columns in the order OCR reads them; the value read at a position belongs to the same position of column_order
+const DEFAULT_COLUMN_ORDER = [
+  'kode_barang_invoice', 'nama_barang_invoice', 'qty', 'satuan', 'harga_satuan',
+  'harga_bruto', 'diskon_persen', 'diskon_rp', 'jumlah_netto'
+];
+// Header fields holding dates
+const DATE_FIELDS = ['tanggal_faktur', 'tgl_jatuh_tempo'];
+// Format of dates in the canonical document
+const CANONICAL_DATE_FORMAT = 'DD-MM-YYYY';
+
+// Header or item field name; items holds the item list and cannot be remapped
+const fieldName = Joi.string().pattern(FIELD_NAME).invalid('items');
+const unitName = Joi.string().trim().min(1).max(20);
+
+const templateSchema = Joi.object({
+  header_fields: Joi.object().pattern(fieldName, fieldName),
+  item_fields: Joi.object().pattern(fieldName, fieldName),
+  column_order: Joi.array().items(Joi.string().valid(...DEFAULT_COLUMN_ORDER)).unique().max(DEFAULT_COLUMN_ORDER.length),
+  unit_aliases: Joi.object().pattern(unitName, unitName),
+  date_format: Joi.string().pattern(/^(?=.*D)(?=.*M)(?=.*Y)[DMY/.\- ]+$/).allow(null, '').messages({
+    'string.pattern.base': 'date_format must be a date format such as DD/MM/YY'
+  }),
+  invoice_number_pattern: Joi.string().max(200).allow(null, '').custom((value, helpers) => {
+    try {
+      new RegExp(value);
+      return value;
+    } catch (error) {
+      return helpers.message(`invoice_number_pattern is not a valid regular expression: ${error.message}`);
+    }
+  }),
+  include_vat: Joi.boolean().allow(null)
+});
+
+/**
+ * Check a template sent by a client
+ * @param {*} template - Template, or null to remove it
+ * @returns {string|null} - Error message, or null when the template is valid
+ */
+function validateTemplate(template) {
+  if (template === null) {
+    return null;
+  }
+  const { error } = templateSchema.validate(template, { errors: { wrap: { label: false } } });
+  return error ? `Invalid template: ${error.details[0].message}` : null;
+}
+
+/**
+ * Template as stored: empty rules left out, unit names trimmed, null when no rule is left
+ * @param {object|null} template - Valid template
+ * @returns {object|null}
+ */
+function cleanTemplate(template) {
+  if (!template) {
+    return null;
+  }
+
+  const result = {};
+  for (const key of ['header_fields', 'item_fields']) {
+    if (template[key] && Object.keys(template[key]).length > 0) {
+      result[key] = { ...template[key] };
+    }
+  }
+  if (Array.isArray(template.column_order) && template.column_order.length > 0) {
+    result.column_order = [...template.column_order];
+  }
+  if (template.unit_aliases) {
+    const aliases = Object.entries(template.unit_aliases).map(([from, to]) => [from.trim(), to.trim()]);
+    if (aliases.length > 0) {
+      result.unit_aliases = Object.fromEntries(aliases);
+    }
+  }
+  for (const key of ['date_format', 'invoice_number_pattern']) {
+    if (typeof template[key] === 'string' && template[key].trim()) {
+      result[key] = template[key].trim();
+    }
+  }
+  if (typeof template.include_vat === 'boolean') {
+    result.include_vat = template.include_vat;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// Move fields to the names in the map; every move reads the fields as they were, so two fields can be swapped
+function remapFields(container, map) {
+  const original = { ...container };
+  const moves = Object.entries(map).filter(([from]) => original[from] !== undefined);
+  moves.forEach(([from]) => delete container[from]);
+  moves.forEach(([from, to]) => { container[to] = original[from]; });
+  return moves.length > 0;
+}
+
+// Move item values read in the default column order to the columns the supplier prints there
+function reorderColumns(item, columnOrder) {
+  const read = DEFAULT_COLUMN_ORDER.slice(0, columnOrder.length).map(column => item[column]);
+  DEFAULT_COLUMN_ORDER.slice(0, columnOrder.length).forEach(column => delete item[column]);
+  columnOrder.forEach((column, index) => {
+    if (read[index] !== undefined) {
+      item[column] = read[index];
+    }
+  });
+}
+
+// Unit key compared with the aliases
+const unitKey = (unit) => String(unit).trim().toUpperCase();
+
+/**
+ * Apply a supplier template to a canonical document
+ * The applied rules are listed in a debug message that also marks the document as remapped, so field remaps and the
+ * column order are not applied a second time when stored data is re-parsed.
+ * @param {object} document - Canonical OCR document
+ * @param {object} template - Template of the supplier
+ * @param {object} supplier - { id, code } of the supplier, recorded in the debug message
+ * @returns {object} - { document, changes }; document is a corrected copy, changes describes the applied rules
+ */
+function applyTemplate(document, template, supplier) {
+  const result = JSON.parse(JSON.stringify(document));
+  const { output } = result;
+  const changes = [];
+
+  const previous = result.debug.filter(entry => entry.template);
+  const remapped = previous.some(entry => entry.template.remapped);
+  result.debug = result.debug.filter(entry => !entry.template);
+
+  if (!remapped) {
+    if (template.header_fields && remapFields(output, template.header_fields)) {
+      changes.push('kolom header dipetakan');
+    }
+    if (template.item_fields) {
+      const moved = output.items.filter(item => remapFields(item, template.item_fields)).length;
+      if (moved > 0) {
+        changes.push(`kolom barang dipetakan (${moved} baris)`);
+      }
+    }
+    if (template.column_order && output.items.length > 0) {
+      output.items.forEach(item => reorderColumns(item, template.column_order));
+      changes.push('urutan kolom barang disesuaikan');
+    }
+  }
+
+  if (template.unit_aliases) {
+    const aliases = new Map(Object.entries(template.unit_aliases).map(([from, to]) => [unitKey(from), to]));
+    let count = 0;
+    for (const item of output.items) {
+      const unit = fieldValue(item.satuan);
+      if (unit !== null && aliases.has(unitKey(unit)) && aliases.get(unitKey(unit)) !== unit) {
+        item.satuan = { ...item.satuan, value: aliases.get(unitKey(unit)) };
+        count++;
+      }
+    }
+    if (count > 0) {
+      changes.push(`alias satuan (${count} baris)`);
+    }
+  }
+
+  if (template.date_format) {
+    for (const field of DATE_FIELDS) {
+      const value = fieldValue(output[field]);
+      const parsed = value === null ? null : moment(String(value).trim(), template.date_format, true);
+      if (parsed && parsed.isValid()) {
+        output[field] = { ...output[field], value: parsed.format(CANONICAL_DATE_FORMAT), epoch: parsed.unix() };
+        changes.push(`${field} dibaca sebagai ${template.date_format}`);
+      }
+    }
+  }
+
+  if (template.invoice_number_pattern) {
+    const value = fieldValue(output.nomor_referensi);
+    if (value !== null) {
+      const match = String(value).match(new RegExp(template.invoice_number_pattern, 'i'));
+      const number = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+      if (number === null) {
+        output.nomor_referensi = { ...output.nomor_referensi, is_confident: false };
+        changes.push('nomor faktur tidak cocok dengan pola');
+      } else if (number !== String(value)) {
+        output.nomor_referensi = { ...output.nomor_referensi, value: number };
+        changes.push('nomor faktur diambil dengan pola');
+      }
+    }
+  }
+
+  if (typeof template.include_vat === 'boolean' && fieldValue(output.include_ppn) === null) {
+    output.include_ppn = { value: template.include_vat, is_confident: true };
+    changes.push(template.include_vat ? 'harga termasuk PPN' : 'harga belum termasuk PPN');
+  }
+
+  if (changes.length > 0 || previous.length > 0) {
+    const applied = previous.length > 0 ? previous[previous.length - 1].issue : null;
+    result.debug.push({
+      issue: changes.length > 0 ? `Template supplier ${supplier.code} diterapkan: ${changes.join(', ')}` : applied,
+      template: {
+        supplier_id: supplier.id,
+        supplier_code: supplier.code,
+        remapped: remapped || Boolean(template.header_fields || template.item_fields || template.column_order)
+      }
+    });
+  }
+
+  return { document: result, changes };
+}
+
+/**
+ * Supplier whose template applies to a document
+ * @param {Array<object>} suppliers - All suppliers
+ * @param {object} document - Canonical OCR document
+ * @param {number|null} supplierId - Supplier the invoice is already linked to, wins over the printed name
+ * @returns {object|null} - The supplier, or null when none matches or it has no template
+ */
+function selectSupplier(suppliers, document, supplierId = null) {
+  const supplier = supplierId
+    ? suppliers.find(candidate => candidate.id === supplierId)
+    : (findMatch(suppliers, fieldValue(document.output.nama_supplier, '')) || {}).supplier;
+  return supplier && supplier.template ? supplier : null;
+}
+
+/**
+ * Apply the template of the supplier a document belongs to
+ * @param {object} document - Canonical OCR document
+ * @param {object} options - { suppliers: all suppliers, loaded when not given; supplierId: see selectSupplier }
+ * @returns {Promise<object>} - { document, supplier, changes }; the document is returned as is when no template applies
+ */
+async function applySupplierTemplate(document, { suppliers = null, supplierId = null } = {}) {
+  const candidates = suppliers || await Supplier.findAll({ order: [['id', 'ASC']] });
+  const supplier = selectSupplier(candidates, document, supplierId);
+  if (!supplier) {
+    return { document, supplier: null, changes: [] };
+  }
+  return { ...applyTemplate(document, supplier.template, supplier), supplier };
+}
+
+module.exports = {
+  DEFAULT_COLUMN_ORDER,
+  validateTemplate,
+  cleanTemplate,
+  applyTemplate,
+  selectSupplier,
+  applySupplierTemplate
+};
@@ -0,0 +1,197 @@
+/**
+ * UBL 2.1 Invoice XML of a processed invoice
+ * The supplier is the seller (AccountingSupplierParty) and this company, set with COMPANY_NAME, COMPANY_NPWP and
+ * COMPANY_ADDRESS, the buyer. Lines name the internal product code as the buyer's item ID and the supplier's code as
+ * the seller's. Amounts are in rupiah without PPN, PPN is added per tax category; returns and credit notes are
+ * written with invoice type code 381 and refer to the original invoice. Elements follow the order of the UBL schema.
+ */
+const moment = require('moment');
+const { isCreditDocument } = require('./creditDocumentService');
+const { toNumber } = require('./invoiceValidator');
+
+const CURRENCY = 'IDR';
+// UN/ECE recommendation 20 codes of the units used on Indonesian invoices; other units are sent as C62 (one)
+const UNIT_CODES = {
+  PCS: 'H87', PC: 'H87', BH: 'H87', BUAH: 'H87',
+  CTN: 'CT', KRT: 'CT', KARTON: 'CT', DUS: 'CT',
+  BOX: 'BX', PAK: 'PK', PACK: 'PK', PAX: 'PK', BAL: 'BE', BTL: 'BO', SAK: 'SA', LSN: 'DZN',
+  KG: 'KGM', GR: 'GRM', LTR: 'LTR', L: 'LTR', ML: 'MLT'
+};
+
+// Amount rounded to whole sen
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Text escaped for XML, without the control characters XML does not allow
+function xmlText(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Date as YYYY-MM-DD, or null
+function ublDate(value) {
+  const date = value ? moment.utc(value) : null;
+  return date && date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+// Element with text, left out when the value is empty
+function element(name, value, attributes = {}) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const attributeText = Object.entries(attributes).map(([key, text]) => ` ${key}="${xmlText(text)}"`).join('');
+  return `<${name}${attributeText}>${xmlText(value)}</${name}>`;
+}
+
+// Amount element in rupiah
+const amount = (name, value) => element(name, roundMoney(value).toFixed(2), { currencyID: CURRENCY });
+
+// Tax category of taxable (standard rate) or untaxed (exempt) lines
+function taxCategory(name, taxable, rate) {
+  return `<cac:${name}>${element('cbc:ID', taxable ? 'S' : 'E')}${element('cbc:Percent', taxable ? rate : 0)}`
+    + `<cac:TaxScheme>${element('cbc:ID', 'VAT')}</cac:TaxScheme></cac:${name}>`;
+}
+
+// Party block of the supplier or the buyer
+function party({ code, name, npwp, address }) {
+  return '<cac:Party>'
+    + (code ? `<cac:PartyIdentification>${element('cbc:ID', code)}</cac:PartyIdentification>` : '')
+    + (name ? `<cac:PartyName>${element('cbc:Name', name)}</cac:PartyName>` : '')
+    + (address ? `<cac:PostalAddress><cac:AddressLine>${element('cbc:Line', address)}</cac:AddressLine>`
+      + `<cac:Country>${element('cbc:IdentificationCode', 'ID')}</cac:Country></cac:PostalAddress>` : '')
+    + (npwp ? `<cac:PartyTaxScheme>${element('cbc:CompanyID', npwp)}<cac:TaxScheme>${element('cbc:ID', 'VAT')}</cac:TaxScheme></cac:PartyTaxScheme>` : '')
+    + (name ? `<cac:PartyLegalEntity>${element('cbc:RegistrationName', name)}</cac:PartyLegalEntity>` : '')
+    + '</cac:Party>';
+}
+
+/**
+ * Amounts of a line without PPN
+ * The price is taken out of PPN when the invoice prices include it; the discount is what the quantity at that price
+ * comes to above the line amount.
+ * @param {object} invoice - The invoice of the line
+ * @param {object} line - Export line with amount_excl_tax
+ * @param {number} rate - PPN rate of the invoice
+ * @returns {object} - { quantity, price, discount, extension }
+ */
+function lineAmounts(invoice, line, rate) {
+  const extension = roundMoney(line.amount_excl_tax);
+  const quantity = toNumber(line.quantity);
+  const price = toNumber(line.price);
+  if (!quantity || price === null) {
+    return { quantity: quantity || 1, price: quantity ? extension / quantity : extension, discount: 0, extension };
+  }
+  const netPrice = invoice.include_tax && line.taxable ? price * 100 / (100 + rate) : price;
+  const discount = roundMoney(quantity * netPrice - extension);
+  return { quantity, price: netPrice, discount: discount > 0 ? discount : 0, extension: discount > 0 ? extension : roundMoney(quantity * netPrice) };
+}
+
+// InvoiceLine element
+function invoiceLine(invoice, line, index, rate) {
+  const { quantity, price, discount, extension } = lineAmounts(invoice, line, rate);
+  const unit = line.unit ? String(line.unit).trim().toUpperCase() : null;
+  const properties = [
+    ['Satuan', line.unit],
+    ['Satuan internal', line.mapped_unit],
+    ['Qty satuan internal', line.base_quantity]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  return '<cac:InvoiceLine>'
+    + element('cbc:ID', line.line_number || index + 1)
+    + element('cbc:InvoicedQuantity', quantity, { unitCode: (unit && UNIT_CODES[unit]) || 'C62' })
+    + amount('cbc:LineExtensionAmount', extension)
+    + (discount > 0
+      ? `<cac:AllowanceCharge>${element('cbc:ChargeIndicator', 'false')}${element('cbc:AllowanceChargeReason', 'Diskon')}`
+        + `${amount('cbc:Amount', discount)}</cac:AllowanceCharge>`
+      : '')
+    + '<cac:Item>'
+    + (line.product_name && line.product_name !== line.internal_name ? element('cbc:Description', line.product_name) : '')
+    + element('cbc:Name', line.internal_name || line.product_name || '-')
+    + (line.internal_code ? `<cac:BuyersItemIdentification>${element('cbc:ID', line.internal_code)}</cac:BuyersItemIdentification>` : '')
+    + (line.product_code ? `<cac:SellersItemIdentification>${element('cbc:ID', line.product_code)}</cac:SellersItemIdentification>` : '')
+    + taxCategory('ClassifiedTaxCategory', Boolean(line.taxable), rate)
+    + properties.map(([name, value]) => `<cac:AdditionalItemProperty>${element('cbc:Name', name)}${element('cbc:Value', value)}</cac:AdditionalItemProperty>`).join('')
+    + '</cac:Item>'
+    + `<cac:Price>${element('cbc:PriceAmount', roundMoney(price).toFixed(2), { currencyID: CURRENCY })}</cac:Price>`
+    + '</cac:InvoiceLine>';
+}
+
+/**
+ * UBL 2.1 Invoice document
+ * @param {object} context - Exported invoice: { invoice, lines: export lines, totals, reference_number }
+ * @returns {string} - The XML
+ */
+function toUblInvoice({ invoice, lines, totals, reference_number: referenceNumber }) {
+  const rate = totals.tax_rate;
+  const supplier = invoice.supplier || {};
+  const issueDate = ublDate(invoice.invoice_date) || ublDate(invoice.created_at);
+
+  // PPN per tax category, from the rounded line amounts
+  const categories = [true, false].map(taxable => {
+    const categoryLines = lines.filter(line => Boolean(line.taxable) === taxable);
+    return {
+      taxable,
+      count: categoryLines.length,
+      base: roundMoney(categoryLines.reduce((sum, line) => sum + lineAmounts(invoice, line, rate).extension, 0)),
+      tax: roundMoney(categoryLines.reduce((sum, line) => sum + (taxable ? line.tax : 0), 0))
+    };
+  }).filter(category => category.count > 0);
+  const extension = roundMoney(categories.reduce((sum, category) => sum + category.base, 0));
+  const tax = roundMoney(categories.reduce((sum, category) => sum + category.tax, 0));
+  const rounding = roundMoney(totals.total - extension - tax);
+
+  const company = {
+    name: process.env.COMPANY_NAME || null,
+    npwp: process.env.COMPANY_NPWP || null,
+    address: process.env.COMPANY_ADDRESS || null
+  };
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"'
+    + ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"'
+    + ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">'
+    + element('cbc:UBLVersionID', '2.1')
+    + element('cbc:ID', invoice.invoice_number)
+    + element('cbc:IssueDate', issueDate)
+    + element('cbc:DueDate', ublDate(invoice.due_date))
+    + element('cbc:InvoiceTypeCode', isCreditDocument(invoice.document_type) ? '381' : '380')
+    + element('cbc:Note', invoice.salesman ? `Salesman: ${invoice.salesman}` : null)
+    + element('cbc:DocumentCurrencyCode', CURRENCY)
+    + element('cbc:LineCountNumeric', lines.length)
+    + (referenceNumber
+      ? `<cac:BillingReference><cac:InvoiceDocumentReference>${element('cbc:ID', referenceNumber)}</cac:InvoiceDocumentReference></cac:BillingReference>`
+      : '')
+    + `<cac:AccountingSupplierParty>${party({
+      code: supplier.code,
+      name: supplier.name || invoice.supplier_name,
+      npwp: supplier.npwp,
+      address: supplier.address
+    })}</cac:AccountingSupplierParty>`
+    + `<cac:AccountingCustomerParty>${party(company)}</cac:AccountingCustomerParty>`
+    + (invoice.payment_type ? `<cac:PaymentTerms>${element('cbc:Note', invoice.payment_type)}</cac:PaymentTerms>` : '')
+    + '<cac:TaxTotal>'
+    + amount('cbc:TaxAmount', tax)
+    + categories.map(category => '<cac:TaxSubtotal>'
+      + amount('cbc:TaxableAmount', category.base)
+      + amount('cbc:TaxAmount', category.tax)
+      + taxCategory('TaxCategory', category.taxable, rate)
+      + '</cac:TaxSubtotal>').join('')
+    + '</cac:TaxTotal>'
+    + '<cac:LegalMonetaryTotal>'
+    + amount('cbc:LineExtensionAmount', extension)
+    + amount('cbc:TaxExclusiveAmount', extension)
+    + amount('cbc:TaxInclusiveAmount', extension + tax)
+    + (rounding !== 0 ? amount('cbc:PayableRoundingAmount', rounding) : '')
+    + amount('cbc:PayableAmount', totals.total)
+    + '</cac:LegalMonetaryTotal>'
+    + lines.map((line, index) => invoiceLine(invoice, line, index, rate)).join('')
+    + '</Invoice>\n';
+}
+
+module.exports = {
+  toUblInvoice
+};
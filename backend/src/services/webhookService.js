@@ -0,0 +1,306 @@
+/**
+ * Outbound webhooks
+ * Events are stored as one delivery per matching subscription and POSTed with an HMAC signature.
+ * Failed deliveries are retried with exponential backoff and stay in the delivery log for inspection and replay.
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+
+// Events that can be subscribed to
+const EVENT_TYPES = [
+  'ocr.completed',
+  'ocr.failed',
+  'invoice.saved',
+  'invoice.deleted',
+  'invoice.status_changed',
+  'product.price_changed'
+];
+
+// Number of attempts before a delivery is marked as failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+// Delay before the first retry, doubled for every following retry
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+// Time to wait for the receiver to respond
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Number of response body characters kept in the delivery log
+const RESPONSE_BODY_LIMIT = 2000;
+
+// Timers of deliveries waiting for their next attempt, by delivery ID
+const scheduled = new Map();
+
+/**
+ * Sign a payload
+ * The signature covers the timestamp so a captured request cannot be replayed later with a new timestamp.
+ * @param {string} secret - Secret of the subscription
+ * @param {number} timestamp - Unix time in seconds sent in X-Webhook-Timestamp
+ * @param {string} body - The raw request body
+ * @returns {string} - Signature as sha256=<hex>
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Check whether a subscription wants an event type
+function subscribesTo(subscription, eventType) {
+  const types = Array.isArray(subscription.event_types) ? subscription.event_types : [];
+  return types.includes('*') || types.includes(eventType);
+}
+
+// Delay before the next attempt after a number of failed attempts
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Run a delivery attempt after a delay, at most one timer per delivery
+function scheduleAttempt(deliveryId, delay = 0) {
+  if (scheduled.has(deliveryId)) {
+    clearTimeout(scheduled.get(deliveryId));
+  }
+
+  const timer = setTimeout(() => {
+    scheduled.delete(deliveryId);
+    attemptDelivery(deliveryId).catch(error => {
+      console.error(`[Webhook:${deliveryId}] Unexpected delivery error:`, error);
+    });
+  }, Math.max(0, delay));
+
+  // Pending retries must not keep the process alive
+  timer.unref();
+  scheduled.set(deliveryId, timer);
+}
+
+/**
+ * Send a delivery to its subscription once
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<object|null>} - The updated delivery, or null if it does not exist
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookSubscription, as: 'subscription' }]
+  });
+
+  if (!delivery || delivery.status !== 'pending') {
+    return delivery;
+  }
+
+  const { subscription } = delivery;
+  const logPrefix = `[Webhook:${deliveryId}]`;
+
+  if (!subscription || !subscription.active) {
+    await delivery.update({
+      status: 'failed',
+      last_error: 'Subscription is inactive or was deleted',
+      next_attempt_at: null
+    });
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let statusCode = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ocr-invoice-webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      // Keep the body as text for the delivery log
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+
+    statusCode = response.status;
+    responseBody = typeof response.data === 'string' ? response.data.substring(0, RESPONSE_BODY_LIMIT) : null;
+
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Receiver responded with status ${statusCode}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  if (!errorMessage) {
+    console.log(`${logPrefix} Delivered ${delivery.event_type} to ${subscription.url} (attempt ${attempts})`);
+    await delivery.update({
+      status: 'success',
+      attempts,
+      last_status_code: statusCode,
+      last_error: null,
+      response_body: responseBody,
+      next_attempt_at: null,
+      delivered_at: new Date()
+    });
+    return delivery;
+  }
+
+  if (attempts >= MAX_ATTEMPTS) {
+    console.error(`${logPrefix} Giving up on ${delivery.event_type} to ${subscription.url} after ${attempts} attempts: ${errorMessage}`);
+    await delivery.update({
+      status: 'failed',
+      attempts,
+      last_status_code: statusCode,
+      last_error: errorMessage,
+      response_body: responseBody,
+      next_attempt_at: null
+    });
+    return delivery;
+  }
+
+  const delay = retryDelay(attempts);
+  console.warn(`${logPrefix} Attempt ${attempts} for ${delivery.event_type} failed: ${errorMessage}. Retrying in ${Math.round(delay / 1000)}s`);
+  await delivery.update({
+    attempts,
+    last_status_code: statusCode,
+    last_error: errorMessage,
+    response_body: responseBody,
+    next_attempt_at: new Date(Date.now() + delay)
+  });
+  scheduleAttempt(delivery.id, delay);
+
+  return delivery;
+}
+
+/**
+ * Create a delivery and send it in the background
+ * @param {object} subscription - The subscription to deliver to
+ * @param {object} payload - The event envelope
+ * @param {string} replayedFromId - Delivery this one replays, if any
+ * @returns {Promise<object>} - The new delivery
+ */
+async function createDelivery(subscription, payload, replayedFromId = null) {
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event_id: payload.id,
+    event_type: payload.type,
+    payload,
+    replayed_from_id: replayedFromId,
+    next_attempt_at: new Date()
+  });
+
+  scheduleAttempt(delivery.id);
+  return delivery;
+}
+
+/**
+ * Publish an event to every active subscription that wants it
+ * Never throws, so callers can publish without affecting the request that caused the event.
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {object} data - Event data sent as payload.data
+ * @returns {Promise<number>} - Number of deliveries created
+ */
+async function emitEvent(eventType, data) {
+  try {
+    if (!EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Unknown webhook event type: ${eventType}`);
+    }
+
+    const subscriptions = (await WebhookSubscription.findAll({ where: { active: true } }))
+      .filter(subscription => subscribesTo(subscription, eventType));
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const payload = {
+      id: uuidv4(),
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    for (const subscription of subscriptions) {
+      await createDelivery(subscription, payload);
+    }
+
+    return subscriptions.length;
+  } catch (error) {
+    console.error(`[Webhook] Error publishing ${eventType} event:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Send a test event to one subscription, whatever event types it has
+ * @param {object} subscription - The subscription
+ * @returns {Promise<object>} - The delivery after the first attempt
+ */
+async function sendTestEvent(subscription) {
+  const payload = {
+    id: uuidv4(),
+    type: 'webhook.test',
+    created_at: new Date().toISOString(),
+    data: { subscription_id: subscription.id, message: 'Test event' }
+  };
+
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event_id: payload.id,
+    event_type: payload.type,
+    payload,
+    next_attempt_at: new Date()
+  });
+
+  return attemptDelivery(delivery.id);
+}
+
+/**
+ * Send a logged delivery again as a new delivery with the same event
+ * @param {string} deliveryId - The delivery to replay
+ * @returns {Promise<object|null>} - The new delivery, or null if the original does not exist
+ */
+async function replayDelivery(deliveryId) {
+  const original = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookSubscription, as: 'subscription' }]
+  });
+
+  if (!original) {
+    return null;
+  }
+
+  if (!original.subscription) {
+    throw new Error('The subscription of this delivery no longer exists');
+  }
+
+  return createDelivery(original.subscription, original.payload, original.id);
+}
+
+/**
+ * Schedule the pending deliveries left over from the previous run
+ * @returns {Promise<number>} - Number of deliveries scheduled
+ */
+async function resumePendingDeliveries() {
+  const pending = await WebhookDelivery.findAll({
+    where: { status: 'pending' },
+    attributes: ['id', 'next_attempt_at'],
+    order: [['created_at', 'ASC']]
+  });
+
+  for (const delivery of pending) {
+    const delay = delivery.next_attempt_at ? delivery.next_attempt_at.getTime() - Date.now() : 0;
+    scheduleAttempt(delivery.id, delay);
+  }
+
+  return pending.length;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signPayload,
+  emitEvent,
+  sendTestEvent,
+  replayDelivery,
+  resumePendingDeliveries
+};
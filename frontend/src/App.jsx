@@ -3,9 +3,13 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
 import OCRPage from './pages/OCRPage'
 import HistoryPage from './pages/HistoryPage'
+import QueueAdminPage from './pages/QueueAdminPage'
+import ReparsePage from './pages/ReparsePage'
+import ExportProfilesPage from './pages/ExportProfilesPage'
 import InvoicesPage from './pages/database/InvoicesPage'
 import DatabaseManagePage from './pages/database/DatabaseManagePage'
 import ProductsPage from './pages/database/ProductsPage'
+import SuppliersPage from './pages/database/SuppliersPage'
 
 function App() {
   return (
@@ -18,7 +22,11 @@ function App() {
           <Route path="/database/invoices" element={<InvoicesPage />} />
           <Route path="/database/manage" element={<DatabaseManagePage />} />
           <Route path="/database/products" element={<ProductsPage />} />
+          <Route path="/database/suppliers" element={<SuppliersPage />} />
           <Route path="/database/*" element={<div className="p-8 text-center">Database Management (Coming Soon)</div>} />
+          <Route path="/settings/queue" element={<QueueAdminPage />} />
+          <Route path="/settings/reparse" element={<ReparsePage />} />
+          <Route path="/settings/export" element={<ExportProfilesPage />} />
           <Route path="/settings/*" element={<div className="p-8 text-center">Settings (Coming Soon)</div>} />
           <Route path="/help" element={<div className="p-8 text-center">Help & Documentation (Coming Soon)</div>} />
         </Routes>
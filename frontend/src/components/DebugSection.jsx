@@ -7,21 +7,11 @@ import { safeGet } from '../utils/dataHelpers';
 const DebugSection = ({ editableData }) => {
   const [expanded, setExpanded] = useState(false);
   
-  // Check for debug info in either root or output level
-  const rootDebug = safeGet(editableData, 'debug', []);
-  const outputDebug = safeGet(editableData, 'output.debug', []);
-  const hasDebugMessages = rootDebug.length > 0 || outputDebug.length > 0;
-  
-  // Use the non-empty debug array or default to empty
-  const debugMessages = rootDebug.length > 0 ? rootDebug : outputDebug;
-  
-  // Check for debug summary in either root or output level
-  const rootDebugSummary = safeGet(editableData, 'debug_summary', null);
-  const outputDebugSummary = safeGet(editableData, 'output.debug_summary', null);
-  const summaryDebug = safeGet(editableData, 'output.summary_debug', null);
-  
-  // Determine which debug summary to use
-  const hasDebugSummary = rootDebugSummary || outputDebugSummary || summaryDebug;
+  // Debug messages and summary are at the root of the canonical OCR document
+  const debugMessages = safeGet(editableData, 'debug', []);
+  const debugSummary = safeGet(editableData, 'debug_summary', null);
+  const hasDebugMessages = debugMessages.length > 0;
+  const hasDebugSummary = !!(debugSummary && debugSummary.value);
   
   // If there's no debug info, don't render anything
   if (!hasDebugMessages && !hasDebugSummary) {
@@ -60,13 +50,7 @@ const DebugSection = ({ editableData }) => {
             <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
               <h3 className="text-md font-medium text-yellow-800 mb-2">Summary</h3>
               <p className="text-sm text-yellow-700">
-                {rootDebugSummary?.value || 
-                 outputDebugSummary?.value || 
-                 summaryDebug?.value || 
-                 (typeof rootDebugSummary === 'string' ? rootDebugSummary : '') ||
-                 (typeof outputDebugSummary === 'string' ? outputDebugSummary : '') ||
-                 (typeof summaryDebug === 'string' ? summaryDebug : '') ||
-                 JSON.stringify(rootDebugSummary || outputDebugSummary || summaryDebug)}
+                {debugSummary.value}
               </p>
             </div>
           )}
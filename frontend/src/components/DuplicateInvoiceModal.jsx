@@ -0,0 +1,101 @@
+import React from 'react';
+
+// API base URL untuk link ke invoice yang sudah tersimpan
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:1512';
+
+// Keterangan untuk setiap jenis kecocokan yang dikirim server
+const MATCH_LABELS = {
+  exact_file: 'File sama persis',
+  similar_image: 'Foto sangat mirip',
+  same_invoice: 'Supplier, nomor dan tanggal faktur sama'
+};
+
+/**
+ * Modal shown when the invoice being saved looks like an invoice that was already saved
+ * Lets the user save anyway, replace one of the existing invoices or cancel.
+ */
+export default function DuplicateInvoiceModal({ isOpen, duplicates = [], onSaveAnyway, onReplace, onCancel, isSaving }) {
+  if (!isOpen) return null;
+
+  const formatDate = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toLocaleDateString('id-ID');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="border-b px-6 py-4 bg-amber-50">
+          <h3 className="text-xl font-semibold text-amber-800">Kemungkinan invoice duplikat</h3>
+          <p className="text-sm text-amber-700 mt-1">
+            Invoice ini mirip dengan {duplicates.length} invoice yang sudah tersimpan. Pilih apa yang ingin dilakukan.
+          </p>
+        </div>
+
+        {/* Daftar duplikat */}
+        <div className="p-6 overflow-y-auto flex-grow space-y-3">
+          {duplicates.map(duplicate => (
+            <div key={duplicate.invoice_id} className="flex gap-4 border border-gray-200 rounded-lg p-3">
+              <img
+                src={`${API_BASE_URL}/api/invoices/${duplicate.invoice_id}/image`}
+                alt={duplicate.invoice_number}
+                className="w-20 h-24 object-cover rounded bg-gray-100 flex-shrink-0"
+                onError={(e) => { e.currentTarget.style.visibility = 'hidden'; }}
+              />
+              <div className="flex-grow text-sm">
+                <a
+                  href={`${API_BASE_URL}/api/invoices/${duplicate.invoice_id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-semibold text-indigo-600 hover:text-indigo-800"
+                >
+                  {duplicate.invoice_number}
+                </a>
+                <div className="text-gray-600">{duplicate.supplier_name || '-'}</div>
+                <div className="text-gray-500">
+                  Tanggal faktur: {formatDate(duplicate.invoice_date)} · Disimpan: {formatDate(duplicate.created_at)}
+                </div>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {duplicate.matches.map((match, index) => (
+                    <span key={index} className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs">
+                      {MATCH_LABELS[match.type] || match.type}
+                      {match.distance !== undefined && ` (jarak ${match.distance})`}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <button
+                onClick={() => onReplace(duplicate.invoice_id)}
+                disabled={isSaving}
+                className="self-center px-3 py-1.5 text-sm bg-rose-50 text-rose-700 rounded hover:bg-rose-100 disabled:opacity-50"
+                title="Timpa invoice ini dengan data yang sedang diedit"
+              >
+                Ganti
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="border-t px-6 py-4 flex justify-end space-x-3">
+          <button
+            onClick={onCancel}
+            disabled={isSaving}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            Batal
+          </button>
+          <button
+            onClick={onSaveAnyway}
+            disabled={isSaving}
+            className="px-4 py-2 bg-emerald-600 text-white rounded hover:bg-emerald-700 transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Menyimpan...' : 'Tetap simpan sebagai invoice baru'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import { useRef, useEffect, useState } from 'react'
 import { ArrowPathIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
 
-export default function ImagePreview({ file, rotation = 0, onRotate, onNext, onPrev, isFirst, isLast }) {
+export default function ImagePreview({ file, processedImageUrl, rotation = 0, onRotate, onNext, onPrev, isFirst, isLast }) {
   const [imageUrl, setImageUrl] = useState(null)
+  // Tampilkan gambar hasil praproses (yang dikirim ke OCR) atau gambar asli
+  const [showProcessed, setShowProcessed] = useState(false)
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 })
   const imageRef = useRef(null)
   const containerRef = useRef(null)
@@ -15,6 +17,12 @@ export default function ImagePreview({ file, rotation = 0, onRotate, onNext, onP
     }
   }, [file])
 
+  useEffect(() => {
+    setShowProcessed(false)
+  }, [file, processedImageUrl])
+
+  const displayedUrl = showProcessed && processedImageUrl ? processedImageUrl : imageUrl
+
   useEffect(() => {
     if (imageRef.current && containerRef.current) {
       const img = imageRef.current
@@ -60,7 +68,7 @@ export default function ImagePreview({ file, rotation = 0, onRotate, onNext, onP
 
       return () => resizeObserver.disconnect()
     }
-  }, [rotation, imageUrl])
+  }, [rotation, displayedUrl])
 
   if (!file || !imageUrl) {
     return (
@@ -78,8 +86,8 @@ export default function ImagePreview({ file, rotation = 0, onRotate, onNext, onP
       >
         <img
           ref={imageRef}
-          src={imageUrl}
-          alt="Preview"
+          src={displayedUrl}
+          alt={showProcessed ? 'Processed preview' : 'Preview'}
           style={{
             width: `${dimensions.width}px`,
             height: `${dimensions.height}px`,
@@ -121,6 +129,30 @@ export default function ImagePreview({ file, rotation = 0, onRotate, onNext, onP
         )}
       </div>
 
+      {/* Original / processed toggle */}
+      {processedImageUrl && (
+        <div className="absolute top-4 left-4 flex rounded-full shadow-lg bg-white/90 text-xs font-medium overflow-hidden">
+          <button
+            onClick={() => setShowProcessed(false)}
+            className={`px-3 py-1.5 transition-colors duration-200 ${
+              !showProcessed ? 'bg-violet-600 text-white' : 'text-violet-600 hover:bg-violet-50'
+            }`}
+            title="Tampilkan gambar asli"
+          >
+            Asli
+          </button>
+          <button
+            onClick={() => setShowProcessed(true)}
+            className={`px-3 py-1.5 transition-colors duration-200 ${
+              showProcessed ? 'bg-violet-600 text-white' : 'text-violet-600 hover:bg-violet-50'
+            }`}
+            title="Tampilkan gambar yang dikirim ke OCR"
+          >
+            Diproses
+          </button>
+        </div>
+      )}
+
       {/* Rotate button */}
       <button
         onClick={() => onRotate((prev) => (prev + 90) % 360)}
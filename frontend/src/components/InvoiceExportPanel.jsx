@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { invoiceApi, exportProfileApi } from '../services/api';
+import { toSearchParams } from '../utils/invoiceSearch';
+
+// Export choices, as the format and CSV level of GET /api/invoices/export
+const EXPORT_OPTIONS = [
+  { value: 'csv-header', label: 'CSV per faktur', format: 'csv', level: 'header' },
+  { value: 'csv-lines', label: 'CSV per baris barang', format: 'csv', level: 'lines' },
+  { value: 'xlsx', label: 'Excel (XLSX)', format: 'xlsx' },
+  { value: 'ubl', label: 'UBL 2.1 XML', format: 'ubl' }
+];
+
+const selectClass = 'px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Export of the invoices matching the search filters for an accounting system
+ */
+export default function InvoiceExportPanel({ filters, total }) {
+  const [profiles, setProfiles] = useState([]);
+  const [option, setOption] = useState(EXPORT_OPTIONS[0].value);
+  const [profileId, setProfileId] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    exportProfileApi.getAll()
+      .then(setProfiles)
+      .catch(() => setProfiles([]));
+  }, []);
+
+  const selected = EXPORT_OPTIONS.find(choice => choice.value === option);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const params = { ...toSearchParams(filters), format: selected.format };
+      if (selected.level) params.level = selected.level;
+      if (profileId && selected.format !== 'ubl') params.profile_id = profileId;
+
+      const result = await invoiceApi.export(params);
+      toast.success(result.count ? `${result.count} invoice diekspor` : 'Ekspor selesai');
+    } catch (error) {
+      toast.error(`Gagal mengekspor: ${error.response?.data?.error?.message || error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 flex flex-wrap items-center gap-3">
+      <span className="text-sm font-medium text-gray-700">Ekspor akuntansi</span>
+      <select value={option} onChange={(e) => setOption(e.target.value)} className={selectClass}>
+        {EXPORT_OPTIONS.map(choice => (
+          <option key={choice.value} value={choice.value}>{choice.label}</option>
+        ))}
+      </select>
+      <select
+        value={profileId}
+        onChange={(e) => setProfileId(e.target.value)}
+        disabled={selected.format === 'ubl'}
+        className={`${selectClass} disabled:opacity-50`}
+        title={selected.format === 'ubl' ? 'UBL memakai struktur tetap' : 'Profil kolom'}
+      >
+        <option value="">Profil default</option>
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={isExporting || total === 0}
+        className="px-4 py-2 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+      >
+        {isExporting ? 'Mengekspor...' : `Ekspor${total ? ` (${total} invoice)` : ''}`}
+      </button>
+      <Link to="/settings/export" className="text-sm text-blue-600 hover:text-blue-800">
+        Atur profil ekspor
+      </Link>
+    </div>
+  );
+}
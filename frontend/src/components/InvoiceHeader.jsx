@@ -31,10 +31,10 @@ const InvoiceHeader = ({
             </div>
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">Tanggal Jatuh Tempo</label>
-              <div className={`border border-gray-200 rounded overflow-hidden ${getCellBackgroundColor(safeGet(editableData, 'output.tanggal_jatuh_tempo', { value: '', is_confident: false }))}`}>
+              <div className={`border border-gray-200 rounded overflow-hidden ${getCellBackgroundColor(safeGet(editableData, 'output.tgl_jatuh_tempo', { value: '', is_confident: false }))}`}>
                 <DatePickerComponent
-                  data={safeGet(editableData, 'output.tanggal_jatuh_tempo', { value: '', is_confident: false })}
-                  onChange={(value) => handleHeaderChange('tanggal_jatuh_tempo', value)}
+                  data={safeGet(editableData, 'output.tgl_jatuh_tempo', { value: '', is_confident: false })}
+                  onChange={(value) => handleHeaderChange('tgl_jatuh_tempo', value)}
                 />
               </div>
             </div>
@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { invoiceApi, ACTOR_STORAGE_KEY } from '../services/api';
+
+// Label dan warna untuk setiap jenis perubahan
+const ACTION_STYLES = {
+  baseline: { label: 'Awal', className: 'bg-gray-100 text-gray-700' },
+  create: { label: 'Dibuat', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Diubah', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'Dihapus', className: 'bg-red-100 text-red-800' },
+  restore: { label: 'Dipulihkan', className: 'bg-purple-100 text-purple-800' },
+  review: { label: 'Diperiksa', className: 'bg-blue-100 text-blue-800' },
+  approve: { label: 'Disetujui', className: 'bg-yellow-100 text-yellow-800' },
+  post: { label: 'Diposting', className: 'bg-green-100 text-green-800' },
+  reopen: { label: 'Dibuka kembali', className: 'bg-gray-100 text-gray-700' }
+};
+
+// Asal perubahan yang dikirim server
+const SOURCE_LABELS = {
+  api: 'Form',
+  ocr: 'OCR',
+  reparse: 'Proses ulang OCR',
+  restore: 'Pemulihan',
+  workflow: 'Status',
+  history: 'Sebelum riwayat'
+};
+
+// Message of a failed API call
+const errorMessage = (error) => error.response?.data?.error?.message || error.response?.data?.message || error.message;
+
+// Format a before or after value of a change for display
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  if (typeof value === 'object') {
+    return value.product_name || value.product_code || JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const formatTime = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString('id-ID');
+};
+
+function ChangesTable({ changes }) {
+  if (!changes || changes.length === 0) {
+    return <p className="text-sm text-gray-500 px-2 py-1">Tidak ada perubahan.</p>;
+  }
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="px-2 py-1 font-medium">Field</th>
+          <th className="px-2 py-1 font-medium">Sebelum</th>
+          <th className="px-2 py-1 font-medium">Sesudah</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map((change) => (
+          <tr key={change.field} className="border-t">
+            <td className="px-2 py-1 font-mono text-xs text-gray-700">{change.field}</td>
+            <td className="px-2 py-1 text-red-700 break-all">{formatValue(change.before)}</td>
+            <td className="px-2 py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * History panel of a processed invoice
+ * Lists the recorded versions, shows what each one changed, compares any two versions and restores a prior one.
+ */
+export default function InvoiceHistoryPanel({ invoiceId, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [actor, setActor] = useState(() => window.localStorage.getItem(ACTOR_STORAGE_KEY) || '');
+
+  const loadVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await invoiceApi.getVersions(invoiceId);
+      setVersions(response.data || []);
+    } catch (error) {
+      toast.error(`Gagal memuat riwayat: ${errorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    loadVersions();
+    setSelected([]);
+    setComparison(null);
+  }, [loadVersions]);
+
+  const handleActorChange = (value) => {
+    setActor(value);
+    if (value.trim()) {
+      window.localStorage.setItem(ACTOR_STORAGE_KEY, value.trim());
+    } else {
+      window.localStorage.removeItem(ACTOR_STORAGE_KEY);
+    }
+  };
+
+  const toggleSelected = (version) => {
+    setComparison(null);
+    setSelected((current) => {
+      if (current.includes(version)) {
+        return current.filter((value) => value !== version);
+      }
+      // Keep the last two versions picked
+      return [...current, version].slice(-2);
+    });
+  };
+
+  const handleCompare = async () => {
+    const [from, to] = [...selected].sort((a, b) => a - b);
+    try {
+      const response = await invoiceApi.diffVersions(invoiceId, from, to);
+      setComparison(response.data);
+    } catch (error) {
+      toast.error(`Gagal membandingkan versi: ${errorMessage(error)}`);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Pulihkan invoice ke versi ${version}? Data invoice dan item saat ini akan diganti.`)) {
+      return;
+    }
+
+    setIsRestoring(true);
+    try {
+      const response = await invoiceApi.restoreVersion(invoiceId, version);
+      toast.success(`Invoice dipulihkan ke versi ${version}`);
+      await loadVersions();
+      if (onRestored) {
+        onRestored(response.data.invoice);
+      }
+    } catch (error) {
+      toast.error(`Gagal memulihkan versi: ${errorMessage(error)}`);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const latestVersion = versions.length > 0 ? versions[0].version : null;
+
+  return (
+    <div className="mt-8 border-t pt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Riwayat</h3>
+        <div className="flex items-center gap-2">
+          <label htmlFor="history-actor" className="text-sm text-gray-600">Nama Anda</label>
+          <input
+            id="history-actor"
+            type="text"
+            value={actor}
+            onChange={(e) => handleActorChange(e.target.value)}
+            placeholder="Dicatat pada setiap perubahan"
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            type="button"
+            onClick={handleCompare}
+            disabled={selected.length !== 2}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Bandingkan
+          </button>
+          <button
+            type="button"
+            onClick={loadVersions}
+            disabled={isLoading}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isLoading ? 'Memuat...' : 'Muat ulang'}
+          </button>
+        </div>
+      </div>
+
+      {comparison && (
+        <div className="mb-4 border rounded-md bg-gray-50 p-3">
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Perbedaan versi {comparison.from} dan {comparison.to} ({comparison.changes.length} perubahan)
+          </p>
+          <ChangesTable changes={comparison.changes} />
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {isLoading ? 'Memuat riwayat...' : 'Belum ada riwayat. Versi pertama dicatat saat invoice ini diubah.'}
+        </p>
+      ) : (
+        <ul className="divide-y border rounded-md">
+          {versions.map((version) => {
+            const style = ACTION_STYLES[version.action] || ACTION_STYLES.update;
+            const isExpanded = expanded === version.version;
+            return (
+              <li key={version.version} className="p-3">
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(version.version)}
+                    onChange={() => toggleSelected(version.version)}
+                    title="Pilih dua versi untuk dibandingkan"
+                  />
+                  <span className="font-medium text-gray-800">v{version.version}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${style.className}`}>{style.label}</span>
+                  <span className="text-gray-600">{formatTime(version.created_at)}</span>
+                  <span className="text-gray-600">{version.actor || 'Tanpa nama'}</span>
+                  <span className="text-gray-400">{SOURCE_LABELS[version.source] || version.source || '-'}</span>
+                  {version.restored_from_version && (
+                    <span className="text-gray-400">dari v{version.restored_from_version}</span>
+                  )}
+                  <span className="ml-auto flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setExpanded(isExpanded ? null : version.version)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      {version.change_count} perubahan {isExpanded ? '▲' : '▼'}
+                    </button>
+                    {version.version !== latestVersion && version.action !== 'delete' && (
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(version.version)}
+                        disabled={isRestoring}
+                        className="text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                      >
+                        Pulihkan
+                      </button>
+                    )}
+                  </span>
+                </div>
+                {isExpanded && (
+                  <div className="mt-2 bg-gray-50 rounded-md p-2 overflow-x-auto">
+                    <ChangesTable changes={version.changes} />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { INVOICE_STATUSES } from '../utils/invoiceStatus';
+import { EMPTY_INVOICE_FILTERS, SORT_OPTIONS } from '../utils/invoiceSearch';
+
+const inputClass = 'w-full px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Filter panel of the invoice search; the text search is always shown, the other filters on demand
+ */
+export default function InvoiceSearchFilters({ filters, onChange }) {
+  const [showAdvanced, setShowAdvanced] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...filters, [name]: value });
+  };
+
+  const activeCount = Object.keys(EMPTY_INVOICE_FILTERS)
+    .filter(key => !['q', 'sort', 'order'].includes(key) && filters[key] !== '')
+    .length;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          name="q"
+          value={filters.q}
+          onChange={handleChange}
+          placeholder="Cari nomor invoice, supplier atau salesman..."
+          className={inputClass}
+        />
+        <input
+          type="text"
+          name="item"
+          value={filters.item}
+          onChange={handleChange}
+          placeholder="Berisi barang (kode atau nama)..."
+          className={inputClass}
+        />
+        <select name="status" value={filters.status} onChange={handleChange} className={`${inputClass} md:w-48`}>
+          <option value="">Semua status</option>
+          {Object.entries(INVOICE_STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => setShowAdvanced(value => !value)}
+          className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 whitespace-nowrap"
+        >
+          Filter lain{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+      </div>
+
+      {showAdvanced && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Supplier (nama atau kode)</label>
+            <input name="supplier" value={filters.supplier} onChange={handleChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Tipe dokumen</label>
+            <input
+              name="document_type"
+              value={filters.document_type}
+              onChange={handleChange}
+              placeholder="Faktur, Retur, ..."
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Tipe pembayaran</label>
+            <input
+              name="payment_type"
+              value={filters.payment_type}
+              onChange={handleChange}
+              placeholder="Tunai, Kredit, ..."
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Urutkan</label>
+              <select name="sort" value={filters.sort} onChange={handleChange} className={inputClass}>
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Arah</label>
+              <select name="order" value={filters.order} onChange={handleChange} className={inputClass}>
+                <option value="desc">Terbaru / terbesar</option>
+                <option value="asc">Terlama / terkecil</option>
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Tanggal faktur dari</label>
+              <input type="date" name="invoice_date_from" value={filters.invoice_date_from} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">sampai</label>
+              <input type="date" name="invoice_date_to" value={filters.invoice_date_to} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Jatuh tempo dari</label>
+              <input type="date" name="due_date_from" value={filters.due_date_from} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">sampai</label>
+              <input type="date" name="due_date_to" value={filters.due_date_to} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Jumlah minimal</label>
+              <input type="number" min={0} name="amount_min" value={filters.amount_min} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Jumlah maksimal</label>
+              <input type="number" min={0} name="amount_max" value={filters.amount_max} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex items-end">
+            <button
+              type="button"
+              onClick={() => onChange({ ...EMPTY_INVOICE_FILTERS, q: filters.q })}
+              className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200"
+            >
+              Hapus filter
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import { INVOICE_STATUSES } from '../utils/invoiceStatus';
+
+/**
+ * Coloured badge of an invoice status
+ */
+export default function InvoiceStatusBadge({ status }) {
+  const style = INVOICE_STATUSES[status] || INVOICE_STATUSES.draft;
+  return (
+    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${style.className}`}>
+      {style.label}
+    </span>
+  );
+}
@@ -8,6 +8,7 @@ import { safeGet } from '../utils/dataHelpers';
  */
 const ItemsTable = memo(({
   editableData,
+  validation,
   handleItemChange,
   searchStatus,
   handleProductCellClick,
@@ -19,6 +20,20 @@ const ItemsTable = memo(({
   // Get items from editableData
   const items = safeGet(editableData, 'output.items', []);
 
+  // Group validation issues by row and field so each cell can be highlighted
+  const issuesByRow = useMemo(() => {
+    const grouped = {};
+    (validation?.issues || []).forEach(issue => {
+      if (issue.scope !== 'item') return;
+      grouped[issue.index] = grouped[issue.index] || {};
+      // Keep the most severe issue for each field
+      if (!grouped[issue.index][issue.field] || issue.severity === 'error') {
+        grouped[issue.index][issue.field] = issue;
+      }
+    });
+    return grouped;
+  }, [validation]);
+
   // State for column widths
   const [columnWidths, setColumnWidths] = useState({});
   const [resizingColumn, setResizingColumn] = useState(null);
@@ -485,6 +500,7 @@ const ItemsTable = memo(({
                       rowIndex={rowIndex} 
                       columns={columns} 
                       columnWidths={columnWidths} 
+                      cellIssues={issuesByRow[rowIndex]}
                       handleItemChange={handleItemChange} 
                       searchStatus={searchStatus} 
                       handleProductCellClick={handleProductCellClick}
@@ -11,6 +11,7 @@ const ItemsTableRow = memo(({
   rowIndex, 
   columns, 
   columnWidths, 
+  cellIssues,
   handleItemChange, 
   searchStatus, 
   handleProductCellClick,
@@ -59,6 +60,12 @@ const ItemsTableRow = memo(({
               }}
             >
               {rowIndex + 1}
+              {/* Halaman PDF asal item, hanya ada untuk invoice multi-halaman */}
+              {item.source_page?.value && (
+                <div className="text-[10px] leading-none text-gray-400" title={`Dibaca dari halaman ${item.source_page.value}`}>
+                  Hal. {item.source_page.value}
+                </div>
+              )}
             </td>
           );
         }
@@ -127,13 +134,18 @@ const ItemsTableRow = memo(({
           cellClass += needsManualSearch ? 'bg-yellow-100 ' : '';
         }
         
+        // Highlight cells with a validation issue from the server
+        const cellIssue = cellIssues ? cellIssues[column.id] : null;
+        
         return (
           <td 
             key={colIndex} 
             className={`${cellClass} border-b border-gray-100 border-r border-gray-50`}
+            title={cellIssue ? cellIssue.message : undefined}
             style={{ 
               width: `${columnWidths[column.id]}px`,
               backgroundColor: bgColorMap[cellBgColor] || 'white',
+              ...(cellIssue ? { boxShadow: `inset 0 0 0 2px ${cellIssue.severity === 'error' ? '#dc2626' : '#f59e0b'}` } : {}),
               ...(column.sticky ? { left: `${column.left}px` } : {})
             }}
           >
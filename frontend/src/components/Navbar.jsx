@@ -93,6 +93,9 @@ export default function Navbar() {
                     <Link to="/database/products" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
                       Product Catalog
                     </Link>
+                    <Link to="/database/suppliers" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                      Suppliers
+                    </Link>
                   </div>
                 )}
               </div>
@@ -121,6 +124,15 @@ export default function Navbar() {
                     <Link to="/settings/ocr" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
                       OCR Settings
                     </Link>
+                    <Link to="/settings/queue" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                      Antrian OCR
+                    </Link>
+                    <Link to="/settings/reparse" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                      Proses Ulang OCR
+                    </Link>
+                    <Link to="/settings/export" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                      Profil Ekspor
+                    </Link>
                     <Link to="/settings/api" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
                       API Configuration
                     </Link>
@@ -195,6 +207,15 @@ export default function Navbar() {
               Product Catalog
             </div>
           </Link>
+          <Link to="/database/suppliers" className="block px-3 py-2 rounded-md text-base font-medium hover:bg-blue-600">
+            <div className="flex items-center">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                <path d="M8 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM15 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0z" />
+                <path d="M3 4a1 1 0 00-1 1v10a1 1 0 001 1h1.05a2.5 2.5 0 014.9 0H10a1 1 0 001-1V5a1 1 0 00-1-1H3zM14 7a1 1 0 00-1 1v6.05A2.5 2.5 0 0115.95 16H17a1 1 0 001-1v-5a1 1 0 00-.293-.707l-2-2A1 1 0 0015 7h-1z" />
+              </svg>
+              Suppliers
+            </div>
+          </Link>
           <Link to="/settings/profile" className="block px-3 py-2 rounded-md text-base font-medium hover:bg-blue-600">
             <div className="flex items-center">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
@@ -8,13 +8,14 @@ import InvoiceHeader from './InvoiceHeader';
 import ItemsTable from './ItemsTable';
 import TotalsSection from './TotalsSection';
 import DebugSection from './DebugSection';
+import ValidationSummary from './ValidationSummary';
 import ProductSearchDropdown from './ProductSearchDropdown';
 import { productItemApi } from '../services/api';
 
 /**
  * Main component for OCR results table
  */
-export default function OCRResultsTable({ data, onDataChange }) {
+export default function OCRResultsTable({ data, onDataChange, validation }) {
   // Initialize state with data or default values
   const [editableData, setEditableData] = useState(data || {});
   
@@ -84,67 +85,11 @@ export default function OCRResultsTable({ data, onDataChange }) {
     }
   }, [dropdownOpen]);
 
-  // Normalize data structure if needed
+  // Prepare the canonical OCR document for editing
   useEffect(() => {
     if (data) {
-      // Create a normalized copy of the data
-      const normalizedData = { ...data };
-      
-      // Helper function to extract field from either location
-      const extractField = (data, fieldName, defaultValue = null) => {
-        // First try the new structure with field at root level
-        if (data[fieldName] && data[fieldName].value !== undefined) {
-          return data[fieldName];
-        }
-        // Then try the old structure with fields in output
-        else if (data.output && data.output[fieldName] && data.output[fieldName].value !== undefined) {
-          return data.output[fieldName];
-        }
-        // Create a default object if not found
-        return {
-          value: defaultValue,
-          is_confident: false
-        };
-      };
-      
-      // Ensure output exists
-      if (!normalizedData.output) {
-        normalizedData.output = {};
-      }
-      
-      // Create centralized fields in output from potential root fields
-      normalizedData.output.nomor_referensi = extractField(normalizedData, 'nomor_referensi', '');
-      normalizedData.output.nama_supplier = extractField(normalizedData, 'nama_supplier', '');
-      normalizedData.output.tanggal_faktur = extractField(normalizedData, 'tanggal_faktur', '');
-      normalizedData.output.tgl_jatuh_tempo = extractField(normalizedData, 'tgl_jatuh_tempo', '');
-      normalizedData.output.salesman = extractField(normalizedData, 'salesman', '');
-      
-      // Handle tipe_dokumen field
-      const tipeDoc = extractField(normalizedData, 'tipe_dokumen', '');
-      normalizedData.output.tipe_dokumen = tipeDoc;
-      
-      // Handle tipe_pembayaran field
-      const tipePembayaran = extractField(normalizedData, 'tipe_pembayaran', '');
-      normalizedData.output.tipe_pembayaran = tipePembayaran;
-      
-      // Handle both include_vat and include_ppn
-      const includeVat = extractField(normalizedData, 'include_vat', false);
-      const includePpn = extractField(normalizedData, 'include_ppn', false);
-      normalizedData.output.include_ppn = includeVat.value ? includeVat : includePpn;
-      
-      // Handle tanggal_jatuh_tempo vs tgl_jatuh_tempo
-      if (normalizedData.output.tgl_jatuh_tempo && !normalizedData.output.tanggal_jatuh_tempo) {
-        normalizedData.output.tanggal_jatuh_tempo = normalizedData.output.tgl_jatuh_tempo;
-      }
-      
-      // Handle debug data
-      if (normalizedData.debug && Array.isArray(normalizedData.debug)) {
-        normalizedData.output.debug = normalizedData.debug;
-      }
-      
-      if (normalizedData.debug_summary) {
-        normalizedData.output.debug_summary = normalizedData.debug_summary;
-      }
+      // Copy output so the defaults below do not change the data of the parent
+      const normalizedData = { ...data, output: { ...data.output } };
       
       // Add default values for fields that should be marked as coming from database
       if (!normalizedData.output.ppn_rate) {
@@ -159,15 +104,6 @@ export default function OCRResultsTable({ data, onDataChange }) {
         normalizedData.output.margin_threshold.from_database = true;
       }
       
-      // Ensure items array exists, checking both structures
-      if (!normalizedData.output.items) {
-        if (normalizedData.output.output && Array.isArray(normalizedData.output.output.items)) {
-          normalizedData.output.items = normalizedData.output.output.items;
-        } else {
-          normalizedData.output.items = [];
-        }
-      }
-      
       // Process each item to add default values and calculate fields
       if (normalizedData.output.items && normalizedData.output.items.length > 0) {
         normalizedData.output.items = normalizedData.output.items.map(item => {
@@ -392,7 +328,7 @@ export default function OCRResultsTable({ data, onDataChange }) {
         };
         
         // If we have invoice quantity, calculate base unit equivalent
-        const invoiceQty = parseFloat(safeGet(item, 'jumlah.value', '0')) || 0;
+        const invoiceQty = parseFloat(safeGet(item, 'qty.value', '0')) || 0;
         if (invoiceQty > 0 && selectedUnit.conversion) {
           item.jumlah_base = {
             value: (invoiceQty * selectedUnit.conversion).toString(),
@@ -732,7 +668,7 @@ export default function OCRResultsTable({ data, onDataChange }) {
     
     // Create a batch of items to process
     const itemsToProcess = data.output.items.filter(item => {
-      const invoiceCode = safeGet(item, 'kode_barang.value', '');
+      const invoiceCode = safeGet(item, 'kode_barang_invoice.value', '');
       return invoiceCode && !productCache.current[invoiceCode];
     });
     
@@ -741,9 +677,9 @@ export default function OCRResultsTable({ data, onDataChange }) {
       return;
     }
     
-    // For each item with a kode_barang, trigger a search using ref
+    // For each item with a kode_barang_invoice, trigger a search using ref
     data.output.items.forEach((item, index) => {
-      const invoiceCode = safeGet(item, 'kode_barang.value', '');
+      const invoiceCode = safeGet(item, 'kode_barang_invoice.value', '');
       
       if (invoiceCode) {
         
@@ -786,8 +722,7 @@ export default function OCRResultsTable({ data, onDataChange }) {
         
         editableData.output.items.forEach((item, index) => {
           // Check if this item needs lookup
-          const invoiceCode = safeGet(item, 'kode_barang_invoice.value', '') || 
-                             safeGet(item, 'kode_barang.value', '');
+          const invoiceCode = safeGet(item, 'kode_barang_invoice.value', '');
           
           const hasMainCode = !!safeGet(item, 'kode_barang_main.value', '');
           const isProcessed = processedItemIndices.current.has(index);
@@ -1549,7 +1484,7 @@ export default function OCRResultsTable({ data, onDataChange }) {
           satuan_main.isBaseUnit = unitInfo.isBaseUnit || false;
           
           // Recalculate base unit quantity if we have invoice quantity
-          const invoiceQty = parseFloat(safeGet(item, 'jumlah.value', '0')) || 0;
+          const invoiceQty = parseFloat(safeGet(item, 'qty.value', '0')) || 0;
           if (invoiceQty > 0 && unitInfo.conversion) {
             if (!item.jumlah_base) {
               item.jumlah_base = { 
@@ -1936,9 +1871,13 @@ export default function OCRResultsTable({ data, onDataChange }) {
         handleIncludePPNChange={handleIncludePPNChange}
       />
 
+      {/* Validation issues */}
+      <ValidationSummary validation={validation} />
+
       {/* Items Table - Pass new handlers */}
       <ItemsTable
         editableData={editableData}
+        validation={validation}
         handleItemChange={handleItemChange}
         searchStatus={searchStatus}
         handleProductCellClick={handleProductCellClick}
@@ -0,0 +1,38 @@
+import React from 'react';
+
+/**
+ * Component for displaying arithmetic validation issues returned by the server
+ */
+const ValidationSummary = ({ validation }) => {
+  if (!validation || !Array.isArray(validation.issues) || validation.issues.length === 0) {
+    return null;
+  }
+
+  const hasErrors = validation.errors > 0;
+
+  return (
+    <div
+      className={`mt-4 rounded-lg border px-4 py-3 text-sm ${
+        hasErrors ? 'bg-red-50 border-red-200 text-red-800' : 'bg-amber-50 border-amber-200 text-amber-800'
+      }`}
+    >
+      <p className="font-medium">
+        {hasErrors
+          ? `${validation.errors} kesalahan perhitungan harus diperbaiki sebelum data bisa disimpan`
+          : 'Perhitungan bisa disimpan, tetapi ada yang perlu dicek'}
+        {validation.warnings > 0 && ` (${validation.warnings} peringatan)`}
+      </p>
+      <ul className="mt-2 space-y-1 list-disc list-inside">
+        {validation.issues.map((issue, index) => (
+          <li key={`${issue.scope}-${issue.index ?? 'invoice'}-${issue.field}-${index}`}>
+            <span className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}>
+              {issue.message}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ValidationSummary;
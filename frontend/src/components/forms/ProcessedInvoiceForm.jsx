@@ -2,10 +2,15 @@ import { useState, useEffect, useRef } from 'react';
 import { invoiceApi, productApi } from '../../services/api';
 import toast from 'react-hot-toast';
 import DatePicker from 'react-datepicker';
+import InvoiceHistoryPanel from '../InvoiceHistoryPanel';
+import InvoiceStatusBadge from '../InvoiceStatusBadge';
+import { isCreditDocument } from '../../utils/invoiceStatus';
 import 'react-datepicker/dist/react-datepicker.css';
 
 export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCancel }) {
   const isEditMode = !!invoice;
+  // Only drafts can be edited; the server refuses updates to reviewed, approved and posted invoices
+  const isLocked = isEditMode && !!invoice.status && invoice.status !== 'draft';
   const fileInputRef = useRef(null);
   
   const [formData, setFormData] = useState({
@@ -18,6 +23,7 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
     include_tax: true,
     salesman: '',
     tax_rate: 11.0,
+    reference_invoice_id: '',
     items: [],
     image_path: null
   });
@@ -66,7 +72,9 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
         const qty = item.qty !== undefined ? item.qty : 
                    (item.quantity !== undefined ? item.quantity : 0);
                    
+        // Keep the other columns, such as the mapped product and unit, so saving does not clear them
         return {
+          ...item,
           product_code: item.kode_barang_invoice || item.product_code || '',
           product_name: item.nama_barang_invoice || item.product_name || '',
           quantity: parseFloat(qty),
@@ -134,6 +142,7 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
         include_tax: invoice.include_tax !== undefined ? invoice.include_tax : true,
         salesman: invoice.salesman || '',
         tax_rate: parseFloat(invoice.tax_rate || 11.0),
+        reference_invoice_id: invoice.reference_invoice_id || '',
         items: formattedItems,
         image_path: invoice.image_path || null
       });
@@ -360,6 +369,10 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
         ...formData,
         invoice_date: invoiceDate.toISOString(),
         due_date: dueDate ? dueDate.toISOString() : null,
+        // Only returns and credit notes reference an original invoice
+        reference_invoice_id: isCreditDocument(formData.document_type) && formData.reference_invoice_id
+          ? parseInt(formData.reference_invoice_id, 10)
+          : null,
       };
       
       // Add image data if a new image was uploaded
@@ -495,12 +508,21 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
   const total = subtotal + taxAmount;
   
   return (
+    <>
     <form onSubmit={handleSubmit} className="space-y-6">
       {/* Form Header */}
       <div className="mb-6">
-        <h2 className="text-xl font-semibold text-gray-900">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
           {isEditMode ? 'Edit Invoice' : 'Create New Invoice'}
+          {isEditMode && <InvoiceStatusBadge status={invoice.status} />}
         </h2>
+        {isLocked && (
+          <p className="mt-2 text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded p-2">
+            {invoice.status === 'posted'
+              ? 'Invoice sudah diposting dan tidak dapat diubah.'
+              : 'Invoice ini tidak dapat diubah. Kembalikan ke draft terlebih dahulu.'}
+          </p>
+        )}
       </div>
       
       {/* Invoice Image Section */}
@@ -595,12 +617,35 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
             <option value="Receipt">Receipt</option>
             <option value="Bill">Bill</option>
             <option value="Quotation">Quotation</option>
+            <option value="Retur">Retur</option>
+            <option value="Nota Kredit">Nota Kredit</option>
           </select>
           {errors.document_type && (
             <p className="mt-1 text-sm text-red-500">{errors.document_type}</p>
           )}
         </div>
         
+        {/* Reference Invoice, for returns and credit notes */}
+        {isCreditDocument(formData.document_type) && (
+          <div>
+            <label htmlFor="reference_invoice_id" className="block text-sm font-medium text-gray-700 mb-1">
+              Original Invoice ID <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              id="reference_invoice_id"
+              name="reference_invoice_id"
+              value={formData.reference_invoice_id}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              The posted invoice this document returns goods from; lines are matched by product code
+            </p>
+          </div>
+        )}
+        
         {/* Supplier Name */}
         <div>
           <label htmlFor="supplier_name" className="block text-sm font-medium text-gray-700 mb-1">
@@ -619,6 +664,13 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
           {errors.supplier_name && (
             <p className="mt-1 text-sm text-red-500">{errors.supplier_name}</p>
           )}
+          {isEditMode && (
+            <p className="mt-1 text-xs text-gray-500">
+              {invoice.supplier
+                ? `Supplier master: ${invoice.supplier.code} - ${invoice.supplier.name}`
+                : 'Not linked to the supplier master'}
+            </p>
+          )}
         </div>
         
         {/* Invoice Date */}
@@ -1019,12 +1071,18 @@ export default function ProcessedInvoiceForm({ invoice = null, onSuccess, onCanc
         </button>
         <button
           type="submit"
-          className="px-4 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition-colors"
-          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+          disabled={isSubmitting || isLocked}
         >
           {isSubmitting ? 'Saving...' : (isEditMode ? 'Update Invoice' : 'Create Invoice')}
         </button>
       </div>
     </form>
+    
+    {/* Edit history; a restore closes the form like a save so the list is reloaded */}
+    {isEditMode && invoice.id && (
+      <InvoiceHistoryPanel invoiceId={invoice.id} onRestored={onSuccess} />
+    )}
+    </>
   );
 }
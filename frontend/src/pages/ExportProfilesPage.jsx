@@ -0,0 +1,344 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { exportProfileApi } from '../services/api';
+
+// CSV delimiters that can be chosen
+const DELIMITERS = [
+  { value: ',', label: 'Koma (,)' },
+  { value: ';', label: 'Titik koma (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Garis tegak (|)' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  delimiter: ',',
+  decimal_separator: '.',
+  date_format: 'YYYY-MM-DD',
+  header_columns: [],
+  line_columns: []
+};
+
+// Message of a failed API call
+const errorMessage = (error) => error.response?.data?.error?.message || error.message;
+
+// Form values of a profile
+const toForm = (profile) => ({
+  name: profile.name || '',
+  description: profile.description || '',
+  delimiter: profile.delimiter,
+  decimal_separator: profile.decimal_separator,
+  date_format: profile.date_format,
+  header_columns: profile.header_columns.map(column => ({ ...column })),
+  line_columns: profile.line_columns.map(column => ({ ...column }))
+});
+
+// Request body of the form values
+const toRequest = (form) => ({
+  ...form,
+  name: form.name.trim(),
+  description: form.description.trim() || null,
+  date_format: form.date_format.trim()
+});
+
+const inputClass = 'w-full px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Ordered columns of one export level: a field and the title written above it
+ */
+function ColumnsEditor({ title, fields, columns, onChange }) {
+  const update = (index, values) => onChange(columns.map((column, other) => (other === index ? { ...column, ...values } : column)));
+  const move = (index, offset) => {
+    const moved = [...columns];
+    [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+    onChange(moved);
+  };
+  const unused = fields.find(field => !columns.some(column => column.field === field.field));
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-gray-800">{title}</h3>
+      {columns.length === 0 && <p className="text-xs text-gray-400">Belum ada kolom.</p>}
+      {columns.map((column, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <span className="w-6 text-xs text-gray-400 text-right">{index + 1}</span>
+          <select
+            value={column.field}
+            onChange={(e) => update(index, { field: e.target.value })}
+            className={`${inputClass} w-1/2`}
+          >
+            {fields.map(field => (
+              <option key={field.field} value={field.field}>{field.label}</option>
+            ))}
+          </select>
+          <input
+            value={column.title}
+            onChange={(e) => update(index, { title: e.target.value })}
+            placeholder={column.field}
+            className={`${inputClass} w-1/2 font-mono`}
+          />
+          <button
+            type="button"
+            onClick={() => move(index, -1)}
+            disabled={index === 0}
+            className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            title="Naik"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            onClick={() => move(index, 1)}
+            disabled={index === columns.length - 1}
+            className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            title="Turun"
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange(columns.filter((other, position) => position !== index))}
+            className="px-2 text-red-600 hover:text-red-800"
+            title="Hapus kolom"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...columns, { field: (unused || fields[0]).field, title: (unused || fields[0]).field }])}
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        + Tambah kolom
+      </button>
+    </div>
+  );
+}
+
+function ExportProfilesPage() {
+  const [profiles, setProfiles] = useState([]);
+  const [fields, setFields] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // null: no form, 'new' or a profile ID
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [profileList, fieldList] = await Promise.all([exportProfileApi.getAll(), exportProfileApi.getFields()]);
+      setProfiles(profileList);
+      setFields(fieldList);
+    } catch (error) {
+      toast.error(`Gagal memuat profil ekspor: ${errorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const openForm = (profile) => {
+    setEditingId(profile ? profile.id : 'new');
+    setForm(profile ? toForm(profile) : toForm({ ...fields.default_profile, name: '', description: '' }));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Nama profil wajib diisi');
+      return;
+    }
+    if (form.header_columns.length === 0 || form.line_columns.length === 0) {
+      toast.error('Profil membutuhkan minimal satu kolom faktur dan satu kolom barang');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = editingId === 'new'
+        ? await exportProfileApi.create(toRequest(form))
+        : await exportProfileApi.update(editingId, toRequest(form));
+      toast.success(response.message || 'Profil ekspor disimpan');
+      setEditingId(null);
+      await loadProfiles();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Hapus profil ekspor ${profile.name}?`)) {
+      return;
+    }
+    try {
+      await exportProfileApi.delete(profile.id);
+      toast.success('Profil ekspor dihapus');
+      if (editingId === profile.id) {
+        setEditingId(null);
+      }
+      await loadProfiles();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  const delimiterLabel = (delimiter) => (DELIMITERS.find(option => option.value === delimiter) || { label: delimiter }).label;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Profil Ekspor</h1>
+          <p className="text-gray-600 mt-2">Kolom, judul dan format CSV/XLSX untuk ekspor invoice ke sistem akuntansi</p>
+        </div>
+        <button
+          onClick={() => openForm(null)}
+          disabled={!fields}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Tambah Profil
+        </button>
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        <div className="w-full lg:w-1/3">
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {isLoading ? (
+              <p className="p-6 text-center text-gray-500">Memuat profil ekspor...</p>
+            ) : profiles.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">Belum ada profil. Ekspor tanpa profil memakai kolom default.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {profiles.map(profile => (
+                  <li key={profile.id} className={`px-4 py-3 ${editingId === profile.id ? 'bg-blue-50' : ''}`}>
+                    <div className="flex justify-between gap-2">
+                      <div>
+                        <div className="text-sm font-medium text-gray-800">{profile.name}</div>
+                        {profile.description && <div className="text-xs text-gray-500">{profile.description}</div>}
+                        <div className="text-xs text-gray-400 mt-1">
+                          {profile.header_columns.length} kolom faktur · {profile.line_columns.length} kolom barang ·{' '}
+                          {delimiterLabel(profile.delimiter)} · {profile.date_format}
+                        </div>
+                      </div>
+                      <div className="text-sm whitespace-nowrap">
+                        <button onClick={() => openForm(profile)} className="text-blue-600 hover:text-blue-800 mr-3">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(profile)} className="text-red-600 hover:text-red-800">
+                          Hapus
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="w-full lg:w-2/3">
+          {editingId !== null && fields && (
+            <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-800">
+                  {editingId === 'new' ? 'Profil Ekspor Baru' : 'Edit Profil Ekspor'}
+                </h2>
+              </div>
+              <div className="p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Nama <span className="text-red-500">*</span></label>
+                    <input name="name" value={form.name} onChange={handleChange} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Keterangan</label>
+                    <input name="description" value={form.description} onChange={handleChange} className={inputClass} />
+                  </div>
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Pemisah kolom CSV</label>
+                    <select name="delimiter" value={form.delimiter} onChange={handleChange} className={inputClass}>
+                      {DELIMITERS.map(option => (
+                        <option key={option.label} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Pemisah desimal</label>
+                    <select name="decimal_separator" value={form.decimal_separator} onChange={handleChange} className={inputClass}>
+                      <option value=".">Titik (1234.56)</option>
+                      <option value=",">Koma (1234,56)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Format tanggal</label>
+                    <input
+                      name="date_format"
+                      value={form.date_format}
+                      onChange={handleChange}
+                      placeholder="DD/MM/YYYY"
+                      className={`${inputClass} font-mono`}
+                    />
+                  </div>
+                </div>
+
+                <div className="border-t border-gray-200 pt-4">
+                  <ColumnsEditor
+                    title="Kolom faktur (CSV per faktur, sheet Faktur)"
+                    fields={fields.header}
+                    columns={form.header_columns}
+                    onChange={(columns) => setForm(prev => ({ ...prev, header_columns: columns }))}
+                  />
+                </div>
+                <div className="border-t border-gray-200 pt-4">
+                  <ColumnsEditor
+                    title="Kolom barang (CSV per baris, sheet Barang)"
+                    fields={fields.lines}
+                    columns={form.line_columns}
+                    onChange={(columns) => setForm(prev => ({ ...prev, line_columns: columns }))}
+                  />
+                  <p className="text-xs text-gray-400 mt-2">
+                    Kode barang internal diambil dari produk yang terhubung, lalu kode hasil mapping, lalu kode supplier
+                    yang terdaftar di database produk.
+                  </p>
+                </div>
+
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300"
+                  >
+                    Batal
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {isSaving ? 'Menyimpan...' : 'Simpan'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportProfilesPage;
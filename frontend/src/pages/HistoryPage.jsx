@@ -1,7 +1,11 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { format } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { invoiceApi } from '../services/api';
+import InvoiceStatusBadge from '../components/InvoiceStatusBadge';
+import InvoiceSearchFilters from '../components/InvoiceSearchFilters';
+import { EMPTY_INVOICE_FILTERS, toSearchParams } from '../utils/invoiceSearch';
 
 // API Configuration
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:1512';
@@ -15,6 +19,11 @@ export default function HistoryPage() {
   const [expandedRows, setExpandedRows] = useState({});
   const [error, setError] = useState(null);
   const [productDetails, setProductDetails] = useState({});
+  const [filters, setFilters] = useState(EMPTY_INVOICE_FILTERS);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [downloading, setDownloading] = useState(null);
   
   // Helper function for debugger logging
   const debugLog = (message, data) => {
@@ -30,22 +39,19 @@ export default function HistoryPage() {
         setLoading(true);
         setError(null);
         
-        debugLog('Fetching invoices from:', `${API_BASE_URL}/api/invoices`);
+        debugLog('Fetching invoices from:', `${API_BASE_URL}/api/invoices/search`);
         
-        const response = await axios.get(`${API_BASE_URL}/api/invoices`, {
+        const response = await axios.get(`${API_BASE_URL}/api/invoices/search`, {
+          params: toSearchParams(filters),
           timeout: 15000 // 15s timeout
         });
         
         debugLog('API Response:', response.data);
         
         if (response.data && Array.isArray(response.data.data)) {
-          // New response format with pagination
           setInvoices(response.data.data);
+          setPageInfo(response.data.page_info || null);
           debugLog('Parsed invoices count:', response.data.data.length);
-        } else if (response.data && Array.isArray(response.data)) {
-          // Older/alternative response format (direct array)
-          setInvoices(response.data);
-          debugLog('Parsed invoices count:', response.data.length);
         } else {
           console.error('Unexpected response format:', response.data);
           setError('Received invalid data format from server');
@@ -101,8 +107,27 @@ export default function HistoryPage() {
       }
     };
     
-    fetchInvoices();
-  }, []);
+    const timeout = setTimeout(fetchInvoices, 300);
+    return () => clearTimeout(timeout);
+  }, [filters, refreshKey]);
+  
+  // Append the next page of results
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/invoices/search`, {
+        params: toSearchParams(filters, pageInfo.next_cursor),
+        timeout: 15000
+      });
+      setInvoices(prev => [...prev, ...(response.data?.data || [])]);
+      setPageInfo(response.data?.page_info || null);
+    } catch (error) {
+      console.error('Error loading more invoices:', error);
+      toast.error(error.response?.data?.error?.message || 'Could not load more invoices');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
   
   // Format date strings
   const formatDate = (dateString) => {
@@ -210,6 +235,19 @@ export default function HistoryPage() {
     }
   };
   
+  // Download the printable PDF of an invoice; variant 'invoice' or 'goods_received'
+  const downloadPdf = async (invoiceId, variant) => {
+    setDownloading(`${invoiceId}:${variant}`);
+    try {
+      await invoiceApi.downloadPdf(invoiceId, variant);
+    } catch (error) {
+      console.error('Error downloading invoice PDF:', error);
+      toast.error('Could not create the PDF');
+    } finally {
+      setDownloading(null);
+    }
+  };
+  
   // Render expanded product details
   const renderProductDetails = (invoiceId) => {
     const details = productDetails[invoiceId] || [];
@@ -263,17 +301,22 @@ export default function HistoryPage() {
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-800">Invoice History</h1>
-        <button
-          onClick={() => {
-            setLoading(true);
-            setError(null);
-            window.location.reload();
-          }}
-          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-          disabled={loading}
-        >
-          {loading ? 'Loading...' : 'Refresh'}
-        </button>
+        <div className="flex items-center gap-3">
+          {pageInfo && (
+            <span className="text-sm text-gray-500">{invoices.length} of {pageInfo.total} invoices</span>
+          )}
+          <button
+            onClick={() => setRefreshKey(key => key + 1)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+      
+      <div className="mb-6">
+        <InvoiceSearchFilters filters={filters} onChange={setFilters} />
       </div>
       
       {error && (
@@ -305,6 +348,7 @@ export default function HistoryPage() {
                   <th className="w-12 px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">No.</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice Number</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Document Type</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier Name</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice Date</th>
@@ -317,7 +361,7 @@ export default function HistoryPage() {
               <tbody className="bg-white divide-y divide-gray-200">
                 {invoices.length === 0 ? (
                   <tr>
-                    <td colSpan="10" className="px-4 py-4 text-center text-gray-500">
+                    <td colSpan="11" className="px-4 py-4 text-center text-gray-500">
                       {error ? 'Error loading invoice data' : 'No invoices found'}
                     </td>
                   </tr>
@@ -343,8 +387,9 @@ export default function HistoryPage() {
                             </svg>
                           </button>
                         </td>
-                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{invoices.length - index}</td>
+                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{index + 1}</td>
                         <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{invoice.invoice_number}</td>
+                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900"><InvoiceStatusBadge status={invoice.status} /></td>
                         <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{invoice.document_type || 'Invoice'}</td>
                         <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{invoice.supplier_name}</td>
                         <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(invoice.invoice_date)}</td>
@@ -355,9 +400,23 @@ export default function HistoryPage() {
                       </tr>
                       {expandedRows[invoice.id || invoice.invoice_id] && (
                         <tr>
-                          <td colSpan="10" className="px-0 py-0 border-b">
+                          <td colSpan="11" className="px-0 py-0 border-b">
                             <div className="bg-gray-100 p-4">
-                              <h3 className="text-md font-semibold mb-3">Product Details</h3>
+                              <div className="flex justify-between items-center mb-3">
+                                <h3 className="text-md font-semibold">Product Details</h3>
+                                <div className="flex gap-2">
+                                  {[['invoice', 'Invoice PDF'], ['goods_received', 'Goods Received PDF']].map(([variant, label]) => (
+                                    <button
+                                      key={variant}
+                                      onClick={() => downloadPdf(invoice.id || invoice.invoice_id, variant)}
+                                      disabled={downloading !== null}
+                                      className="px-3 py-1 text-sm bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+                                    >
+                                      {downloading === `${invoice.id || invoice.invoice_id}:${variant}` ? 'Creating...' : label}
+                                    </button>
+                                  ))}
+                                </div>
+                              </div>
                               <div className="overflow-x-auto">
                                 <table className="min-w-full divide-y divide-gray-200 border">
                                   <tbody>
@@ -375,6 +434,17 @@ export default function HistoryPage() {
               </tbody>
             </table>
           </div>
+          {pageInfo?.has_more && (
+            <div className="p-3 text-center border-t border-gray-200">
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="px-4 py-2 rounded-md text-sm font-medium text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
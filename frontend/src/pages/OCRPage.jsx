@@ -7,6 +7,8 @@ import LoadingSpinner from '../components/LoadingSpinner'
 import OCRResultsTable from '../components/OCRResultsTable'
 import ImageThumbnail from '../components/ImageThumbnail'
 import ErrorModal from '../components/ErrorModal'
+import DuplicateInvoiceModal from '../components/DuplicateInvoiceModal'
+import { emptyOcrDocument, isOcrDocument, OCR_SCHEMA_VERSION } from '../utils/ocrDocument'
 
 // Import mock data for testing
 const mockData = [
@@ -160,8 +162,35 @@ const API_TOKEN = import.meta.env.VITE_API_OCR_AUTH_TOKEN || 'a3f5d6e8b9c0a1b2d3
 // Buat endpoint dari base URL
 const OCR_API_ENDPOINT = import.meta.env.VITE_API_OCR_PROCESS_FILE || 'http://amien-server:1880/testingupload';
 const QUEUE_API_ENDPOINT = `${API_BASE_URL}/api/ocr/queue`;
-const STATUS_API_ENDPOINT = `${API_BASE_URL}/api/ocr/status`;
+const EVENTS_API_ENDPOINT = `${API_BASE_URL}/api/ocr/events`;
 const SAVE_API_ENDPOINT = `${API_BASE_URL}/api/ocr/save`;
+const VALIDATE_API_ENDPOINT = `${API_BASE_URL}/api/ocr/validate`;
+const JOBS_API_ENDPOINT = `${API_BASE_URL}/api/ocr/jobs`;
+const PROVIDERS_API_ENDPOINT = `${API_BASE_URL}/api/ocr/providers`;
+
+// Label untuk setiap tahap pemrosesan yang dikirim server
+const STAGE_LABELS = {
+  uploaded: 'Diunggah',
+  preprocessing: 'Praproses gambar',
+  provider_call: 'Mengirim ke OCR',
+  parsing: 'Membaca hasil',
+  done: 'Selesai'
+};
+
+// Label untuk job yang tidak diunggah dari halaman ini; job dari sumber ini tetap tampil di antrian
+const SOURCE_LABELS = {
+  scanner: 'Dari scanner',
+  email: 'Dari email'
+};
+
+// Server selalu mengirim dokumen OCR kanonik; data dengan versi skema lain tidak bisa dibaca
+const normalizeOcrData = (ocrData) => {
+  if (!isOcrDocument(ocrData)) {
+    console.warn(`Data OCR bukan dokumen skema versi ${OCR_SCHEMA_VERSION}:`, ocrData && ocrData.schema_version);
+    return emptyOcrDocument();
+  }
+  return ocrData;
+};
 
 export default function OCRPage() {
   const [files, setFiles] = useState([]);
@@ -181,7 +210,6 @@ export default function OCRPage() {
   
   // State untuk antrian pemrosesan asinkron
   const [processingQueue, setProcessingQueue] = useState([]);
-  const [statusPollingActive, setStatusPollingActive] = useState(false); // State untuk status polling
   const [processedResults, setProcessedResults] = useState([]);
   const [fileDataMap, setFileDataMap] = useState({});
   
@@ -194,194 +222,220 @@ export default function OCRPage() {
   const [errorModalOpen, setErrorModalOpen] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   
+  // Hasil validasi perhitungan dari server untuk data yang sedang ditampilkan
+  const [validation, setValidation] = useState(null);
+  
+  // Invoice tersimpan yang mirip dengan data yang akan disimpan (respons 409 dari server)
+  const [duplicateInvoices, setDuplicateInvoices] = useState(null);
+  
+  // Provider OCR yang bisa dipilih saat mengulang file yang gagal
+  const [ocrProviders, setOcrProviders] = useState([]);
+  const [retryProviders, setRetryProviders] = useState({});
+  
   const resultsRef = useRef(null);
 
-  // Status polling interval
+  // Handler status terbaru, dipakai oleh listener EventSource agar selalu membaca state terkini
+  const statusHandlerRef = useRef(null);
+
+  // Subscribe ke event status dari server (menggantikan polling)
   useEffect(() => {
-    const statusInterval = setInterval(() => {
-      updateFileStatuses();
-    }, 2000);
+    const eventSource = new EventSource(EVENTS_API_ENDPOINT);
     
-    return () => clearInterval(statusInterval);
-  }, [processingQueue]);
+    eventSource.addEventListener('status', (event) => {
+      let serverStatus;
+      try {
+        serverStatus = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      
+      if (statusHandlerRef.current) {
+        statusHandlerRef.current(serverStatus);
+      }
+    });
+    
+    return () => eventSource.close();
+  }, []);
+  
+  // Ambil daftar provider OCR untuk tombol ulangi
+  useEffect(() => {
+    fetch(PROVIDERS_API_ENDPOINT, { headers: { 'Authorization': API_TOKEN } })
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        if (result && Array.isArray(result.providers)) {
+          setOcrProviders(result.providers);
+        }
+      })
+      .catch(() => {});
+  }, []);
   
-  // Update statuses for all queued files
-  const updateFileStatuses = async () => {
-    if (processingQueue.length === 0) return;
+  // Validasi ulang perhitungan di server setiap kali data OCR berubah (debounce 500ms)
+  useEffect(() => {
+    if (!ocrResults) {
+      setValidation(null);
+      return;
+    }
     
-    try {
-      // Gunakan endpoint yang benar dengan URL lengkap
-      const response = await fetch(STATUS_API_ENDPOINT, {
-        headers: {
-          Authorization: API_TOKEN,
-          'Accept': 'application/json'
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(VALIDATE_API_ENDPOINT, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': API_TOKEN
+          },
+          body: JSON.stringify({ editedData: ocrResults }),
+          signal: controller.signal
+        });
+        
+        if (response.ok) {
+          const result = await response.json();
+          setValidation(result.validation || null);
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setValidation(null);
         }
-      });
-      
-      if (!response.ok) {
-        return; // Keluar dari fungsi jika terjadi error
       }
-      
-      let data;
-      try {
-        data = await response.json();
-      } catch (err) {
-        return;
+    }, 500);
+    
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [ocrResults]);
+  
+  // Remove a file from the queue after a delay so the user can see its final state
+  const removeFromQueueLater = (fileId, delay) => {
+    setTimeout(() => {
+      setProcessingQueue(currentQueue => 
+        currentQueue.filter(item => item.id !== fileId)
+      );
+    }, delay);
+  };
+  
+  // Update the queue with a status pushed by the server for one file
+  const handleStatusUpdate = (serverStatus) => {
+    const fileId = serverStatus.id;
+    const fileInfo = fileDataMap[fileId];
+    const isInQueue = processingQueue.some(item => item.id === fileId);
+    const fromOtherSource = !!SOURCE_LABELS[serverStatus.source];
+    
+    // Abaikan status untuk file yang tidak diunggah dari halaman ini, kecuali yang masuk dari scanner
+    if (!fileInfo && !isInQueue && !fromOtherSource) return;
+    
+    setProcessingQueue(prev => {
+      // Jika file sudah ada di queue, update statusnya
+      if (prev.some(item => item.id === fileId)) {
+        return prev.map(item => item.id === fileId ? {
+          ...item,
+          status: serverStatus.status,
+          progress: serverStatus.progress || 0,
+          stage: serverStatus.stage,
+          // Tambahkan flag untuk tracking
+          updatedFromServer: true
+        } : item);
       }
       
-      if (data && Array.isArray(data.statuses)) {
-        // Buat map dari statuses untuk lookup yang lebih efisien
-        const statusMap = new Map();
-        data.statuses.forEach(status => {
-          statusMap.set(status.id, status);
-        });
+      // Jika belum ada di queue, tambahkan dengan info file dari fileDataMap atau dari server
+      if (!fileInfo && !fromOtherSource) return prev;
+      return [
+        ...prev,
+        {
+          id: fileId,
+          name: (fileInfo && fileInfo.fileName) || serverStatus.fileInfo?.name || 'Unknown File',
+          status: serverStatus.status,
+          progress: serverStatus.progress || 0,
+          stage: serverStatus.stage,
+          fileIndex: fileInfo ? fileInfo.fileIndex : undefined,
+          source: serverStatus.source,
+          sourceDetails: serverStatus.sourceDetails,
+          updatedFromServer: true
+        }
+      ];
+    });
+    
+    if (serverStatus.status === 'completed') {
+      // Proses hasil OCR untuk file yang sudah selesai
+      if (serverStatus.result && fileInfo) {
+        const ocrData = normalizeOcrData(serverStatus.result.ocrData);
         
-        // Update queue dengan status terbaru dari server
-        const updatedQueue = processingQueue.map(queueItem => {
-          const serverStatus = statusMap.get(queueItem.id);
-          
-          // Jika status ditemukan di server, update item queue
-          if (serverStatus) {
-            return {
-              ...queueItem,
-              status: serverStatus.status,
-              progress: serverStatus.progress || 0,
-              // Tambahkan flag untuk tracking
-              updatedFromServer: true
-            };
+        // Mark file as processed
+        setFileDataMap(prev => ({
+          ...prev,
+          [fileId]: {
+            ...prev[fileId],
+            processed: true,
+            ocrData: ocrData,
+            // Server menyimpan gambar hasil praproses untuk dibandingkan di preview
+            hasProcessedImage: !!serverStatus.preprocessing
           }
-          
-          // Jika tidak ditemukan di server, pertahankan status saat ini
-          return queueItem;
-        });
+        }));
+        
+        // Store OCR results in the map
+        const fileIndex = fileInfo.fileIndex;
+        setOcrResultsMap(prev => ({
+          ...prev,
+          [fileIndex]: ocrData
+        }));
         
-        // Tambahkan status baru yang belum ada di queue
-        data.statuses.forEach(serverStatus => {
-          const existingIndex = updatedQueue.findIndex(item => item.id === serverStatus.id);
+        // If this is the current file, set it as active
+        if (currentFileIndex === fileIndex) {
+          setOcrResults(ocrData);
+          loadOcrData(ocrData);
+          setIsDataLoaded(true);
+          toast.success(`File ${serverStatus.result.filename} berhasil diproses!`);
+        } else {
+          // Hindari duplikasi dengan memeriksa apakah file sudah ada di daftar hasil
+          const isDuplicate = processedResults.some(
+            item => item.fileIndex === fileInfo.fileIndex && 
+                   item.filename === serverStatus.result.filename
+          );
           
-          // Jika status tidak ada di queue, tambahkan
-          if (existingIndex === -1) {
-            // Cari info file dari fileDataMap
-            const fileInfo = fileDataMap[serverStatus.id];
-            
-            if (fileInfo) {
-              updatedQueue.push({
-                id: serverStatus.id,
-                name: fileInfo.fileName || 'Unknown File',
-                status: serverStatus.status,
-                progress: serverStatus.progress || 0,
+          if (!isDuplicate) {
+            // Add to processed results for later use with a unique identifier
+            setProcessedResults(prev => [
+              ...prev, 
+              { 
+                id: `${fileId}-${Date.now()}`, // Ensure unique ID dengan timestamp
+                filename: serverStatus.result.filename,
                 fileIndex: fileInfo.fileIndex,
-                updatedFromServer: true
-              });
-            }
-          }
-        });
-        
-        // Proses hasil OCR untuk file yang sudah selesai
-        updatedQueue.forEach(queueItem => {
-          if (queueItem.status === 'completed') {
-            const serverStatus = statusMap.get(queueItem.id);
-            
-            if (serverStatus && serverStatus.result) {
-              // Handle completed file with OCR results
-              let ocrData = serverStatus.result.ocrData;
-              const fileId = serverStatus.id;
-              
-              // Validasi dan normalisasi struktur data OCR
-              if (!ocrData) {
-                ocrData = { output: { items: [] } };
-              } else if (!ocrData.output) {
-                ocrData.output = { items: [] };
-              } else if (!ocrData.output.items) {
-                ocrData.output.items = [];
-              } else if (!Array.isArray(ocrData.output.items)) {
-                ocrData.output.items = [];
-              }
-              
-              // Get file information for correlation
-              const fileInfo = fileDataMap[fileId];
-              
-              if (fileInfo) {
-                // Mark file as processed
-                setFileDataMap(prev => ({
-                  ...prev,
-                  [fileId]: {
-                    ...prev[fileId],
-                    processed: true,
-                    ocrData: ocrData
-                  }
-                }));
-                
-                // Store OCR results in the map
-                const fileIndex = fileInfo.fileIndex;
-                setOcrResultsMap(prev => ({
-                  ...prev,
-                  [fileIndex]: ocrData
-                }));
-                
-                // If this is the current file, set it as active
-                if (currentFileIndex === fileIndex) {
-                  setOcrResults(ocrData);
-                  loadOcrData(ocrData);
-                  setIsDataLoaded(true);
-                  toast.success(`File ${serverStatus.result.filename} berhasil diproses!`);
-                } else {
-                  // Hindari duplikasi dengan memeriksa apakah file sudah ada di daftar hasil
-                  const isDuplicate = processedResults.some(
-                    item => item.fileIndex === fileInfo.fileIndex && 
-                           item.filename === serverStatus.result.filename
-                  );
-                  
-                  if (!isDuplicate) {
-                    // Add to processed results for later use with a unique identifier
-                    setProcessedResults(prev => [
-                      ...prev, 
-                      { 
-                        id: `${serverStatus.id}-${Date.now()}`, // Ensure unique ID dengan timestamp
-                        filename: serverStatus.result.filename,
-                        fileIndex: fileInfo.fileIndex,
-                        data: ocrData,
-                        processedAt: serverStatus.result.processedAt
-                      }
-                    ]);
-                    
-                    toast.success(`File ${serverStatus.result.filename} berhasil diproses dan tersedia di daftar hasil`);
-                  }
-                }
+                data: ocrData,
+                processedAt: serverStatus.result.processedAt
               }
-            }
+            ]);
             
-            // Remove from queue after processing is complete (dengan delay)
-            if (queueItem.status === 'completed') {
-              setTimeout(() => {
-                setProcessingQueue(currentQueue => 
-                  currentQueue.filter(item => item.id !== queueItem.id)
-                );
-              }, 3000); // Keep in queue for 3 seconds so user can see it completed
-            }
-          } else if (queueItem.status === 'error') {
-            // Handle error dengan menampilkan toast
-            const serverStatus = statusMap.get(queueItem.id);
-            if (serverStatus && serverStatus.result) {
-              toast.error(`Error memproses file: ${serverStatus.result.message || 'Unknown error'}`);
-            }
-            
-            // Remove from queue after error (dengan delay)
-            setTimeout(() => {
-              setProcessingQueue(currentQueue => 
-                currentQueue.filter(item => item.id !== queueItem.id)
-              );
-            }, 5000); // Keep error in queue for 5 seconds
+            toast.success(`File ${serverStatus.result.filename} berhasil diproses dan tersedia di daftar hasil`);
           }
-        });
-        
-        // Update queue state
-        setProcessingQueue(updatedQueue);
+        }
       }
-    } catch (error) {
-      // Silently handle error
+      
+      if (fileInfo) {
+        // Keep in queue for 3 seconds so user can see it completed
+        removeFromQueueLater(fileId, 3000);
+      } else {
+        // File dari scanner/email tetap di antrian sampai dibuka atau ditutup
+        setProcessingQueue(prev => prev.map(item => item.id === fileId ? {
+          ...item,
+          result: serverStatus.result,
+          hasProcessedImage: !!serverStatus.preprocessing
+        } : item));
+      }
+    } else if (serverStatus.status === 'error') {
+      // Handle error dengan menampilkan toast
+      if (serverStatus.result) {
+        toast.error(`Error memproses file: ${serverStatus.result.message || 'Unknown error'}`);
+      }
+      
+      // File yang gagal tetap di antrian sampai diulang atau ditutup
+      setProcessingQueue(prev => prev.map(item => item.id === fileId ? {
+        ...item,
+        error: serverStatus.result ? serverStatus.result.message : null
+      } : item));
     }
   };
+  statusHandlerRef.current = handleStatusUpdate;
   
   // Load OCR data into editable state
   const loadOcrData = (ocrData) => {
@@ -389,37 +443,16 @@ export default function OCRPage() {
       return;
     }
     
-    // Helper function to extract value from either location
-    const extractField = (data, fieldName) => {
-      // First try the new structure with field at root level
-      if (data[fieldName] && data[fieldName].value !== undefined) {
-        return data[fieldName].value || "";
-      }
-      // Then try the old structure with fields in output
-      else if (data.output && data.output[fieldName] && data.output[fieldName].value !== undefined) {
-        return data.output[fieldName].value || "";
-      }
-      // Finally return empty string if not found
-      return "";
-    };
+    const { output } = ocrData;
+    const headerValue = (fieldName) => (output[fieldName] && output[fieldName].value) || "";
     
-    // Set invoice header fields using the extract function
-    setNomorReferensi(extractField(ocrData, 'nomor_referensi'));
-    setNamaSupplier(extractField(ocrData, 'nama_supplier'));
-    setTglJatuhTempo(extractField(ocrData, 'tgl_jatuh_tempo'));
-    setTanggalFaktur(extractField(ocrData, 'tanggal_faktur'));
+    // Set invoice header fields
+    setNomorReferensi(headerValue('nomor_referensi'));
+    setNamaSupplier(headerValue('nama_supplier'));
+    setTglJatuhTempo(headerValue('tgl_jatuh_tempo'));
+    setTanggalFaktur(headerValue('tanggal_faktur'));
     
-    // Determine where the items array is located
-    let items = [];
-    
-    // Check for structure where items are in output.output.items (nested double output)
-    if (ocrData.output && ocrData.output.output && Array.isArray(ocrData.output.output.items)) {
-      items = ocrData.output.output.items;
-    }
-    // Check for structure where items are directly in output.items 
-    else if (ocrData.output && Array.isArray(ocrData.output.items)) {
-      items = ocrData.output.items;
-    }
+    const items = output.items;
     
     // Process the items if we found them
     if (items.length > 0) {
@@ -444,7 +477,9 @@ export default function OCRPage() {
           kenaikan_persen: ensureProperty(item.kenaikan_persen, 0),
           kenaikan_rp: ensureProperty(item.kenaikan_rp, 0),
           saran_margin_persen: ensureProperty(item.saran_margin_persen, 0),
-          saran_margin_rp: ensureProperty(item.saran_margin_rp, 0)
+          saran_margin_rp: ensureProperty(item.saran_margin_rp, 0),
+          // Halaman asal item pada PDF multi-halaman
+          ...(item.source_page ? { source_page: ensureProperty(item.source_page) } : {})
         };
       });
       
@@ -563,6 +598,14 @@ export default function OCRPage() {
     toast.success(`File "${fileToDelete.name}" berhasil dihapus`);
   };
 
+  // URL gambar hasil praproses untuk file pada index tertentu, null jika belum ada
+  const getProcessedImageUrl = (fileIndex) => {
+    const entry = Object.entries(fileDataMap).find(
+      ([, info]) => info.fileIndex === fileIndex && info.hasProcessedImage
+    );
+    return entry ? `${API_BASE_URL}/api/ocr/image/${entry[0]}?variant=processed` : null;
+  };
+
   // Handle next image navigation
   const handleNextImage = () => {
     if (currentFileIndex < files.length - 1) {
@@ -731,6 +774,14 @@ export default function OCRPage() {
               if (result && result.fileId) {
                 const fileId = result.fileId;
                 
+                // Beri tahu jika file ini sudah pernah disimpan sebagai invoice
+                if (Array.isArray(result.duplicates) && result.duplicates.length > 0) {
+                  toast(`${file.name} mirip dengan invoice ${result.duplicates.map(d => d.invoice_number).join(', ')} yang sudah tersimpan`, {
+                    icon: '⚠️',
+                    duration: 6000
+                  });
+                }
+                
                 // Tambahkan ke antrian pemrosesan - use a callback to ensure we get the latest state
                 setProcessingQueue(prev => {
                   // Check if this file is already in the queue
@@ -818,16 +869,12 @@ export default function OCRPage() {
       toast.error(`Terjadi kesalahan saat memproses file: ${error.message}`);
     } finally {
       setIsProcessing(false);
-      
-      // Mulai polling untuk status file
-      if (!statusPollingActive) {
-        setStatusPollingActive(true);
-      }
     }
   };
 
   // Fungsi handleSubmitData untuk menyimpan data OCR
-  const handleSubmitData = async () => {
+  // duplicateOptions berisi { duplicateAction, replaceInvoiceId } setelah pengguna memilih di dialog duplikat
+  const handleSubmitData = async (duplicateOptions = {}) => {
     if (!ocrResults) {
       toast.error('Tidak ada hasil OCR untuk disimpan');
       return;
@@ -853,11 +900,16 @@ export default function OCRPage() {
         }
       }
       
+      // ID antrian file ini, dipakai server untuk mengambil sidik jari file
+      const currentFileEntry = Object.entries(fileDataMap).find(([, info]) => info.fileIndex === currentFileIndex);
+      
       // Data yang akan dikirim - backend mengharapkan editedData
       const dataToSend = {
         originalData: ocrResults,  // Data OCR original
         editedData: ocrResults,    // Tambahkan editedData yang sama dengan ocrResults karena OCRResultsTable sudah mengupdate ocrResults
-        imageData: imageData       // Data gambar
+        imageData: imageData,      // Data gambar
+        fileId: currentFileEntry ? currentFileEntry[0] : undefined,
+        ...duplicateOptions
       };
       
       // Kirim data ke API
@@ -878,6 +930,15 @@ export default function OCRPage() {
           if (errorData && errorData.error && errorData.error.message) {
             errorMessage = errorData.error.message;
           }
+          // Tampilkan kesalahan perhitungan di tabel
+          if (errorData && errorData.error && errorData.error.validation) {
+            setValidation(errorData.error.validation);
+          }
+          // Invoice kemungkinan duplikat, minta pengguna memilih tindakan
+          if (response.status === 409 && errorData && errorData.error && errorData.error.duplicates) {
+            setDuplicateInvoices(errorData.error.duplicates);
+            return;
+          }
         } catch (e) {
           // Use default error message
         }
@@ -885,7 +946,8 @@ export default function OCRPage() {
       }
       
       await response.json();
-      toast.success('Data berhasil disimpan!');
+      setDuplicateInvoices(null);
+      toast.success(duplicateOptions.duplicateAction === 'replace' ? 'Invoice lama berhasil diganti!' : 'Data berhasil disimpan!');
       
     } catch (error) {
       toast.error(`Gagal menyimpan: ${error.message}`);
@@ -943,6 +1005,119 @@ export default function OCRPage() {
     });
   };
 
+  // Ulangi file yang gagal atau dibatalkan, opsional dengan provider lain
+  const handleRetryJob = async (item) => {
+    const provider = retryProviders[item.id] || undefined;
+    
+    try {
+      const response = await fetch(`${JOBS_API_ENDPOINT}/${item.id}/retry`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': API_TOKEN
+        },
+        body: JSON.stringify({ provider })
+      });
+      const result = await response.json().catch(() => ({}));
+      
+      if (!response.ok) {
+        toast.error(`Gagal mengulang file: ${result.message || response.status}`);
+        return;
+      }
+      
+      setProcessingQueue(prev => prev.map(queueItem => queueItem.id === item.id ? {
+        ...queueItem,
+        status: 'queued',
+        progress: 0,
+        stage: 'uploaded',
+        error: null
+      } : queueItem));
+      toast.success(`File ${item.name} diproses ulang${provider ? ` dengan ${provider}` : ''}`);
+    } catch (error) {
+      toast.error(`Gagal mengulang file: ${error.message}`);
+    }
+  };
+  
+  // Batalkan file yang masih dalam antrian atau sedang diproses
+  const handleCancelJob = async (item) => {
+    try {
+      const response = await fetch(`${JOBS_API_ENDPOINT}/${item.id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': API_TOKEN
+        }
+      });
+      const result = await response.json().catch(() => ({}));
+      
+      if (!response.ok) {
+        toast.error(`Gagal membatalkan file: ${result.message || response.status}`);
+        return;
+      }
+      
+      setProcessingQueue(prev => prev.map(queueItem => 
+        queueItem.id === item.id ? { ...queueItem, status: 'cancelled' } : queueItem
+      ));
+      toast.success(`Pemrosesan ${item.name} dibatalkan`);
+    } catch (error) {
+      toast.error(`Gagal membatalkan file: ${error.message}`);
+    }
+  };
+  
+  // Buka hasil job dari scanner/email: ambil file asli dari server dan tambahkan ke daftar file
+  const handleOpenServerJob = async (item) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/ocr/image/${item.id}`, {
+        headers: { 'Authorization': API_TOKEN }
+      });
+      
+      if (!response.ok) {
+        toast.error(`Gagal membuka file: ${response.status}`);
+        return;
+      }
+      
+      const blob = await response.blob();
+      const file = new File([blob], item.name, { type: blob.type });
+      const ocrData = normalizeOcrData(item.result && item.result.ocrData);
+      const fileIndex = files.length;
+      
+      // Isi nama supplier dari pengirim email jika OCR tidak menemukannya
+      const supplierMatch = item.sourceDetails && item.sourceDetails.supplier_match;
+      const ocrSupplier = ocrData.output.nama_supplier;
+      if (supplierMatch && !(ocrSupplier && ocrSupplier.value)) {
+        ocrData.output.nama_supplier = { value: supplierMatch.supplier_name, is_confident: false };
+      }
+      
+      setFiles(prev => [...prev, file]);
+      setFileDataMap(prev => ({
+        ...prev,
+        [item.id]: {
+          fileIndex,
+          fileName: item.name,
+          fileUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+          processed: true,
+          ocrData,
+          hasProcessedImage: item.hasProcessedImage
+        }
+      }));
+      setOcrResultsMap(prev => ({ ...prev, [fileIndex]: ocrData }));
+      setCurrentFileIndex(fileIndex);
+      setRotation(0);
+      setOcrResults(ocrData);
+      loadOcrData(ocrData);
+      setIsDataLoaded(true);
+      
+      setProcessingQueue(prev => prev.filter(queueItem => queueItem.id !== item.id));
+    } catch (error) {
+      toast.error(`Gagal membuka file: ${error.message}`);
+    }
+  };
+  
+  // Hapus file dari daftar antrian tanpa menghapus job di server
+  const handleDismissJob = (fileId) => {
+    setProcessingQueue(prev => prev.filter(item => item.id !== fileId));
+  };
+
   // Render the processing queue section
   const renderProcessingQueue = () => {
     if (processingQueue.length === 0) {
@@ -965,23 +1140,104 @@ export default function OCRPage() {
                 <span className={`text-xs px-2 py-1 rounded ${
                   item.status === 'completed' ? 'bg-green-100 text-green-800' : 
                   item.status === 'error' ? 'bg-red-100 text-red-800' :
+                  item.status === 'cancelled' ? 'bg-gray-200 text-gray-700' :
                   'bg-blue-100 text-blue-800'
                 }`}>
                   {item.status === 'queued' ? 'Dalam Antrian' : 
                    item.status === 'processing' ? 'Sedang Diproses' : 
-                   item.status === 'completed' ? 'Selesai' : 'Error'}
+                   item.status === 'completed' ? 'Selesai' :
+                   item.status === 'cancelled' ? 'Dibatalkan' : 'Error'}
                 </span>
               </div>
               
-              {/* Progress bar */}
-              {item.status !== 'completed' && item.status !== 'error' && (
-                <div className="w-full bg-gray-200 rounded-full h-2.5">
-                  <div 
-                    className="bg-blue-600 h-2.5 rounded-full transition-all duration-500 ease-in-out" 
-                    style={{ width: `${item.progress}%` }}
-                  ></div>
+              {SOURCE_LABELS[item.source] && (
+                <p className="text-xs text-gray-500 mb-2 truncate" title={item.sourceDetails?.subject || ''}>
+                  {SOURCE_LABELS[item.source]}
+                  {item.sourceDetails?.from ? `: ${item.sourceDetails.from}` : ''}
+                  {item.sourceDetails?.supplier_match ? ` (${item.sourceDetails.supplier_match.supplier_name})` : ''}
+                </p>
+              )}
+              
+              {/* Hasil job dari scanner/email dibuka di halaman ini */}
+              {item.status === 'completed' && SOURCE_LABELS[item.source] && (
+                <div className="flex items-center gap-2 mb-1">
+                  <button
+                    type="button"
+                    onClick={() => handleOpenServerJob(item)}
+                    className="text-xs px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                  >
+                    Buka
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDismissJob(item.id)}
+                    className="text-xs px-2 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+                  >
+                    Tutup
+                  </button>
+                </div>
+              )}
+              
+              {item.status === 'error' && item.error && (
+                <p className="text-xs text-red-600 mb-2 break-words">{item.error}</p>
+              )}
+              
+              {/* Tombol ulangi / batalkan */}
+              {(item.status === 'error' || item.status === 'cancelled') && (
+                <div className="flex items-center gap-2 mb-1">
+                  {ocrProviders.length > 0 && (
+                    <select
+                      className="text-xs border border-gray-300 rounded px-1 py-1 flex-1 min-w-0"
+                      value={retryProviders[item.id] || ''}
+                      onChange={(e) => setRetryProviders(prev => ({ ...prev, [item.id]: e.target.value }))}
+                      title="Provider OCR untuk percobaan berikutnya"
+                    >
+                      <option value="">Provider default</option>
+                      {ocrProviders.map(provider => (
+                        <option key={provider} value={provider}>{provider}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRetryJob(item)}
+                    className="text-xs px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                  >
+                    Ulangi
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDismissJob(item.id)}
+                    className="text-xs px-2 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+                  >
+                    Tutup
+                  </button>
                 </div>
               )}
+              
+              {/* Progress bar */}
+              {(item.status === 'queued' || item.status === 'processing') && (
+                <>
+                  <div className="w-full bg-gray-200 rounded-full h-2.5">
+                    <div 
+                      className="bg-blue-600 h-2.5 rounded-full transition-all duration-500 ease-in-out" 
+                      style={{ width: `${item.progress}%` }}
+                    ></div>
+                  </div>
+                  <div className="flex justify-between items-center mt-1">
+                    <p className="text-xs text-gray-500">
+                      {item.stage && STAGE_LABELS[item.stage] ? STAGE_LABELS[item.stage] : ''}
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => handleCancelJob(item)}
+                      className="text-xs text-red-600 hover:text-red-800 hover:underline"
+                    >
+                      Batalkan
+                    </button>
+                  </div>
+                </>
+              )}
             </div>
           ))}
         </div>
@@ -1045,6 +1301,7 @@ export default function OCRPage() {
                       {files[currentFileIndex] ? (
                         <ImagePreview
                           file={files[currentFileIndex]}
+                          processedImageUrl={getProcessedImageUrl(currentFileIndex)}
                           rotation={rotation}
                           onRotate={setRotation}
                           onNext={handleNextImage}
@@ -1110,8 +1367,9 @@ export default function OCRPage() {
                           </button>
                         </div>
                         <button
-                          onClick={handleSubmitData}
-                          disabled={isSaving || !ocrResults}
+                          onClick={() => handleSubmitData()}
+                          disabled={isSaving || !ocrResults || (validation && !validation.valid)}
+                          title={validation && !validation.valid ? `Perbaiki ${validation.errors} kesalahan perhitungan sebelum menyimpan` : undefined}
                           className="px-6 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 
                             focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 
                             disabled:opacity-50 disabled:cursor-not-allowed transition-all w-full"
@@ -1130,6 +1388,7 @@ export default function OCRPage() {
                       <OCRResultsTable 
                         data={ocrResults} 
                         onDataChange={handleDataChange}
+                        validation={validation}
                       />
                     ) : (
                       <div className="text-center py-8 text-gray-500">
@@ -1240,6 +1499,14 @@ export default function OCRPage() {
         onClose={() => setErrorModalOpen(false)}
         errorMessage={errorMessage}
       />
+      <DuplicateInvoiceModal
+        isOpen={!!duplicateInvoices}
+        duplicates={duplicateInvoices || []}
+        isSaving={isSaving}
+        onSaveAnyway={() => handleSubmitData({ duplicateAction: 'save_anyway' })}
+        onReplace={(invoiceId) => handleSubmitData({ duplicateAction: 'replace', replaceInvoiceId: invoiceId })}
+        onCancel={() => setDuplicateInvoices(null)}
+      />
     </div>
   )
 }
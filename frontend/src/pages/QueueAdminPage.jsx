@@ -0,0 +1,294 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { queueApi } from '../services/api';
+
+// Interval for refreshing the metrics and the list of queued jobs
+const REFRESH_INTERVAL_MS = 5000;
+
+// Metrics periods that can be selected
+const WINDOW_OPTIONS = [
+  { value: 1, label: '1 jam terakhir' },
+  { value: 24, label: '24 jam terakhir' },
+  { value: 168, label: '7 hari terakhir' }
+];
+
+// Format a duration in milliseconds for display
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+  return `${(ms / 60000).toFixed(1)} min`;
+};
+
+// Message of a failed API call
+const errorMessage = (error) => error.response?.data?.message || error.message;
+
+function MetricCard({ label, value, hint }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-gray-800 mt-1">{value}</p>
+      {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function QueueAdminPage() {
+  const [settings, setSettings] = useState(null);
+  const [metrics, setMetrics] = useState(null);
+  const [queuedJobs, setQueuedJobs] = useState([]);
+  const [windowHours, setWindowHours] = useState(24);
+  const [concurrencyInput, setConcurrencyInput] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [admin, jobs] = await Promise.all([
+        queueApi.getAdmin(windowHours),
+        queueApi.getJobs()
+      ]);
+      setSettings(admin.settings);
+      setMetrics(admin.metrics);
+      setQueuedJobs(
+        jobs
+          .filter(job => job.status === 'queued')
+          .sort((a, b) => (b.priority || 0) - (a.priority || 0) || new Date(a.queuedAt) - new Date(b.queuedAt))
+      );
+    } catch (error) {
+      toast.error(`Gagal memuat data antrian: ${errorMessage(error)}`);
+    }
+  }, [windowHours]);
+
+  useEffect(() => {
+    loadData();
+    const interval = setInterval(loadData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadData]);
+
+  // Show the current concurrency in the input until the user changes it
+  useEffect(() => {
+    if (settings && concurrencyInput === '') {
+      setConcurrencyInput(String(settings.concurrency));
+    }
+  }, [settings, concurrencyInput]);
+
+  const handleSaveConcurrency = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await queueApi.setConcurrency(parseInt(concurrencyInput, 10));
+      setSettings(response.settings);
+      toast.success(`Jumlah worker diubah menjadi ${response.settings.concurrency}`);
+    } catch (error) {
+      toast.error(errorMessage(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleTogglePause = async () => {
+    try {
+      const response = settings.paused ? await queueApi.resume() : await queueApi.pause();
+      setSettings(response.settings);
+      toast.success(response.settings.paused ? 'Antrian dijeda' : 'Antrian dilanjutkan');
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  const handleChangePriority = async (job, change) => {
+    try {
+      await queueApi.setPriority(job.id, (job.priority || 0) + change);
+      await loadData();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  if (!settings || !metrics) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center text-gray-500">
+        Memuat data antrian...
+      </div>
+    );
+  }
+
+  const { depth } = metrics;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Antrian OCR</h1>
+          <p className="text-gray-600 mt-2">Monitor and manage the OCR processing queue</p>
+        </div>
+        <select
+          value={windowHours}
+          onChange={(e) => setWindowHours(parseInt(e.target.value, 10))}
+          className="px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {WINDOW_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Metrics */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <MetricCard
+          label="Dalam antrian"
+          value={depth.waiting}
+          hint={`${depth.processing} diproses, ${depth.awaitingTrigger} menunggu Save Data`}
+        />
+        <MetricCard label="Rata-rata waktu tunggu" value={formatDuration(metrics.averageWaitMs)} />
+        <MetricCard label="Rata-rata waktu proses" value={formatDuration(metrics.averageProcessingMs)} />
+        <MetricCard
+          label="Tingkat keberhasilan"
+          value={metrics.successRate === null ? '-' : `${(metrics.successRate * 100).toFixed(1)}%`}
+          hint={`${metrics.completed} berhasil, ${metrics.failed} gagal, ${metrics.cancelled} dibatalkan`}
+        />
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        {/* Settings */}
+        <div className="w-full lg:w-1/3">
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-800">Pengaturan</h2>
+            </div>
+            <div className="p-4 space-y-6">
+              <div>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-700">Status</span>
+                  <span className={`px-2 py-1 text-xs rounded-full ${settings.paused ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+                    {settings.paused ? 'Dijeda' : 'Berjalan'}
+                  </span>
+                </div>
+                <button
+                  onClick={handleTogglePause}
+                  className={`mt-3 w-full px-4 py-2 rounded-md text-sm font-medium text-white ${settings.paused ? 'bg-green-600 hover:bg-green-700' : 'bg-yellow-500 hover:bg-yellow-600'}`}
+                >
+                  {settings.paused ? 'Lanjutkan Antrian' : 'Jeda Antrian'}
+                </button>
+                <p className="text-xs text-gray-400 mt-2">
+                  Saat dijeda, upload tetap diterima tetapi tidak ada job baru yang dimulai.
+                </p>
+              </div>
+
+              <form onSubmit={handleSaveConcurrency}>
+                <label className="block text-sm text-gray-700 mb-1">Jumlah worker</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min={1}
+                    max={settings.maxConcurrency}
+                    value={concurrencyInput}
+                    onChange={(e) => setConcurrencyInput(e.target.value)}
+                    className="w-24 px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={isSaving || parseInt(concurrencyInput, 10) === settings.concurrency}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Simpan
+                  </button>
+                </div>
+                <p className="text-xs text-gray-400 mt-2">
+                  Maksimal {settings.maxConcurrency}. Pengaturan kembali ke default saat server restart.
+                </p>
+              </form>
+            </div>
+          </div>
+        </div>
+
+        <div className="w-full lg:w-2/3 space-y-6">
+          {/* Queued jobs */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-800">Job dalam antrian ({queuedJobs.length})</h2>
+            </div>
+            {queuedJobs.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">Tidak ada job dalam antrian.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {queuedJobs.map(job => (
+                  <li key={job.id} className="px-4 py-3 flex items-center justify-between">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-800 truncate">{job.fileInfo?.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {job.dispatchedAt ? 'Menunggu worker' : 'Menunggu Save Data'}
+                        {job.provider && ` · ${job.provider}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 ml-4">
+                      <button
+                        onClick={() => handleChangePriority(job, -1)}
+                        disabled={(job.priority || 0) <= settings.priorityRange.min}
+                        className="w-7 h-7 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                        title="Turunkan prioritas"
+                      >
+                        -
+                      </button>
+                      <span className="w-8 text-center text-sm font-medium text-gray-800">{job.priority || 0}</span>
+                      <button
+                        onClick={() => handleChangePriority(job, 1)}
+                        disabled={(job.priority || 0) >= settings.priorityRange.max}
+                        className="w-7 h-7 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                        title="Naikkan prioritas"
+                      >
+                        +
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Provider latency */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-800">Latensi Provider</h2>
+            </div>
+            {metrics.providerLatency.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">Belum ada panggilan provider pada periode ini.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Provider', 'Panggilan', 'p50', 'p90', 'p95', 'p99'].map(header => (
+                      <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {header}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {metrics.providerLatency.map(row => (
+                    <tr key={row.provider}>
+                      <td className="px-4 py-2 text-sm text-gray-800">{row.provider}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{row.calls}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{formatDuration(row.p50)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{formatDuration(row.p90)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{formatDuration(row.p95)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{formatDuration(row.p99)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QueueAdminPage;
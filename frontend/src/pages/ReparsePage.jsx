@@ -0,0 +1,334 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { reparseApi } from '../services/api';
+
+// Maximum number of rows the server previews or applies at once
+const MAX_PREVIEW_ROWS = 200;
+
+// Label and colour of each re-parse status
+const STATUS_STYLES = {
+  unchanged: { label: 'Tidak berubah', className: 'bg-gray-100 text-gray-700' },
+  changed: { label: 'Berubah', className: 'bg-blue-100 text-blue-800' },
+  invalid: { label: 'Tidak valid', className: 'bg-red-100 text-red-800' },
+  unlinked: { label: 'Tanpa invoice', className: 'bg-yellow-100 text-yellow-800' },
+  stale: { label: 'Kedaluwarsa', className: 'bg-orange-100 text-orange-800' },
+  locked: { label: 'Terkunci', className: 'bg-purple-100 text-purple-800' }
+};
+
+// Message of a failed API call
+const errorMessage = (error) => error.response?.data?.error?.message || error.response?.data?.message || error.message;
+
+// Format a before or after value of a change for display
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  if (typeof value === 'object') {
+    return value.product_name || value.product_code || JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Read a list of IDs typed as "1, 2, 5-8"
+const parseIds = (text) => {
+  const ids = [];
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const range = part.match(/^(\d+)-(\d+)$/);
+    if (range) {
+      for (let id = parseInt(range[1], 10); id <= parseInt(range[2], 10); id++) {
+        ids.push(id);
+      }
+    } else if (/^\d+$/.test(part)) {
+      ids.push(parseInt(part, 10));
+    }
+  }
+  return Array.from(new Set(ids));
+};
+
+function MetricCard({ label, value, hint }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-gray-800 mt-1">{value}</p>
+      {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function StatusBadge({ status }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.unchanged;
+  return <span className={`px-2 py-1 text-xs rounded-full ${style.className}`}>{style.label}</span>;
+}
+
+function ReparsePage() {
+  const [report, setReport] = useState(null);
+  const [isLoadingReport, setIsLoadingReport] = useState(false);
+  const [idsInput, setIdsInput] = useState('');
+  const [preview, setPreview] = useState([]);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [applyResults, setApplyResults] = useState([]);
+
+  const handleLoadReport = async () => {
+    setIsLoadingReport(true);
+    try {
+      setReport(await reparseApi.getReport());
+    } catch (error) {
+      toast.error(`Gagal membuat laporan: ${errorMessage(error)}`);
+    } finally {
+      setIsLoadingReport(false);
+    }
+  };
+
+  const runPreview = async (ids) => {
+    if (ids.length === 0) {
+      toast.error('Masukkan minimal satu ID raw OCR data');
+      return;
+    }
+    setIsPreviewing(true);
+    setApplyResults([]);
+    try {
+      const results = await reparseApi.preview(ids);
+      setPreview(results);
+      if (results.length < ids.length) {
+        toast(`${ids.length - results.length} ID tidak ditemukan`);
+      }
+    } catch (error) {
+      toast.error(`Gagal membuat preview: ${errorMessage(error)}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    runPreview(parseIds(idsInput));
+  };
+
+  // Preview every row of the report that would change
+  const handlePreviewChanged = () => {
+    const ids = report.rows.filter(row => row.status === 'changed').map(row => row.id).slice(0, MAX_PREVIEW_ROWS);
+    setIdsInput(ids.join(', '));
+    runPreview(ids);
+  };
+
+  const changedRows = preview.filter(row => row.status === 'changed');
+
+  const handleApply = async () => {
+    const changeCount = changedRows.reduce((count, row) => count + row.changes.length, 0);
+    if (!window.confirm(`Terapkan ${changeCount} perubahan pada ${changedRows.length} invoice? Perubahan ini tidak dapat dibatalkan.`)) {
+      return;
+    }
+
+    setIsApplying(true);
+    try {
+      const response = await reparseApi.apply(changedRows.map(row => ({ id: row.id, checksum: row.checksum })));
+      setApplyResults(response.data);
+      setPreview([]);
+      toast.success(`${response.applied} invoice diperbarui`);
+      if (report) {
+        await handleLoadReport();
+      }
+    } catch (error) {
+      toast.error(`Gagal menerapkan perubahan: ${errorMessage(error)}`);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Proses Ulang OCR</h1>
+        <p className="text-gray-600 mt-2">
+          Re-parse stored raw OCR data with the current normalizer and validation rules
+        </p>
+      </div>
+
+      {/* Dry-run report */}
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-800">Laporan Dry-run</h2>
+          <button
+            onClick={handleLoadReport}
+            disabled={isLoadingReport}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isLoadingReport ? 'Memproses...' : 'Buat Laporan'}
+          </button>
+        </div>
+        {!report ? (
+          <p className="p-4 text-sm text-gray-500">
+            Laporan memproses ulang seluruh raw OCR data tanpa mengubah invoice apa pun.
+          </p>
+        ) : (
+          <div className="p-4 space-y-4">
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <MetricCard label="Total data" value={report.total} hint={`Dibuat ${new Date(report.generated_at).toLocaleString('id-ID')}`} />
+              <MetricCard label="Akan berubah" value={report.counts.changed} />
+              <MetricCard label="Tidak valid" value={report.counts.invalid} />
+              <MetricCard label="Tanpa invoice" value={report.counts.unlinked} hint={`${report.counts.unchanged} tidak berubah`} />
+            </div>
+
+            {Object.keys(report.fields).length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Kolom yang berubah</h3>
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(report.fields).sort((a, b) => b[1] - a[1]).map(([field, count]) => (
+                    <span key={field} className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700">
+                      {field}: {count}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {report.rows.length > 0 && (
+              <>
+                <div className="max-h-72 overflow-y-auto border border-gray-200 rounded">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        {['ID', 'Invoice', 'Status', 'Kolom', 'Catatan'].map(header => (
+                          <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {header}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {report.rows.map(row => (
+                        <tr key={row.id}>
+                          <td className="px-4 py-2 text-sm text-gray-800">{row.id}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600">{row.invoice_number || '-'}</td>
+                          <td className="px-4 py-2 text-sm"><StatusBadge status={row.status} /></td>
+                          <td className="px-4 py-2 text-sm text-gray-600">{row.changed_fields.join(', ') || '-'}</td>
+                          <td className="px-4 py-2 text-xs text-gray-500">
+                            {row.schema_errors > 0 && `${row.schema_errors} kesalahan format. `}
+                            {row.validation_errors > 0 && `${row.validation_errors} kesalahan perhitungan.`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {report.counts.changed > 0 && (
+                  <button
+                    onClick={handlePreviewChanged}
+                    disabled={isPreviewing}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-blue-700 border border-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    Preview semua yang berubah
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Preview */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-800">Preview Perubahan</h2>
+        </div>
+        <div className="p-4 space-y-4">
+          <form onSubmit={handlePreview} className="flex gap-2">
+            <input
+              type="text"
+              value={idsInput}
+              onChange={(e) => setIdsInput(e.target.value)}
+              placeholder="ID raw OCR data, contoh: 12, 15, 20-25"
+              className="flex-1 px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isPreviewing}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isPreviewing ? 'Memproses...' : 'Preview'}
+            </button>
+          </form>
+
+          {preview.map(row => (
+            <div key={row.id} className="border border-gray-200 rounded">
+              <div className="px-3 py-2 bg-gray-50 flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-800">
+                  #{row.id} · {row.invoice_number || 'Tanpa nomor'}
+                  {row.template && <span className="ml-2 text-xs font-normal text-gray-500">template {row.template}</span>}
+                </span>
+                <StatusBadge status={row.status} />
+              </div>
+              {row.schema_errors.length > 0 && (
+                <ul className="px-3 py-2 text-xs text-red-700 list-disc list-inside">
+                  {row.schema_errors.map((error, index) => (
+                    <li key={index}>{error.path}: {error.message}</li>
+                  ))}
+                </ul>
+              )}
+              {row.validation && row.validation.errors > 0 && (
+                <ul className="px-3 py-2 text-xs text-red-700 list-disc list-inside">
+                  {row.validation.issues.filter(issue => issue.severity === 'error').map((issue, index) => (
+                    <li key={index}>{issue.message}</li>
+                  ))}
+                </ul>
+              )}
+              {row.changes.length > 0 ? (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead>
+                    <tr>
+                      {['Kolom', 'Sebelum', 'Sesudah'].map(header => (
+                        <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {row.changes.map(change => (
+                      <tr key={change.field}>
+                        <td className="px-3 py-1 text-sm text-gray-700 font-mono">{change.field}</td>
+                        <td className="px-3 py-1 text-sm text-red-700 line-through">{formatValue(change.before)}</td>
+                        <td className="px-3 py-1 text-sm text-green-700">{formatValue(change.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                row.status === 'unchanged' && <p className="px-3 py-2 text-sm text-gray-500">Invoice sudah sesuai dengan hasil proses ulang.</p>
+              )}
+            </div>
+          ))}
+
+          {changedRows.length > 0 && (
+            <button
+              onClick={handleApply}
+              disabled={isApplying}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+            >
+              {isApplying ? 'Menerapkan...' : `Terapkan ke ${changedRows.length} invoice`}
+            </button>
+          )}
+
+          {applyResults.length > 0 && (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+              {applyResults.map(result => (
+                <li key={result.id} className="px-3 py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-800">
+                    #{result.id} · {result.invoice_number || 'Tanpa nomor'}
+                    {result.reason && <span className="text-xs text-gray-500 ml-2">{result.reason}</span>}
+                  </span>
+                  {result.applied
+                    ? <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Diterapkan</span>
+                    : <StatusBadge status={result.status} />}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReparsePage;
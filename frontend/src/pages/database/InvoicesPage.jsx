@@ -1,111 +1,116 @@
-import { useState, useEffect } from 'react';
-import { Tab } from '@headlessui/react';
+import { useState, useEffect, useCallback } from 'react';
 import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { invoiceApi, ACTOR_STORAGE_KEY } from '../../services/api';
+import InvoiceStatusBadge from '../../components/InvoiceStatusBadge';
+import InvoiceSearchFilters from '../../components/InvoiceSearchFilters';
+import InvoiceExportPanel from '../../components/InvoiceExportPanel';
+import { EMPTY_INVOICE_FILTERS, toSearchParams } from '../../utils/invoiceSearch';
+import { INVOICE_TRANSITIONS, isCreditDocument } from '../../utils/invoiceStatus';
 
-// Mock data for testing - will be replaced with API calls
-const mockInvoices = [
-  {
-    id: 1,
-    invoice_number: "SSP318905",
-    supplier_name: "PT SUKSES SEJATI PERKASA",
-    date: "2025-02-26",
-    due_date: "2025-03-05",
-    total_amount: 17423388,
-    status: "processed",
-    edited: true,
-    created_at: "2025-03-30T14:23:45Z"
-  },
-  {
-    id: 2,
-    invoice_number: "INV/2025/03/001",
-    supplier_name: "CV MITRA ABADI",
-    date: "2025-03-15",
-    due_date: "2025-04-15",
-    total_amount: 8750000,
-    status: "processed",
-    edited: false,
-    created_at: "2025-03-29T09:12:30Z"
-  },
-  {
-    id: 3,
-    invoice_number: "FKT/2025/123",
-    supplier_name: "PT SENTOSA JAYA",
-    date: "2025-03-10",
-    due_date: "2025-04-10",
-    total_amount: 12450000,
-    status: "processed",
-    edited: true,
-    created_at: "2025-03-28T16:45:20Z"
-  },
-  {
-    id: 4,
-    invoice_number: "INV-2025-0456",
-    supplier_name: "PT MAKMUR SEJAHTERA",
-    date: "2025-03-05",
-    due_date: "2025-04-05",
-    total_amount: 5678900,
-    status: "processed",
-    edited: true,
-    created_at: "2025-03-27T11:30:15Z"
-  },
-  {
-    id: 5,
-    invoice_number: "F-2025-789",
-    supplier_name: "CV BERKAH UTAMA",
-    date: "2025-03-01",
-    due_date: "2025-03-31",
-    total_amount: 3456000,
-    status: "processed",
-    edited: false,
-    created_at: "2025-03-26T13:20:10Z"
-  }
-];
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ');
 }
 
+// Total of an invoice from its lines
+const invoiceTotal = (invoice) => (invoice.items || []).reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0);
+
+// Message of a failed API call, with the failed rules of a refused transition
+const errorMessage = (error) => {
+  const data = error.response?.data?.error;
+  const details = Array.isArray(data?.details) ? `: ${data.details.join('; ')}` : '';
+  return data?.message ? `${data.message}${details}` : error.message;
+};
+
 export default function InvoicesPage() {
-  const [selectedTab, setSelectedTab] = useState(0);
   const [invoices, setInvoices] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState(EMPTY_INVOICE_FILTERS);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [selectedInvoice, setSelectedInvoice] = useState(null);
   const [viewMode, setViewMode] = useState('edited'); // 'edited' or 'raw'
+  const [transitioning, setTransitioning] = useState(null);
+  const [creditDocuments, setCreditDocuments] = useState([]);
+  const [downloading, setDownloading] = useState(null);
+
+  // Fetch the first page of invoices matching the filters
+  const fetchInvoices = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await invoiceApi.search(toSearchParams(filters));
+      const data = response?.data || [];
+      setInvoices(data);
+      setPageInfo(response?.page_info || null);
+      setSelectedInvoice(current => (current ? data.find(invoice => invoice.id === current.id) || null : null));
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      toast.error(`Gagal mencari invoice: ${errorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    const timeout = setTimeout(fetchInvoices, 300);
+    return () => clearTimeout(timeout);
+  }, [fetchInvoices]);
+
+  // Append the next page of results
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const response = await invoiceApi.search(toSearchParams(filters, pageInfo.next_cursor));
+      setInvoices(current => [...current, ...(response?.data || [])]);
+      setPageInfo(response?.page_info || null);
+    } catch (error) {
+      toast.error(`Gagal memuat invoice: ${errorMessage(error)}`);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
 
-  // Fetch invoices data
+  // Load the returns and credit notes of the selected invoice
+  const selectedId = selectedInvoice && !isCreditDocument(selectedInvoice.document_type) ? selectedInvoice.id : null;
   useEffect(() => {
-    // Simulate API call
-    const fetchInvoices = async () => {
-      try {
-        setIsLoading(true);
-        // In a real app, this would be an API call
-        // const response = await fetch('/api/invoices');
-        // const data = await response.json();
-        
-        // Using mock data for now
-        setTimeout(() => {
-          setInvoices(mockInvoices);
-          setIsLoading(false);
-        }, 800); // Simulate network delay
-      } catch (error) {
-        console.error('Error fetching invoices:', error);
-        setIsLoading(false);
-      }
-    };
+    setCreditDocuments([]);
+    if (!selectedId) return;
+    invoiceApi.getCredits(selectedId)
+      .then(response => setCreditDocuments(response?.data || []))
+      .catch(() => setCreditDocuments([]));
+  }, [selectedId]);
 
-    fetchInvoices();
-  }, []);
+  // Run a status transition on the selected invoice
+  const handleTransition = async (action) => {
+    // The API refuses status changes from an unnamed user
+    if (!window.localStorage.getItem(ACTOR_STORAGE_KEY)) {
+      toast.error('Isi "Nama Anda" di panel Riwayat pada form edit invoice sebelum mengubah status');
+      return;
+    }
+    setTransitioning(action);
+    try {
+      const response = await invoiceApi.transition(selectedInvoice.id, action);
+      toast.success(response.message || 'Status invoice diperbarui');
+      await fetchInvoices();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    } finally {
+      setTransitioning(null);
+    }
+  };
 
-  // Filter invoices based on search term
-  const filteredInvoices = invoices.filter(invoice => {
-    const searchLower = searchTerm.toLowerCase();
-    return (
-      invoice.invoice_number.toLowerCase().includes(searchLower) ||
-      invoice.supplier_name.toLowerCase().includes(searchLower) ||
-      invoice.status.toLowerCase().includes(searchLower)
-    );
-  });
+  // Download the selected invoice as a PDF; variant 'invoice' or 'goods_received'
+  const handleDownloadPdf = async (variant) => {
+    setDownloading(variant);
+    try {
+      await invoiceApi.downloadPdf(selectedInvoice.id, variant);
+    } catch (error) {
+      toast.error(`Gagal membuat PDF: ${errorMessage(error)}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
 
   // Handle invoice selection
   const handleInvoiceSelect = (invoice) => {
@@ -137,36 +142,27 @@ export default function InvoicesPage() {
         <p className="text-gray-600 mt-2">View and manage all processed invoices</p>
       </div>
 
-      <div className="mb-6">
-        <div className="relative">
-          <input
-            type="text"
-            className="w-full px-4 py-2 pl-10 pr-4 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Search invoices by number, supplier, or status..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-          <div className="absolute left-3 top-2.5 text-gray-400">
-            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-              <path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd" />
-            </svg>
-          </div>
-        </div>
+      <div className="mb-6 space-y-3">
+        <InvoiceSearchFilters filters={filters} onChange={setFilters} />
+        <InvoiceExportPanel filters={filters} total={pageInfo ? pageInfo.total : null} />
       </div>
 
       <div className="flex flex-col lg:flex-row gap-6">
         {/* Invoices List */}
         <div className="w-full lg:w-1/2">
           <div className="bg-white rounded-lg shadow overflow-hidden">
-            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
               <h2 className="text-lg font-medium text-gray-800">Invoices</h2>
+              {pageInfo && (
+                <span className="text-sm text-gray-500">{invoices.length} dari {pageInfo.total}</span>
+              )}
             </div>
             
             {isLoading ? (
               <div className="flex justify-center items-center h-64">
                 <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
               </div>
-            ) : filteredInvoices.length === 0 ? (
+            ) : invoices.length === 0 ? (
               <div className="p-4 text-center text-gray-500">
                 No invoices found matching your search criteria.
               </div>
@@ -193,7 +189,7 @@ export default function InvoicesPage() {
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
-                    {filteredInvoices.map((invoice) => (
+                    {invoices.map((invoice) => (
                       <tr 
                         key={invoice.id} 
                         onClick={() => handleInvoiceSelect(invoice)}
@@ -214,24 +210,30 @@ export default function InvoicesPage() {
                           <div className="text-sm text-gray-900">{invoice.supplier_name}</div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm text-gray-900">{formatDate(invoice.date)}</div>
+                          <div className="text-sm text-gray-900">{formatDate(invoice.invoice_date)}</div>
                           <div className="text-sm text-gray-500">Due: {formatDate(invoice.due_date)}</div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {formatCurrency(invoice.total_amount)}
+                          {formatCurrency(invoiceTotal(invoice))}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={classNames(
-                            "px-2 inline-flex text-xs leading-5 font-semibold rounded-full",
-                            invoice.edited ? "bg-green-100 text-green-800" : "bg-blue-100 text-blue-800"
-                          )}>
-                            {invoice.edited ? "Edited" : "Original"}
-                          </span>
+                          <InvoiceStatusBadge status={invoice.status} />
                         </td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
+                {pageInfo?.has_more && (
+                  <div className="p-3 text-center border-t border-gray-200">
+                    <button
+                      onClick={loadMore}
+                      disabled={isLoadingMore}
+                      className="px-4 py-2 rounded-md text-sm font-medium text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      {isLoadingMore ? 'Memuat...' : 'Muat lebih banyak'}
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -288,10 +290,26 @@ export default function InvoicesPage() {
                   <div>
                     <h3 className="text-xl font-bold text-gray-800">{selectedInvoice.invoice_number}</h3>
                     <p className="text-gray-600">{selectedInvoice.supplier_name}</p>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <InvoiceStatusBadge status={selectedInvoice.status} />
+                      {(INVOICE_TRANSITIONS[selectedInvoice.status] || []).map(({ action, label }) => (
+                        <button
+                          key={action}
+                          onClick={() => handleTransition(action)}
+                          disabled={transitioning !== null}
+                          className={classNames(
+                            "px-3 py-1 rounded text-xs font-medium disabled:opacity-50",
+                            action === 'reopen' ? "bg-gray-200 text-gray-700 hover:bg-gray-300" : "bg-blue-600 text-white hover:bg-blue-700"
+                          )}
+                        >
+                          {transitioning === action ? 'Memproses...' : label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
                   <div className="text-right">
                     <div className="text-sm text-gray-500">Invoice Date</div>
-                    <div className="font-medium">{formatDate(selectedInvoice.date)}</div>
+                    <div className="font-medium">{formatDate(selectedInvoice.invoice_date)}</div>
                     <div className="text-sm text-gray-500 mt-2">Due Date</div>
                     <div className="font-medium">{formatDate(selectedInvoice.due_date)}</div>
                   </div>
@@ -310,15 +328,27 @@ export default function InvoicesPage() {
                       <div className="mt-4 space-y-3">
                         <div className="flex justify-between">
                           <span className="text-gray-600">Total Amount:</span>
-                          <span className="font-medium">{formatCurrency(selectedInvoice.total_amount)}</span>
+                          <span className="font-medium">{formatCurrency(invoiceTotal(selectedInvoice))}</span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-gray-600">Status:</span>
-                          <span className="font-medium">{selectedInvoice.status}</span>
+                          <InvoiceStatusBadge status={selectedInvoice.status} />
                         </div>
+                        {isCreditDocument(selectedInvoice.document_type) && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">{selectedInvoice.document_type} untuk Invoice:</span>
+                            <span className="font-medium">#{selectedInvoice.reference_invoice_id || '-'}</span>
+                          </div>
+                        )}
+                        {selectedInvoice.credited_amount > 0 && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Dikreditkan:</span>
+                            <span className="font-medium">-{formatCurrency(selectedInvoice.credited_amount)}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">Last Edited:</span>
-                          <span className="font-medium">{formatDate(selectedInvoice.created_at)}</span>
+                          <span className="font-medium">{formatDate(selectedInvoice.updated_at)}</span>
                         </div>
                       </div>
                       
@@ -335,33 +365,53 @@ export default function InvoicesPage() {
                               </tr>
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
-                              {/* Placeholder items - would be populated from actual data */}
-                              <tr>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">MILO ACTIV-GO UHT Cabk 110ml/36</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">5 CTN</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp95.570</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp477.850</td>
-                              </tr>
-                              <tr>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">MILO ACTIV-GO UHT Cabk 180ml/36</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">5 CTN</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp163.490</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp817.450</td>
-                              </tr>
-                              <tr>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">DANCOW Coklat Fortigro UHT36x110ml/36</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">5 CTN</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp95.200</td>
-                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Rp476.000</td>
-                              </tr>
+                              {(selectedInvoice.items || []).map((item, index) => (
+                                <tr key={item.id || index}>
+                                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{item.product_name}</td>
+                                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{item.quantity} {item.unit}</td>
+                                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{formatCurrency(item.price || 0)}</td>
+                                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{formatCurrency(item.total || 0)}</td>
+                                </tr>
+                              ))}
                             </tbody>
                           </table>
                         </div>
                       </div>
                       
-                      <div className="mt-6 text-right">
-                        <button className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors">
-                          Export PDF
+                      {creditDocuments.length > 0 && (
+                        <div className="mt-6">
+                          <h5 className="font-medium text-gray-700 mb-2">Retur &amp; Nota Kredit</h5>
+                          <ul className="bg-white rounded border border-gray-200 divide-y divide-gray-200">
+                            {creditDocuments.map(document => (
+                              <li key={document.id} className="px-3 py-2 flex items-center justify-between text-sm">
+                                <span className="text-gray-900">
+                                  {document.invoice_number}
+                                  <span className="text-gray-500"> · {document.document_type} · {formatDate(document.invoice_date)}</span>
+                                </span>
+                                <span className="flex items-center gap-2">
+                                  <span className="font-medium text-gray-900">-{formatCurrency(document.total_amount)}</span>
+                                  <InvoiceStatusBadge status={document.status} />
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      
+                      <div className="mt-6 flex justify-end gap-2">
+                        <button
+                          onClick={() => handleDownloadPdf('goods_received')}
+                          disabled={downloading !== null}
+                          className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors disabled:opacity-50"
+                        >
+                          {downloading === 'goods_received' ? 'Membuat PDF...' : 'Tanda Terima Barang'}
+                        </button>
+                        <button
+                          onClick={() => handleDownloadPdf('invoice')}
+                          disabled={downloading !== null}
+                          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                          {downloading === 'invoice' ? 'Membuat PDF...' : 'Export PDF'}
                         </button>
                       </div>
                     </div>
@@ -376,9 +426,9 @@ export default function InvoicesPage() {
 {`{
   "invoice_number": "${selectedInvoice.invoice_number}",
   "supplier_name": "${selectedInvoice.supplier_name}",
-  "date": "${selectedInvoice.date}",
+  "invoice_date": "${selectedInvoice.invoice_date}",
   "due_date": "${selectedInvoice.due_date}",
-  "total_amount": ${selectedInvoice.total_amount},
+  "total_amount": ${invoiceTotal(selectedInvoice)},
   "status": "${selectedInvoice.status}",
   "items": [
     {
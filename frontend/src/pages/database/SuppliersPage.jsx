@@ -0,0 +1,524 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { supplierApi } from '../../services/api';
+
+// Empty supplier form; aliases are edited one per line, template maps as one "from=to" pair per line
+const EMPTY_FORM = {
+  code: '',
+  name: '',
+  aliases: '',
+  npwp: '',
+  address: '',
+  payment_terms_days: '',
+  include_tax: '',
+  template_header_fields: '',
+  template_item_fields: '',
+  template_column_order: '',
+  template_unit_aliases: '',
+  template_date_format: '',
+  template_invoice_number_pattern: '',
+  template_include_vat: ''
+};
+
+// Item columns in the order OCR reads them, shown as the example of a column order
+const DEFAULT_COLUMN_ORDER = 'kode_barang_invoice, nama_barang_invoice, qty, satuan, harga_satuan, harga_bruto, diskon_persen, diskon_rp, jumlah_netto';
+
+// Labels of the default PPN setting
+const TAX_OPTIONS = [
+  { value: '', label: 'Ikuti invoice' },
+  { value: 'true', label: 'Harga termasuk PPN' },
+  { value: 'false', label: 'Harga belum termasuk PPN' }
+];
+
+// Labels of the ways a name is matched to a supplier
+const MATCH_TYPES = {
+  name: 'nama resmi',
+  alias: 'alias',
+  fuzzy: 'kemiripan'
+};
+
+// "from=to" lines of a map
+const formatPairs = (map) => Object.entries(map || {}).map(([from, to]) => `${from}=${to}`).join('\n');
+
+// Map of "from=to" lines; lines without "=" are ignored
+const parsePairs = (text) => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([from, to]) => [from.trim(), to.trim()])
+);
+
+// Message of a failed API call
+const errorMessage = (error) => error.response?.data?.error?.message || error.message;
+
+// Form values of a supplier
+const toForm = (supplier) => {
+  const template = supplier.template || {};
+  return {
+    code: supplier.code || '',
+    name: supplier.name || '',
+    aliases: (supplier.aliases || []).join('\n'),
+    npwp: supplier.npwp || '',
+    address: supplier.address || '',
+    payment_terms_days: supplier.payment_terms_days === null ? '' : String(supplier.payment_terms_days),
+    include_tax: supplier.include_tax === null ? '' : String(supplier.include_tax),
+    template_header_fields: formatPairs(template.header_fields),
+    template_item_fields: formatPairs(template.item_fields),
+    template_column_order: (template.column_order || []).join(', '),
+    template_unit_aliases: formatPairs(template.unit_aliases),
+    template_date_format: template.date_format || '',
+    template_invoice_number_pattern: template.invoice_number_pattern || '',
+    template_include_vat: typeof template.include_vat === 'boolean' ? String(template.include_vat) : ''
+  };
+};
+
+// Request body of the form values; the server stores a template without rules as null
+const toRequest = (form) => ({
+  code: form.code.trim() || undefined,
+  name: form.name.trim(),
+  aliases: form.aliases.split('\n').map(alias => alias.trim()).filter(Boolean),
+  npwp: form.npwp.trim() || null,
+  address: form.address.trim() || null,
+  payment_terms_days: form.payment_terms_days === '' ? null : parseInt(form.payment_terms_days, 10),
+  include_tax: form.include_tax === '' ? null : form.include_tax === 'true',
+  template: {
+    header_fields: parsePairs(form.template_header_fields),
+    item_fields: parsePairs(form.template_item_fields),
+    column_order: form.template_column_order.split(',').map(column => column.trim()).filter(Boolean),
+    unit_aliases: parsePairs(form.template_unit_aliases),
+    date_format: form.template_date_format.trim() || null,
+    invoice_number_pattern: form.template_invoice_number_pattern.trim() || null,
+    include_vat: form.template_include_vat === '' ? null : form.template_include_vat === 'true'
+  }
+});
+
+const inputClass = 'w-full px-3 py-2 rounded-md border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+function SuppliersPage() {
+  const [suppliers, setSuppliers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [editingId, setEditingId] = useState(null); // null: no form, 'new' or a supplier ID
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [matchName, setMatchName] = useState('');
+  const [matchResult, setMatchResult] = useState(undefined);
+
+  const loadSuppliers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setSuppliers(await supplierApi.getAll(searchTerm.trim()));
+    } catch (error) {
+      toast.error(`Gagal memuat supplier: ${errorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [searchTerm]);
+
+  useEffect(() => {
+    const timeout = setTimeout(loadSuppliers, 300);
+    return () => clearTimeout(timeout);
+  }, [loadSuppliers]);
+
+  // Drop selections of suppliers that are no longer listed
+  useEffect(() => {
+    setSelectedIds(ids => ids.filter(id => suppliers.some(supplier => supplier.id === id)));
+  }, [suppliers]);
+
+  useEffect(() => {
+    if (!selectedIds.includes(Number(mergeTargetId))) {
+      setMergeTargetId(selectedIds.length > 0 ? String(selectedIds[0]) : '');
+    }
+  }, [selectedIds, mergeTargetId]);
+
+  const openForm = (supplier) => {
+    setEditingId(supplier ? supplier.id : 'new');
+    setForm(supplier ? toForm(supplier) : EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Nama supplier wajib diisi');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = editingId === 'new'
+        ? await supplierApi.create(toRequest(form))
+        : await supplierApi.update(editingId, toRequest(form));
+      toast.success(response.message || 'Supplier disimpan');
+      setEditingId(null);
+      await loadSuppliers();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Hapus supplier ${supplier.name}?`)) {
+      return;
+    }
+    try {
+      await supplierApi.delete(supplier.id);
+      toast.success('Supplier dihapus');
+      if (editingId === supplier.id) {
+        setEditingId(null);
+      }
+      await loadSuppliers();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]));
+  };
+
+  const handleMerge = async () => {
+    const target = suppliers.find(supplier => supplier.id === Number(mergeTargetId));
+    const sourceIds = selectedIds.filter(id => id !== Number(mergeTargetId));
+    if (!target || sourceIds.length === 0) {
+      return;
+    }
+    if (!window.confirm(`Gabungkan ${sourceIds.length} supplier ke ${target.name}? Supplier lain akan dihapus.`)) {
+      return;
+    }
+
+    try {
+      const response = await supplierApi.merge(target.id, sourceIds);
+      toast.success(`${response.message}: ${response.data.invoices} invoice, ${response.data.products} produk dipindahkan`);
+      setSelectedIds([]);
+      await loadSuppliers();
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  const handleMatch = async (e) => {
+    e.preventDefault();
+    if (!matchName.trim()) {
+      return;
+    }
+    try {
+      setMatchResult(await supplierApi.match(matchName.trim()));
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  };
+
+  const selectedSuppliers = suppliers.filter(supplier => selectedIds.includes(supplier.id));
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Supplier</h1>
+          <p className="text-gray-600 mt-2">Supplier master with aliases, payment terms, PPN defaults and OCR templates</p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Cari kode, nama, alias atau NPWP..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-72 px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={() => openForm(null)}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Tambah Supplier
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        <div className="w-full lg:w-2/3 space-y-4">
+          {/* Merge */}
+          {selectedSuppliers.length > 1 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex flex-wrap items-center gap-3">
+              <span className="text-sm text-yellow-800">{selectedSuppliers.length} supplier dipilih. Gabungkan ke:</span>
+              <select
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+                className="px-3 py-1 rounded-md border border-gray-300 text-sm"
+              >
+                {selectedSuppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.code} - {supplier.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleMerge}
+                className="px-3 py-1 rounded-md text-sm font-medium text-white bg-yellow-600 hover:bg-yellow-700"
+              >
+                Gabungkan
+              </button>
+            </div>
+          )}
+
+          {/* Supplier list */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {isLoading ? (
+              <p className="p-6 text-center text-gray-500">Memuat supplier...</p>
+            ) : suppliers.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">Belum ada supplier.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['', 'Kode', 'Nama', 'Termin', 'Invoice', 'Produk', ''].map((header, index) => (
+                      <th key={index} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {header}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {suppliers.map(supplier => (
+                    <tr key={supplier.id} className={editingId === supplier.id ? 'bg-blue-50' : ''}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(supplier.id)}
+                          onChange={() => toggleSelected(supplier.id)}
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600 whitespace-nowrap">{supplier.code}</td>
+                      <td className="px-4 py-2 text-sm text-gray-800">
+                        <div className="font-medium">
+                          {supplier.name}
+                          {supplier.template && (
+                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-normal bg-green-100 text-green-800">Template OCR</span>
+                          )}
+                        </div>
+                        {supplier.aliases.length > 0 && (
+                          <div className="text-xs text-gray-500">{supplier.aliases.join(' · ')}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600 whitespace-nowrap">
+                        {supplier.payment_terms_days === null ? '-' : `${supplier.payment_terms_days} hari`}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{supplier.invoice_count}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{supplier.product_count}</td>
+                      <td className="px-4 py-2 text-sm whitespace-nowrap text-right">
+                        <button onClick={() => openForm(supplier)} className="text-blue-600 hover:text-blue-800 mr-3">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(supplier)} className="text-red-600 hover:text-red-800">
+                          Hapus
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        <div className="w-full lg:w-1/3 space-y-6">
+          {/* Create and edit */}
+          {editingId !== null && (
+            <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-800">
+                  {editingId === 'new' ? 'Supplier Baru' : 'Edit Supplier'}
+                </h2>
+              </div>
+              <div className="p-4 space-y-4">
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Kode</label>
+                  <input name="code" value={form.code} onChange={handleChange} placeholder="Otomatis (SUP-0001)" className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Nama resmi <span className="text-red-500">*</span></label>
+                  <input name="name" value={form.name} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Alias</label>
+                  <textarea name="aliases" rows={3} value={form.aliases} onChange={handleChange} className={inputClass} />
+                  <p className="text-xs text-gray-400 mt-1">Satu nama per baris, seperti tertulis di invoice</p>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">NPWP</label>
+                  <input name="npwp" value={form.npwp} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Alamat</label>
+                  <textarea name="address" rows={2} value={form.address} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Termin (hari)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      name="payment_terms_days"
+                      value={form.payment_terms_days}
+                      onChange={handleChange}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">PPN</label>
+                    <select name="include_tax" value={form.include_tax} onChange={handleChange} className={inputClass}>
+                      {TAX_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {/* OCR template */}
+                <div className="border-t border-gray-200 pt-4 space-y-4">
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-800">Template OCR</h3>
+                    <p className="text-xs text-gray-400 mt-1">
+                      Diterapkan otomatis setelah OCR dan saat re-parse untuk invoice supplier ini
+                    </p>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm text-gray-700 mb-1">Format tanggal</label>
+                      <input
+                        name="template_date_format"
+                        value={form.template_date_format}
+                        onChange={handleChange}
+                        placeholder="DD/MM/YY"
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-700 mb-1">PPN default</label>
+                      <select name="template_include_vat" value={form.template_include_vat} onChange={handleChange} className={inputClass}>
+                        {TAX_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Pola nomor faktur (regex)</label>
+                    <input
+                      name="template_invoice_number_pattern"
+                      value={form.template_invoice_number_pattern}
+                      onChange={handleChange}
+                      placeholder="INV-\d{6}"
+                      className={`${inputClass} font-mono`}
+                    />
+                    <p className="text-xs text-gray-400 mt-1">Grup pertama dipakai bila ada; pola juga harus cocok dengan nomor yang sudah diambil</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Alias satuan</label>
+                    <textarea
+                      name="template_unit_aliases"
+                      rows={2}
+                      value={form.template_unit_aliases}
+                      onChange={handleChange}
+                      placeholder="CRT=CTN"
+                      className={`${inputClass} font-mono`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Pemetaan kolom header</label>
+                    <textarea
+                      name="template_header_fields"
+                      rows={2}
+                      value={form.template_header_fields}
+                      onChange={handleChange}
+                      placeholder="nomor_po=nomor_referensi"
+                      className={`${inputClass} font-mono`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Pemetaan kolom barang</label>
+                    <textarea
+                      name="template_item_fields"
+                      rows={2}
+                      value={form.template_item_fields}
+                      onChange={handleChange}
+                      placeholder="keterangan=kode_barang_invoice"
+                      className={`${inputClass} font-mono`}
+                    />
+                    <p className="text-xs text-gray-400 mt-1">Satu pasangan kolom_terbaca=kolom_tujuan per baris</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Urutan kolom barang</label>
+                    <input
+                      name="template_column_order"
+                      value={form.template_column_order}
+                      onChange={handleChange}
+                      placeholder="nama_barang_invoice, kode_barang_invoice, ..."
+                      className={`${inputClass} font-mono`}
+                    />
+                    <p className="text-xs text-gray-400 mt-1">
+                      Kolom seperti tercetak, dari kiri. Urutan standar: {DEFAULT_COLUMN_ORDER}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300"
+                  >
+                    Batal
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {isSaving ? 'Menyimpan...' : 'Simpan'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+
+          {/* Name matching check */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-800">Cek Nama Supplier</h2>
+            </div>
+            <form onSubmit={handleMatch} className="p-4 space-y-3">
+              <div className="flex gap-2">
+                <input
+                  value={matchName}
+                  onChange={(e) => { setMatchName(e.target.value); setMatchResult(undefined); }}
+                  placeholder="Nama seperti hasil OCR"
+                  className={inputClass}
+                />
+                <button type="submit" className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700">
+                  Cek
+                </button>
+              </div>
+              {matchResult === null && (
+                <p className="text-sm text-gray-500">Tidak ada supplier yang cocok.</p>
+              )}
+              {matchResult && (
+                <p className="text-sm text-gray-700">
+                  {matchResult.supplier.code} - <span className="font-medium">{matchResult.supplier.name}</span>
+                  <span className="text-gray-500"> ({MATCH_TYPES[matchResult.match_type]}, skor {matchResult.score})</span>
+                </p>
+              )}
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SuppliersPage;
@@ -153,9 +153,17 @@ const api = axios.create({
   },
 });
 
+// Name recorded as the actor in the invoice history, set from the history panel
+export const ACTOR_STORAGE_KEY = 'invoiceActor';
+
 // Add request interceptor to log requests in development
 api.interceptors.request.use(
   (config) => {
+    // Identify the user making the change for the invoice history
+    const actor = window.localStorage.getItem(ACTOR_STORAGE_KEY);
+    if (actor) {
+      config.headers['X-Actor'] = actor;
+    }
     return config;
   },
   (error) => {
@@ -173,6 +181,32 @@ api.interceptors.response.use(
   }
 );
 
+// Save a file download response under the name in its Content-Disposition header
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', match ? match[1] : fallbackName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Error of a blob request with its JSON error body parsed, so the message can be shown
+const blobError = async (error) => {
+  if (error.response && error.response.data instanceof Blob) {
+    try {
+      error.response.data = JSON.parse(await error.response.data.text());
+    } catch {
+      // Not a JSON body; keep the blob
+    }
+  }
+  return error;
+};
+
 // API endpoints for processed invoices
 export const invoiceApi = {
   // Get all invoices with optional pagination and filtering
@@ -260,6 +294,112 @@ export const invoiceApi = {
     } catch (error) {
       throw error;
     }
+  },
+  
+  // Edit history: versions of an invoice, newest first
+  getVersions: async (id) => {
+    try {
+      const response = await api.get(`/api/invoices/${id}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching versions of invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // One version with its snapshot
+  getVersion: async (id, version) => {
+    try {
+      const response = await api.get(`/api/invoices/${id}/versions/${version}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching version ${version} of invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // Field-level diff between two versions
+  diffVersions: async (id, from, to) => {
+    try {
+      const response = await api.get(`/api/invoices/${id}/versions/diff`, { params: { from, to } });
+      return response.data;
+    } catch (error) {
+      console.error(`Error comparing versions of invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // Restore the invoice to a prior version
+  restoreVersion: async (id, version) => {
+    try {
+      const response = await api.post(`/api/invoices/${id}/versions/${version}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error restoring invoice ${id} to version ${version}:`, error);
+      throw error;
+    }
+  },
+  
+  // Status transition: 'review', 'approve', 'post' or 'reopen'
+  transition: async (id, action) => {
+    try {
+      const response = await api.post(`/api/invoices/${id}/${action}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error running ${action} on invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // Search invoices with filters; returns { data, page_info } where page_info.next_cursor fetches the next page
+  search: async (params = {}) => {
+    try {
+      const response = await api.get('/api/invoices/search', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching invoices:', error);
+      throw error;
+    }
+  },
+  
+  // Returns and credit notes that reference the invoice
+  getCredits: async (id) => {
+    try {
+      const response = await api.get(`/api/invoices/${id}/credits`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching credit documents of invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // Download the printable PDF; variant 'invoice' or 'goods_received'
+  downloadPdf: async (id, variant = 'invoice') => {
+    try {
+      const response = await api.get(`/api/invoices/${id}/pdf`, {
+        params: { variant },
+        responseType: 'blob'
+      });
+      
+      saveDownload(response, `invoice-${id}.pdf`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error downloading PDF of invoice ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  // Export the invoices matching search filters; format 'csv', 'xlsx' or 'ubl', level 'header' or 'lines' for CSV,
+  // profile_id for the columns of a saved export profile. Returns the number of exported invoices.
+  export: async (params = {}) => {
+    try {
+      const response = await api.get('/api/invoices/export', { params, responseType: 'blob' });
+      saveDownload(response, 'invoices-export');
+      return { success: true, count: Number(response.headers['x-export-count']) || null };
+    } catch (error) {
+      console.error('Error exporting invoices:', error);
+      throw await blobError(error);
+    }
   }
 };
 
@@ -1210,10 +1350,237 @@ export const databaseApi = {
   }
 };
 
+// API endpoints for OCR queue administration
+export const queueApi = {
+  // Get queue settings and metrics
+  getAdmin: async (windowHours) => {
+    try {
+      const response = await api.get('/api/ocr/admin/queue', { params: { windowHours } });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching queue metrics: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Get all jobs with their status
+  getJobs: async () => {
+    try {
+      const response = await api.get('/api/ocr/status');
+      return response.data.statuses || [];
+    } catch (error) {
+      console.error(`Error fetching queue jobs: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Change the number of jobs processed at the same time
+  setConcurrency: async (concurrency) => {
+    try {
+      const response = await api.put('/api/ocr/admin/queue', { concurrency });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating queue concurrency: ${error.message}`);
+      throw error;
+    }
+  },
+
+  pause: async () => {
+    try {
+      const response = await api.post('/api/ocr/admin/queue/pause');
+      return response.data;
+    } catch (error) {
+      console.error(`Error pausing queue: ${error.message}`);
+      throw error;
+    }
+  },
+
+  resume: async () => {
+    try {
+      const response = await api.post('/api/ocr/admin/queue/resume');
+      return response.data;
+    } catch (error) {
+      console.error(`Error resuming queue: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Change the priority of a queued job
+  setPriority: async (fileId, priority) => {
+    try {
+      const response = await api.post(`/api/ocr/jobs/${fileId}/priority`, { priority });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating priority of job ${fileId}: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
+// API endpoints for re-parsing stored raw OCR data
+export const reparseApi = {
+  // Dry-run the re-parse of every raw OCR data entry
+  getReport: async () => {
+    try {
+      const response = await api.get('/api/raw-ocr/reparse/report');
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching re-parse report: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Preview what re-parsing entries would change on their invoices
+  preview: async (ids) => {
+    try {
+      const response = await api.post('/api/raw-ocr/reparse/preview', { ids });
+      return response.data.data || [];
+    } catch (error) {
+      console.error(`Error previewing re-parse: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Apply previewed changes, rows are [{ id, checksum }] taken from the preview
+  apply: async (rows) => {
+    try {
+      const response = await api.post('/api/raw-ocr/reparse/apply', { rows });
+      return response.data;
+    } catch (error) {
+      console.error(`Error applying re-parse: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
+// API endpoints for the supplier master
+export const supplierApi = {
+  // Get all suppliers, optionally filtered by code, name, alias or NPWP
+  getAll: async (search) => {
+    try {
+      const response = await api.get('/api/suppliers', { params: search ? { search } : {} });
+      return response.data.data || [];
+    } catch (error) {
+      console.error(`Error fetching suppliers: ${error.message}`);
+      throw error;
+    }
+  },
+
+  create: async (data) => {
+    try {
+      const response = await api.post('/api/suppliers', data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating supplier: ${error.message}`);
+      throw error;
+    }
+  },
+
+  update: async (id, data) => {
+    try {
+      const response = await api.put(`/api/suppliers/${id}`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating supplier ${id}: ${error.message}`);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/suppliers/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting supplier ${id}: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Merge the suppliers in sourceIds into the supplier with targetId
+  merge: async (targetId, sourceIds) => {
+    try {
+      const response = await api.post(`/api/suppliers/${targetId}/merge`, { source_ids: sourceIds });
+      return response.data;
+    } catch (error) {
+      console.error(`Error merging suppliers into ${targetId}: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Find the supplier a printed name resolves to
+  match: async (name) => {
+    try {
+      const response = await api.get('/api/suppliers/match', { params: { name } });
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error matching supplier name: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
+// API endpoints for invoice export profiles
+export const exportProfileApi = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/api/export-profiles');
+      return response.data.data || [];
+    } catch (error) {
+      console.error(`Error fetching export profiles: ${error.message}`);
+      throw error;
+    }
+  },
+
+  // Fields that can be exported per level, with the columns of the default profile
+  getFields: async () => {
+    try {
+      const response = await api.get('/api/export-profiles/fields');
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error fetching export fields: ${error.message}`);
+      throw error;
+    }
+  },
+
+  create: async (data) => {
+    try {
+      const response = await api.post('/api/export-profiles', data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating export profile: ${error.message}`);
+      throw error;
+    }
+  },
+
+  update: async (id, data) => {
+    try {
+      const response = await api.put(`/api/export-profiles/${id}`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating export profile ${id}: ${error.message}`);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/export-profiles/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting export profile ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
 export default {
   invoiceApi,
   rawOcrApi,
   productApi,
   productItemApi,
-  databaseApi
+  databaseApi,
+  queueApi,
+  reparseApi,
+  supplierApi,
+  exportProfileApi
 };
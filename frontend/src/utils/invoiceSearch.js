@@ -0,0 +1,39 @@
+/**
+ * Invoice search filters, matching GET /api/invoices/search on the backend
+ */
+
+// Empty filters; the newest invoices come first
+export const EMPTY_INVOICE_FILTERS = {
+  q: '',
+  item: '',
+  supplier: '',
+  status: '',
+  document_type: '',
+  payment_type: '',
+  invoice_date_from: '',
+  invoice_date_to: '',
+  due_date_from: '',
+  due_date_to: '',
+  amount_min: '',
+  amount_max: '',
+  sort: 'created_at',
+  order: 'desc'
+};
+
+// Columns the results can be sorted on, matching invoiceSearchService on the backend
+export const SORT_OPTIONS = [
+  { value: 'created_at', label: 'Tanggal input' },
+  { value: 'invoice_date', label: 'Tanggal faktur' },
+  { value: 'due_date', label: 'Jatuh tempo' },
+  { value: 'invoice_number', label: 'Nomor invoice' },
+  { value: 'supplier_name', label: 'Supplier' },
+  { value: 'amount', label: 'Jumlah' }
+];
+
+// Search parameters of the filters, without the empty ones
+export const toSearchParams = (filters, cursor = null) => {
+  const params = Object.fromEntries(
+    Object.entries(filters).map(([key, value]) => [key, String(value).trim()]).filter(([, value]) => value !== '')
+  );
+  return cursor ? { ...params, cursor } : params;
+};
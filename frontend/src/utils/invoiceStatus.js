@@ -0,0 +1,25 @@
+/**
+ * Invoice lifecycle statuses and transitions, matching invoiceWorkflowService on the backend
+ */
+
+// document_type values of returns and credit notes, matching creditDocumentService on the backend
+export const CREDIT_DOCUMENT_TYPES = ['retur', 'return', 'nota retur', 'nota kredit', 'credit note', 'credit memo'];
+
+export const isCreditDocument = (documentType) =>
+  CREDIT_DOCUMENT_TYPES.includes(String(documentType || '').trim().toLowerCase());
+
+// Label and colour of each invoice status
+export const INVOICE_STATUSES = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-700' },
+  reviewed: { label: 'Diperiksa', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Disetujui', className: 'bg-yellow-100 text-yellow-800' },
+  posted: { label: 'Diposting', className: 'bg-green-100 text-green-800' }
+};
+
+// Transitions that can be run from each status, with their button label
+export const INVOICE_TRANSITIONS = {
+  draft: [{ action: 'review', label: 'Tandai diperiksa' }],
+  reviewed: [{ action: 'approve', label: 'Setujui' }, { action: 'reopen', label: 'Kembalikan ke draft' }],
+  approved: [{ action: 'post', label: 'Posting' }, { action: 'reopen', label: 'Kembalikan ke draft' }],
+  posted: []
+};
@@ -0,0 +1,31 @@
+/**
+ * Canonical OCR document shared with the backend (backend/src/services/ocrDocument.js)
+ * { schema_version, output: { <header fields>, items: [...] }, debug: [...], debug_summary }
+ * The server converts every OCR result into this shape, so components read fields only from output.
+ */
+
+// Schema version this frontend understands
+export const OCR_SCHEMA_VERSION = 1;
+
+/**
+ * Empty canonical document
+ * @returns {Object} Document without header fields or items
+ */
+export const emptyOcrDocument = () => ({
+  schema_version: OCR_SCHEMA_VERSION,
+  output: { items: [] },
+  debug: [],
+  debug_summary: null
+});
+
+/**
+ * Check whether OCR data is a canonical document this frontend can read
+ * @param {Object} ocrData - OCR data received from the server
+ * @returns {boolean} True when the data has the expected schema_version and an items array
+ */
+export const isOcrDocument = (ocrData) => (
+  !!ocrData &&
+  ocrData.schema_version === OCR_SCHEMA_VERSION &&
+  !!ocrData.output &&
+  Array.isArray(ocrData.output.items)
+);